@@ -8,9 +8,14 @@
  *     - Registers a time-driven trigger → batchGenerateChunk() every 5 min
  *
  *   batchGenerateChunk()  (called by trigger)
- *     - Scans Batch Status sheet for next N 'pending'/'running' rows
- *     - Calls generateAccountResearchDoc() per company
+ *     - Scans Batch Status sheet for 'pending' rows; rows left 'running' by a
+ *       timed-out execution resume from their checkpoint (see CacheStore.gs)
+ *     - Sizes the chunk from measured stage durations so it fits the
+ *       execution budget
+ *     - Pre-warms SEC financials for the chunk in one batch proxy call
+ *     - Calls generateAccountResearchDoc() per company with checkpointing on
  *     - Writes status, doc URL, timestamp, and any error back to the sheet
+ *     - Refreshes the batch summary (throughput, failures by stage, ETA)
  *     - When no pending rows remain: deletes trigger, shows completion toast
  *
  *   cancelBatch() (Menu.gs → stopBatch())
@@ -21,10 +26,16 @@
 // ── Constants ──────────────────────────────────────────────────────────
 
 var BATCH_SHEET_NAME           = 'Batch Status';
-var BATCH_CHUNK_SIZE           = 2;     // companies per trigger fire (~150s each, well within 5-min window)
+var BATCH_MAX_CHUNK_SIZE       = 6;     // hard cap on companies per trigger fire
+var BATCH_TIME_BUDGET_MS       = 270 * 1000;  // start no company that wouldn't finish inside 4.5 min
+var BATCH_DEFAULT_COMPANY_MS   = 150 * 1000;  // estimate per company until stages have been timed
+var BATCH_MAX_RESUMES          = 2;     // checkpoint resumes before a timing-out company is failed
 var BATCH_TRIGGER_INTERVAL_MINS = 5;    // minutes between trigger fires
 
-var PROP_BATCH_TRIGGER = 'BATCH_TRIGGER_ID';
+var PROP_BATCH_TRIGGER     = 'BATCH_TRIGGER_ID';
+var PROP_BATCH_STARTED_AT  = 'BATCH_STARTED_AT';
+var PROP_BATCH_STAGE_STATS = 'BATCH_STAGE_STATS';   // { stage: { avgMs, samples } }
+var BATCH_STATS_WEIGHT     = 0.3;                   // weight of the newest sample in the moving average
 
 // Column positions in Batch Status sheet (1-based)
 var BATCH_COL_COMPANY  = 1;
@@ -33,6 +44,10 @@ var BATCH_COL_DOC_URL  = 3;  // BRIEF_URL
 var BATCH_COL_FULL_URL = 4;  // FULL_URL
 var BATCH_COL_RUN_AT   = 5;
 var BATCH_COL_ERROR    = 6;
+var BATCH_COL_STAGE    = 7;  // resume stage while pending, failing stage once failed
+
+// Summary block sits to the right of the table (label / value pairs)
+var BATCH_SUMMARY_COL  = BATCH_COL_STAGE + 2;
 
 // ── Public: Init ───────────────────────────────────────────────────────
 
@@ -60,7 +75,7 @@ function initBatch() {
   if (batchSheet) {
     var lastRow = batchSheet.getLastRow();
     if (lastRow > 1) {
-      var existingData = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_ERROR).getValues();
+      var existingData = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_STAGE).getValues();
       for (var i = 0; i < existingData.length; i++) {
         var name = String(existingData[i][0]).trim();
         if (name) {
@@ -80,8 +95,8 @@ function initBatch() {
   }
 
   // Write header
-  var headerRange = batchSheet.getRange(1, 1, 1, BATCH_COL_ERROR);
-  headerRange.setValues([['COMPANY_NAME', 'STATUS', 'BRIEF_URL', 'FULL_URL', 'RUN_AT', 'ERROR']]);
+  var headerRange = batchSheet.getRange(1, 1, 1, BATCH_COL_STAGE);
+  headerRange.setValues([['COMPANY_NAME', 'STATUS', 'BRIEF_URL', 'FULL_URL', 'RUN_AT', 'ERROR', 'STAGE']]);
   headerRange.setFontWeight('bold');
   headerRange.setBackground('#1B0B3B');
   headerRange.setFontColor('#FFFFFF');
@@ -91,22 +106,26 @@ function initBatch() {
   batchSheet.setColumnWidth(BATCH_COL_FULL_URL, 320);
   batchSheet.setColumnWidth(BATCH_COL_RUN_AT,   160);
   batchSheet.setColumnWidth(BATCH_COL_ERROR,    300);
+  batchSheet.setColumnWidth(BATCH_COL_STAGE,    140);
   batchSheet.setFrozenRows(1);
 
   // Write data rows (preserve done, reset everything else to pending)
   var rows = names.map(function(n) {
     var prev = existingStatus[n];
     if (prev && prev.status === 'done') {
-      return [n, 'done', prev.docUrl, prev.fullUrl || '', prev.runAt, ''];
+      return [n, 'done', prev.docUrl, prev.fullUrl || '', prev.runAt, '', ''];
     }
-    return [n, 'pending', '', '', '', ''];
+    return [n, 'pending', '', '', '', '', ''];
   });
 
   if (rows.length > 0) {
-    batchSheet.getRange(2, 1, rows.length, BATCH_COL_ERROR).setValues(rows);
-    batchSheet.getRange(2, 1, rows.length, BATCH_COL_ERROR).setVerticalAlignment('middle');
+    batchSheet.getRange(2, 1, rows.length, BATCH_COL_STAGE).setValues(rows);
+    batchSheet.getRange(2, 1, rows.length, BATCH_COL_STAGE).setVerticalAlignment('middle');
   }
 
+  PropertiesService.getScriptProperties().setProperty(PROP_BATCH_STARTED_AT, new Date().toISOString());
+  _writeBatchSummary(batchSheet, 0);
+
   SpreadsheetApp.flush();
 
   // Remove any stale trigger from a previous batch before registering a new one
@@ -128,7 +147,7 @@ function initBatch() {
 
   ss.toast(
     pendingCount + ' companies queued (' + doneCount + ' already done, skipped). ' +
-    'Processing ' + BATCH_CHUNK_SIZE + ' per run every ' + BATCH_TRIGGER_INTERVAL_MINS + ' minutes. ' +
+    'Processing ~' + _planChunkSize(_readStageStats()) + ' per run every ' + BATCH_TRIGGER_INTERVAL_MINS + ' minutes. ' +
     'See "Batch Status" tab for progress.',
     'Batch Started',
     15
@@ -142,7 +161,8 @@ function initBatch() {
  * Called automatically by the time-driven trigger registered in initBatch().
  *
  * Scans the Batch Status sheet for 'pending' (or stuck 'running') rows,
- * processes up to BATCH_CHUNK_SIZE companies, then writes results back.
+ * processes as many companies as fit BATCH_TIME_BUDGET_MS (at most
+ * BATCH_MAX_CHUNK_SIZE), then writes results back.
  * Deletes the trigger when no pending rows remain.
  */
 function batchGenerateChunk() {
@@ -175,25 +195,56 @@ function _batchGenerateChunkBody() {
     return;
   }
 
-  var allRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_ERROR).getValues();
+  var allRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_STAGE).getValues();
 
-  // Mark any stuck 'running' rows as 'failed' — they were left by a prior timed-out execution.
-  // Do NOT silently re-run them; that causes duplicate doc generation.
+  // Rows stuck in 'running' were left by a prior timed-out execution. Resume
+  // them from their checkpoint (completed stages are not re-run); without a
+  // checkpoint, or after BATCH_MAX_RESUMES, mark them failed rather than
+  // silently re-running the whole pipeline.
   for (var i = 0; i < allRows.length; i++) {
-    if (String(allRows[i][BATCH_COL_STATUS - 1]).trim() === 'running') {
-      var stuckRow = i + 2;
+    if (String(allRows[i][BATCH_COL_STATUS - 1]).trim() !== 'running') continue;
+    var stuckRow  = i + 2;
+    var stuckName = String(allRows[i][BATCH_COL_COMPANY - 1]).trim();
+    var checkpoint = null;
+    try { checkpoint = peekRunCheckpoint(stuckName); } catch (e) { /* treat as no checkpoint */ }
+    var stuckStage = checkpoint ? nextRunStage(checkpoint) : String(allRows[i][BATCH_COL_STAGE - 1] || '') || 'unknown';
+
+    if (checkpoint && (checkpoint.resumes || 0) < BATCH_MAX_RESUMES) {
+      batchSheet.getRange(stuckRow, BATCH_COL_STATUS).setValue('pending');
+      batchSheet.getRange(stuckRow, BATCH_COL_ERROR).setValue('Timed out — resuming from checkpoint');
+      batchSheet.getRange(stuckRow, BATCH_COL_STAGE).setValue(stuckStage);
+      Logger.log('[Batch] Row ' + stuckRow + ' (' + stuckName + ') timed out — will resume at "' + stuckStage + '"');
+    } else {
       batchSheet.getRange(stuckRow, BATCH_COL_STATUS).setValue('failed');
-      batchSheet.getRange(stuckRow, BATCH_COL_ERROR).setValue('Execution timed out or was interrupted — re-queue manually if needed');
-      Logger.log('[Batch] Marked stuck row ' + stuckRow + ' as failed: ' + String(allRows[i][BATCH_COL_COMPANY - 1]).trim());
+      batchSheet.getRange(stuckRow, BATCH_COL_ERROR).setValue(checkpoint
+        ? 'Timed out ' + (checkpoint.resumes + 1) + ' times — re-queue manually if needed'
+        : 'Execution timed out or was interrupted — re-queue manually if needed');
+      batchSheet.getRange(stuckRow, BATCH_COL_STAGE).setValue(stuckStage);
+      Logger.log('[Batch] Marked stuck row ' + stuckRow + ' as failed at "' + stuckStage + '": ' + stuckName);
     }
   }
   SpreadsheetApp.flush();
 
   // Re-read after cleanup so our loop reflects current state
-  allRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_ERROR).getValues();
+  allRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_STAGE).getValues();
   var processedThisChunk = 0;
+  var chunkStart = Date.now();
+  var stats = _readStageStats();
+  var plannedChunk = _planChunkSize(stats);
+
+  // Pre-warm SEC data for this chunk in one proxy call (best-effort)
+  var chunkNames = [];
+  for (var p = 0; p < allRows.length && chunkNames.length < plannedChunk; p++) {
+    var pName = String(allRows[p][BATCH_COL_COMPANY - 1]).trim();
+    if (pName && String(allRows[p][BATCH_COL_STATUS - 1]).trim() === 'pending') chunkNames.push(pName);
+  }
+  try {
+    prefetchSecFinancials(chunkNames);
+  } catch (e) {
+    Logger.log('[Batch] SEC pre-fetch failed (continuing): ' + e.message);
+  }
 
-  for (var r = 0; r < allRows.length && processedThisChunk < BATCH_CHUNK_SIZE; r++) {
+  for (var r = 0; r < allRows.length && processedThisChunk < BATCH_MAX_CHUNK_SIZE; r++) {
     var status      = String(allRows[r][BATCH_COL_STATUS - 1]).trim();
     var companyName = String(allRows[r][BATCH_COL_COMPANY - 1]).trim();
 
@@ -201,6 +252,16 @@ function _batchGenerateChunkBody() {
     if (status !== 'pending') continue;
     if (!companyName) continue;
 
+    // Adaptive chunk size: stop when this company's estimate would overrun the budget
+    var resumeStage = String(allRows[r][BATCH_COL_STAGE - 1] || '').trim();
+    var estimateMs  = _estimateCompanyMs(stats, resumeStage);
+    var elapsedMs   = Date.now() - chunkStart;
+    if (processedThisChunk > 0 && elapsedMs + estimateMs > BATCH_TIME_BUDGET_MS) {
+      Logger.log('[Batch] Stopping chunk: ' + Math.round(elapsedMs / 1000) + 's used, next company estimated at ' +
+        Math.round(estimateMs / 1000) + 's');
+      break;
+    }
+
     var rowNum = r + 2; // 1-based row in sheet (offset by 1 header row)
 
     // Mark as running before starting (visible progress in sheet)
@@ -208,31 +269,38 @@ function _batchGenerateChunkBody() {
     batchSheet.getRange(rowNum, BATCH_COL_ERROR).setValue('');
     SpreadsheetApp.flush();
 
-    Logger.log('[Batch] Processing row ' + rowNum + ': ' + companyName);
+    Logger.log('[Batch] Processing row ' + rowNum + ': ' + companyName +
+      (resumeStage ? ' (resuming at "' + resumeStage + '")' : ''));
 
     try {
-      var briefUrl = generateAccountResearchDoc(companyName, "", "", false);
+      var briefUrl = generateAccountResearchDoc(companyName, "", "", false, null, { checkpoint: true });
       var fullUrl = (_lastDocResult && _lastDocResult.fullUrl) || '';
       batchSheet.getRange(rowNum, BATCH_COL_STATUS).setValue('done');
       batchSheet.getRange(rowNum, BATCH_COL_DOC_URL).setValue(briefUrl);
       batchSheet.getRange(rowNum, BATCH_COL_FULL_URL).setValue(fullUrl);
       batchSheet.getRange(rowNum, BATCH_COL_RUN_AT).setValue(new Date());
       batchSheet.getRange(rowNum, BATCH_COL_ERROR).setValue('');
+      batchSheet.getRange(rowNum, BATCH_COL_STAGE).setValue('');
       Logger.log('[Batch] Done: ' + companyName + ' → Brief: ' + briefUrl + ' | Full: ' + fullUrl);
     } catch (e) {
       var errMsg = e.message || String(e);
+      var failedStage = (_lastRunCheckpoint && _lastRunCheckpoint.currentStage) || 'unknown';
       batchSheet.getRange(rowNum, BATCH_COL_STATUS).setValue('failed');
       batchSheet.getRange(rowNum, BATCH_COL_RUN_AT).setValue(new Date());
       batchSheet.getRange(rowNum, BATCH_COL_ERROR).setValue(errMsg);
-      Logger.log('[Batch] FAILED: ' + companyName + ' — ' + errMsg);
+      batchSheet.getRange(rowNum, BATCH_COL_STAGE).setValue(failedStage);
+      Logger.log('[Batch] FAILED: ' + companyName + ' at "' + failedStage + '" — ' + errMsg);
     }
 
+    // Timings from stages that actually ran (restored stages carry no new sample)
+    if (_lastRunCheckpoint) stats = _recordStageDurations(stats, _lastRunCheckpoint, chunkStart);
+
     SpreadsheetApp.flush();
     processedThisChunk++;
   }
 
   // Re-read to count remaining pending/running
-  var updatedRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_ERROR).getValues();
+  var updatedRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_STAGE).getValues();
   var remaining = 0;
   var totalDone   = 0;
   var totalFailed = 0;
@@ -244,6 +312,8 @@ function _batchGenerateChunkBody() {
     else if (s === 'failed') totalFailed++;
   }
 
+  _writeBatchSummary(batchSheet, processedThisChunk);
+
   Logger.log('[Batch] Chunk complete. Processed: ' + processedThisChunk +
     ', Remaining: ' + remaining + ', Done: ' + totalDone + ', Failed: ' + totalFailed);
 
@@ -280,7 +350,7 @@ function cancelBatch() {
 
   if (batchSheet && batchSheet.getLastRow() > 1) {
     var lastRow = batchSheet.getLastRow();
-    var allRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_ERROR).getValues();
+    var allRows = batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_STAGE).getValues();
     for (var r = 0; r < allRows.length; r++) {
       if (String(allRows[r][BATCH_COL_STATUS - 1]).trim() === 'running') {
         batchSheet.getRange(r + 2, BATCH_COL_STATUS).setValue('pending');
@@ -318,3 +388,133 @@ function removeBatchTrigger() {
   }
   props.deleteProperty(PROP_BATCH_TRIGGER);
 }
+
+// ── Stage timings & adaptive chunk sizing ──────────────────────────────
+
+/**
+ * Reads the moving-average stage durations from Script Properties.
+ * @returns {Object} { stage: { avgMs, samples } }
+ */
+function _readStageStats() {
+  var raw = PropertiesService.getScriptProperties().getProperty(PROP_BATCH_STAGE_STATS);
+  if (!raw) return {};
+  try { return JSON.parse(raw); } catch (e) { return {}; }
+}
+
+/**
+ * Folds the stage durations of one run into the moving averages.
+ * Only stages completed during this chunk count — restored stages keep the
+ * timing from the run that produced them.
+ * @param {Object} stats
+ * @param {Object} run         Checkpoint from generateAccountResearchDoc()
+ * @param {number} sinceMs     Chunk start (epoch ms)
+ * @returns {Object} Updated stats
+ */
+function _recordStageDurations(stats, run, sinceMs) {
+  Object.keys(run.stages || {}).forEach(function(stage) {
+    var entry = run.stages[stage];
+    if (!entry || !entry.durationMs || new Date(entry.completedAt).getTime() < sinceMs) return;
+    var prev = stats[stage];
+    stats[stage] = prev
+      ? { avgMs: Math.round(prev.avgMs + BATCH_STATS_WEIGHT * (entry.durationMs - prev.avgMs)), samples: prev.samples + 1 }
+      : { avgMs: entry.durationMs, samples: 1 };
+  });
+  PropertiesService.getScriptProperties().setProperty(PROP_BATCH_STAGE_STATS, JSON.stringify(stats));
+  return stats;
+}
+
+/**
+ * Estimated run time for one company, from fromStage (resume) to the end.
+ * Stages with no samples yet fall back to an even share of
+ * BATCH_DEFAULT_COMPANY_MS.
+ * @param {Object} stats
+ * @param {string} [fromStage]
+ * @returns {number} ms
+ */
+function _estimateCompanyMs(stats, fromStage) {
+  var startIdx = Math.max(0, RUN_STAGES.indexOf(fromStage));
+  var fallback = BATCH_DEFAULT_COMPANY_MS / RUN_STAGES.length;
+  var total = 0;
+  for (var i = startIdx; i < RUN_STAGES.length; i++) {
+    var entry = stats[RUN_STAGES[i]];
+    total += entry ? entry.avgMs : fallback;
+  }
+  return total;
+}
+
+/**
+ * Companies expected to fit in one trigger fire.
+ * @param {Object} stats
+ * @returns {number}
+ */
+function _planChunkSize(stats) {
+  var perCompany = _estimateCompanyMs(stats);
+  return Math.max(1, Math.min(BATCH_MAX_CHUNK_SIZE, Math.floor(BATCH_TIME_BUDGET_MS / perCompany)));
+}
+
+// ── Batch summary ──────────────────────────────────────────────────────
+
+/**
+ * Writes the summary block (progress, throughput, failures by stage,
+ * estimated completion) beside the status table.
+ * @param {Sheet} batchSheet
+ * @param {number} lastChunkSize  Companies processed by the latest trigger fire
+ */
+function _writeBatchSummary(batchSheet, lastChunkSize) {
+  var lastRow = batchSheet.getLastRow();
+  var rows = lastRow > 1 ? batchSheet.getRange(2, 1, lastRow - 1, BATCH_COL_STAGE).getValues() : [];
+  var startedRaw = PropertiesService.getScriptProperties().getProperty(PROP_BATCH_STARTED_AT);
+  var startedAt = startedRaw ? new Date(startedRaw) : null;
+
+  var done = 0, failed = 0, pending = 0, doneThisRun = 0;
+  var failuresByStage = {};
+  rows.forEach(function(r) {
+    var status = String(r[BATCH_COL_STATUS - 1]).trim();
+    if (status === 'done') {
+      done++;
+      if (startedAt && r[BATCH_COL_RUN_AT - 1] && new Date(r[BATCH_COL_RUN_AT - 1]) >= startedAt) doneThisRun++;
+    } else if (status === 'failed') {
+      failed++;
+      var stage = String(r[BATCH_COL_STAGE - 1] || 'unknown');
+      failuresByStage[stage] = (failuresByStage[stage] || 0) + 1;
+    } else if (status === 'pending' || status === 'running') {
+      pending++;
+    }
+  });
+
+  var stats = _readStageStats();
+  var plannedChunk = _planChunkSize(stats);
+  var hours = startedAt ? (Date.now() - startedAt.getTime()) / (1000 * 60 * 60) : 0;
+  var perHour = hours > 0 && doneThisRun > 0 ? doneThisRun / hours : 0;
+
+  // Measured throughput once there is some; the plan before that
+  var etaMs = 0;
+  if (pending > 0) {
+    etaMs = perHour > 0
+      ? (pending / perHour) * 60 * 60 * 1000
+      : Math.ceil(pending / plannedChunk) * BATCH_TRIGGER_INTERVAL_MINS * 60 * 1000;
+  }
+
+  var stageText = Object.keys(failuresByStage).map(function(k) {
+    return k + ': ' + failuresByStage[k];
+  }).join(', ') || '—';
+
+  var summary = [
+    ['BATCH SUMMARY', ''],
+    ['Started', startedAt || '—'],
+    ['Done / Failed / Pending', done + ' / ' + failed + ' / ' + pending],
+    ['Throughput', perHour > 0 ? perHour.toFixed(1) + ' companies/hour' : '—'],
+    ['Avg time per company', Math.round(_estimateCompanyMs(stats) / 1000) + 's'],
+    ['Chunk size (last / planned)', lastChunkSize + ' / ' + plannedChunk],
+    ['Failures by stage', stageText],
+    ['Est. completion', pending > 0 ? new Date(Date.now() + etaMs) : 'Complete'],
+    ['Updated', new Date()]
+  ];
+
+  var range = batchSheet.getRange(1, BATCH_SUMMARY_COL, summary.length, 2);
+  range.setValues(summary);
+  batchSheet.getRange(1, BATCH_SUMMARY_COL, 1, 2).setFontWeight('bold').setBackground('#1B0B3B').setFontColor('#FFFFFF');
+  batchSheet.getRange(2, BATCH_SUMMARY_COL, summary.length - 1, 1).setFontWeight('bold');
+  batchSheet.setColumnWidth(BATCH_SUMMARY_COL, 200);
+  batchSheet.setColumnWidth(BATCH_SUMMARY_COL + 1, 260);
+}
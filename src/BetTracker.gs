@@ -0,0 +1,433 @@
+/**
+ * BetTracker — big-bet lifecycle records and cross-account outcome stats.
+ *
+ * Each big bet the research pipeline proposes becomes a tracked record in the
+ * Big Bets tab of the bookscrub spreadsheet, one row per company + bet:
+ *
+ *   owner, stage, next step   — maintained from the dashboard
+ *   deliverables              — Deliverables tab types (logDeliverable) linked to the bet
+ *   outcome, outcome reason   — won / lost / abandoned, set when the bet closes
+ *
+ * Bets are identified by a slug of their title, so a record survives the
+ * dashboard re-sorting bets and outlives a refresh that replaces them —
+ * closed bets stay in the tab as outcome history. A second bet with the
+ * same title gets its position appended to the slug.
+ *
+ * Closed outcomes are aggregated by Docusign product and by industry
+ * (getBetOutcomeStats) and summarised into the priority-map and big-bet
+ * prompts (buildBetOutcomeContext), so recommendations lean towards what
+ * has actually converted.
+ *
+ * meta.betStatuses (validated / rejected / needs_validation per bet index)
+ * is kept in step with the records for the portfolio view's bet counts.
+ */
+
+var BET_SHEET = 'Big Bets';
+var BET_HEADERS = ['companyName', 'betId', 'title', 'industry', 'businessUnit', 'products', 'estimatedValue',
+  'owner', 'stage', 'nextStep', 'outcome', 'outcomeReason', 'deliverables', 'createdAt', 'updatedAt', 'closedAt'];
+var BET_STAGES = ['needs_validation', 'validated', 'rejected', 'pursuing', 'proposal', 'closed'];
+var BET_OUTCOMES = ['won', 'lost', 'abandoned'];
+var BET_EDITABLE_FIELDS = ['owner', 'stage', 'nextStep', 'outcome', 'outcomeReason'];
+var BET_OUTCOME_MIN_CLOSED = 3;   // closed bets before a product/industry is quoted in prompts
+var BET_OUTCOME_MAX_LINES = 8;
+
+// Per-execution cache — the Big Bets tab is read once per research run
+var _betOutcomeStatsCache = null;
+
+// ── Dashboard API ──────────────────────────────────────────────────────
+
+/**
+ * Returns the tracked records for a company's current big bets, plus its
+ * records for bets no longer in the intelligence cache.
+ * @param {string} companyName
+ * @returns {string} JSON string of { bets: Object[], history: Object[] }
+ */
+function getBetRecords(companyName) {
+  if (!companyName) return JSON.stringify({ bets: [], history: [] });
+  var records = _readBetRecords(companyName);
+  var current = _currentBets(companyName);
+
+  var bets = current.bets.map(function(bet, i) {
+    var rec = records[bet.betId];
+    if (rec) { delete records[bet.betId]; return rec; }
+    var legacy = current.statuses[String(i)];
+    return _newBetRecord(companyName, current.industry, bet, legacy === 'validated' || legacy === 'rejected' ? legacy : 'needs_validation');
+  });
+  var history = Object.keys(records).map(function(id) { return records[id]; });
+
+  // Resolve linked deliverable types to their current title + URL
+  var delivByType = {};
+  getDeliverables(companyName).forEach(function(d) { if (d.type) delivByType[d.type] = d; });
+  bets.concat(history).forEach(function(rec) {
+    rec.deliverableLinks = rec.deliverables.map(function(type) {
+      var d = delivByType[type];
+      return { type: type, title: d ? d.title : type, url: d ? d.url : '' };
+    });
+  });
+
+  return JSON.stringify({ bets: bets, history: history });
+}
+
+/**
+ * Creates or updates a big-bet record.
+ * @param {string} companyName
+ * @param {string} betId
+ * @param {Object} updates  Any of owner, stage, nextStep, outcome, outcomeReason.
+ *   Setting an outcome closes the bet; moving a closed bet back to an open
+ *   stage clears its outcome.
+ * @returns {string} JSON string of the saved record
+ */
+function saveBetRecord(companyName, betId, updates) {
+  if (!companyName || !betId) throw new Error('Company name and bet id required');
+  updates = updates || {};
+  if (updates.stage && BET_STAGES.indexOf(updates.stage) === -1) {
+    throw new Error('Unknown bet stage "' + updates.stage + '"');
+  }
+  if (updates.outcome && BET_OUTCOMES.indexOf(updates.outcome) === -1) {
+    throw new Error('Unknown bet outcome "' + updates.outcome + '"');
+  }
+  if (updates.stage === 'closed' && !updates.outcome) {
+    throw new Error('Closing a bet needs an outcome (' + BET_OUTCOMES.join(', ') + ')');
+  }
+
+  var saved = _updateBetRecord(companyName, betId, function(rec) {
+    BET_EDITABLE_FIELDS.forEach(function(f) {
+      if (updates[f] !== undefined) rec[f] = String(updates[f] || '').trim();
+    });
+    if (updates.outcome) {
+      rec.stage = 'closed';
+      if (!rec.closedAt) rec.closedAt = new Date().toISOString();
+    } else if (updates.stage && updates.stage !== 'closed') {
+      rec.outcome = '';
+      rec.outcomeReason = '';
+      rec.closedAt = '';
+    }
+    if (rec.stage === 'closed' && !rec.outcome) throw new Error('A closed bet needs an outcome');
+  });
+  _syncBetStatuses(companyName);
+  Logger.log('[Bets] Saved "' + saved.title + '" for "' + companyName + '": ' + saved.stage +
+    (saved.outcome ? ' (' + saved.outcome + ')' : ''));
+  return JSON.stringify(saved);
+}
+
+/**
+ * Links a deliverable (by its Deliverables tab type) to a big bet.
+ * @param {string} companyName
+ * @param {string} betId
+ * @param {string} deliverableType  e.g. 'slides_deck', 'gvs_value_case'
+ * @returns {string} JSON string of the saved record
+ */
+function linkBetDeliverable(companyName, betId, deliverableType) {
+  if (!deliverableType) throw new Error('Deliverable type required');
+  var saved = _updateBetRecord(companyName, betId, function(rec) {
+    if (rec.deliverables.indexOf(deliverableType) === -1) rec.deliverables.push(deliverableType);
+  });
+  Logger.log('[Bets] Linked ' + deliverableType + ' to "' + saved.title + '" for "' + companyName + '"');
+  return JSON.stringify(saved);
+}
+
+/**
+ * Closed big-bet outcomes aggregated across every account.
+ * @returns {string} JSON string of { closed, open, byProduct: Object[], byIndustry: Object[] }
+ *   Each group: { name, won, lost, abandoned, closed, winRate } — winRate in %
+ */
+function getBetOutcomeStats() {
+  return JSON.stringify(_betOutcomeStats());
+}
+
+// ── Prompt context ─────────────────────────────────────────────────────
+
+/**
+ * Summarises closed big-bet outcomes for the priority-map and big-bet
+ * prompts: win rates by product overall and within the account's industry.
+ * Only groups with at least BET_OUTCOME_MIN_CLOSED closed bets are quoted.
+ * @param {string} [industry]
+ * @returns {string} Empty string when there is no usable history
+ */
+function buildBetOutcomeContext(industry) {
+  var stats;
+  try {
+    stats = _betOutcomeStats();
+  } catch (e) {
+    Logger.log('[Bets] Outcome stats unavailable (non-fatal): ' + e.message);
+    return '';
+  }
+
+  var describe = function(g) {
+    return g.name + ': ' + g.won + ' won / ' + g.closed + ' closed (' + g.winRate + '%)' +
+      (g.topLossReason ? ' — most common loss reason: ' + g.topLossReason : '');
+  };
+  var lines = [];
+
+  var products = stats.byProduct.filter(function(g) { return g.closed >= BET_OUTCOME_MIN_CLOSED; });
+  if (products.length) {
+    lines.push('By product (all accounts):');
+    products.slice(0, BET_OUTCOME_MAX_LINES).forEach(function(g) { lines.push('  ' + describe(g)); });
+  }
+
+  if (industry) {
+    var key = String(industry).toLowerCase();
+    var ind = stats.byIndustry.filter(function(g) { return g.name.toLowerCase() === key; })[0];
+    if (ind && ind.closed >= BET_OUTCOME_MIN_CLOSED) {
+      lines.push('In ' + ind.name + ': ' + describe(ind).replace(ind.name + ': ', ''));
+      var indProducts = (ind.products || []).filter(function(g) { return g.closed >= BET_OUTCOME_MIN_CLOSED; });
+      indProducts.slice(0, BET_OUTCOME_MAX_LINES).forEach(function(g) { lines.push('  ' + describe(g)); });
+    }
+  }
+
+  if (!lines.length) return '';
+  return 'Outcomes of ' + stats.closed + ' closed big bets across Docusign accounts:\n' + lines.join('\n');
+}
+
+// ── Private helpers ────────────────────────────────────────────────────
+
+function _betId(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+}
+
+/**
+ * The company's current big bets from the intelligence cache, in dashboard
+ * order, with the legacy index-keyed statuses from meta.json.
+ */
+function _currentBets(companyName) {
+  var cached = getIntelligenceCache(companyName);
+  var intel = (cached && cached.intelligence) || {};
+  var meta = (cached && cached.meta) || {};
+  var raw = getBigBetList(intel);
+
+  var industry = '';
+  var research = getResearchCache(companyName);
+  if (research && research.research && research.research.data && research.research.data.context) {
+    industry = research.research.data.context.industry || '';
+  }
+
+  var usedIds = {};
+  var bets = raw.map(function(bet, i) {
+    var title = bet.title || bet.name || bet.opportunity || ('Opportunity ' + (i + 1));
+    var products = (bet.solution && bet.solution.primaryProducts) || bet.products || bet.targetProducts || [];
+    if (typeof products === 'string') products = products.split(',');
+    var betId = _betId(title);
+    if (usedIds[betId]) betId += '-' + (i + 1);
+    usedIds[betId] = true;
+    return {
+      betId:          betId,
+      title:          title,
+      businessUnit:   bet.targetBusinessUnit || '',
+      products:       products.map(function(p) { return String(p).trim(); }).filter(Boolean),
+      estimatedValue: bet.estimatedAnnualValue || bet.estimatedValue || bet.value || ''
+    };
+  });
+  return { bets: bets, statuses: meta.betStatuses || {}, industry: industry };
+}
+
+function _newBetRecord(companyName, industry, bet, stage) {
+  return {
+    companyName:    companyName,
+    betId:          bet.betId,
+    title:          bet.title,
+    industry:       industry || '',
+    businessUnit:   bet.businessUnit,
+    products:       bet.products,
+    estimatedValue: bet.estimatedValue,
+    owner:          '',
+    stage:          stage || 'needs_validation',
+    nextStep:       '',
+    outcome:        '',
+    outcomeReason:  '',
+    deliverables:   [],
+    createdAt:      '',
+    updatedAt:      '',
+    closedAt:       ''
+  };
+}
+
+/**
+ * Reads, mutates and writes back one record under the script lock. A bet
+ * without a record yet is created from the intelligence cache.
+ * @returns {Object} The saved record
+ */
+function _updateBetRecord(companyName, betId, mutate) {
+  var current = _currentBets(companyName);
+  var saved = null;
+
+  _withLock(function() {
+    var sheet = _getBetSheet();
+    var lastRow = sheet.getLastRow();
+    var rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, BET_HEADERS.length).getValues() : [];
+    var target = companyName.toLowerCase();
+    var rowIdx = -1;
+    for (var i = 0; i < rows.length; i++) {
+      if (String(rows[i][0]).toLowerCase() === target && String(rows[i][1]) === betId) { rowIdx = i; break; }
+    }
+
+    var rec;
+    if (rowIdx >= 0) {
+      rec = _betRowToRecord(rows[rowIdx]);
+    } else {
+      var idx = -1;
+      for (var j = 0; j < current.bets.length; j++) {
+        if (current.bets[j].betId === betId) { idx = j; break; }
+      }
+      if (idx === -1) throw new Error('No big bet "' + betId + '" for "' + companyName + '"');
+      var legacy = current.statuses[String(idx)];
+      rec = _newBetRecord(companyName, current.industry, current.bets[idx],
+        legacy === 'validated' || legacy === 'rejected' ? legacy : 'needs_validation');
+      rec.createdAt = new Date().toISOString();
+    }
+
+    mutate(rec);
+    rec.updatedAt = new Date().toISOString();
+    var values = _betRecordToRow(rec);
+    if (rowIdx >= 0) sheet.getRange(rowIdx + 2, 1, 1, BET_HEADERS.length).setValues([values]);
+    else sheet.appendRow(values);
+    saved = rec;
+  });
+  return saved;
+}
+
+/**
+ * Rewrites meta.betStatuses from the records so the portfolio's
+ * validated / rejected counts follow the lifecycle.
+ */
+function _syncBetStatuses(companyName) {
+  try {
+    var records = _readBetRecords(companyName);
+    var current = _currentBets(companyName);
+    var statuses = {};
+    current.bets.forEach(function(bet, i) {
+      var rec = records[bet.betId];
+      var status = current.statuses[String(i)] || 'needs_validation';
+      if (rec) {
+        if (rec.stage === 'rejected' || rec.outcome === 'lost' || rec.outcome === 'abandoned') status = 'rejected';
+        else if (rec.stage === 'needs_validation') status = 'needs_validation';
+        else status = 'validated';
+      }
+      statuses[String(i)] = status;
+    });
+    saveBetStatuses(companyName, statuses);
+  } catch (e) {
+    Logger.log('[Bets] meta.betStatuses sync failed (non-fatal): ' + e.message);
+  }
+}
+
+function _getBetSheet() {
+  var ss = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID);
+  var sheet = ss.getSheetByName(BET_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(BET_SHEET);
+    sheet.getRange(1, 1, 1, BET_HEADERS.length).setValues([BET_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * All records in the Big Bets tab, or one company's keyed by betId.
+ * @param {string} [companyName]
+ * @returns {Object[]|Object<string, Object>}
+ */
+function _readBetRecords(companyName) {
+  var sheet = _getBetSheet();
+  var lastRow = sheet.getLastRow();
+  var rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, BET_HEADERS.length).getValues() : [];
+  if (!companyName) return rows.map(_betRowToRecord);
+
+  var target = companyName.toLowerCase();
+  var byId = {};
+  rows.forEach(function(r) {
+    if (String(r[0]).toLowerCase() === target) byId[String(r[1])] = _betRowToRecord(r);
+  });
+  return byId;
+}
+
+function _betRowToRecord(r) {
+  var rec = {};
+  BET_HEADERS.forEach(function(h, i) {
+    var v = r[i];
+    rec[h] = v instanceof Date ? v.toISOString() : String(v === null || v === undefined ? '' : v);
+  });
+  rec.products = rec.products ? rec.products.split(/\s*,\s*/) : [];
+  rec.deliverables = rec.deliverables ? rec.deliverables.split(/\s*,\s*/) : [];
+  return rec;
+}
+
+function _betRecordToRow(rec) {
+  return BET_HEADERS.map(function(h) {
+    if (h === 'products' || h === 'deliverables') return (rec[h] || []).join(', ');
+    return rec[h] || '';
+  });
+}
+
+/**
+ * Win / loss counts by product and by industry (with a per-product split
+ * inside each industry). Groups are sorted by closed count, then win rate.
+ */
+function _betOutcomeStats() {
+  if (_betOutcomeStatsCache) return _betOutcomeStatsCache;
+
+  var closed = 0, open = 0;
+  var byProduct = {}, byIndustry = {};
+  var tally = function(groups, name, rec) {
+    if (!name) return null;
+    var g = groups[name] || (groups[name] = { name: name, won: 0, lost: 0, abandoned: 0, closed: 0, lossReasons: {} });
+    g[rec.outcome]++;
+    g.closed++;
+    if (rec.outcome !== 'won' && rec.outcomeReason) {
+      g.lossReasons[rec.outcomeReason] = (g.lossReasons[rec.outcomeReason] || 0) + 1;
+    }
+    return g;
+  };
+
+  _readBetRecords().forEach(function(rec) {
+    if (BET_OUTCOMES.indexOf(rec.outcome) === -1) {
+      if (rec.stage !== 'rejected') open++;
+      return;
+    }
+    closed++;
+    rec.products.forEach(function(p) { tally(byProduct, p, rec); });
+    var ind = tally(byIndustry, rec.industry, rec);
+    if (ind) {
+      ind.productGroups = ind.productGroups || {};
+      rec.products.forEach(function(p) { tally(ind.productGroups, p, rec); });
+    }
+  });
+
+  var finish = function(groups) {
+    return Object.keys(groups).map(function(k) {
+      var g = groups[k];
+      g.winRate = Math.round((g.won / g.closed) * 100);
+      var reasons = Object.keys(g.lossReasons).sort(function(a, b) { return g.lossReasons[b] - g.lossReasons[a]; });
+      g.topLossReason = reasons[0] || '';
+      delete g.lossReasons;
+      if (g.productGroups) { g.products = finish(g.productGroups); delete g.productGroups; }
+      return g;
+    }).sort(function(a, b) { return b.closed - a.closed || b.winRate - a.winRate; });
+  };
+
+  _betOutcomeStatsCache = { closed: closed, open: open, byProduct: finish(byProduct), byIndustry: finish(byIndustry) };
+  Logger.log('[Bets] Outcome stats: ' + closed + ' closed, ' + open + ' open across ' +
+    _betOutcomeStatsCache.byIndustry.length + ' industries');
+  return _betOutcomeStatsCache;
+}
+
+// ── Test functions ─────────────────────────────────────────────────────
+
+/**
+ * Test: load a cached company's bet records and print the outcome context.
+ */
+function testBetTracker() {
+  var companyName = 'Merck Sharp & Dohme LLC';
+  Logger.log('[TEST] Big bet records for: ' + companyName);
+  try {
+    var result = JSON.parse(getBetRecords(companyName));
+    if (result.bets.length === 0) { Logger.log('FAIL: no big bets in cache'); return; }
+    result.bets.forEach(function(b) {
+      Logger.log('[TEST] ' + b.betId + ' — ' + b.stage + (b.outcome ? ' (' + b.outcome + ')' : '') +
+        ' — products: ' + b.products.join(', '));
+    });
+    Logger.log('[TEST] Outcome context:\n' + (buildBetOutcomeContext('Healthcare') || '(no closed bets yet)'));
+    Logger.log('PASS: ' + result.bets.length + ' current, ' + result.history.length + ' historical bets');
+  } catch (e) {
+    Logger.log('FAIL: ' + e.message);
+  }
+}
@@ -4,10 +4,17 @@
  * Storage layout:
  *   📁 {INTELLIGENCE_CACHE_FOLDER_ID}/
  *     _index.json           ← company name → folder ID (O(1) lookups)
+ *     _portfolio.json       ← one precomputed row per account (Portfolio.gs)
  *     📁 Acme Corp/
  *       research.json       ← L1: bookscrub + enrichment + Glean + productSignals
  *       intelligence.json   ← L2: 7 synthesized objects
- *       meta.json           ← timestamps, staleness, pipeline version
+ *       meta.json           ← timestamps, staleness, pipeline version, input
+ *                              fingerprints, refresh history
+ *       checkpoint.json     ← per-stage outputs of an in-flight run (deleted on success)
+ *       refresh-checkpoint.json ← same for an in-flight incremental refresh (RefreshRunner.gs)
+ *       📁 versions/
+ *         research@{ts}.json      ← L1 snapshots (listed in meta.versions)
+ *         intelligence@{ts}.json  ← L2 snapshots
  */
 
 // ── Root folder ───────────────────────────────────────────────────────
@@ -79,6 +86,7 @@ function removeCompanyCache(companyName) {
     if (files.hasNext()) {
       files.next().setContent(content);
     }
+    try { removePortfolioEntry(companyName); } catch (e) { /* non-fatal */ }
     Logger.log('[CacheStore] Removed "' + companyName + '" — ' + Object.keys(index).length + ' companies remain');
     return true;
   }
@@ -211,6 +219,8 @@ function writeResearchCache(companyName, obj, pipeline) {
   _withLock(function() {
     var start = Date.now();
     var folder = _getCompanyFolder(companyName, true);
+    var meta = _readJsonFile(folder, 'meta.json') || {};
+    _seedVersionHistory(folder, meta, 'research');
     var sizeBytes = _writeJsonFile(folder, 'research.json', obj);
     var sizeKB = Math.round(sizeBytes / 1024);
     if (sizeKB > 500) {
@@ -218,12 +228,15 @@ function writeResearchCache(companyName, obj, pipeline) {
     }
 
     // Update meta
-    var meta = _readJsonFile(folder, 'meta.json') || {};
     meta.companyName = companyName;
     meta.l1GeneratedAt = new Date().toISOString();
     meta.l1Pipeline = pipeline;
     meta.l1SizeBytes = sizeBytes;
     meta.version = meta.version || 1;
+    meta.fingerprints = meta.fingerprints || {};
+    meta.fingerprints.l1 = fingerprintResearch(obj);
+    meta.fingerprints.scheme = FINGERPRINT_SCHEME;
+    _snapshotVersion(folder, meta, 'research', obj, meta.l1GeneratedAt, pipeline);
     _writeJsonFile(folder, 'meta.json', meta);
 
     // Invalidate dashboard landing page cache
@@ -270,16 +283,26 @@ function writeIntelligenceCache(companyName, obj, pipeline) {
   _withLock(function() {
     var start = Date.now();
     var folder = _getCompanyFolder(companyName, true);
+    var meta = _readJsonFile(folder, 'meta.json') || {};
+    _seedVersionHistory(folder, meta, 'intelligence');
     var sizeBytes = _writeJsonFile(folder, 'intelligence.json', obj);
     var sizeKB = Math.round(sizeBytes / 1024);
 
     // Update meta
-    var meta = _readJsonFile(folder, 'meta.json') || {};
     meta.companyName = companyName;
     meta.l2GeneratedAt = new Date().toISOString();
     meta.l2Pipeline = pipeline;
     meta.l2SizeBytes = sizeBytes;
     meta.version = meta.version || 1;
+    meta.fingerprints = meta.fingerprints || {};
+    meta.fingerprints.l2 = l2DependencyFingerprints(meta.fingerprints.l1 || {}, obj);
+    // Schema validation outcomes for the objects this run produced (ResearchSchemas.gs)
+    var validation = getValidationReport();
+    if (Object.keys(validation).length) {
+      meta.validation = meta.validation || {};
+      Object.keys(validation).forEach(function(key) { meta.validation[key] = validation[key]; });
+    }
+    _snapshotVersion(folder, meta, 'intelligence', obj, meta.l2GeneratedAt, pipeline);
     _writeJsonFile(folder, 'meta.json', meta);
 
     // Invalidate dashboard landing page cache so new account appears immediately
@@ -290,10 +313,515 @@ function writeIntelligenceCache(companyName, obj, pipeline) {
   });
 }
 
+/**
+ * The big-bet list from L2 intelligence. intel.bigBets is the validated
+ * { bigBets: [...] } object, but older caches hold a bare list or use
+ * 'opportunities' / 'bets' as the key.
+ * @param {Object} intel  L2 intelligence object
+ * @returns {Array<Object>}
+ */
+function getBigBetList(intel) {
+  var bets = intel && intel.bigBets;
+  if (!bets) return [];
+  return Array.isArray(bets) ? bets : (bets.bigBets || bets.opportunities || bets.bets || []);
+}
+
+// ── Run checkpoints ───────────────────────────────────────────────────
+
+// Checkpointed stages of generateAccountResearchDoc(), in pipeline order
+var RUN_STAGES = ['extract', 'enrichment', 'accountProfile', 'businessMap', 'agreementLandscape',
+  'contractCommerce', 'priorityMap', 'briefing', 'bigBets', 'docBuild'];
+
+// Checkpoint file per kind of run — a refresh must not resume or clear an
+// interrupted full pipeline run
+var CHECKPOINT_FILES = { pipeline: 'checkpoint.json', refresh: 'refresh-checkpoint.json' };
+
+// Stage output fields that hold sheet Date cells. JSON turns them into ISO
+// strings, so they are revived on load for formatDate() and date maths.
+var CHECKPOINT_DATE_FIELDS = {
+  extract: ['data.contract.termStart', 'data.contract.termEnd'],
+  researchInputs: ['research.data.contract.termStart', 'research.data.contract.termEnd']
+};
+
+/**
+ * Returns a company's saved checkpoint without opening it for a run.
+ * @param {string} companyName
+ * @param {string} [kind]  CHECKPOINT_FILES key (default 'pipeline')
+ * @returns {Object|null}
+ */
+function peekRunCheckpoint(companyName, kind) {
+  var folder = _getCompanyFolder(companyName, false);
+  var run = folder ? _readJsonFile(folder, CHECKPOINT_FILES[kind || 'pipeline']) : null;
+  if (run && run.stages) _reviveCheckpointDates(run.stages);
+  return run;
+}
+
+/**
+ * Turns the ISO strings at CHECKPOINT_DATE_FIELDS back into Dates.
+ * @param {Object} stages  checkpoint.stages (mutated)
+ */
+function _reviveCheckpointDates(stages) {
+  Object.keys(CHECKPOINT_DATE_FIELDS).forEach(function(stage) {
+    if (!stages[stage]) return;
+    CHECKPOINT_DATE_FIELDS[stage].forEach(function(path) {
+      var keys = path.split('.');
+      var parent = stages[stage].output;
+      for (var i = 0; i < keys.length - 1 && parent; i++) parent = parent[keys[i]];
+      var value = parent && parent[keys[keys.length - 1]];
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(value)) {
+        parent[keys[keys.length - 1]] = new Date(value);
+      }
+    });
+  });
+}
+
+/**
+ * First stage in RUN_STAGES the checkpoint hasn't completed.
+ * @param {Object|null} run
+ * @returns {string}
+ */
+function nextRunStage(run) {
+  for (var i = 0; i < RUN_STAGES.length; i++) {
+    if (!run || !run.stages || !run.stages[RUN_STAGES[i]]) return RUN_STAGES[i];
+  }
+  return RUN_STAGES[RUN_STAGES.length - 1];
+}
+
+/**
+ * Opens the checkpoint for a company's pipeline run. Returns the saved
+ * checkpoint when a previous run was interrupted recently, otherwise a
+ * fresh one. Completed stages are skipped by runCheckpointStage().
+ *
+ * @param {string} companyName
+ * @param {string} [kind]  CHECKPOINT_FILES key (default 'pipeline')
+ * @returns {{ companyName: string, kind: string, startedAt: string, resumes: number, stages: Object, currentStage: string|null }}
+ */
+function openRunCheckpoint(companyName, kind) {
+  kind = kind || 'pipeline';
+  var saved = peekRunCheckpoint(companyName, kind);
+  if (saved && saved.startedAt) {
+    var ageHours = (Date.now() - new Date(saved.startedAt).getTime()) / (1000 * 60 * 60);
+    if (ageHours <= CHECKPOINT_MAX_AGE_HOURS) {
+      // Persist the resume count now so a stage that keeps timing out is
+      // visible to the batch runner even if it never completes.
+      saved.kind = kind;
+      saved.stages = saved.stages || {};
+      saved.resumes = (saved.resumes || 0) + 1;
+      saved.currentStage = null;
+      _writeRunCheckpoint(saved);
+      Logger.log('[CacheStore] RESUME checkpoint for "' + companyName + '" at "' + nextRunStage(saved) +
+        '" (resume #' + saved.resumes + ')');
+      return saved;
+    }
+    Logger.log('[CacheStore] Discarding ' + ageHours.toFixed(1) + 'h-old checkpoint for "' + companyName + '"');
+  }
+  return { companyName: companyName, kind: kind, startedAt: new Date().toISOString(), resumes: 0, stages: {}, currentStage: null };
+}
+
+/**
+ * Runs one pipeline stage, or returns its saved output if a previous run
+ * already completed it. With a null checkpoint the stage simply runs.
+ *
+ * @param {Object|null} run   From openRunCheckpoint()
+ * @param {string} stage      Stage name (e.g. 'enrichment', 'businessMap')
+ * @param {Function} fn       Produces the stage output (must be JSON-serialisable)
+ * @returns {*} Stage output
+ */
+function runCheckpointStage(run, stage, fn) {
+  if (!run) return fn();
+  var saved = run.stages[stage];
+  if (saved) {
+    Logger.log('[CacheStore] SKIP stage "' + stage + '" for "' + run.companyName + '" (checkpointed)');
+    return saved.output;
+  }
+  run.currentStage = stage;
+  var start = Date.now();
+  var output = fn();
+  saveCheckpointStage(run, stage, output, Date.now() - start);
+  return output;
+}
+
+/**
+ * Records a completed stage and persists the checkpoint. Used directly when
+ * several stages finish together (parallel LLM calls).
+ * @param {Object} run
+ * @param {string} stage
+ * @param {*} output
+ * @param {number} durationMs
+ */
+function saveCheckpointStage(run, stage, output, durationMs) {
+  if (!run) return;
+  run.stages[stage] = { output: output, durationMs: durationMs, completedAt: new Date().toISOString() };
+  run.currentStage = null;
+  var sizeBytes = _writeRunCheckpoint(run);
+  Logger.log('[CacheStore] CHECKPOINT "' + stage + '" for "' + run.companyName + '" (' +
+    (durationMs / 1000).toFixed(1) + 's, ' + Math.round(sizeBytes / 1024) + 'KB)');
+}
+
+/**
+ * Writes the run's checkpoint file. Failures are logged, not thrown — losing a
+ * checkpoint only costs a re-run of the stage.
+ * @param {Object} run
+ * @returns {number} Size in bytes (0 on failure)
+ */
+function _writeRunCheckpoint(run) {
+  try {
+    return _withLock(function() {
+      return _writeJsonFile(_getCompanyFolder(run.companyName, true), CHECKPOINT_FILES[run.kind || 'pipeline'], run);
+    });
+  } catch (e) {
+    Logger.log('[CacheStore] WARN checkpoint write failed for "' + run.companyName + '" (non-fatal): ' + e.message);
+    return 0;
+  }
+}
+
+/**
+ * Deletes a company's checkpoint once its run has finished.
+ * @param {string} companyName
+ * @param {string} [kind]  CHECKPOINT_FILES key (default 'pipeline')
+ */
+function clearRunCheckpoint(companyName, kind) {
+  var folder = _getCompanyFolder(companyName, false);
+  if (!folder) return;
+  var files = folder.getFilesByName(CHECKPOINT_FILES[kind || 'pipeline']);
+  while (files.hasNext()) files.next().setTrashed(true);
+}
+
+// ── Fingerprints (change detection) ───────────────────────────────────
+
+// Bumped whenever what goes into a fingerprint changes, so refreshes rebase
+// older caches instead of treating every account as changed
+var FINGERPRINT_SCHEME = 2;
+
+// L1 inputs fingerprinted separately so a usage change in bookscrub doesn't
+// look like a change to the company's identity or public data.
+var L1_PARTS = ['identity', 'bookscrub', 'productSignals', 'enrichment', 'gleanResearch'];
+
+// What each L2 object was generated from, mirroring the Researcher.gs call
+// signatures. Entries naming another L2 object depend on its content.
+// Glean research only feeds the account profile (think1 in the Glean pipeline).
+var L2_DEPENDENCIES = {
+  accountProfile:     ['identity', 'enrichment', 'gleanResearch'],
+  businessMap:        ['identity', 'accountProfile'],
+  agreementLandscape: ['identity', 'accountProfile'],
+  contractCommerce:   ['identity', 'accountProfile'],
+  priorityMap:        ['bookscrub', 'productSignals', 'accountProfile', 'businessMap', 'agreementLandscape', 'contractCommerce'],
+  briefing:           ['accountProfile', 'priorityMap', 'productSignals'],
+  bigBets:            ['bookscrub', 'accountProfile', 'priorityMap', 'productSignals', 'agreementLandscape']
+};
+
+// Enrichment keys that change without the company changing: peer
+// percentiles move as other SIC filers report. Left out of fingerprints so a
+// nightly refresh doesn't regenerate every object downstream of enrichment.
+var ENRICHMENT_VOLATILE_KEYS = ['peerBenchmark'];
+
+// L2 objects in generation order (dependencies first)
+var L2_ORDER = ['accountProfile', 'businessMap', 'agreementLandscape', 'contractCommerce',
+  'priorityMap', 'briefing', 'bigBets'];
+
+/**
+ * MD5 fingerprint of a JSON value. Keys are sorted and keys starting with
+ * '_' (timestamps, source tags) are ignored, so only content changes count.
+ * @param {*} value
+ * @returns {string} Hex digest
+ */
+function fingerprintValue(value) {
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5,
+    JSON.stringify(_canonicalValue(value)), Utilities.Charset.UTF_8);
+  return digest.map(function(b) { return ('0' + (b & 0xff).toString(16)).slice(-2); }).join('');
+}
+
+function _canonicalValue(value) {
+  if (Array.isArray(value)) return value.map(_canonicalValue);
+  if (value && typeof value === 'object') {
+    var out = {};
+    Object.keys(value).sort().forEach(function(k) {
+      if (k.charAt(0) !== '_') out[k] = _canonicalValue(value[k]);
+    });
+    return out;
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * The part of an enrichment object that describes the company, for
+ * fingerprinting. Drops ENRICHMENT_VOLATILE_KEYS and reduces 8-K events to
+ * their accession numbers — the window start (`since`) rolls forward daily.
+ * Underscore keys (timestamps, sources) are skipped by fingerprintValue().
+ * @param {Object} enrichment  Output of enrichCompanyData()
+ * @returns {Object}
+ */
+function stableEnrichment(enrichment) {
+  var out = {};
+  Object.keys(enrichment || {}).forEach(function(k) {
+    if (ENRICHMENT_VOLATILE_KEYS.indexOf(k) === -1) out[k] = enrichment[k];
+  });
+  if (out.corporateEvents) {
+    out.corporateEvents = (out.corporateEvents.events || []).map(function(e) { return e.accessionNumber; });
+  }
+  return out;
+}
+
+/**
+ * Fingerprints of each L1 input in a research object.
+ * @param {Object} research  { data, productSignals, enrichment, gleanResearch }
+ * @returns {Object} part → fingerprint (see L1_PARTS)
+ */
+function fingerprintResearch(research) {
+  var data = research.data || {};
+  return {
+    identity:       fingerprintValue({ name: data.identity && data.identity.name, industry: data.context && data.context.industry }),
+    bookscrub:      fingerprintValue(data),
+    productSignals: fingerprintValue(research.productSignals || {}),
+    enrichment:     fingerprintValue(stableEnrichment(research.enrichment)),
+    gleanResearch:  fingerprintValue(research.gleanResearch || {})
+  };
+}
+
+/**
+ * Dependency fingerprints for every L2 object: for each object, the
+ * fingerprint of each input it depends on.
+ * @param {Object} l1Fingerprints  From fingerprintResearch()
+ * @param {Object} intel           The 7 intelligence objects
+ * @returns {Object} object → { dependency: fingerprint }
+ */
+function l2DependencyFingerprints(l1Fingerprints, intel) {
+  var objectFps = {};
+  L2_ORDER.forEach(function(key) { objectFps[key] = fingerprintValue(intel[key] || {}); });
+  var result = {};
+  L2_ORDER.forEach(function(key) {
+    result[key] = {};
+    L2_DEPENDENCIES[key].forEach(function(dep) {
+      result[key][dep] = L2_DEPENDENCIES[dep] ? objectFps[dep] : (l1Fingerprints[dep] || null);
+    });
+  });
+  return result;
+}
+
+/**
+ * Compares recorded L2 dependency fingerprints against current ones.
+ * @param {Object|undefined} recorded  meta.fingerprints.l2
+ * @param {Object} current             From l2DependencyFingerprints()
+ * @returns {Object} object → changed dependency names (objects with no
+ *          recorded fingerprints list all their dependencies)
+ */
+function diffL2Dependencies(recorded, current) {
+  var changes = {};
+  L2_ORDER.forEach(function(key) {
+    var was = recorded && recorded[key];
+    var changed = L2_DEPENDENCIES[key].filter(function(dep) {
+      return !was || was[dep] !== current[key][dep];
+    });
+    if (changed.length) changes[key] = changed;
+  });
+  return changes;
+}
+
+/**
+ * Records an incremental refresh in meta.json: what was re-run and why.
+ * Keeps the last 10 entries in meta.refreshHistory.
+ * @param {string} companyName
+ * @param {Object} entry  { at, trigger, l1Changed, l2Refreshed, ... }
+ * @param {Object} [l2Keep]  object → dependency fingerprints to restore for
+ *        L2 objects whose re-run failed, so the next refresh retries them
+ * @param {Object} [rebased]  Replacement meta.fingerprints for caches whose
+ *        fingerprints predate FINGERPRINT_SCHEME
+ */
+function recordCacheRefresh(companyName, entry, l2Keep, rebased) {
+  _withLock(function() {
+    var folder = _getCompanyFolder(companyName, true);
+    var meta = _readJsonFile(folder, 'meta.json') || {};
+    meta.companyName = companyName;
+    meta.l1CheckedAt = entry.at;
+    if (rebased) meta.fingerprints = rebased;
+    if (l2Keep && meta.fingerprints && meta.fingerprints.l2) {
+      Object.keys(l2Keep).forEach(function(key) { meta.fingerprints.l2[key] = l2Keep[key]; });
+    }
+    meta.lastRefresh = entry;
+    meta.refreshHistory = [entry].concat(meta.refreshHistory || []).slice(0, 10);
+    _writeJsonFile(folder, 'meta.json', meta);
+  });
+}
+
+/**
+ * Records LLM usage for the run that just wrote this company's cache
+ * (see getLLMUsage()) in meta.lastRunUsage.
+ * @param {string} companyName
+ * @param {Object} usage  From getLLMUsage()
+ */
+function recordLLMUsage(companyName, usage) {
+  _withLock(function() {
+    var folder = _getCompanyFolder(companyName, true);
+    var meta = _readJsonFile(folder, 'meta.json') || {};
+    meta.companyName = companyName;
+    meta.lastRunUsage = usage;
+    _writeJsonFile(folder, 'meta.json', meta);
+  });
+}
+
+// ── Version history ───────────────────────────────────────────────────
+
+// Cache file name per versioned layer
+var VERSION_LAYER_FILES = { research: 'research.json', intelligence: 'intelligence.json' };
+
+/**
+ * Content fingerprint for a version snapshot. Research is compared on its
+ * stable enrichment so a refresh that only moved volatile fields isn't
+ * recorded as a new version.
+ */
+function _versionFingerprint(layer, obj) {
+  if (layer !== 'research' || !obj.enrichment) return fingerprintValue(obj);
+  var stable = {};
+  Object.keys(obj).forEach(function(k) { stable[k] = obj[k]; });
+  stable.enrichment = stableEnrichment(obj.enrichment);
+  return fingerprintValue(stable);
+}
+
+/**
+ * Returns the company's versions/ subfolder.
+ * @param {GoogleAppsScript.Drive.Folder} folder  Company folder
+ * @param {boolean} create
+ * @returns {GoogleAppsScript.Drive.Folder|null}
+ */
+function _getVersionsFolder(folder, create) {
+  var folders = folder.getFoldersByName('versions');
+  if (folders.hasNext()) return folders.next();
+  return create ? folder.createFolder('versions') : null;
+}
+
+/**
+ * Snapshots a cache write into versions/ and records it in meta.versions
+ * (newest first). Skipped when the content matches the layer's latest
+ * snapshot, so no-op refreshes don't push real history out of retention.
+ * Caller holds the lock and writes meta.json afterwards. Non-fatal.
+ * @param {GoogleAppsScript.Drive.Folder} folder  Company folder
+ * @param {Object} meta  meta.json contents (mutated)
+ * @param {string} layer  'research' or 'intelligence'
+ * @param {Object} obj  Content being written
+ * @param {string} at  ISO timestamp of the write
+ * @param {string} pipeline
+ */
+function _snapshotVersion(folder, meta, layer, obj, at, pipeline) {
+  try {
+    var versions = meta.versions || [];
+    var fingerprint = _versionFingerprint(layer, obj);
+    var latest = versions.filter(function(v) { return v.layer === layer; })[0];
+    if (latest && latest.fingerprint === fingerprint) {
+      Logger.log('[CacheStore] VERSION ' + layer + ' unchanged since ' + latest.at + ' — no snapshot');
+      return;
+    }
+    var id = layer + '@' + at;
+    var content = JSON.stringify(obj);
+    var file = _getVersionsFolder(folder, true).createFile(id.replace(/:/g, '-') + '.json', content, MimeType.PLAIN_TEXT);
+    versions.unshift({
+      id: id,
+      layer: layer,
+      at: at,
+      pipeline: pipeline || null,
+      sizeBytes: content.length,
+      fingerprint: fingerprint,
+      fileId: file.getId()
+    });
+    meta.versions = _pruneVersions(versions, layer);
+    Logger.log('[CacheStore] VERSION ' + id + ' (' + Math.round(content.length / 1024) + 'KB)');
+  } catch (e) {
+    Logger.log('[CacheStore] WARN version snapshot failed for ' + layer + ' (non-fatal): ' + e.message);
+  }
+}
+
+/**
+ * Caches written before version history existed have no snapshot of their
+ * current content. Snapshot it before the first versioned overwrite so the
+ * first diff has a baseline.
+ * @param {GoogleAppsScript.Drive.Folder} folder
+ * @param {Object} meta  meta.json contents (mutated)
+ * @param {string} layer
+ */
+function _seedVersionHistory(folder, meta, layer) {
+  var hasLayer = (meta.versions || []).some(function(v) { return v.layer === layer; });
+  if (hasLayer) return;
+  var existing = _readJsonFile(folder, VERSION_LAYER_FILES[layer]);
+  if (!existing) return;
+  var isResearch = layer === 'research';
+  var at = (isResearch ? meta.l1GeneratedAt : meta.l2GeneratedAt) || new Date().toISOString();
+  _snapshotVersion(folder, meta, layer, existing, at, isResearch ? meta.l1Pipeline : meta.l2Pipeline);
+}
+
+/**
+ * Applies retention to one layer: keeps at most VERSION_MAX_PER_LAYER
+ * snapshots and drops those older than VERSION_MAX_AGE_DAYS. The newest
+ * snapshot of the layer is always kept. Pruned files are trashed.
+ * @param {Array} versions  meta.versions, newest first
+ * @param {string} layer
+ * @returns {Array} Retained versions
+ */
+function _pruneVersions(versions, layer) {
+  var cutoff = Date.now() - VERSION_MAX_AGE_DAYS * 86400000;
+  var seen = 0;
+  return versions.filter(function(v) {
+    if (v.layer !== layer) return true;
+    seen++;
+    var keep = seen === 1 || (seen <= VERSION_MAX_PER_LAYER && new Date(v.at).getTime() >= cutoff);
+    if (!keep) {
+      try { DriveApp.getFileById(v.fileId).setTrashed(true); } catch (e) { /* already gone */ }
+      Logger.log('[CacheStore] VERSION pruned ' + v.id);
+    }
+    return keep;
+  });
+}
+
+/**
+ * Lists cached snapshots for a company, newest first.
+ * @param {string} companyName
+ * @param {string} [layer]  'research' or 'intelligence'; omit for both
+ * @returns {Array<{ id, layer, at, pipeline, sizeBytes, fingerprint, fileId }>}
+ */
+function listCacheVersions(companyName, layer) {
+  var folder = _getCompanyFolder(companyName, false);
+  if (!folder) return [];
+  var meta = _readJsonFile(folder, 'meta.json') || {};
+  return (meta.versions || []).filter(function(v) { return !layer || v.layer === layer; });
+}
+
+/**
+ * Reads one snapshot's content.
+ * @param {string} companyName
+ * @param {string} versionId  e.g. 'intelligence@2025-03-01T05:00:00.000Z'
+ * @returns {{ version: Object, data: Object }|null}
+ */
+function getCacheVersion(companyName, versionId) {
+  var version = listCacheVersions(companyName).filter(function(v) { return v.id === versionId; })[0];
+  if (!version) return null;
+  try {
+    var data = JSON.parse(DriveApp.getFileById(version.fileId).getBlob().getDataAsString());
+    return { version: version, data: data };
+  } catch (e) {
+    Logger.log('[CacheStore] WARN version ' + versionId + ' unreadable: ' + e.message);
+    return null;
+  }
+}
+
+/**
+ * Returns the latest snapshot of a layer taken at or before a point in
+ * time — e.g. the research an intelligence version was built from.
+ * @param {string} companyName
+ * @param {string} layer
+ * @param {string} at  ISO timestamp
+ * @returns {{ version: Object, data: Object }|null}
+ */
+function getCacheVersionAt(companyName, layer, at) {
+  var atMs = new Date(at).getTime();
+  var match = listCacheVersions(companyName, layer).filter(function(v) {
+    return new Date(v.at).getTime() <= atMs;
+  })[0];
+  return match ? getCacheVersion(companyName, match.id) : null;
+}
+
 // ── Staleness checks ──────────────────────────────────────────────────
 
 /**
- * Returns true if L1 research is missing or older than maxAgeDays.
+ * Returns true if L1 research is missing or was last generated or checked
+ * for changes more than maxAgeDays ago.
  * @param {string} companyName
  * @param {number} [maxAgeDays]  Default: CACHE_STALE_DAYS (7)
  * @returns {boolean}
@@ -304,8 +832,7 @@ function isResearchStale(companyName, maxAgeDays) {
   if (!folder) return true;
   var meta = _readJsonFile(folder, 'meta.json');
   if (!meta || !meta.l1GeneratedAt) return true;
-  var ageMs = Date.now() - new Date(meta.l1GeneratedAt).getTime();
-  var ageDays = ageMs / (1000 * 60 * 60 * 24);
+  var ageDays = _researchAgeDays(meta);
   if (ageDays > days) {
     Logger.log('[CacheStore] STALE research.json for "' + companyName + '" (' + ageDays.toFixed(1) + ' days old, threshold ' + days + ')');
     return true;
@@ -314,7 +841,20 @@ function isResearchStale(companyName, maxAgeDays) {
 }
 
 /**
- * Returns true if L2 intelligence is missing or if L1 is newer than L2.
+ * Days since L1 was generated or last confirmed unchanged by a refresh.
+ * @param {Object} meta
+ * @returns {number}
+ */
+function _researchAgeDays(meta) {
+  var last = new Date(meta.l1GeneratedAt).getTime();
+  if (meta.l1CheckedAt) last = Math.max(last, new Date(meta.l1CheckedAt).getTime());
+  return (Date.now() - last) / (1000 * 60 * 60 * 24);
+}
+
+/**
+ * Returns true if L2 intelligence is missing or out of date with L1.
+ * With fingerprints recorded, L2 is stale only when an L1 input it depends
+ * on changed; older caches fall back to comparing timestamps.
  * @param {string} companyName
  * @returns {boolean}
  */
@@ -323,6 +863,23 @@ function isIntelligenceStale(companyName) {
   if (!folder) return true;
   var meta = _readJsonFile(folder, 'meta.json');
   if (!meta || !meta.l2GeneratedAt) return true;
+
+  var fps = meta.fingerprints;
+  if (fps && fps.l1 && fps.l2) {
+    var changed = [];
+    L2_ORDER.forEach(function(key) {
+      var deps = fps.l2[key] || {};
+      L2_DEPENDENCIES[key].forEach(function(dep) {
+        if (!L2_DEPENDENCIES[dep] && deps[dep] !== fps.l1[dep] && changed.indexOf(key) === -1) changed.push(key);
+      });
+    });
+    if (changed.length) {
+      Logger.log('[CacheStore] STALE intelligence.json for "' + companyName + '" (inputs changed for ' + changed.join(', ') + ')');
+      return true;
+    }
+    return false;
+  }
+
   // L2 is stale if L1 was regenerated after L2
   if (meta.l1GeneratedAt && new Date(meta.l1GeneratedAt) > new Date(meta.l2GeneratedAt)) {
     Logger.log('[CacheStore] STALE intelligence.json for "' + companyName + '" (L1 newer than L2)');
@@ -6,6 +6,7 @@
 var PROP_API_KEY       = 'INFRA_API_KEY';
 var PROP_API_USER      = 'INFRA_API_USER';
 var PROP_OUTPUT_FOLDER = 'OUTPUT_FOLDER_ID';
+var PROP_SLIDES_TEMPLATE = 'SLIDES_TEMPLATE_ID';  // Optional: Slides presentation whose layouts the strategy deck uses
 
 // Bookscrub Google Sheet ID (bound data source)
 var BOOKSCRUB_SPREADSHEET_ID = '1tyrEBzmADyzvgTX8ltRZO0faaoiXnxrJgo1arzefKAk';
@@ -15,6 +16,20 @@ var LLM_ENDPOINT_FALLBACK = 'https://infra.agreementsdemo.com/openai?gb=1';
 var GLEAN_ENDPOINT        = 'https://infra.agreementsdemo.com/glean';
 var LLM_MODEL    = '4o';
 
+// ── LLM provider layer (LLMProvider.gs) ───────────────────────────────
+var PROP_LLM_MODE         = 'LLM_MODE';              // Script property: 'live' (default), 'record' or 'stub'
+var PROP_LLM_DAILY_BUDGET = 'LLM_DAILY_BUDGET_USD';  // Script property: overrides LLM_DAILY_BUDGET_USD
+var LLM_DAILY_BUDGET_USD  = 100;     // Estimated spend per day before live calls are refused (0 disables)
+var LLM_MIN_INTERVAL_MS   = 1000;    // Minimum spacing between live requests
+var LLM_REPAIR_ATTEMPTS   = 1;       // Repair prompts sent when a JSON response fails to parse or validate
+// Estimated USD per 1K tokens. The infra proxies don't report usage, so
+// tokens are estimated from character counts unless a response carries them.
+var LLM_PRICING = {
+  openai: { inputPer1k: 0.0025, outputPer1k: 0.01 },
+  glean:  { inputPer1k: 0.0025, outputPer1k: 0.01 },
+  stub:   { inputPer1k: 0,      outputPer1k: 0 }
+};
+
 // ── Docusign logo (base64 JPEG) ───────────────────────────────────────
 // Used in the document header. Sourced from Genius Bar header implementation.
 var DOCUSIGN_LOGO_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAACcQAAAH4CAYAAABuJHyMAAAACXBIWXMAAAsTAAALEwEAmpwYAAAE9GlUWHRYTUw6Y29tLmFkb2JlLnhtcAAAAAAAPD94cGFja2V0IGJlZ2luPSLvu78iIGlkPSJXNU0wTXBDZWhpSHpyZVN6TlRjemtjOWQiPz4gPHg6eG1wbWV0YSB4bWxuczp4PSJhZG9iZTpuczptZXRhLyIgeDp4bXB0az0iQWRvYmUgWE1QIENvcmUgOS4xLWMwMDIgNzkuZjM1NGVmYzcwLCAyMDIzLzExLzA5LTEyOjA1OjUzICAgICAgICAiPiA8cmRmOlJERiB4bWxuczpyZGY9Imh0dHA6Ly93d3cudzMub3JnLzE5OTkvMDIvMjItcmRmLXN5bnRheC1ucyMiPiA8cmRmOkRlc2NyaXB0aW9uIHJkZjphYm91dD0iIiB4bWxuczp4bXA9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC8iIHhtbG5zOmRjPSJodHRwOi8vcHVybC5vcmcvZGMvZWxlbWVudHMvMS4xLyIgeG1sbnM6cGhvdG9zaG9wPSJodHRwOi8vbnMuYWRvYmUuY29tL3Bob3Rvc2hvcC8xLjAvIiB4bWxuczp4bXBNTT0iaHR0cDovL25zLmFkb2JlLmNvbS94YXAvMS4wL21tLyIgeG1sbnM6c3RFdnQ9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC9zVHlwZS9SZXNvdXJjZUV2ZW50IyIgeG1wOkNyZWF0b3JUb29sPSJBZG9iZSBQaG90b3Nob3AgMjUuNCAoTWFjaW50b3NoKSIgeG1wOkNyZWF0ZURhdGU9IjIwMjQtMDItMDdUMTM6NTM6MTAtMDU6MDAiIHhtcDpNb2RpZnlEYXRlPSIyMDI0LTAyLTA3VDEzOjU1OjQ4LTA1OjAwIiB4bXA6TWV0YWRhdGFEYXRlPSIyMDI0LTAyLTA3VDEzOjU1OjQ4LTA1OjAwIiBkYzpmb3JtYXQ9ImltYWdlL3BuZyIgcGhvdG9zaG9wOkNvbG9yTW9kZT0iMyIgeG1wTU06SW5zdGFuY2VJRD0ieG1wLmlpZDo3NTc5MzMyNy01ZDFhLTRkMGQtYmYyMi1kNTNmNTBiYmVlOGYiIHhtcE1NOkRvY3VtZW50SUQ9InhtcC5kaWQ6NzU3OTMzMjctNWQxYS00ZDBkLWJmMjItZDUzZjUwYmJlZThmIiB4bXBNTTpPcmlnaW5hbERvY3VtZW50SUQ9InhtcC5kaWQ6NzU3OTMzMjctNWQxYS00ZDBkLWJmMjItZDUzZjUwYmJlZThmIj4gPHhtcE1NOkhpc3Rvcnk+IDxyZGY6U2VxPiA8cmRmOmxpIHN0RXZ0OmFjdGlvbj0iY3JlYXRlZCIgc3RFdnQ6aW5zdGFuY2VJRD0ieG1wLmlpZDo3NTc5MzMyNy01ZDFhLTRkMGQtYmYyMi1kNTNmNTBiYmVlOGYiIHN0RXZ0OndoZW49IjIwMjQtMDItMDdUMTM6NTM6MTAtMDU6MDAiIHN0RXZ0OnNvZnR3YXJlQWdlbnQ9IkFkb2JlIFBob3Rvc2hvcCAyNS40IChNYWNpbnRvc2gpIi8+IDwvcmRmOlNlcT4gPC94bXBNTTpIaXN0b3J5PiA8L3JkZjpEZXNjcmlwdGlvbj4gPC9yZGY6UkRGPiA8L3g6eG1wbWV0YT4gPD94cGFja2V0IGVuZD0iciI/Piy4Sr4AAK1XSURBVHgB7OEJgCcEQfDvP/OdWRYWdgFfRESOEAEVREFADi/wIPG+jzFP8kzUUrMs61UrNX3V1Aop3V41xcyjdr2yBbwR2VW8Q128Utw1VgSEnWXm/yd+vCly7LLHfGe+n+cZe4AZ15jB9uNXeOcDnmzhxOXMjMmcNYb9cQ8chkMk284MfoKvYuBqA1yKz2ABLsXZkmx9CxY4+8ILHX3mmZIkSZIkSZIkSZIkmc8mZD66Lf4Ej5EMvyuxGhfgAnwbX8WF+LwkSZIkSZIkSZIkSZJkI03IfLIAT8OfY4lkbhjHbXAbv+5KXIDzcRa+iC/hR5IkSZIkSZIkSZIkSZJrmZD5YgGejjdK5o9x7I/98ZuuNoOf4hycgRU4V5IkSZIkSZIkSZIkSUbehMwHA5yEN0rmvzHshvvhfq52BVbg4/gXfEuSJEmSJEmSJEmSJElGztgDzLi2GWw/foV3PuDJFk5czsyYDLVd8SXsLclVfoT34+P4CH4hGWULFjj7wgsdfeaZkiRJkiRJkiRJkiSZzwYy143jAdhbkmvcEs/C+/BTvB0PwQ6SJEmSJEmSJEmSJEkybw1chzFcfuVCk8ve5ooN2zM2I0NrBzxWkuuzAx6P9+OneDsegh0kSZIkSZIkSZIkSZJkXhm4HmO4/MqFJpe9zRUbtmdsRobSAhwiycbYAY/H+/EdvB6HSZIkSZIkSZIkSZIkybwwcAPGcPmVC00ue5v1GxYyNiNDZxx7S7Kp9sBzcS6+hElsL0mSJEmSJEmSJEmSJHPWwI0Yw+VXLjS5/G3Wb1jI2IwkmUfGcCjegQvwKvwvSZIkSZIkSZIkSZIkmXPGHmDGxpjGoonLvfP+T7bdxBXMjMlQ2A1rJNmSpvBBvBznSea6BQucfeGFjj7zTEm2mf1wX+yL9TbdBC7BR7FKkiRJkiRJkiRJko0y9gAzNtY0Fk1c7p33f7LtJq5gZkxm3W5YI8nWMIUP4uU4TzJXLVjg7AsvdPSZZ0qy1d0er8BDbRnfwKNxniRJkiRJkiRJkiQ3amATDHDZhu1NLn+b9RsWMjYjSeaxBXgEvoB/wqGSJLlut8f78FU81JZzAB4iSZIkSZIkSZIkyUYZ2EQDXLZhe5PL32b9hoWMzUiSeW4BHoEv4J9wqCRJrnYzvB5fxEMlSZIkSZIkSZIkmVUDN8EAl23Y3uTyt1m/YSFjM5JkBCzAI/B5/DVuJkkyqm6G1+PHeC4WSJIkSZIkSZIkSTLrBm6iAS7bsL3J5W+zfsNCxmYkyYhYiGfiu3gRtpMkGRUL8VysxnOxQJIkSZIkSZIkSZKhMWEzDHDZhu1NLn+bd97/ybabuIKZMUkyInbCq/B0PBsfkSSZr7bHk/GH2EuSJEmSJEm2he1wKHbC/8JB2N7VLsd5uARr8R9YL0mSJCNvwmYa4LIN25tc/jbvvP+TbTdxBTNjkmSE3Br/in/Gi3GBJMl8McDj8CrsKUmSJEmSJFvLBI7CUbgrjsUtbZqv4ev4PD6Gr2CDJEmSjJSBLWCAyzZsb3L526zfsJCxGUkyYibwaHwRT5UkmQ9OwDl4O/aUJEmSJEmSLW2A4/HXWItP43V4OG5p090eD8ersAo/wOtxOMYlSZJkJAxsIQNctmF7k8vfZv2GhYzNSJIRtDNOw3LsI0kyFx2Pc/HvOFySJEmSJEm2tJvjD7AWK/BM7GzLuwWei3NxPn4PiyVJkmReG9iCBrhsw/Yml7/N+g0LGZuRJCNoDCfhPDxVkmSuuC3+FStwuCRJkiRJkmxp++It+D7+HLvadvbDa7AGf4ldJEmSZF4a2MIGuGzD9iaXv836DQsZm5EkI2pnnIbl2EeSZFjdDv+Mr+MBkiRJkiRJsqUtxAvwRfw2Fpo9C/ECfBvPxHaSJEkyrwxsBQNctmF7k8vfZv2GhYzNSJIRNYaTsAInSpIMk73wfnwND5MkSZIkSZKt4QSci7/ELobHzfDX+BAOliRJknljYCsZ4LIN25tc/jbrNyxkbEaSjLD98T68HBOSJLNpV7wO38ZDJEmSJEmSZGt5FT6Kgw2ve+E8PFmSJEnmhYGtaIDLNmxvcvnbrN+wkLEZSTLCFuEl+CD2kSTZ1nbF6/BjPA/bSZIkSZIkydawCB/HizBh+A3wVrwZSyRJkmROG9jKBrhsw/Yml7/N+g0LGZuRJCNsDCfh33CMJMm2sD2egfPwPGwnSZIkSZIkW8th+CLuZe55FlZgf0mSJJmzBraBAS7bsL3J5W+zfsNCzEiSEXcgPoynSpJsLdvjGTgff4O9JEmSJEmSZGs6DKfjAHPXnXE69pckSZI5aWAbGeCyDdubXP42U9MLMCNJRtzO+Cu8HBOSJFvSA7Eaf4O9JEmSJEmSZGs7DKfjAHPfnXE69pckSZI5Z2AbGuCyDdubXLbU1PQCzEiSEbcIf4R/wpgkyeY6Hl/Av2APSZIkSZIk2RYOw+k4wPxxZ5yO/SVJkmROGdjGBrh0ww4mly01Nb0AM5IkHoJPYm9JkpvieHwBK3BnSZIkSZIk2VZ2x9/jAPPPnXEa9pYkSZI5Y2AWDHDphh1MLltqanoBZiRJHIfluJUkyca6Hd6LFbizJEmSJEmSbGtLcZj563i8GEskSZJkThiYJQNcumEHk8uWmppegBlJEnfAv+H2kiQ35HZ4L76Gh0uSJEmSJMlseD3uZ/57Fk6SJEmSOWFgFg1w6YYdTC5bamp6AWYkSdwOZ+K+kiTX5WD8Kx4uSZIkSZIks+UBeKTR8fc4XJIkSYbewCwb4NINO5hcttTU9ALMSJK4Od6B+0iS/LJxPBz7S5IkSZIkyWzZHn+MPY2ORXgp9pAkSZKhNjAEBrh0ww4mly01Nb0AM5Ikbo534D6SJNe4BY6SJEmSJEmS2fSHuLPR82DcU5IkSYbawJAY4NINO5hcttTU9ALMSJLYHe/AfSRJkiRJkiRJMvsOw2MwbjS9APtLkiTJ0BoYIgNcumEHk8uWmppegBlJErvjHbiPJEmSJEmSJElm1+/gAKPrzjhWkiRJhtbAkBng0g07mFy21NT0AsxIktgdS3GUJEmSJEmSJElmx2G4mzwX+0uSJMlQGhhCA1y6YQeTy5aaml6AGUkSe+I07ClJkiRJkiRJkm3viThA7oxjJUmSZCgNDKkBLt2wg8llS01NL8CMJIlD8WHsKUmSJEmSJEmSbWd7HCPXeDj2kCRJkqEzMMQGuHTDDiaXLTU1vQAzkiQOxQclSZIkSZIkSbLtPBG3lWs8GL8hSZIkQ2dgyA1w6YYdTC5bamp6AWYkSRyB90mSJEmSJEmSZNu4N5bIL7uzJEmSDJ2BOWCASzfsYHLZUlPTCzAjSeL+eK0kSZIkSZIkSbau3bG/XNvDsbckSZIMlYE5YoBLN+xgctlSU9MLMCNJRtx2+G08T5IkSZIkSZIkW8+9sbdc211wc0mSJBkqA3PIAJdu2MHksqWmphdgRpKMuMX4A9xHkiRJkiRJkiRbx1HYTa5tEfaRJEmSoTIwxwxw6YYdTC5bamp6AWYkyYjbHa/BnpIkSZIkSZIk2fIOkutzO4xLkiTJ0BiYgwa4dMMOJpctNTW9ADOSZMQdiv8rSZIkSZIkSZIta3fcQq7PXXBzSZIkGRoDc9QAl27YweSypTZMT2BGkoy4u+G1kl+2YIGzL7zQ0WeeKUmSJEmSJEluglthJ7k+t8MukiRJMjQG5rABLt2wg8nlS22YnsCMJBlh2+EpeIokSZIkSZIkSbaMW2FHuT5LsECSJEmGxsAcN8AlU4tMLl9qw/QEZiTJCNsFf4xbSpIkSZIkSZJk8y3BdnJ99sCOkiRJMjQG5oEBLplaZHL5UhumJzAjSUbYb+DtkiRJkiRJkiTZfLfFrnJDFkmSJMnQGJgnBrhkapHJ5UttmJ7AjCQZYXfDayVJkiRJkiRJkiRJkoyQgXlkgEumFplcvtSG6QnMSJIRtR0eg6MkSZIkSZIkSZIkSZKMiIF5ZoBLphaZXL7UhukJzEiSEbUn3ixJkiRJkiRJkiRJkmREDMxDA1wytcjk8qU2TE9gRpKMqEPxWhlNCxY4+8ILHX3mmZIkSZIkSZIkSZIkGQUD89QAl0wtMrl8qQ3TE5iRJCNoOzwGR0mSJEmSJEmSJEmSJJnnBuaxAS6ZWmRy+VIbpicwI0lG0J54syRJkiRJkiRJNt03cJHckMskSZJkaAzMcwNcMrXI5PKlNkxPYEaSjKCD8SeSJEmSJEmSJNk0F2O9XJ8f41JJkiQZGgMjYIBLphaZXL7UhukJzEiSEbMDnooDJUmSJEmSJEmy8b6Oi+T6/BCXSZIkydAYGBEDXDK1yOTypTZMT2BGkoyYvfEGGQ0LFjj7wgsdfeaZkiRJkiRJkmQz/BCXyvX5AS6VJEmSoTEwQga4ZGqRyeVLbZiewIwkGTFH40mSJEmSJEmSJNk4l+O/5PqcjTWSJEkyNAZGzACXTC0yuXypDdMTmJEkI2QXPFOSJEmSJEmSJBvvHFwp1+XruFKSJEmGxsAIGuCSqUUmly+1YXoCM5JkhByCP5YkSZIkSZIkycb5PC6Ua7sM35MkSZKhMjCiBrhkapHJ5UttmJ7AjCQZEYvwJOwhSZIkSZIkSZIb93lcKNd2NtZIkiTJUBkYYQNcMrXI5PKlNkxPYEaSjIh98TKZnxYscPaFFzr6zDMlSZIkSZIkyRbwE3xbru2f8X1JkiQZKgMjboBLphaZXL7UhukJzEiSETCOE3GgJEmSJEmSJElu3MdxsfyycyVJkmToDMQAl0wtMrl8qemZccxIkhFwK7xAkiRJkiRJkiQ37h/wDbnGB3GBJEmSDJ2B/LcBLplaZHLZUtMz45iRJPPcOE7CkZIkSZIkSZIkuWGX46O4Uq6yFD+WJEmSoTOQ/2eAi6d2NLlsqemZccxIknnuVniZzB8LFjj7wgsdfeaZkiRJkiRJkmQLez++I+fiy5IkSTKUBvIrBrh4akeTy5aanhnHjCSZ5w7DvSRJkiRJkiRJcsNW4ZPyBnxbkiRJhtJAfs0AF0/taHLZUtMz45iRJPPYLfA0SZIkSZIkSZLcuD/HV42uc/EZSZIkGVoDuU4DXDy1o8llS03PjGNGksxjR+NASZIkSZIkSZLcsG/jfbjSaPoTfFuSJEmG1kCu1wAXT+1octlS0zPjmJEk89St8AKZ2xYscPaFFzr6zDMlSZIkSZIkyVb0UnzW6Hk7PidJkiRDbSA3aICLp3Y0uWyp6ZlxzEiSeWgcJ+JASZIkSZIkSZLcuFfhP42OH+Mv8VNJkiQZagO5UQNcPLWjyWVLTc+MY0aSzEO74dGSJEmSJEmSJLlxy/D3uNJoeD6+LEmSJENvIBtlgIundjS5bKnpmXHMSJJ5ZhF+CztIkiRJkiRJkuTGvRTLzX+vxAckSZJkThjIRhvg4qkdTS5banpmHDOSZJ7ZA0+TuWfBAmdfeKGjzzxTkiRJkiRJkmxDj8bnzV8fxBtwuSRJkswJA9kkA1w8taPJZUtNz4xjRpLMI4vxOEmSJEmSJEmSbJzL8Qycb/45F7+HH0uSJMmcMZBNNsDFUzuaXLbU9Mw4ZiTJPLIv7iVJkiRJkiRJko2zCo/G+eaPc/FofFuSJEnmlIHcJANcPLWjyWVLTc+MY0aSzBO3wNNk7liwwNkXXujoM8+UJEmSJEmSJLNkFR6N88195+LR+LYkSZLMOQO5yQa4eGpHk8uWmp4Zx4wkmSeOwB6SJEmSJEmSJNl4q3B/nG3uOgMPxbclSZJkThrIZhng4qkdTS5banpmHDOSZB7YA78tSZIkSZIkSZJNcz7ujfebe96Ah+L7kiRJMmcNZLMNcPHUjiaXLTU9M44ZSTLHLcIDJEmSJEmSJEmy6S7Bw/DH+IXhtw6/hefjZ5IkSTKnDWSLGODiqR1NLltqemYcM5JkjtsX95LhtmCBsy+80NFnnilJkiRJkiRJhswrcCd83vD6IG6Hd2BGkiRJ5ryBbDEDXDy1o8llS03PjGNGksxhu+J+kiRJkiRJkiS56f4Dd8GTscbw+B4ejYfhx5IkSTJvDGSLGuDiqR1NLltqemYcM5JkjtoOD8IOkiRJkiRJkiTZPEuxN16IdWbPd/E0HIj3YFqSJEnmlYFscQNcPLWjyWVLzcwMMCNJ5qhdcT8ZThMTzr7wQkefeaYkSZIkSZIkmQOuwGuwJ56Jb9t2voIn43Y4DVdIkiTJvDSQrWKAi6d2NLl8qZmZAWYkyRy0Gx4tSZIkSZIkSZIt5xf4W9wGh+EvsNqWdz5ei4NwByzFLyRJkmReG8hWM8C69TuZXL7UzMwAM5JkDjoMO0iSJEmSJEmSZMv7Iv4Qt8ZtcQrejq9gysabwlfwJjwZv4ED8QL8hyRJkoyMCdmqxrFu/U4mly/1zvs/ydjYNMYkyRyyK+6H98nwmJhwzpo1jj7zTEmSJEmSJEkyT3wT3/Sr9sM+GGDGr9seZ+MiSZIkyf/fhGx141i3fieTy5d65/2fZGxsGmOSZI7YDY/G+yRJkiRJkiRJsm2txmpJkiTJRhrINjGOdet3Mrl8qZmZAWYkyRxyGHaQJEmSJEmSJEmSJEkyxAayzYxj3fqdTC5famZmgBlJMkcswbEyHCYmnLNmjaPOOEOSJEmSJEmSJEmSJPkfA9mmxrFu/U4mly81MzPAjCSZA3bF/SRJkiRJkiRJkiRJkgyxgWxz41i3fieTy5eamRlgRpIMue1wosy+iQnnrFnjqDPOkCRJkiRJkiRJkiRJftVAZsU41q3fyeTypWZmBpiRJENuVxwpSZIkSZIkSZIkSZJkSA1k1oxj3fqdTC5famZmgBlJMsSW4FhJkiRJkiRJkiRJkiRDaiCzahzr1u9kcvlSMzMDzEiSIbUYx8rsmZhwzpo1jjrjDEmSJEmSJEmSJEmS5NcNZNaNY936nUwuX2pmZoAZSTKkDsMOkiRJkiRJkiRJkiRJhtBAhsI41q3fyeTypWZmBpiRJENoCY6VJEmSJEmSJEmSJEkyhAYyNMaxbv1OJpcvNTMzwIwkGTKLcaxsexMTzlmzxlFnnCFJkiRJkiRJkiRJkly3gQyVcaxbv5PJ5UvNzAwwI0mGyCIcK0mSJEmSJEmSJEmSZAgNZOiMY936nUwuX2pmZoAZSTJEfkOSJEmSJEmSJEmSJMkQGshQGse69TuZXL7UzMwAM5JkSCzGkbLtTEw4Z80aR51xhiRJkiRJkiRJkiRJcv0GMrTGsW79TiaXLzUzM5AkQ2IJjpUkSZIkSZIkSZIkSTJkBjLUxrFu/U4mly+VJENiEQ6WbWNiwjlr1jjqjDMkSZIkSZIkSZIkSZIbNpChN45163cyuWypJBkC4zhGkiRJkiRJkiRJkiTJkBnInDCOi9YvNrlsqSQZAotwC0mSJEmSJEmSJEmSJENkIHPGOC5av9jksqWSZJbtiINl65qYcM6aNY464wxJkiRJkiRJkiRJkuTGDWROGcdF6xebXLZUksyiRThYkiRJkiRJkiRJkiTJEBnInDOOi9YvNrlsqSSZJYtwsGw9ExPOWbPGUWecIUmSJEmSJEmSJEmSbJyBzEnjuGj9YpPLlkqSWTCOYyRJkiRJkiRJkiRJkgyRCddtDHfCg3F3DGToTDBz0dTUxIEfPfNHM2NXrGdM5oYZTIyNjd1pyZIdHnKrWy154C1vuXDH8XHJHLMQ2+NySZIkSZIkSZIkSZIkQ2DCrxrD4Xg1jseYDLUrZ6adf+l/ydz0zZ//3Ok//KHtBoMrH7/33v/154cccvNbLFwomSO2x944X7asiQnnrFnjqDPOkCRJkiRJkiRJkiRJNt7A/xjgyfgsTsCYJNvE+unp8bd+97u7HfLxj1/2zz/84eXGxiRzwBIcK0mSJEmSJEmSJEmSZEgMXG2AJ+FvsUCS2TC29oorFj32nHMWPHvVqosMBpIhtxB7y5Y1MeGcNWscdcYZkiRJkiRJkiRJkiTJphm42hF4MxZIMqumpqfHT7vggiXPXrnyIoOBZIgtxF6SJEmSJEmSJEmSJEmGxAAL8WdYKMlQmJqeHj/tgguWPHvlyosMBpIhNY5DZMuZmHDOmjWOOuMMSZIkSZIkSZIkSZJk0w1wd9wNY5IMjanp6fHTLrhgybNXrrzIYCAZUoslSZIkSZIkSZIkSZIMiQFOwoQkQ2dqenr8tAsuWPLslSsvMhhIhtDOOECSJEmSJEmSJEmSJMkQGOAQDCQZSlPT0+OnXXDBkmevXHmRwUCSeWpiwjlr1jjqjDMkSZIkSZIkSZIkSZKbZoBDMCbJ0Jqanh4/7YILljx75cqLDAaSIbIEx0qSJEmSJEmSJEmSJBkCAyyRZOhNTU+Pn3bBBUuevXLlRQYDSeaRiQnnrFnjqDPOkCRJkiRJkiRJkiRJbrqBJHPG1PT0+GkXXLDk2StXXmQwkAyBJThGkiRJkiRJkiRJkiTJEBhIMqdMTU+Pn3bBBUuevXLlRQYDSea4iQnnrFnjqDPOkCRJkiRJkiRJkiRJNs9Akjlnanp6/LQLLljy7JUrLzIYSGbROPaWJEmSJEmSJEmSJEkyBCYkmZOmpqfHT7vggiW46M2HH76r6WnJLNlLbpqJCeesWeOoM86QOW1HHIpFuBVui8uwG+6CK2y8CazB2ViMn+ALmMF/YK0k2Thj2B/7YAnugAlX2x/74wq/ago3xx2xHl/HGizwqxbiu1iFJViDL2OA7+MbksxlY7gtboHdcHtXW4zbYRds8D82YGfcFjvhe/gadvCrBrgS38D3sCN+hq/jMlyIr2NakiTZHLfHnq52B+yGK7Ad7oDdMGXjLcT5WI0rMYH1OA/rMI3zcLEkGV3b445YiANxK1fbAXfETrjSDRvDL/AlXIrt8HX8CJfiPPxCkgyng7Eb9sF+GGBv7IdxzPgfS3AHTOCzuAJjftXFOA9T+DnOwwZ8GlOSjTAhyZw1NT09ftoFFyzBRW8+/PBdTU9LkmwV22E/3B53xa1wIA7Gdra8h7hu6/EdnI8v4zv4Ar6O9ZKMmp1xEPbDnbE77oj9sLPNsx3u6PodjUe7futwPr6DlbgQ5+E7+Jkks21H/AaOxO2xJw7FftjJ5tkH+7h+93TDLsW3cQEuwAX4AT6H70uSJHvjljgCv4EDsCduiyW2jqNtnIvwLVyEr+NHOB/fwLdxhSSZu7bH7XEE9sOhuA32wwJbzomu3+X4Ks7H9/EpfAOrMSVJtq4luAMOw344FIfhf7npjnH9Huj6fQZr8WWswmp8CVdK/j8TksxpU9PT46ddcMESXPTmww/f1fS0ZBvbEbfAhZL5Yx8cjzvjnjgI25l92+G2uC0e6H9M4ZtYhS/gY/iGJPPJzXAvHIo74QjsYXjtgiNxJB7tV30P5+CL+CLOwYWSbC0LcSTuhkNxBPbHmOG0Iw7FoX7dDL6LM7EK38Zn8V+SJJl/JnAbnICDcRCOxo6G16440tXu69d9DxdiJb6Mb+BzuFSSDJftcVvcA/fCUdgdY2bX9rgz7uxqL3S1y/F1nImVOAM/lCSb5/a4J+6Jw7EfBobDsa72IL/qszgXn8AZWCsja+wBZi7FIplzxnCFtT7m5pIFg8GVT99vv4vfeNhhu5qelmxD38V9cL5svIkJ56xZ46gzzpChsDfui+NxD+xl7rscZ+Mj+Gecb37YE2/B/Y2GK/EyvExGyQIchrvjSByPm5vfLsKH8Dl8FisxI8lNsQR3xwk4Ebc3//0EH8LZ+BS+IkmSuWcnHI374CgcgZ2Mhh/hC/gizsPHsU6SbDvb4S44ASfgaGxnbrsAZ+EMfBw/lCQ37Pa4J+6J47Gbue+rOBNn4oOYkpEx9gAzl2KRzDljuMJaH3NzyVUWDAZXPn2//S5+42GH7Wp6WrKNfBf3wfmy8SYmnLNmjaPOOENmxUIcjQficbil+e8H+BBOx5mYNjftibfg/kbDlXgZXibz3W3xcJyAu2BHo+1SfAYfwnvxA0muzwTuhofg3ri9XIxPYAU+iq9JkmT4jOGOeBjuj0MxIdf4Fj6Lz+IjWC1Jtqx9cH88CsdiO/PbZ/BveD++jGlJwom4Fx6MAzBmfvsw3o8PYI3Ma2MPMHMpFsmcM4YrrPUxN5dcY8FgcOXT99vv4jcedtiupqcl28CPMYkVsnEmJpyzZo2jzjhDtqkFOAG/jftgidH1M7wb78QnzS174i24v9FwJV6Gl8l8swjH4OF4DHaVG7IGb8e/4hxcKhlti/AQTOIY7Co3ZC3eh3/Fp7BOhsUBeAnugJ+b/26Fl+A9Muy2x8txX1xk/rsVnosPyda2CCfg0XgQlsjGugRn4wP4V3xXcuOOxN1xOPbEADM23Y74KP4P/kvmsr3wOEziEAyMpu/jnXgXvoJp88M9cFcsxLT5YQKfx0dxheF3a7wGt8CU+WEBXoozMG1+uC8ehofh5kbXh/F+fABrZN6ZkGRemZqeHj919eoluOiNhx22q+lpyVa2EHtLhtMY7oxn4+FYLFfZGU/H0/F9vBlvwOWSbE0LcT88DffEDrKxbo7fxe/iCnwIp+IsXC4ZDYvwIDwNx2E72Vi74Wl4GjbgszgN78OlMpsW4wgcbHTsJXPBAIfiUKNjD9laFuGeeBp+EwvlptgJ98K98EZciE/ig/ggfi75H3fBq3F3W84R2BV/gItlLlmCk/EkHIyB7I0X48X4Af4WS/FDc9sknoJx88vf4SxcYfjtiGOwh/lld4yZ226Hx+OpuIVc5X64H16D5XgDzsG0zAsDSeadqenp8VNXr17ynFWrLjIYSDJEJiacs2aNo844Q7aqXfHH+CbOwZOwWK7L3ngl1uE07CvJlnYvfAQX4f24H3aQm2ohHoqPYB3ej3tI5qcB7o3luBjvwvHYTm6qCdwN/xfrcBYejx0lSbJlHY234kIsx4OxULaUW+AReDsuxll4MQ6UUbYvTsNZuLst72HYV+aCCdwbH8FP8VrcAQO5tr3wCvwAH8PDsVCS+WAnPBKfxlfwh7iFXNsSPBafw3l4BraTOW8gybw0NT09furq1Uues2rVRQYDSTICxnBnvAP/hZfhANlYC3EyvonTsK8km2N/vBbr8HGciB1kS1uIh+BMrMGrsL9k7tsXb8CP8W84CeOypU3g7ng7foJ34ShJktx043g2VuOzeDJ2km3h7vgLfBNfwR/jNjIq9sVp+CZOxkIZVTvhpfgu/g0nYkI21n3wXpyPl2CxJFc5FjuYO/bEy/EtvAfHYiAb42D8Db6NF2N3mbMGksxbU9PT46euXr3kOatWXWQwkGSWTUw4d+1aR51xhmxxd8Wn8AVMyuZYiJPxTZyGfSXZWNvhUfg8voXfxc6yreyGF+F8nIWHYjvJ3DHACTgDF+AU3Fy2lUV4DM7Gt/E7+F+SJNk4t8Hf4md4E35DZtPBeBnOx5fxx7iNzEcTeD3Ox8lYKKPqQLwRP8b/xp6yOfbGK3AR3or9zA17Y1wyuu6CN+Pb+CPcQm6qvfAXOB+vxC1kzhlIMq9NTU+Pn7p69ZLnrFp1kcFAshXsiIMl295CPBnfxidxrGxJC3EyvonTsK8k12cPvArfxuk4UmbTGO6O92E1XoA9JcNrIZ6Ab+LfcU+ZbbfGG/EDvA37SZLkuh2Cj+B8PB07yrA5BC/D+fgcno2byVy3PV6INXguFsioug3+AV/G72BH2ZLG8WScj7diP8NtL8loOgr/ik/hWdhetpQl+H18Ac/EApkzBpLMe1PT0+Onrl695DmrVl1kMJBsYeNYIjdsYsK5a9c6YsUK2WwL8WR8DW/FrWVrWoiT8UW8AAslucZt8Q/4Hl6EvWTY7Im/xDfxZuwnGR6L8RL8GP+A28iw2R5PwrfwcdxdkiRXOwQfwZdxoswVd8Gb8D0sxz1lLnoufoxXYxcZVbfBP+CreAK2k61pHE/G+Xgr9pNkGByFf8Wn8QBMyNayF/4aq3A/DGToDSQZCVPT0+Onrl695DmrVl1kMJAkc9Tx+ALeilvLtrQL/hJfwiMlo+0OWI6v4wlYIMNuJzwL38Fy3E4ye3bCS/A9vAK7yLAb4F44C5/BXSVJRtUh+Ai+jBNlrtoRJ+EMXIA/w81l2D0S38DrsbOMqtvgH/BVPAHbybY0jifjfLwV+0lGwz6YMDyOwr/i03gAJmRbORgfwr9gTxlqA0lGxtT09Pipq1cvec6qVRcZDCTZRiYmnLt2rSNWrJCb7Lb4CFbgEJlNB+E9+DfcVjJa7oBlOA8nyVx1Er6G5bidZNvZCX+I7+EV2EXmomPwSXwGd5UkGRU3x9/jSzhR5pN98Yf4Cd6HozEmw+SR+Abeg4NkVG2Pv8XX8ARsJ7NpHE/Gd/Ay7Gj27YFFkq1jbyww+26LD+IzeAAmZLbcH1/Di7GdDKWBJCNlanp6/NTVq5c8Z9WqiwwGkmTI3Qx/i6/jRBkm98Z5eB3GJfPbHbAM5+H+Ml+chK/hn7G3ZOs6GT/Cn2FXmQ+OwSfxGdxVkmQ+eyG+jadgIPPZQ/FZnI0nYEeZTUdgJd6Dg2SUPRP/iadjgQybP8Z/4AlYYPYswYRkflqE/4Mv4kEYl2GwM/4C/45bydAZSDJypqanx09dvXrJc1atushgIMlWNDHh3LVrHbFihWyS7fDb+AaeLsNqAZ6HL+EEyfyzG/4aq3B/ma8ehm/gNdhNsmWdiNU4DTvJfHQMPonTsa8kyXxyL3wZr8ZiGSVH4h/wDbwYO8u2dBTOxDk4TEbZXfEV/DV2lWG2J/4BH8VtJdmSnotv4flYKMPorvgqJjEuQ2MgyUiamp4eP3X16iXPWbXqIoOBJBkit8UH8RbcXOaCg/Fx/F/sLJn7tscLcQGeiXGZ7xbh9/AtPE+y+W6ND+Mj+A0ZBY/CV/AiTEiSzGXb4834OA6RUbYX/gJr8Ve4mWxNt8JynI17yCjbHn+LFThY5pLj8TW8Dksk2RxHYBVej1vKsNsZ78CbsIMMhYEkI2tqenr81NWrlzxn1aqLDAaSbGETE85du9YRK1bIRlmAZ+GL+E2Za8bwW/g6HiiZu07E5/Fq7CijZme8Dl/E3SWbbhFejq/jN2XU7IRX4au4lyTJXHQ8vo5nSf7HBJ6DH+MNuJlsSfviLfg2TpJRdxK+hKdjgcxFY3gePo+72naOxRLJ1nEYdrBt7IG34TO4k8w1z8DZ2Ftm3UCSkTY1PT1+6urVS56zatVFBgNJMktui3/Bm7FQ5rJb4p/xOoxL5o498R58BHeQUXdHnIV3YBfJxrkbPo8/wnYyyg7Ex3E6biZJMhdsjzdjBX5Dct0W4BT8GG/AzWRz7Iu34Jv4bSyUUbY9/hYfwIEyHxyEs/A6LJFkYzwJX8CTsEDmqjvgy7gbxmTWDCQZeVPT0+Onrl695DmrVl1kMJBkC5iYcO7atY5YsUJu0BgejU/hN2W+WIDn4RwcIRluY3gmvoVHSn7VJL6HZ0iu3/Z4LT6BgyX/41E4H4+WJBlmt8PH8SzJxlmAU/BjvAE3k02xEC/AF/HbWCij7q74Ap6OBTKfDPA8fB53leT6HIj34+9wK5kPdsa/4hlYILNiIEn+/6amp8dPXb16yXNWrbrIYCBJtoFd8Xd4N/6XzEeH4RP4I8lw2hcfx19jB8l1W4y/wUewp+RX3Q1fwO9KrtvN8G6cjptJkgybx+JTOE6y6RbgFKzG87BQbshCvAA/xl9iFwmvwL/hYJnPDsIn8XtYaOvYGeOSuecUrMRDMC7zyc54M56GBbLNDSTJ/2dqenr81NWrlzxn1aqLDAaS3EQTE85du9YRK1bI9Tocn8BTZL7bAS/HB7BYMhzG8Ex8HSdINs6J+AaeIWF7vBafwMGSG/cofAkPlCQZFn+Gf8TNJJtnCV6H7+LBcl0eju/gL7GLhJvhw3gJtpdR8Rqcjpvb8g7GIsnWs7ct60CswOuxo8xXY3gjXo6Fsk0NJMkvmZqeHj919eolz1m16iLj45JkK3g8PodDZJQ8GCtxuGR27YH346+xg2TTLMbf4B3YRUbV7fBJ/K5k0+yFf8GrJUlm0zj+GX8o2bJugQ/gk7ijXOUR+Abeiz0lVzsGK/GbMooejPNwT8ncsg/GbRlPwgocjzGZ78bw+3gbFsk2M5Ak1zI1PT1+6urVS05ZuXKd8XFJNsHEhHPXrnXEihXyaxbj1Xg7Fsgoug1W4BTJ7PhNfA0PlmyeSXwBx8moORmfxxGSm+6F+CwOkCTZ1vbCR/EwydZzV3wR78AtjKYH4Zv4Jxwk+R/Px8ewr4yyPXAGfg8LJaNjD/wz/g63klHzWPwdFsk2MZAk12Fqenr81NWrF5+ycuU64+OSZDPtjrfihTLqdsYb8PcYk2wbC/ByfBi7SraM/fEpvFJGwXb4a5yGnSSb72iswAMlSbaVg/CvuJdk25jEf+B5WGg0HIkz8UEcKPlVS/F/sJPkaq/BW7Crzbc3xiXD6wR8Dg/DuIyqx+K12EG2uoEkuR7rp6fHT129evEpK1euMz4uyY2YmHDu2rWOWLFCfsW++CAeIfkfT8FZ2EOyde2B9+CPJFvH7+MDWCLz1W3xKTxTsmXthX/BiyRJtraD8G7cSbJtLcHr8HHc0fx1JM7E53EPya+6GT6MJ0p+3RPwXhxk8+wlGU6L8H/wIewr4el4ChbIVjWQJDdg/fT0+KmrVy8+ZeXKdcbHJckmOg5fxNGSX3c3fAKHSbaOe+JzeIhk63owVuI4mW8ejLNwpGTreRXeJEmytRyEd+NOktlzV3wRr8Yi88vj8CHcQ/LrdsG/4jcl1+8EnIXDJcPrWOxg0xyIZXgeFkquNoY34mmYkK1mIEluxPrp6fFTV69efMrKleuMj0uu5Qr8wKibmHDu2rWOWLFC/p/jsAy7SK7fATgTT5dsWY/DR7CvZNvYH+/H42W++B28H7tLtr5n49+xpyTJlnQQ3o07SYbDC/Fl3NX8sD2ei90kv+4YfBHHSm7cLXAuHiWZHx6Cj+N4jEl+1RjeiGNkqxlIko2wfnp6/NTVqxefsnLlOuPjkl9yBb4v+VWPwxnYRXLjluBNeKVky3gh3omFkm3r5ng7Xipz3avwRoxJtp0T8GHcUZJkSzgI78adJMPl1vgkXolF5rZ7Yy/JrzsG78K+kk1zOk7GhI23BxZJhsMOeA3ejb0l128MH8QdZKsYSJKNtH56evzU1asXn7Jy5Trj45L8fyYmnLt2rSNWrJD/9kS8EwskG28Cv4/TMCa5aXbF/8WrJbPrf+MfMSZzzc5YihdJZseh+BBOkCTZHAfh3biTZHj9Ps7DcZL55Ri8C/tKbprT8KdYZOMswYRk9h2AZfhdLJTcuF3xDuwlW9xAkmyC9dPT46euXr34lJUr1xkflyTX8kQsldx0J+PfsEiyafbBP+G3JMPhsXgfFstcsTvegSdKZteeeDtOkCS5KZbgVNxJMvz2x6fwEkxI5r5j8C7sK9k8L8EfYpFkOByCha7fQ/BxnIAxyca7A16JHWSLGkiSTbR+enr81NWrF5+ycuU64+OSkTYx4dy1ax2xYoV4IpZKNt+98BHsIdk4h+AjuJdkuDwE/479Zdjti9PxAMlw2BPL8SRJkk0xjrfhHpK55RU4E/tJ5q5j8C7sK9kyXoJXYbFk9u2Mgev2arwb+0g23RgeiydhQraYgSS5CdZPT4+funr14lNWrlxnfFxG2hX4voy6J2KpZMu5Gz6Bw/yqHXEryf84BO/B7STD6Ui8C/vLsDoWn8A9JcNle7wNz5Ik2Vgvw8Mkc9Nx+AoeIZl7jsG7sK9ky/odfAB7uH7HYolk29sd/4YXYKHkphvgz3E0xmSLGEiSm2j99PT4qatXLz5l5cp1xsdlZF2B7xtFExPOXbvWEStWGHFPxFLJlncA3o97+B/3xZ0kVzsG78LtJMPtSHwAd5RhcyzehX0kw+vNeJYkyY15Pn5fMrctwj/hlVgkmRuOwbuwr2TrOAHvxB6S2XMYjvQ/DsdncW+MSTbfLngTdpItYiBJNsP66enxU1evXnzKypXrjI9LMnKOxeskW8++WIZP4PN4neRqD8JZOEQyNxyCj+NhMiyOxbuwj2T4vRlPkiS5PvfEczAumR9+Hx/DfpLhdgzehX0lW9cJeCf2kMyef8LpOA2fwK0lW9ah+AMslM02kCSbaf309Pipq1cvPmXlynXGxyUjYWLCuWvXOmLFCiPsWCzDrpKtayfcDUdigYQH4b1YIJlbdsOpeJjMtmPxLuwjmTv+DCdIklzbEvwp9pPML8fhazhRMpyOwbuwr2TbOAHvxB5+1d7YTrL1LcKjcDJ2lGx5Y3gRjpLNNpAkW8D66enxU1evXnzKypXrjI/LSPkZzpdRcxDejV0lybb1ILwXCyRz0244FQ+T2XIs3oV9JHPLnng7TpAk+WWvwD0k89P2+AhOkQyXXfAa7CvZtk7AO7GHq+2BJ2GRJJkfxvFGLJbNMpAkW8j66enxU1evXnzKypXrjI9L5q2JCeeuXeuIFSuMqH3wNuwtSbatO+PNWCCZ23bDi7G/bGuH4TTsI5mb9sTbcYIkyVV+G0+VzH9vwGnYWTL7dsFyHCuZHSfgizgD5+PWkmR+ORR/gIVykw0kyRa0fnp6/NTVqxefsnLlOuPjMhJ+LqNkF/wxjpEk29YheDv2kswPR+Jd2F+2ld3xMtxeMrftiT/AnpJktN0ST8UiyWg4Ge/CrSSz6/U4VjK7boF7YidJMv+M4Rk4UG6ygSTZwtZPT4+funr14lNWrlxnfFzmtSvxFaNkYsK5a9c6YsUKI2ghnouTJcm2dQjeg9tJ5pcj8S7sL1vb7vh7PEAyP9wbf4NdJMnoegXuIhkt5+DHktnzGjxekiTZ2nbB72MHuUkGkmQrWD89PX7q6tWLT1m5cp3xcUnmhcfgTyXJtrUPXo/bSeanI/E32FG2lgn8BR4gmV8ehJdLktF0f/ymZLR8GG/BlZLZ8RQ8BeOSJMnWNobH4gQMZJMNJMlWsn56evzU1asXn7Jy5Trj4zIvXYavGhUTE85du9YRK1YYQcfidZJk29oVr8C9JPPbfXAaxmRr+DM8RTI//Q5eIElGyxh+B3tKRsd6vBw/lMyOo/FS7CpJkmwrA7wIi2STDSTJVrR+enr81NWrFz9v1ap1xsdl3tmAi2W+uzXegl0lybYzjt/Hb0lGw2PxZtnSnoUXSea3v8STJMnoeC7uIxktT8dnJbNjZ7wG+0qSJNvaXXEPDGSTDCTJVrZ+enr8b77zncXPW7VqnfFxmVeuwPdlPtsFf4CDJcm29Xz8vmS0PBMvlS3lkXizZDT8IY6WJPPfLfFojEtGx9/h/ZLZ8/c4TpIkmQ0DvAk7ySYZSJJtYP309PjffOc7i5+3atU64+Myb1yB7xsFExPOXbvWEStWGDEPx8mSZNt6AP5cMpqeg4fJ5joGr5GMjgPwB9hFksxvz8PRktGxGn+Fn0lmx0vxAEmSZDbtg0lMyEYbSJJtZP309PjffOc7i5+3atU64+MyL1yO78t8dXe8RZJsW4fjr7FAMpp2w//GHeWm2h1/gH0ko+VB+ANJMn8diPtIRstz8WXJ7DgaT8FCSZJkNg3wIiySjTaQJNvQ+unp8b/5zncWP2/VqnXGx2XOuwKXm+8mJpy7dq0jVqwwQvbBKzGQJNvOPngV9paMtkPwl9hRboo/xAMlo+lFeJIkmZ+eisMko+Nl+JBkduyM12BfSZJkGOyDu2EgG2UgSbax9dPT42//3veW/MsPfnC5wUDmtB/IfLQQT8YxkmTbWYQX4d6SXOU++EvZVM/AcyWj7Q9xtCSZXw7EfSSj48N4C66UzI6/xHGSJMmwGOBFWCQbZSBJZsF/rV/v+eedN7PuiisYG5M56Up833w3MeHctWsdsWKFEXJX/Kkk2bZ+C8+W5Jc9Ey+SjXUCXi7JAXgutpMk88dJOFQyGtbj5fihZHY8Ag+WJEmGzXE4TDbKQJLMjsH3f/GLBX/01a+uMRjInHQZvirzza3xBkmybR2DV0pyXX4bx8qN2Rd/hN0kucpjcIokmR8W48EYl4yGp+OzktmxBH+M3SVJkmEzwNOxg9yogSSZJVPT0xP/+uMf33zd5ZczNiZzzuX4vswnC/FbOFiSbDv74GXYRZLrchv8CRbJDXk+jpfklz0NR0uSue8kHCpb0jqcjRU4C2fhLJyFs/ARrJHZ8Hd4v2T2vAaHSpIkw2gMj8HucqMmJMks+tnU1JUf+M///PmT9ttvFzMzMqdchq+azyYmrFq71hErVhgRx+JPJcm2M45n4t6S3JD74tX4HbkuT8RzJbm2A/BcrMR6STJ3PRQ3k421Dt/Dp/BdfBOX4jz8xE13MG7pagdjT9wGt8OtsVA212r8FX4mmR2PwIMlSZJhNsBj8VpMyfWakCSz6OKpqekPX3jhpU+69a13kbnmUpwv88Ut8UJJsm09BC+WZGM8EWfj7fLL7oQXSnJ9HoMv4LWSZG46HIfKDVmLf8Gn8Al829bxVXzV1T7u1+2Fg3Bb3B3H4VayKZ6LL0tmz4uxuyRJMszG8HT8Nabkek1Iklk0g/9av37G2JjMORfJfDGOR+F+kmTbuQ1eKMnG2gkn46P4iVxlAs/GwZLckKfjUzhbksw9J+F2cm1fx+l4F/7DcPgBfoB/x5tdbWccgrvi3jgOO8h1eRk+JJk9r8GdJEmSuWBv3BGflOs1IUmSTXclvmI+m5iwau1ah69YYQQchD+VYbUOZ2N7XIkluCMWSOaucTwVd5Fh8jN8Besxgx1xW+wsw+LueCl+R65yMk6WYTCDr+JnuCN2kmFyAE7G2ZJk7jlCrjGFf8Qr8Q1zw8/waXwar8IAh+MEPAxHYFw+jLfgSsnsuD0ejHEZZv+BdbgDdpAk284P8R1ciTEswR0wIbNlgKfjC/iFXKcJSZJsusvwVZkPdsJTsIvMhh/jUzgXP8G3sQ5fsvF2xB2wC/bDAbgDDsC+kuH0ELxYtqXv4XP4Lr6Nr+ISfBlX2jjb4yDsjr1wKG6Fw7G/bCtPxNl4u9F2J/yObAs/wmfwI3wF38V38U1M2zj74kBsh9vgN7APDsEBGJOt7WR8Cv8gSeaOw3Gg/Ahvxpuxztw2jS/gC3g1dsR98Jt4OHYzetbj5fihZPa8DLeR2fATfA+fwI/wVVyBb+I/MePG7YA7YgGOxJ44CEdid4xJkuv3Q3wJq7AaF+AinIcNNs4SHIr/hTtgP9wRd8K4bA1jOAnb4RdynSYkSbLpLsNXzVcTE1atXevwFSuMgCPxe7ItrMdZWI4v4POYsvkuxedct51wPxyHo3AUxiWz6zZ4oWxNl+FT+Dg+ha/iYpvvcnzJdVuMI3EU7oOjsUi2hp1wMj6KnxhdT8LBsjV8Ex/FCnwCF9l838V3XbcdcAjuhKNxEvaQrWESH8OPJMnccBJuZ3RN4y14KdaYny7FB/ABPAN3w6PwONzMaHg6PiuZPY/A3WRb+Qr+HSvweVyIGZvnF/icq33Sr1qIY3AE7or7YgdJRtnZOANnYCV+ihmb52J8ytU+6FcdgxNwT9wTE7Kl7Iz743RcKb9mQpIkm+4KfF/mut3wdNmavot34YM4F1O2rUvwT/gnV9sRD8CjcB8slmx7j8JdZEs7H+/EB/ElzNi2fo4VWIFXYhxH4yG4P24nW9Ld8Xv4faPpEXiubElfwbvwj7jAtvULnINzcJqr7YOH4gG4BxbIlnAfnIyXS5K54Qij6/N4Nr5gtHwSn8RzcAxegAdigfnp7/B+yewZw7Oxu2wtF+GjeC8+hF/Ytq7AmTgTr3G1Y/Ao3BcHYVyS+e7f8D68Hxfatj6Lz+LPsAQn4aF4CLaTzTGGk/B+/EJ+zYQkSTbdxThf5rp74NGypf0XTsU/41zD5VKcjtOxHe6Fp+FeWCzZ+u6Bl8mW8p84Fe/BNwyXK/FpfBovxG3wO3gKFsuW8Dh8HP9mtOyLZ8mW8B2chnfjAsPle3gD3oBFeBCej6Nkc/0WPoazJclwOxD7GE1/jj/FlNH2WTwcCzGJF+MA88cF+Cv8TDJ7nosjZEu7CB/D3+EsTBkun8VnXW1vPBNPxJ6SzCffxJvwHvzEcLgY78a7sRiPxfNxEMZkU43hJGyHX8ivGUiSZNN9zXw1MWHV2rUOX7HCPLc3fle2pM/hgdgNf4hzDbf1+DAeilvhBVgt2XpugediXDbXh3EEboWX4RuG37fwPCzBffAp2Vx74dlGz8NwvGyOz+F+OAivxAWG22V4N+6C/fEm/FRuqgPwOEky/O6Og4yWDXgoXoIpucYVeCsOxFF4Oy419z0XX5bMniV4MnaSLeUcPAN74zH4OKYMt+/jD3ErnIj34QpJ5rL34a64Pd6EnxhOP8dbcDs8Bl+Xm2Jn3B/j8msGkiTZND/HZ2SuOwrHyua6HO/AnXAMlmHG3PNzvBa3xj3xecmWdy88VG6qX+AN2AMn4Vxz18dxNxyMf8SVclM9AM80Oo7Bc+WmOhNH4hh8BBvMPd/Bc7AXnozVclM8AfeXJMPtMCwyOjbgkfiA3JBz8ATsilPwU3PTy7FcMrteioNlSzgLx+IonIpLzU0fw8NxAP4cl0gyl7wPd8DD8WlMmzveg9vj0fi6bIoxHIcF8msGkiTZNJfhKzKXHYj/I5vjCrwNB+O38CXzx1m4C+6Jz0u2jNvgFLkpfoE3YD88DxeaP76GSeyJv8OMbKpxPAa7m/8m8BTsK5vq87gnjscXzA+XYylujUfju7IpdsHjsJ0kGU5juLXRsQGPxAdkY03hjdgND8HXzB0fwVtwpWT27IWTMC6bYzkOwj3xWfPH9/ES7IWX4xJJhtm/4454OL5ibnsP7oJX4ArZGGM4CdvJrxlIkmTTXIqvmo8mJqxau9bhK1aYx8ZxP+wjN9WZOAJPwXfMX2fhLrg/fijZPPfDXWRTvQd743m40Pz1E/w2DsfHZFPdHc8y/52Ix8um+BEejrvgLPPXe3Ao/gQ/k431CDxYkgynA3ALo+Px+IDcVB/EwXgIvma4TeEV+IFkdj0PB8pNdRaOxQPwH+avn+GluC3ejilJhsmP8TCciPPMHz/HH+MEfFU2xt74Dfk1A0mSbJof48cyV+2P35Wb4lt4JI7HV4yOD2E/PB9XSjbdMXiZbIpzcRc8Gj81Or6IE3EPfFM2xeNwrPlrMR6P7WVjXInX47Z4n9FwMV6Gg/EvsjG2w0OwnSQZPodhX6PhT3G6bAkfxMG4Iz5vOD0Dn5bMrr1wEsZlU12Ip+I++KzR8UM8Acfhs5IMg6U4Au/Hleanz+BYvB0b5IYMcBIWyK8YSJJk463HZ81HExNWrV3r8BUrzGPjuB/2kU0xhTfjYLzXaJrC63EYzpBsvHE8CLvIxvg5XoQj8Hmj6xO4I14uG+sAPM789RA8RjbG13AXPB8XGz0/xIPxKPxUbswj8GBJMnwOwM3Mf2fgH2RLOw93wUPwNcPjrfhnyex7Hg6UTfXXuC3eiimj6RzcDU/Bf0kyG36BR+Bk/ND8dzGegGfjMrk+YzgOC+RXDCRJsvEuxmdkrtoTj5JN8Q08AL+D9fJlnIjfxZWSG3cUniEb4zM4Gn8pV7kCL8XROFc2xn1xrPlndzxSNsZpuAvOlX/CHfEvckO2w0OwnSQZLgcYDa/FBbK1fBAH46H4mtl1Ad6An0lm1144CeOysb6DE/BsrJMr8TYcgg9iRpJt5VwcjH/GlUbLW/AUXCLX5zgskF8xkCTJxrsMX5G56igcKxtjBu/GcfiY/LIpvA5H4VzJ9VuESewiN+Z1OA5fk2s7G8fjb+TGHIDHmX9OxAPlhvwMT8DTcIlc44d4KP4E03J9HoEHS5LhMYbdzX//iM/ItvAB3AnPxX+ZHS/CeZLZ9zwcKBvrdNwFZ8i1/QgPw/PxM0m2tv+L47Ha6DodJ+MSuS5LcKj8ioEkSTbexfgP883EhFVr1zp8xQrz2N74XdkYF+OFeCz+S67PSpyAv5Vct7vi2XJDfowH43flhvwcz8JTsUFuyKPxUPPH7nik3JCv4954u1yXabwMD8L35bpsh4dgO0kyHPbALua/f8RFsq1M4a9wKP4Gl9t2Xo73SYbDPTEuG+N38HisleszjTfgYfimJFvLC/E0/FxOx8m4RK5tgOOwQP6fgSRJNs56fFTmqtviWLkxF+C+eK1sjIvxTDxL8qt2waTckPNwPP5FNtZbcS98U67Pbni0+eNEPFCuz6fwm/iC3JjluD++KNflEXiwJBkOB+IW5rd/wUqZDT/Es3A0zrH1fQZLcaVk9j0PB8mN+S8cgzdjg2yMFbgnzpRkS3sh3ogr5Bqn42RcIr9sDMdhQv6fgSRJNs7F+IzMRbvhqXJjzsbdcLZsqr/BvXGZ5GpH4QlyfT6IO+Mbsqk+gfvjk3J97oWHmvt2xyPl+rwVd8P3ZGN9GSfh3+TatsNdJclw2AM7m9/Owo9kNn0JR+HxuNDWMYUX4TuS4fB47CQ35DO4Ez4nm+rHOB7vkWRLuBwn4rW4Qq7tdLweV8gvOwQT8v8MJEmycS7GZ2Qu2hePlhvyKdwXP5Cb6t/xIFwmo24cx8v1+SAegQ1yU30bD8V75brshnuZ+07EA+W6vBVPlZviR3gi/k2u7eE4XpLMvltiZ/PXNM6TYfFOHIZ3YNqW9UJ8WjIcHoa95YZ8GI/A92VzPBovwWWSbI6H4mOYkevzx/gIpuUae2MX+X8GkiTZOP+BH5tvJiasWrvW4StWmKd2wmPlhnwID8TFsrn+HXfEKhllR+EZcl1ehYdgg2yun+IZeK9cl/viWHPX7nikXJe34qmyOX6EJ+Lf5JfdCveRJLNvJ4ybv1bi+zJMfoTfwkn4gS3jn/AuyfB4CnaX6/NaPAo/ki3hz/EXuEySm+KFOEM2xm/hArnGGO6Agfy3gSRJbtxl+IzMRXvikXJ93or7Y51sKd/Co7BKRtE4HoRd5NpehRfLlvRTPAPvlWs7AI8zd52IB8q1vRVPlS3hR3giPi6/7H64gySZXQeY387F92UYfRS3w9/bPBfgFfiJZDjcBQfL9Xkt/hSXyJb0CvwFLpNkU7wQb8QVsjF+jt/Cz+QqYzgOE/LfBpIkuXEX4SPmm4kJq9audfiKFeax47CPXJf34qmyNXwLj8IqGTW3xYPk2l6FF8vW8FM8A++VazsStzb3TODucm1vxVNlS/oRnoiPyzXuhOMkSbamH+EyGVaX4GT8Jn7gpnkRzpMMj4djb7kur8Wf4hLZGl6Bv8BlkmyM/4tTcYVsis/g/2JKxnAIxuW/DSRJcuN+jnNkrtkbJ8t1+RSeKlvTt/AU/ERGyQm4vfyy9+DFsjX9FM/Ae+WXHYUnmHtOxOPll70bT5Wt4T/xRHxcrvEw3FKSzJ6F5rf/kLngo7gd/t6meTneJxkux2Ncru21+FNcIlvTK/AXuEySG7ISv4efy03xEnxfrnIIJuS/DSRJcsPWY7nMRbvjWLm2T+P+uFi2ti/icbhMRsFtMCm/7IOYlG3hp3gG3iu/7Hjsbm45FtvLNT6F35et6T/xxzhfrnIP3FWSzI7FuIVkOFyCk/F4XOjGfQZLcaVkeDwJt5Zr+wzegEtkW3gF3oz1klyXNXgc1spN9XO8CpfJ3hjIfxtIkuSGXYzPmG8mJqxau9bhK1aYp3bCY+XavoWn4WLZVv4dD5dRcATuItf4FJ6IDbKt/BSvxLflGofjRHPHMZiUa3wdz8f3ZGv7HH4X62Q73FWSJLnGO3EsPuX6TeFF+I5kuNwXN5Nf9hk8Bt+XbelF+KAk1+UJ+KZsrrfgGzLAcRiIgSRJbthF+LDMNTfHifLLfohn42uyrX0Ez5L5bBecKNc4D7+Nn8m2di6ejkvlKjvh/uaOo7GvXOXn+BN8QbaVZXiJXOV+uIskSXKN7+Bu+FvX7YX4tGS43A5HyC/7L/wevi+z4VH4nCS/7I34pGwpr8YlsjPGxECSJDdsFX4hc83hOESucQleg4/JbHkn/lbmq0PxeLnKRXg1viGz5d/xbLnGcbiP4XdzHC/XeC3+Sba1v8ab5AAcJ0mSXNsz8Wis8T/+Ce+SDJ/7YA/5ZY/A52Q2PQTfluQq38IrcKlsKafjP4y2MRyCcTGQJMn1W4vTzTcTE1atXevwFSvMU7vgRPll/4TXy2y6GK/EWTIfHYsJucpb8E6Zbf+AV8pV9sKJht/d8EC5yrvxv2W2/DH+Re6OnSVJkmt7D47BF3Eh/hw/kQyfx2CxXON5+ITMtgvxAqyR5Dn4iWxpr8YlRtcY9sZADCRJcv0uwodlrtkTj5RrfBrPl2HwXbwQl8t8chs8WK7yQfyRDIs34SNylSOxu+F2N7nKuXiZzKZ1+Aucb7TdA3eVJNnSDpT54Nu4Hw7HlyXD5y64pVzjdLwTV8ow+ACWYr1kdL0Rn5St4XRcaHSNYR8MxECSJNdvFX4hc83tsItc5Yd4GX4mw+Ic/LbMJwfhaPkm/gwbZFj8EK/BpXI4TjS87oT7yAa8CV+X2fY5vN5o+yS+JUmypd0Si2Q++DH+E1dKhs99sIdc5Xt4KdbKMHkRzpSMpjV4My6VreVUXG50HYIJMZAkyXVbi9PNNxMTVq1d6/AVK8xTu+BEucoVeAs+JsPmI/hHmQ8W4US5En+Hc2TY/Dt+T3bCCYbXEThYTsVSGRZ/jb83Wr6Kp2IHPAjflCTZ0u6MvSXJ1nUStpernIL/kGH0O/iuZPT8Eb4jW9O7cJnRtQRjYiBJkuu2Fu+TuWZPPFKu8gm8TIbRWvwl1shc9xs4Qf4Zr5Fh9V68V26PWxs+i3GCnIs3y7D5K3zJ/PZTvAn74xC8FZdLkmwth2NvSbL13AW3lKuchrNkWJ2P1+LnktGxEu/DlGxNP8AnMW00jWFvMZAkya9bj+UyF93u/8cefgBcQRd6wP/HwwEVBQSciBNXDlBza2ZaWqZl5srb8DYcmWVldrs3G3YbjlLTzLqOljly50J9yDJHTkDAgajIEIRHEB5AlEf+f19eX0eyn3HO+X0/H6wmJuBMUcuG4pui3u2ArZTtCZwpalkzLsAsZdsJB6s9W2FXZZuH8/CYqDXDcbbG04rB2A9r4QQ8LSIiOkIFA0VEtJ8PYW3xHM7EdFHLzsW9IspxOl4UHeEyzFamFbA+KgpXERER8e+m4RaNplr1yNSpth8yRINaFbuKVlyO20Sta8JNol6thg8oWysuxAOi1jXhp2IHtWdrbKhsV+F3olb9GZdrDI/iq1gTH8ZtaBURUTta8LLG9ylsLiKifeyClcQ38KSoB/+N8SIa38NowmuiI9yMl5WrF1ZQuIqIiIh/NwZNot6sgf3ESJwq6sFE/EzUq42wt7LdiV+IenE5/qlsW2IbtaMH9la2yfijqGWv4ByMVp+a8Utsg4E4Fy+KiKhN8/GCxrcDdhER0fbeg83EFfi7qBcP4Sa0imhsp+NF0VFm4m68pjwrYGt0UbiKiIiIt5uJK0U9WhNbK1sLLsEMUS/uxfdFPdoG6yvXNFyC10S9GIMLlW0b7Kt2bIVdle0PuFnUuvvwJ/XjVfwTB2MNfA0jRERELfkcNhQR0bZ2Rl/xG0wV9eREPCWicT2MJrwmOtLNeFkUqyIiIuLtJuG3Gk216pGpU20/ZIgGtSL2E/fibFFPWvFXTBH1ZDV8QNlux6Wi3tyIq5RtK7Vja2yoXI/hSlEvLsQdattofBsD8D5ci/kiIurLJGX4AA4WEdG29kUfZfs5HhD15mX8CjNFNKbT8aLoaHdjrjL1wgoKVxEREfGmVtyJOaLe9MEuyvYCfivq0SP4iagn/bCjco3Fb0Q9asblyrYlNtL5emBvZbsRD4p6MRGXqj0v4yJshc1wOsaJiKhfz6NVGc7AB0VEtJ1NlW0+/oAWUY/OxUgRjWcK/o7XREcbiReVp4Kt0UXhKiIiIt40FVeIetQbuyrbMFwl6tVNGCrqxUbYSrnuwhBRr+7EVcq1FXbT+bbCrsr1GK4U9ebPuFxteBgHoTu+iFEiIhpDC+YqQwU/xeYiIpbfzlhd2c7C06KeXYBpIhrL6ZgmOsvdaBVFqoiIiHjTI2jSaKpVj0ydavshQzSw92A15XoBvxX1bDTOE/WgC3ZTrrH4nahnzbhcuVbFbjrfAGyoXDfiQVFvXsG1eEXnmIAfYl28F9djvoiIxjIak5VjB3wPvUVELJ8PYW3lmo8/okXUs9/jCRGNYy5uwlzRWe7GK6JIFREREQtMxxWiHq2KXZVtGK4S9e4fGCpq3UbYW7nuQpOod3fiKuXaCmvqXDso12O4UtSrK/EbHWcWLsNO6I8fYKKIiMb1PKYry5E4D71FRCy7XbCScp2Fp0QjuADTRDSGWzBRdKYReFV5emEFhauIiIhYYBJ+J+pRb+yqXC/gt6IRPI1rRa3rhx2UaRoGi0bQjMuVa2MM1HnWx0DluhkPinp2HSZqX6PwRayBI/GAiIgyPI+XlOdInIfeIiKWXg/0V675+CNaRCP4PZ4X0Rh+g5dEZ7oHryjPVqgqXEVERASz8WeNqFr1yNSpth8yRAPrjV2U62lcJRpBK/6KKaKWbYiqMt2HP4lGcR9uVab1MEjn2Rq7KtNY3Cjq3RBcre2NwxnYDFvhIswREVGWmXhOmY7EbdhcRMTS2RK9lOssPCUayWWYLaK+NWOoqAUjRZEqIiIimIAzRb1aCxVlasEVopE8jt+LWtUdOyjTbPxVNJIJuE65ttJ5NsbKyvQ33CkawXWYqG1chz0xACdjtIiIso1Wrh1wNw4TEbHkdkZf5boZLaKRnIlxIurbZZgpasEIvCqKUxEREaV7BTdgjqhHK2JX5XoaF4tGMgfXi1q1IfZWpkdwmWg0D2KMMm2MNXW8KgYq00zcIhrFEFxt2Y3Cl9Adn8BdeFVERLxuNF5Urr64AudgVRERi7cLeijTYIwSjeZl3IlWEfXrcswSteA5tIriVEREROkm4bcaUbXqkalTbT9kiAbWB7so178wQzSap3GTqEWrY3NlehDTRaN5CH9Rpo0xUMcbgIHK9C80iUZyHSZaci/iXAzEVrgQc0RExDs9grHiq3gWh4mIWLQNlesiPC8a0ZWYIqI+PY2nRK0YgXmiOBUREVGyVgzGk6Je9cBWyjQWF4tGNBHXilq0IarKMxZ/FY3qn8q0HgbpeAMwUJnuQ7NoJENwtUV7Dbfhw1gTX8WjIiJiUZ7Ec+J1fXEFRmA3ERH/7j1YXZlewijRqIZgjIj6dDfmiFrxEl4TxamIiIiSTcCZop71xvrK9DzuE43qPowRtaQ7dlCmUWgSjWooblWmrXS8jbGy8oxFk2hE/8Qr/t3TOAFrYj8MRquIiFhST4i32gp34wbshoqIiAXeg17KdBHGikZ2K2aLqD+XY4aoFXfjFVGcioiIKFUrBuNJjaha9cjUqbYfMkSD21KZWnCFaGTj0CRqST/sqDytuFM0sgm4RZnWQXcda4Ay/Qt3ikZ0Ha6xwMu4CFtjAM5Ds4iIWBYP40XxTgfibjyMQ9BVRJRuF/RVptvQIhrZ/+F5EfXlVQwXEZ2uIiIiSjUBZ4p6tgq2UqZJuE00shm4RdSSvthceUbhr6LRPYTJyrMxBuk462OgMj0iGtUr+D98Bj3xRYwUERHL6x94UizMIPwFU/BzDBARpeqPLsozEqNFo5uMJ0TUl1vQImrNPXhNFKUiIiJK1IrBeFLUsx7YUplGY5RodCMxVNSKfuitPGPwmGh0j+OfyjMAA3WcfthYecbiPtHIhuBPeFVERLSV5/GwWJxe+AaewgM4AX1FREk2VKbBeEGU4FbMFFE/7sYcEdHpKiIiokRj8T2Nqlr1yNSpth8yRINbFVspTwtuEyWYjPtFrdhceVpxryhBM/6pPF0wQMcZgA2V51+4U0RERCytf+BFsaR2wC8xFXfjK9hQRDSyddFLmW5DiyjBlZgion7cjbmi1ryE+aIoFRERUZrZ+B0miXrXA+srzyTcJkowA3eIWrAaNleeMbhTlOIpZeqv4/RXpkdERETEsvgHnhTLYjeci2cwFr/Ah9BdRDSS96CX8ozEaFGKyZgkoj4042lRi0bgVVGUioiIKM1j+IVGVa16ZOpU2w8ZogAbKtNUjBKlGIUxorOtji2UZwzuF6UYisHK0w9ran9VDFCesbhPRERELIvn8bBYXuvj67gNLXgIP8O+6C4i6tmW6Kk89+JFUZJbMVtE7bsbc0RETaiIiIiSTMd5mCXqXRespzytuFuUZDLuF52tLzZXnidFScZjqPKsgwHaXz8MUJ7ReFREREQsq5sxUbSVFbA9vo3BaMH9OBdHopeIqCf90V15bsN0UZJ7MFNE7RuBuSKiJlRERERJHsDvRCPoga2UZxJuEyWZivtFZ1sdvZVlGh4UpRmpPP2wsfbXDxsrz3A0i4iIiGV1Ex4Q7WUF7Iiv4FJMx0TciG9jL6wiImrVluiiLPMxWpSmCdNE1L4ReEVE1ISqiIgoxQs4TTSKldBfeZpxnyjNg6Kz9VWeMbhTlOYxjMEA5VgVa2t/fbCWsszDCBEREbG8bsSH0F10hHXwUXzUm8bgbgzDUPwLs0REZ+uhPPfhRVGi4dhCRG27G62iFt2NV7CSKEZVRESUoBV/RZNGVq0a2txs+yFDFGBVbKU8EzBDlGYyhmJb0Rm6YHPlGY/xojST8BQGKMvG2t/GWFlZRmOEiIiIWF5X4D+wl+gsAzDA243B3RiGofgXZomIjrIuVleee/GiKNE9+Ah6iKhNT2OuiKgZVRERUYJxOEU0kpXRX1nm4j5Roml4DNuKzrA6tlCesaJE4zEU+ylLP+1vLeV5Co+KiIiI5TUT1+N96CJqxQAM8HZPYzAexN8xRkS0l57oqjz3oUWU6B7MQA8RtWkE5oqImlERERGNbjp+hOc1smrV0OZm2zU1KcRK6KIsL2GUKNFU3C86Szf0UJZpeFCUaqTyrITu2k8VaynPaLwsIiIi2sJFuEvUuo1xHC7CU5iJW3Eq9kN3EdFW3oNeyvOMKNUIzBZRu57DPBFRMyoiIqLRPYSLRaPZSnmacZ8o1eOis/TDDsoyBU+KUj2PWcqyMQZpP/0wQHmeEREREW1lJq5Hq6gnq2I/nIJbMQtjcAGOQC8Rsax6oqos4zBTlGoOpoioXfdgjoioGRUREdHIxuErotF0QU/leQnjRakmY4roDCuih7JMwZOiVM9iqLKsjFW0n5WxirK8gGdEREREWzobN4p6tzGOwWWYjjG4AEegl4hYUluil7LchxdFyUaiVURteg6tIqJmVERERKOaiV/gcY2uWjW0udl2TU0KsRL6K89YUbLJuF90hr6oKst4TBelmoSnlKUfBmg/AzBQWcbjGREREdHW/g8TRSPZGMfgMkzHGPwah6OXiIg3jcQMUbJ7MFNEbRonImpKRURENKr7cbZoRCtjPWWZi1GiZC2YIDpDD+UZLUrWgqeUpQtWFW1pAp4WERERbe0m3Coa2cY4FpfjRTyI07ALuoiIN+yMLsoyHnNFyUZiloja8wjmiIiaUhEREY1oHL4iGlUVPZVlBkaJks3AY6KjdcHmyjIbE0XpJinPxtrPxlhZWUbjZREREdEevov7RAkqeC9Oxr2YgWtxLFYXEaUZJUo3DnNF1J6X8JqIqCkVERHRaGbiF3hcCapVQ5ubbdfUpCCrYitlmYFRonSPi462InooyxQ8KUr3LGaJWHZTRERERHt5HhdhtihNdxyEX2MyHsb3sImI8nRXlpcwQ5RuEmaLqD0jMFdE1JSKiIhoNLfibBGNZTbGi9K1iI7WF1soyxQ8IUr3MlqUZWN01z4GKMs8TBYRERHt6UJcLkpWwXb4IUZjBE7BJiIa37roriwzME8E40XUnhloFRE1pSIiIhrJcJyoFNWqoc3NtmtqUpge2EBZZmKGKN0sTBHRvuaiRZRuEp4SbaGKVZRlNEaIiIiI9nYi/i5iga1wKkZjBE7BJiKiUdyHF0UwDq0iassIvCIiakpFREQ0ihdwEiaKRldVnvEimIbHREfqgX7KMh7TRemmY5Ky9MZa2t7KWFVERERE25uJH+AZEW+3FU7FaDyK72MtEY2jP7ory0t4VQTjMFdERMRiVERERCOYg/Nxu1JUq4Y2N9uuqUk0vFaMF8ErmCk6Ug/0E1Ge6ZikLL2xtrbXDxsry1N4VERERHSEO/FTzBbx7rbGDzAJ9+BgdBVR39ZFd2UZhZkiGIdXRNSWEWgVETWlIiIiGsGt+KEoRX9lmYPxIpiM+0W0n1Y8LIJ5mCQiIiIi6sH/4WwRi7crrsZknIaNREREvZmBeSJqy0siouZUREREvXsEnxWl6IL1lGUOxouIztADvUWUaZKyrIxVRFsYjZdFRERER/ofXCZiyfTGyXga9+BgdBURtWwUWkUwArNFREQsRkVERNSzcTgSLUpSrRra3Gy7piYRUZRWTBAdqYeyTMGTIsrUDwO0vQEYKCIiIqL9fQbXiFg6u+JqPI3/Qi8Rta8/VlaWGSIialMzXhURNaciIiLqVTO+jsdFNLZm3CdigQki2s9czBSxwLOYJWLpTRERERGdoRWH4RoRS68/foqp+CX6iKhd/dFdRJnGYa6I2vEc5omImlMRERH1aA7OxdVKU60a2txsu6Ymhaqip4iIiIioRfMwWURERHSWVhyGa0QsmypOwPO4CJuJiM72EmaIWGAO5oqIiFiMioiIqDet+DN+KErUA1uJKFeL6Eg9lGUKnhAREREREfWsFYfhGhHLrhs+jyfwV6wvIjrLDMwTERERsRQqIiKi3tyALypRtWpoc7PtmppEUWZgnIgFZmGK6AhdsLmyzEWLiAUm4Snl6IKB2l5vrKwcczBLREREdLZWHIZrRCy/AzAG56CPiIiIiDe9hNdERM2piIiIetKEg0WUZZ6IiIiO9zJaxPLqrSzj8YyIiIioBa04DNeIWH5VfBXNOBndRERERDACc0VEzamIiIh6MRyfFREREREREREREUuiFZ/ET0S0ndPwHD4uIiI6w3gRERGLUREREfVgOD6CiUpVrRra3Gy7piYRERERERERERFL4X/wn2gW0TbWwnW4Ce8REREdaRxaRURELEJFRETUuuH4CCaKiIhXMENE+5iLmSIiIiIiohH9DvvhcRFtZ3+MwsnoJiIiIiIiakJFRETUsuH4CCYqWbVqaHOz7ZqaRETxpuFxEe1jClpFRERERESjegi74mYRbes0NGGQiPbXH11ERERExEJVRERErXoUH8FEERERERERERER0Ram46M4AS0i2s4eGIqT0U1E+1lXRERERCxSRURE1KJH8RFMVLpq1dDmZts1NYmIiIiIiIiIiGgj52FvPCiibZ2G69FfRERENLoRmCsiak5FRETUmkfxEUwQERERERERERER7eUB7Igf4hURbefDeBh7i4iIttYLXUTUhhl4TUTUnIqIiKgV83EzDsAEQbVqaHOz7ZqaREREREREREREtJMf4H14SETbWQNN+JqItvUvtIoo15YiIiIWoyIiImrF9TgAz4mIiIVZBeuKaB8rioiIiIiIUt2PHfB5NItoO2fjIvQSEREREREdoiIiIjrbbPwvDsV8sUC1amhzs+2amkREvMWqWFdE+1gDq4mIiIiIiJJdgq1wDuaIaBufx+XoLyIiIiIi2l1FRER0phacglMwT0RERERERERERHS2yTgRO2GwiLbxYdyMLURERERERLuqiIiIzjIGh+AX4u2qVUObm23X1CQiIiIiIiIiIqKTjMCHsRXuEbH8tsGV2EJELKn10EfEm6oiIiIWoyIiIjrD3fgABouIiIiIiEbRF2uKiIiIRjMKu+OjeFTE8tkGV2JzERGxtDZDdxEREYtRERERHakVv8eeGCf+XbVqaHOz7ZqaRPy/+mA9EdHRWjFRRLk2xLbK8rS29zTmKEcfrCkiIiIa1c0YiB1wi4hltw2uxOYiIiIiIqLNVUREREd5CcfgKLwmYtnMwTgR5VoLa4iOMlFZ+uO9IsrUihYRERERsSQewv4YhKvwqoilNxBXYnMRS+c+NCvLLugigvWwooiIiMWoiIiIjnA3tsFFYuGqVUObm23X1CQW6mWMFxERERERERERnW04DsUG+DGmiVg6A3ElNhcREUtiPawoIiJiMSoiIqI9zcTJ+ADGiYhl0RNbioiI6FjrYBURS6eKrUVERERpnsd3sQ4OxjARS24gTsUaImJh+mNlEfRCFxEREYtRERER7eU+7Ioz8KpYtGrV0OZm2zU1iXiHrugpgi7YSXSkV5SlP94rYoEVlWUOWrS9FzFZRERERBnm4lpsiy3wc7woYvEOw3ewsojFm4FXlWU9rCyCrdBdRETEYlRERERbm4mTsSdGimhbrZihLFX0FBGdYSqmiSjTqsoyEU9re9MwWVn6iIiIiOAJnIT18BEMEbFoX8eXRCzeY3hJWfpjZRH0QhcRERGLUREREW3lNdyO3XAGXhXRPkYqS09sKYLe2EJE++mCzURQxSYilk1frCQiIiJigdm4FfugL47D/WgV8e9Ow34i4p36Y2URbCmitoxAq4ioORUREdEWxuJI7IsRYulUq4Y2N9uuqUnEu+iCniLohp4i2teqIlgJqyrLy2jR9l7EZGXpg7VERERE/LsXcQF2xpo4DvejVcQCK+EUbCRi4WbgVWVZD31E6VbGiiJqy0sioiZVRETE8mjBt7EZrhAR7WVLEfTGFqIjTcSDyrIGuojSrY1NlGUixmh70zBZWfpgTRGxJKagWUREmV7EBdgZa+I43I9WUbrdcRS6iHh3M/GS8vQUpVsPK4qIiFgCFRERsSxm4zRsiNPxilg21arhzc22a2oSS2waxipLVQTd0FNE+1oRPUTpVsPaIpZNf2wkIpbEC2gWEREv4gLsjJ44EH/CDFGq72F/EfFWW6KLKNlu6CkiImIJVERExNJ4FVdhV/wXmkVER+iJ/qJ0a2EN0ZFmYoKy9Md7RelWw9rKMg2ztb15GK4sK2MVEREREctmNm7EZ7AatsOP8AjmiZJ8GxuJeHePKc+u6CNKtjW6i4iIWAIVERGxJF7GRdgRh2K4WH7VquHNzQY1NYmlMg8zlKUnthSlW1d0tJmYqCw9sY4o3YZYRVmmibZSxdYiIiIilt98DMX3sD164SD8Fs+IRrc7Dhbx7magVVm2RA9RsvXQTURExBKoiIiIRZmN09AfX8QwEZ2vBSOVZWX0FyXrgnVFR2vFTGXpiX6idGsrz2TtZ6Ly9BcRERHR9mbjehyDjbE2Dsdv8IxoRN/Be0X8u1F4SVm2RE9RsoEiIiKWUEXUtRV0eW0l674oItrSfIzE8eiD/0KzaFvVquHNzQY1NYlYAj2xpSjZWthJdIYnlKULthclq2JtZWnFZO3nZcxRlj7oKyIiIqJ9TcaVOBYbY20cjt/gGdEI+uJY9BLxdjMwT1lWwFqiVJuhu4iIiCVUEXWtYqUV1vbJqohoCy/jd9gLW+N8zBVRe6bhXmXpgp1FyVbBuqIzvKI8a6CLKNWG2FZZpmGy9jMRTyvLuthYRERERMeajCtxLDZGD3wIZ+BOzBL16IvYTsTbPYaXlGcXrChKtBt6ioiIWEIVUbfmo4uVV1jPUT1FxLKah7vwGfTGf+Ifon1Vq4Y3NxvU1CRiKfRET1GqtbCt6AxTMU1Z1sBmolRrYxNleRGTtZ85aFGWTbG1iIiI+vGSaEQtuAMn4wNYDe/Bl3Exnhb14j/QS8SbZuBV5dkVfUSJdkMPERERS6gi6toKWNXm89fzuRYRsaTm4S78J/pjT/wJL4uoD624V3l6YUtRqnVEZ5mJicrSH+8VpdoIaynLNEzSfsZguLJUsbGIWJy5aBYRnW0WposSzMPj+DW+gAHoiQ/jh7ga00Ut+iK2E/GmCZiqPLugjyjRrugiIiJiCVVFXZuPqu4rbOms7lMMmfaycb1FxLt5HtfiDtyKOSKi3vTElrhPlKYL3iM6y0xMxFbK0Rubi1JtoDzTMFn7mYdZyrOZiFgSU0VERGeaicEY7E3rYEdsi4HYB6uJzvYx/AtzRCwwU3l6oT9GipJshp4iIiKWQkXUvfnopndlN//otZL1pomIVjyJy3A0NkM/HI9rMUd0nmrV8OZmg5qaxHKZhrHK0hu7iBKthZ1EZ5mIB5Rna1Gi1bGt8jyN2drXGOXZBFuKiIiIqD/P4wacikPQG/3wcXwfV2O66GifxZYi3jQKrcqzC1YUJfkIeouIiFgKVdEQ5qO7DSt7+Fevx33rxfEu7SOiDK9gGJ7BQ7gTIzFLRGN7GeOwgbJsI0q0FnYSnaUVM5WnP/pjvCjJhthWeSZrfxOVZ1NsjVEiIiIi6t/zuAE3eNMm2A27Y1dsjm6ivfTFe/GQiAXGYzZ6KMt+uATPiVLshh4iIiKWQlU0lJWsU9nWH/ts4ruvPeUnL052Q7dXvdRTRA1bYX61C/O9i/mYglF4DWMwHlMxFM9ioqgf1arhzc0GNTWJ5fYyxivP6tgSo0RJ1sIaojM9oTz9sQPGi5JshAHK0orJ2t80TMXqytED2+BKERERtW00JolYek/hKfzBAr2wNfbAB7E7VhZt6bO4Hc+IYBRmoIey7Io18ZwowUrYTkRExFKqiga0glVtUdnWH1b3/3rFVDONEFFL5mO+StdN5094ksvWo2uriFhSMzFSedbGvhglSrEy9hGdbSKmobdyrI29cJ0oyebKMwbDtb+JGIPVlWUzEbE4ozAPVRHRWVrwsojl9xLuxt04DRVsj71xMHZAF7E8dsemeEYEj+ElrKs8g/CgKMGH0VtERMRSqooidLO6vvYSUWteofXVOZOe44+tdBUNrFo1vLnZoKYm0SbmYrzyrIpdREnWwk6is83ERPRWls1ESfpjD+WZhkna30Q8jZ2VZRNsiVEiIiIiyvMaHsSDOB09sBMOwsewvlgWH8ZdmCNKNwEvKdOhuBnPi0a3G3qKiIhYShUREZ2oG56ftbb9rrzZ0YN/RXWOiFhiI5XpPegpStEfe4rO1ownlGcAdhKl2AJ7KM/zeEb7m4kxyjMQO4uIiKhtLXhZRPubiSacgA2wNX6Ep8TS2Afri1jgWWXaF2uJEnwU3URERCylioiIGtANY2et7eibLqY6R0QskRZMV56+2EWUYnNRC6biceXpj/eKUmyNVZRnoo4zVnmq2FFELMqzGCeitmyCdZTjKUwW0fFG4nvYFFvjRxgjFmcgNhCxwHi0Ks8KeK9odAdhDREREcugIiKiRnTD2FlrO/qmi6nOEQ2kWjW8udmgpibRpmZilPKsi0NECVbHPqIWtOJB5emOfUUJ+mIP5WnFcB1nIuYoz0BsICIWZhZmK8fWqIpatypWEhEdaSS+h02wG67Bq2JhthGxwH1oVqYvYH3RyA7HGiIiIpZBRUREDemGsbPWdvRNF1OdIyIW6WWMU6btRQkG4BOiVjRjnvIMwHtEo9sCeyjPRIzRccZguPIMxM6ikXVHdxER9asF80TUjnvxSWyK/8EU8U77YF0RPIaXlGlXbCoa1UrYTkRExDKqiIioMd0wdtbajr7pYqpzRJ2rVg1vbjaoqUm0uWm4V5nWxr6i0W2NlUStmIonlGcA9hKN7r1YS3kmYoyOMwbDlacH9hKN7CzMwoXYSiytZzFOOVZBd1HrBmAd5RgtojaNxU+wLr6KZvGGnbC2CB7DVOXaH6uKRvQl9BMREbGMKiIialA3jJ21tqNvupjqHBHxrloxSpnWxSGikfXDJ0QtmYgHlKc7DhSNrC/ep0xP4xkdZx7GKNNAbCAa0UDsbIEvYATG4CvoK5bELMxRjo2xrqh1q2JlEVErXsW5WBP/gxbRF2uLWOBZ5foCNhCN6Ej0EBERsYwqIiJqVDeMnbW2o2+6mOocEfGuJmC6Mu2MnqJRbYyPiloyHU8o0wDsJBrVLjhEmR7X8UYr0+44UDSigzDI222Mc/ECBmM/dBELMxezlWMVrCxq3VroohyTRdSH1/ATDMB1Yid0EcF9mKlMvbCLaDR7Y0MRERHLoSIiooZ1w9hZazv6poupzhF1plo1vLnZoKYm0W5mYpQyrYdDRCPqgr1FLXpUmTbDkaJRbatMLRij4z2Nkcr0XtFoBuJgC1fBvrgVL+CX2Ea8m3HKsRH6i1q3lnLMwssi6ssL+AT+A5OUawv0EcEozFCuL2B90Ui+ibVFREQsh4qIiBrXDWNnre3omy6mOkdEvM1MjFSm3jhENKKN8QlRiybiOWXaAauJRrMVDlGmpzFcxxuD4cr0AewlGslBGGTJ9MEJGI5H8VX0FSVaCX1ErVtHOSZhuoj69Gfsh/uVaQv0EcG/MFW5dsXOolFsiq1EREQsp4qIiDrQDWNnre3omy6mOkfUgWrV8OZmg5qaRLuajnuVa0vsIhrNtthW1KKJeFCZtsQBotHsgW2V6Wk8quPNxDBl2gAHiEYxEAdbNlvjHEzFtXgfuirbKMxTjj6ilq2J3srxPKaLqF/DsSduVp51saoIZmK8sn0d64tG8E30FxERsZwqIiLqRDeMnbW2o2+6mK6zRcT/Z7hybYDPi0bSD58TtWoyHlCm3jhSNJK++KByPaLzjFauXbCBaAQHYZDldxD+gTE4HZuKEmyNqqhVm2Ad5ZiE6SLq21wcjJuVpS/WFrHAfXhZuXbFpqLebYoPo4uIiIjlVBERUUe6YeystR1z08V0nS0i/h8vYoRy7YH+olFsjI+KWvagcm2Hg0Sj2AuHKNNUDNd5nsZIZdodnxL1biAO1rbWw7fwJEbiC1hZOUbiCeXYGP1FrRqEjZVjEl4SUf/m4mDcrCzriljgPjQr27ewjqhn30R/ERERbaAiIqLOdMPElnXsd8UtjrntPLrOFjWmWjW8udmgpibRIabhXuXaDCeKRtATnxG1biJGKtPa+KRoBH1xhHKNwTCdZwyGK9duWEnUs4MwSPvZEhdiCv6MHTW+WZijHBthXVGrBqCLckzCPPVhVawkYuHm4ssYqhzroosI7sDzyrYfdhP1alN8GF1ERES0gYqIiDrVDc+2rOOYmy6m62wRBZuOe5WrC/YSjWAgjha17lkMUa73YR9R73bBIco1Cs/oPDNxj3J9BEeIejUQB+sYq+BTuB/j8QP005iexTjlWB+bilq1ibI8r36cieHYRsTCjcX/4gVl6IFuIhYYLb6B9UQ9OhUbiIiIaCMVERF1rBuebVnHMTddTNfZIgo2XNk2x4minvXEZ0Q9mI0HlWsDHCXqWRUfVraROt9ITFWmKg7CSqIe/QcG6Xjr4vuYgPvxKayiccxFs7JsIWrRQGysLJPVhx7YHJviamwnYuGuxg3KsAX6iFjgNryobLvhg6Le7I29REREtKGKiIg61w3PtqzjmJsuputs0cmqVcObmw1qahId6kWMUK5V8Z/oKerVQBwt6sUTmKZc78Peol59HF9Rridxj843Avco10dxhKg3e+PTOt+O+DOm4kJsqTFMVZZtsJaoNYOwkXLMwsvqw+HYyQKb4m84UMTCnYNRIsryLzSLH2AzUU9+jLVFRES0oYqIiAbQDc+2rOOYmy6m62wRBZqCwcq2Fb4n6lFPfEbUk2fxN+XaAEeJetQXRyjbKNyr803BPcpVxUFYSdSLbvgS+qkdK+ELGIkncTLWU7/GKsvOGChqzSCsqhyP4Fn14QB096ZeuA6fFPHuRuBOjW8L9BGxwGN4XqyPo7GqqAcnYCsRERFtrCIiokF0w8SWdex3xS2Oue08us4WHaxaNby52aCmJtHhWnCvsnXB/ugv6s3eOFrUk8kYomwH4D9EvTkAhyjbI2rHaGX7OL4g6sVBOFjt2hSnYQzuwiewgvryAmYoR19sImrJmthRWSZhutr3fgz07yq4Cv8j4t0NwQsaW090E/Gm2/Gy+CZ2FLVuLXwNPURERLSxioiIBtMNz7as45ibLqbrbBEFeQzTle09+J6oJ/3wRVGPHsU85eqN/0RF1IsB+KKyjcc9aseDGKJsR2B9Ues2wYnopvZ1xR64BrNxIbZUH57FOGXZCz1FrRiEjZVlEl5S+w7DRhbuf3EeVhXxdjfgSRFluR2TxOt+iY1ELTsbA0RERLSDioiIBtQNz7as45ibLqbrbBGFmIZ7xf7YV9SLj+Cjoh49gRuUbS98Q9SLg7CHsj2EO9SO53CPsu2Br4hadyR2VX9WwhcwEsNxAvqoXc9inLLsgm1ErdgP/ZXlEcxT2zbDrhbvePwf+oh406sYK6Is/8Lz4nVb4zNYUdSiz2E/ERER7aQiIqJBdcPElnXsd8UtjrntPLrOFu2oWjW8udmgpibRaZ7HX8S6OEnUg+3wU1GvJmOIsnXBZ7CFqHW741tiqNrziDgU7xe16gB8Xf3bBr/EC7gV+6KL2vIixivL+thV1II1saPyTFb79sdAS+YI3IttRbzpcbSKKMvNeFm87ofYTdSatXAKeouIiGgnFRERDa4bnm1ZxzE3XUzX2SIa3EN4TeyJ74latjKOxBqinj2Keco2EP8tatkq+CLWUrbxuFvtuQs3KNuGOFbUotXwJaymcXTBfhiMyTgXG6sdU5XnA1hLdLbdsaWyTMZ0tW0F7IcultxmuBMHiFjgATwvoiy3Y5J4w++wmaglf8AAERER7agiIqIA3fBsyzqOuelius4W0cCmYLBYEZ/BlqJWfQgniXr3BG4Qn8SxolZ9GkeJh3C72jMF94gjcLyoNV/FxzSuvvgKxmAEPo+VdK5RmKcs+2Mv0dkOx+rKMhqT1LbDsJOl1wt/xTdFRJTpX3hevGF9nITVRC34LvYQERHRzioiIgrRDRNb1rHfFbc45rbz6DpbtJFq1fDmZoOamkSnexH3iddtgrNFLdoSPxeNYDKuF93xefQXtWZ3/FC87p9q1/2YKo7HDqJWHICvK8dWuAhzcDX2QFcd71mMU579UBWdZTdsrzxDMVZt+wT6WHZn4ndYXUREeW7Gy+INX8Ln0EV0poPwVXQXERHRzioiIgrTDc+2rOOYmy6m62wRDWYursNr4nV74nuilvTECdhENIpH8ZzYET8XtaQvTsRa4lHcpnY9iNvFe/BNUQv64WtYTZkOxl04Usd7FuOUZx/sLDrLkdhUeUZjntq1PQZafp/DYLxHRERZbsck8VZn4wDRWdbCmVhDREREB6iIiChQN0xsWcd+V9zi2NvOpessEQ1kCgaL162Io7GvqBX/gWNFI3kC14vXHYYfilrxFRwiXvcQhqtdMzFEvO4InCQ629fwQWW7B//U8cbhSeVZHweKzrAb9lWmCWrb4XiPtrE97sUBIiLK8S+MFO90MXYRHW1t3IoBIiIiOkhFRETBuuGZln6Ovelius4Sy6BaNby52aCmJlEznsdfxBvWxRnoKTrbPjhTNJrZuEG84Wh8THS2w/F98bqpuEHtexAjxetOwv6is3wZJ4u/Y4zO8ZwyfREfEh3tSGyqPGPwrNq1DvbUtnrhr/gpuoqIKMNtmCneqg+uwGaiI/0S24qIiOhAFRERheuGCS397HfFrY697Vy6zhLRAB7Ca+INA3GV6Eyb4Ax0F43oCdwuXrc2foQtRGfZHedgBfG6hzFY7RuK68Xr1sJ3sL7oaHvjf8R03K3zjMQM5emLT6EqOspu2FeZRmOS2nU4dtQ+/gu3YyNRinXRQ0SZLsHT4p3WxyVYT3SEK3GoiIiIDlYRERH/j26Y0NLPflfc6tjbzqXrLBF1bCL+It7qQ/it6Azr4CxsJxrVOFwv3jAQ56EiOtoA/AxriTfci9nqwz14WbxuD5wmOlI/fAf9xN/xT51nJJ5Upv/EJ0VH+So2VaahmKB27YUu2s/78QgOECXoh1VFlGkmRol3sxsux3qiPV2JQ0VERHSCioiIeJtueKaln2Nvupius8QiVKuGNzcb1NQkas5U/EW806dwouhIPfE9HCAa3T0YJ96wD65BVXSUvvgZ9hBveBTXqB//wHXiDUfgdNERuuHn+KB43a14Sed5FuOU6zhsKNrbcThEuUaoXR/FjtpfL/wV52FV0ch2QBeN635MErFw5+BZ8W52w+VYT7SHK3GoiIiITlIRERH/phsmtPSz3xW3Ova2c+k6S0QdehgjxFutih/hq6KjHIVjRQmG41LxVh/H/4qOsArOxCHirf6B4erHTNws3upbOEm0t5/jCPG6obhb55qLJ5Tr/ThKtKc1cQS6KNNkPKt2HYx+Os7xGIIdRSPqg3VElO1feFIszG64HOuJtnQlDhUREdGJKiIiYqG6YUJLP/tdcatjbzuXrrNE1JEpGCzeaVV8HTuL9nYczhGlaMXfxDt9Gz8T7e0kHCXeajyuV3/+gb+JtzoDx4v2chq+It7wDzyq8z2AGcr1bXxMtJefYk/legTPqk2bYTsdb0fcj2+IRvMBbKixzcQrIhbtJrSIhdkNl2M90RauwKEiIiI6WUVERCxWN0xo6We/K2517G3n0nWWiDrQgsvEu9kQl2Nn0V6Ow/miNPfjD+Kdvo2fifbyffxAvNPduF39GYu/inc6BfuLtvZlnCzeMAHXqQ0j8aRyrYRT8B7R1k7C55VtKCaoTYdhO53n5/gbNhSNYm+sqbE9jhdFLNov8YRYlN3wD+wgltU6uA6HioiIqAEVERGxxLphQks/+11xq2NvO5eusxSrWjW8udmgpiZR08biCvFuNsTl2Fm0teNwvijRdFwq3s238TPR1r6PH4h3moor1K9bcL94q7VwMfYXbeU4/Eq81d9xt9rwBJ5Qth3wA/QUbeUgfFs8qDb1wD463154DMdjBVHPNsBuGt8MtIpYvDvRKhZlQ9yMQ7GCWBpr4UZ8HCuIiIioARUREbHUumFCSz/7XXGrY287l66zRNSoqfiLWJgNcQMOFm3lOJwvSvY47hDv5tv4mWgLPfBr/EC8m7txrfr1OK4T77QWLsb+Ynkdh/PFW72C6/CK2vGIOAyniLawEf4LqyvbGDyrNu2PgWrDSjgP92EHUa8+jW00vsdFLJmz8aRYnDVwJb6DlcSS+DgexfYiIiJqSEVERCyzbpjQ0s+BV9xqv2uuduxt59KtRUSNuR/3iIVZE7/DV8Xy6Ilf43xRuudwiViYb+OPWFEsq764CMeKd9OKwerfnRgr3mkt/BmfFcuigu/hPPFOf8c/1ZaRmCROwklieWyEy7CzuAuPq02fQh+1ZSc8gDPQU9STPjgQXTS+WSKWzHgMF0vqx/gdVheLciauwBoiIiJqTEVERLSJbpjQ0s++lw923O2/pFuLhtWli+HNzQY1NYm6MBFXikXpgZ/jLLEsVsevcayIBf6JO8TCfBrXobdYWlvidhwqFqYJv1f/7sWl4t30wu9xklhaZ+OHqIh3ugbPqy33Y6h43Rn4vFhWP8LO4nWPYJba834MVLtOwnAcJOrFydhZ42vGTBFL7myMFUvqcDyGD4l32gx34ZtYUURERA2qiIiINrUixs9c14GXD7bvNVc77vZf0q1FRCdqxS14TixKFV/DZegjltT2uBVHinjTc7hELMqHcS92FEtqX9yO7cTCtOI6zNYYbsRYsTBn4JdYQSzOurgeJ4h3czuuV3texJPiDRfh82JprI2b8B/idZPxkNq0PzZS2zbAtbgZg0Qt2xWHKMP9mCRiyd2H+8TSWB234VdYTVTwNdyPPURERNSwioiIaDcrYvzMdR14+WAHXnO1fa+52nG3/5JuLSI62ET8RSzOCjgCd2IXsSgr4LP4G94r4t/9E3eIRdkcf8NXxeKcjMHoJxalCb/XOO7FpWJRTsCt2EAszM74Gz4mFuZWPK82/R0zxBsuwhliSWyE67C/eMNdeFzt2QwfUj8+godxAdYQtaYrTsMAZZiAFhFL52yMFUvry3gAH0dFmTbD33E2eomIiKhxFRER0WFWxPiZ6zrw8sEOvOZqB15ztX2vudpxt/+Sbi0i2lEL/oDXxJLYBoPxTfFu1sAl+D16inh3z+ESsTir4Bxcgb7indbFzThNLE4rrsNsjeVGjBWLsi/+hj3FO30Od2JTsTBDcbva9QCGirc6Ceehm1iYXXErdhZvNRTNas/+GKi+VHAMHsWJ6C5qxfl4n3I8gJdELJ37cJ9YFpvgOtyJLZVjVVyMkdhDREREnaiKiIhOtSLGz1zXgZcPVg+6YLoR/m4bUXeexln4plgSPXEm9sMX8Zx43UfxW/QTsXhNuBafEItzGPbAifiLeN2R+BVWE0viRvxa47kX5+AXYlE2wp34GU5Bq7L1xvk4QizONXhU7RqHodhTvNXx2AmfxePirb6In6OneKehas8K2A9d1Ke1cBZOwZdxhehMP8MXleVZEcvmbOyCDcSyeB9G4I84FWM0pl74Jr6OVUVERNSZioiIiKXQitVsbU/DRN1pwR/wmlgaH8Kj+KayrY7f4Ub0E7FkJuMCsaT64Upcgb7KtQlux6VYTSyJqfi9xnUL7heLswK+g+F4r3IditE4QizOUFyn9v0dM8Q77Yj78QXxup74Pf4PPcU7XYX71J7DsJP61weXYwQ+LDrDUThGWZ7B8yKWzX24TyyPFfBZjMbvMUDj6IVTMR6nYFURERF1qCIiIiJK8jTOEkurJ87EY9hXWbrheDyJz4lYevfjD2JpHIZn8C1lWRGnYjQ+KJZGE67VuB7H5WJJbYl/4Sz0VI5NcQeuRF+xJK7Bo2rfAxgq3k0PXIibsZFyHYjh+KxYmLvQrPbsiz4ax1a4BSPwYdFRjsEvsJqyPIBJIpbd2RgrltcK+Cwexx3YVf3aGqdhHE7BqiIiIupYRURERJSkBX/Aa2JZbIHB+Cd209gqOBxP4Tz0FrFspuMCTBdLowdOxwQcqrF1xzcxDqeIpTUav9T4LsVfxZLqghMxCp/W2FbHRXgS+4gldTsuVB/G4R6xKB/B4zgV3ZVjAJpwAzYQCzMZD6k922NXjWkr3ILROBariPbyC1yA3spzP6aIWHb34Sq0irZQxT64BxNwCvqrfX1xBB7EozgZPURERDSAioiIiCjN0zhLLI/dcTf+id00lu44EnfhcqwnYvndjwvEsuiHKzEUn8CKGkd3fBPP4kysIZbFtbhH43sBfxBLa138EY9iD42lJ76Hp/B5sbSuwfPqx98xSSxKN5yCifgqumhcm+EGPIW9xeLchcfVnsPxHo1tE/wao/Fd9BZtZWVcjq8r16Milt/ZeFK0tX44FeNwH07C+mpHX3wKTZiEy/BeERERDaYiIiJiKbWit4H2NEzUpRb8Aa+J5bU77sa9OAArqF898E2MwKXYTUTbacWfMEosq0G4Bs/hRPRSv/rhDDyFM7GGWFb34zfKcR0uFMtia9yF8fi0+rYeLsNL+CF6iaV1PS5TX/6Ge8WS6IVzMAXfwaoax2a4AU/gQLGkrkOz2tIDOynHOvgRJuP32EIsj33xBA5XruEYK2L5jcflmCvay844A2PxDH6Ho7CujrMm9sH3MQwv4M/YG1URERENqiIiIiJKNBLfEG1lF/wVU/ETvFf92APXYwLOxEYi2sdI/FgsrzVxFqbgSuyofnwIt2MMTsI6Ynm04nd4Wjnm4WKMFctqXfwRz+NHWF996I4jcD+ewxFiWb2CS/GS+jIXd4ul0Rs/wQz8BQPVp544CsPwBA4US2Mohqo9h2Mn5emKz+IxPIz/RA+xpFbB/2Ew1lO2Jjwnom2cihGiI2yIz+ESjMcUNOFMfAr7YVXLbmXsiE/hZNyAJzEBd+AHGIiKiIiIAlRFREREiVpxC76B9UVb6YPv4NsYhitwHZ5QO1bCLvgYjsRaIjpOE67FJ8Ty6opDcSim4s+4AveoHatgVxyCw7GaaEs34tfKcy/OwS/E8lgb38V/4T5ciKvRonZ0x0H4EnZHV9EWrsL16tONOAI7iKWxAg7BIXgGf8JNeASvqE2r4cP4FD6I7mJZXYWRas8B6K5s2+Fi/AaX4nw8jFbxbo7BT9FbvO4BzBHRdn6GX2FN0ZFWx97Y2797AU9hLioWrhX9sAmqIiIi4v9TFREREaV6Ej/AxaKtVbAdtsPPMB634W+4E+N1nCq2xgexD3ZFLxGdYzLOwAewmmgrq+Or+CrmoAnX4w48q+OsiM2xFw7Gjugu2sNonK5c1+BAfEAsryr2wB74LR7BDbgWj+lYvbEDdsLB2F60tQm4EK+oT0/gDuwgltVGOAWnYBr+jiEYjCd1npWxM/bBh7A9uorlNQv3qT0fxY7iDV1xFI7CS7gI52OMeN3H8RNsKd7wDEaIaFtX4Qh8UtSKNbGmiIiIWGZVERERy6AVvQ20p2H+YZCoW3fgHuwm2lN/fB6ft8BMDMEwjMRojMQrlk8v7Iq+2AHbYSB6i6gd9+IM/Fi0h5VxAA6wQAvuwxMYgXsxFtMtn57YFgOwPbbHNughOsK1uEe5xuLn2BUribbSDTtjZ/wY03E/hmIoHsQYvGb5rICNsRM2x6bYGRtjBdGefoO/qW9/x1FYWyyv3jgIB1lgFkbgYTyAyRiKidpOBZtjK6yDHfF+rIcVRFv7C+5Te/ZHP/FueuEb+Aam4UpcggfRqhxd8WV8HRuId7oOT4loe9/DIGwiIiIiogFURURERMnG4bsYIjpSD3wcH/d2szAcr+AVPIlJqHrTfFSwHrbAbKyOQSLqx5/wAXxQtLdV8UF80Nu9jCfQjArGYAxW9HZzsQG2w3Ssjy1EZ7oNPxQ34Rf4b9FeVsO+2NfbPYfH0Q2P4zms6N+9gn7Y0gI9sAVWFZ3hHvxZ/bsVN+KLoq2tgp2xM47zdpPwJCqYhscxA1Xvbi42xGZ4Db2xBVYWHelGzFJbNsWuYkn0xjE4Bi/gLtyA6zBDY9oNR+MQrCIW5lbMEdH2RuGP+G+sKCIiIqLOVUVERETpHsH/4Uuis62CXb3pQyIa03P4X3wAXURnWAmDvGkvUQ/G40zMFq/7Iz6InURHWh/rW2AvUS9+izEawz9wFKqio6yNtb3pQFHrrsKdas9h2E4srTXxSXzSAs/gdvwNt2K6+vU+HIYj0Ucszt0YLaL9nIo98CERERERda4iIiJiGbWit4H2NEzUtek4G9NFRHScv+N7ImJp/Bm3izc8jjNExOJciN9rHFfiryJiUe5As9rSA/uItrARjsZlmIbJuBxfw8fRV22qYAf8F27HbPwDX0EfsST+gGdEtK8zMUFEREREnauKiIiIYBS+gYtFRHSci7ADPiEiFud6fFu801U4BT8SEe9mGH6psczFtTgQVRHxTnfjDrXnIxgo2sOaOByHe9MEPIGReAJj8Syewsva3/pYB4OwG7bDFugmllUzHhLR/m7D5TgRXURERETUqaqIiIiIBW7FYOwnIqJjTMYZ+ABWExELMxqni4X5I/bGB0TEO52NRzWeK/EJfEJEvNOlGKP2HIS+oqOsi3Wxt383HU9gHp7GM2jFKngQE9DNws3DGtgcq6AFO2At9MLmWFG0tT9glIiOcRIG4kMiIiIi6lRVRERExALP4yf4ECoiIjrGvTgel4qId9OKs3CPWJix+F9sg9VFxBsuwu80prm4FgeiKiLecDduV3v2xM6iVqyGnS2wu6gXN2COiI5zIq7HJiIiIiLqUEVERMRyaEVvA+1pmGgId+MkEREd6zr8SkS8m9/i12JxhuAUEfGGYfilxnYl/ioi3upSPKX2fAQbi4hldSEeEdGxRuFXaBERERFRhyoiIiIi3tSKyzFYRETHmY2z8S8R8Va341tiSV2Ac0TE687GcI1tLq7FPBHxurtxu9qzDt4vIpbHpXhJRMc7G4NFRERE1KGKiIiIiLd7HqdimoiIjvMUvo7pIuJ1T+EHmCWWxln4m4iynY7fKcOV+KuIeN05eErtORQ7iYhldSEeEdF5Po/hIiIiIupMRURExHJqRW8D7WmYaBj34FsiIjrWvTheRLTiLNwjltZY/C+miijTHThHOebit5gkomxX429q017oIiKW1aV4SUTnmYFvYYKIiIiIOlIRERER8e6uxoUiIjrWn/EtEWU7FeeLZTUEJ4koz0T8FBOV5VZcIaJcs3ABpqpNs0TEsjoVd4nofLfhTLSIiIiIqBMVERERbaAVvQ20p2GiYUzHTzFSRETHuhB/EFGmy/Ajsbx+j9NFlOXHGKJMf8BIEWU6D3eoXZ/DVSJiaTXjBrSKqA1n4y8iIiIi6kRFRERExMI9jS/jNRERHWc6TkGTiLLcji9hvmgL/4OLRZThdJyvXA/jPBHlGYY/qW2v4XBcJSKWxn/jIRG15Qu4U0REREQdqIiIiIhYtH/gaBERHes5nIjHRJThARyHWaKtzMN3cKOIxnYDfiouwXUiynIORqh9r+FQnCEilsQtuElE7ZmPj+NRERERETWuIiIioo20oreB9jRMNJwr8AsRER1rBI5Hq4jGNh7fxRjR1l7A9zBKRGO6F9/EdDEXZ+EZEWX4Ff6ovpyMH4uIxTkdE0TUphk4BmNFRERE1LCKiIiIiMVrwTm4V0REx/obDsarIhrTVHwNt4n28gi+hOdENJaJ+C6eEm/4B34novENwwWYp/58Fz8WEQtzEu4UUdvuxbcwRURERESNqoiIiGhDrehtoD0NEw3nOfwnxomI6Fg34EgRjWcWvolrRHu7B8fjZRGN4RV8HUPEO52O60Q0tnMwQv36Lr6CFhHxVrfgchH14S/4KVpEdIzB2Bc/RouIiIjFqIiIiIhYck/gCEwT0Tnm4UociPNFSa7CySIay+n4g+goN+LLIhrD13GleDcv438xSkRj+hX+qP79Cl/EiyLida/gR5ggon6che+hRUT7uhafxu34Lk7HbBEREYtQEREREbF07sHXRXSO3+Jw3Iiv4vuiJGfgZBGN4fs4VXS0S/B5EfXtWzhfLMpDOA3zRDSWu3E25mkMV2BXPCIijsG9IurPWbhaRPt5CCdgqjddgakiIiIWoSIiIqKNtaK3gfY0TDSs3+MoER3rfBzvTa24X5TmDJwsor59H6eKznIJPi+iPp2HM8WS+AN+LaJxzMIP8JTG8iQ+hjtElOssXCGifh2F34toe5NxNCZ4u93QU0RExCJURERERCyby/EDER3jTzjev3tFlOgMnCyiPn0fp4rOdgk+L6K+nIcTxNI4GdeJaAwn4A6NaTwOwHkiynMLfo45IurbUfi9iLYzGfvjYREREcugIiIioh20oreB9jRMNKy5+Dl+IaJ9NeEY724apogSnYGTRdSX7+NUUSsuwedF1IfzcIJYWi/jO3hQRH07FZdobHNxAr6CFhFleAbfxgQRjeEo/F7E8puM/fGwiIiIZVQRERERsexa8H38QkT7aMLHMFvEvzsDJ4uofa/imzhV1JpL8HkRte08nCCW1eP4HiaLqE9X41zl+BUOwDMiGttcHIdHRTSWo/B7EctuMvbHwxZuPXQTERGxCFURERHtpBW9DbSnYf5hkGhYLfi+Bb4hou2cj+NFLNoZeAJXoauI2jMVx+AaUasuscDFImrPeThBLK9b8EOcL6K+3I3/wlRl+Tu2w6X4qIjGdBgGi2hMR1ngcyKWzmTsj4ct2npYUUREtKUqrkcPvGb5rYBW/Am/x3x8Bp9FFfOxAubhV7gerZZOFcfj4+iC+VgBr+A7VRERERHLrwXft8A3RCy/83G8xWvBBKwhSnYDDsFV6CqidkzFMbhG1LpL8CJ+izVF1IbzcIJoK79Gd5wpoj6MwYl4SplewgE4Hj/DqiIax4m4QURjOwrDcCpWFbF4k7E/HhYREZ1hBeyOXtpOK+5GBa3YAO9DV2+3Hm7FbEtndXwHa3m7uehdERER0Y5a0dtAexomGl4Lvo9fiFg+5+N4S2YWJojgBrwfI0TUhhH4IK4R9eJ6fALPieh8p+ME0dZ+ju+LqH1jcAQeFL/CB/CAiMZwIs4RUYaz8D20iFi0ydgfD1sy66GLiIhoFBviSHSx5Ko4Fn0tREVERERE22nB9/ELEUtvHk7D8SKWzb04GPeL6Fx34mAME/XmHuyHB0R0nhPwbdFeTsWFImrbiXhQvOFBvA/niahvJ+IcEWU5C4dgooh3NwTvx8OWXH8REdFIuuInWNOSWx3HomohqiIiItpZK3obaE/D/MMg0fBa8H1UcKKIJTMDJ+M3IpbPaHwY5+AzIjreFfgU5ot69TgOwEU4QETHeRnH42LR3r5kgS+KqC3zcSRuFO80FyfgKlyCjUTUlxNxjogyDcZ++CO2FfGm6/ElTBGLMgOtIiLa1zwcgK6Y7+3mows+jc+gaoFXcRBaUPHv5uM5zEPFovXBcfgRXrVoVRyLvhahKiIiIqLtteDrGIZLRCzaRByDGy29ybgfHxXxpmn4LB7F6SI6zg/xA9EIXsCBOA0ni2h/E/FZNImO8iULfFFEbZiPI3G5WJS/4z04E18RUR9OxDkiyjYC++BSfFgEP8ZPMNvSWRvdlWUE5oiIaF/z8U8L1wW7Y743vYa7MNPy64Jj8Ws8b9FWx7GoWoSKiIiIDtCK3gba0zBRlN/hM3hVxLt7GB/DjSLa3hn4OF4V0b6acQh+IBrNt/F5Ee1rCHZEk+hoR+OXIjrfU9gbl4slMRcnYG+MEFG7WvBF/FJEvO5FfATnYp4o2eH4LmZbej1RFRERjagPjkNXC9cVP8YaFqMiIiIion39CR/AdBFv14T34SER7ecGbIUHRLSPv2M3XC0a1SXYHc+JaHu/w0cxUXSG+fgaThLReZ7GkbhTLK2/YRv8EK+IqC1zcSguwnwR8VZfxZGYIkozGoNwpWXXC11EREQjeA33oNUCXXAsVrdwG+FIVCzwKn6LV71DRURERAdpRW8D7WmYKM7d2BP3iFjgAnwQsy2fVswQsWijsTfOEdG2zsG+eFI0unuwC64W0Xa+jf/Ey6Kz/Rwnieh4w3EQHhDL4wfYDNeLqA3DsCduFREL8xfsgAdEKa7H7hhu+WyFVURERCN4Fadjrjf1wXHo6t91xcno5k1TcRpe8Q4VERERER3jURyAi0XJmvFpHKftPC5i8VpwIg5Ds4jlMw6fwIl4RZTieRyK76BVxLJ7CrvhdFFLfo79MVlEx7gG++BR0RbG4iB8GE+L6Dy34gDcLyIW5znshPMwTzSyL+EQTLH8eqGLsryEVhERjec1/B2XotUCXXAsVvfvNsKnULHAPFyAqd5FRURERAdqRW8D7WmYKNI0HIOviRI9gg/jUhGd5y94L4aIWDbXY2tcJ0o0Hz/DBzBSxNK7EjvjXlGLbsFeeFBE+/oRPompoq0NxgB8CzNEdKwz8EmMFxFL4wR8HE+KRvMgtsKFmKdtbIXuyjJSRERjWgGv4nTM9aa++Am6eVNXnIwVvakZF+BVrOAdKiIiIiI61jz8EjvjOVGKi/FePCii843FB/FlzBGxZGbiOByEGaJ0d2F7/FrEknkZX8DheFHUssfxflwmou3Nx3/ge6K9nYnNcDbmiGhfs3EYTsZsEbEsbsYe+Avmi3r3Gs7GPhilbfVCFxER0Sjm42lchlYLVPApDPCmjfApdLHAPFyAqRaiIiIiooO1oreB9jRMFO1+7IirRCNrxqfxBczXPlpELL35+DXegyEiFm0wtsAFIt70Cr6MT2CKiIUbgm1xsagXs3EkvoxXRLSN4RiEP4uOMhlfx3twvYj2cSs2x19ExPKagsNwAJ4U9epJvB9fxwxtb0sREdFIVsBrOB1zvakrTkZXVPFjrORNzbgAr2EF76IiIiIiovO8gEPxGbwqGs3NGIRLta9ZmCpi2YzFPjgMzSLebhw+gQ9jooh3dx22wG9EvN1snIB98ISoR7/G7nhMxPI5CzvgUdEZxuIgbI1bRbSdb+PjGC8i2tLNGITf4FVRT76Fgfin9rEyVlSWCZgjIqLxPYPL0GqBCj6FTfF+HICKBebhAky1CBURERGdoBW9DbSnYSL+//6EgbhVNIIp+E98FBNE1Ie/YHNcLILX8Btsi+tELN6LOBZ7YqQIrsR6OE/UuwcxED/DfBFLZxL2xzfwquhsI/ERbI1bRSy7f2JbnI5XRER7eBnHYkfcJWrd9dgUZ2Ku9rMeVlSWGWgVEdH4XsV/Y4o3VfE/OAVdvelp/BrzLEJFRERERG14HB/D8Zgr6tXN2A6/E1F/mvEF7IB/iVL9CzviWLwoYunchUE4ETNEiZ7EB3E4XhSNYh6+g53wmIgl83/YHLeIWjMSH8HWuFXEkpuBr+ODGCYiOsIw7IlP4WlRa57AgTgYT2l/W6O7iIhoVM34NV61QBccifejiwVexWmYYjEqIiIiOkkrehtoT8NE/L9exfnYGleKejIRh+CjmKBjTcNjItrOQ9gFh6FZlGI0PoRd8LCIZdeKc/D/aw8+oDYhCANdP/M59BIggBGQIh2ki0hHFJRATpCwEFlNFKNLXHclMZusd2NDcy9BbiwnLq4aMGYpooBuzIqKGkdAQJGRrnQiVaUMMwzMzD9zr4f1INUpf//e59kB/1OGxVz8FXbEN2W6+gF2xXvwqOTZzcY+eBvmyGR2HQ7DVvgk5kme21nYBh/F45KMt3OwJd6OB2WiPYI/w674ChYbH2tjpuFyLeZLkuEwgk/iF57b7TgLi/0GA0mSJJPPzTgWh+AOmcwW4L/jpTjPxFiARySj7wt4Md6Je2W6uh9vw7a4SDJ67sIbsRe+I9PZaXghTsEime4W4EPYCRdInvQg3o6X4XsyldyCP8V2+K+4V/Kkq7EX/j3uk2SinYZN8R7MkfE2B+/HRvgoHjO+9sFahsvDGJEkw+MXOA0LPdNCnIIFlsJAkiQTaATr2tkBrpI8i4uwA96Nx2SyuQi74D/iQcn0NB8fxzY4RaaTx/FevBCfxhLJ2LgCB+G1uF2mky9gc7wdj8qwuRVH4SBcIcPudOyA0zAiU9VP8bfYHEfhRzLM7sfrsAuukGQymYsPYWO8B3NkrM3B+7ExPoC5JsaOeIHhMgcjkmR4jOCT+IVnuh1nYbGlMJAkSTK5PYqTsTk+L5PBT3AkDsGNJt4CPCIZW4/gr7ABTsNimaoewEnYDB+UjJ+vYQv8AW6VqewL2BzH4A4Zdt/BXjgMt8qwOR0vwltwr0wXj+MC7Ird8Fk8IsPibrwDm+NLkkxmc/EhbIITcYeMtjl4PzbGBzDXxFrP8LkW8yXJcPkF/hYLPWkhTsHjltJAkiQTbATr2dUBrpI8j/vwh9gGZ8tE+DGOwbb4ssnjQdwgGR8/x9uxJk7EfTJV3I+3YX28D/dJJsb52BJH41aZSr6AzXEM7pA81YXYEn+Eu2S6OwMvwltwr0xns/Fm/DbejB9gRKaju/EObIVPYL4kU8Uj+BhegqPwfVlR1+G/YhN8AHNNvG2wuiTJMBjBabjFk27HWRixlAaSJEmmlptwHLbB2TIeHsJfYhd8QZJfmo+PYWscj6tksroeb8DG+DSWSCaH87AljsD3ZbJ6CKdiIxyDOyTP75+wCQ7CFTLdnIEX4XjcK8NkIT6LPfFSvA93y3RwJY7C5vgE5ksyVS3GBXg5Xo7/gbmytBbiazgUu+Jv8YjJYx+sbfhcihFJMnwW4t34Fr6Ft+Mxy2AgSZJJYBHWs6sDXCVZSjfhOGyDs2Us3Ig34MX4MB6X5OkewRl4GfbDV2QyWIBz8DLsiDOxSDI5/Qtejt1wHpbIZHAD3oqN8F9wj2TZfAd7YSecJ1PZHXgn1sbxuFeG3Y04CRtjX3wcP5ep5gLsjT1xARZKMp18HydgHRyNb2KhPJuf4q+xBV6Lb2CRyefFWFmSZFgsxpfwKrwKF2GxZTCQJEkytd2E47AuPoj7ZEUswQ/wemyPMzHX5DaCuyQTazEuwe9hI5yEG2W83YwTsT5ejyslU8dsHI2N8F7cKePtMZyOl2IHfAbzJSvmWhyNF+LPcKdMBY/jW/hdbI6P4xHJM12Kd2ID7IuP4+cyWd2B/xsb4ihchiWSTGcjOA+vxvp4F67BYsPtIXwau2NT/A3uMrntg9UNl7swX5JkuQwkSTJJLMJ6dnWAqyTL4SG8F1vg9Zgly+JRnI39sSfOMbXcJZk87sH78FK8HJ/FQhkr9+OjeAW2xsfwiGTquhcfxJbYD1/AEhkrizALb8T6eAuuk4y++/FRbIbdcRoeksnmGvw5NsOr8FXJ0rsU78QG2B8n48cy0ebj89gXW+C/4WeSDKM5+DvsjPVxHM7HfMPhDnwCr8SGeBuuwhJTw+aGzxyMSJIsl5mSJEmml/k4B+dgUxyPE/BCeTa34lT8Ix6VZDSN4Pt4M07AYXgbDsJqsiIex7/gU/gOHpNMP4twCS7B6jgCf4ZXyGi4BmfhLNwpGV9X4e04Efvjbfg9rCYT4RacjbNxvWR0XIyL8W5shj/AYdgHq8tYexTfxqdwIRZIkqd6EGfjbKyMvXAwDsYrsLKpbwGuwAX4Gm7EiKlpG6xu+FyCuZIky2WmJEkmkUVYz64OcJVZdpOsoDvxfpyEnfFGvB4vMtxuxzk4F1dJMh4ex5fwJayGg3Esfhe/LUvjZ/gn/DO+j3mS4fEozsW52ARH4XAchJVlaSzC9/BpnI95kom3AN/EN7Ea9sDv40hsJWNlPn6Af8bncJ9kbN2Bv8PfecL+OAKvwi6YKaPhPlyCz+FCPC5Jls4CfBffxQewMl6BPbEfDsXqJr9f4Lu4ErNwGRaYHvbB2obPHIxIkiyXGUdYMg+rS5KJMYKz8EeS/2MmHjDbLLtJxsAAu+ANeD1eZDjcjnNwLq6SZLJYCTvjCLwOO2OG/NIILsOX8RXcIMnTrYlD8Hq8BmvLr7sRF+F/4V+xUDJ1bITX4pV4LdaXFXENvo5vYRbmSiaHNbEP9sK+2B+ry9JYjB/hfPwLrsEiSTI2NsDO2A17YD3sgzVNjB/hevwUl+By3IclpqdP4Xi8wHA5Hp/DiCTJMptxhCXzsLokmRgjOAt/JPk1M/GA2WbZTTLGtsAf4JXYB+uYHh7D5bgQ5+EmSaaCNbAfDsYh2BUzDIdH8ANcga/jcsyTZFlsh0NxMA7EOobLjfg6voXv4CHJ9LERDseeOADbynOZj8twGS7Fv2KuZGqYia1wEPbCbtgeK8vDuA4X4yJcjPmSZGKtil2wEvbCWtgQW2MVLMSLsBVW8vwew9WYh5VwN27GElyOufgJ7sYSw+UavNTwOQQXSZIslxlHWPINvAozJMn4G8FZ+CPJr5mJB8w2y26ScTQTL8WB2AOvxCamhsfwPXwL38T3sUiSqW4l7IYD8VLsh5eY+hbgelyFy/CvuAUjkoymHbA/9sKB2AIzTH1LcAdm4RLMxrV4VDI81sBO2B27YnfsiFUNl5/hctyKK/Ed3IklkuljJrbCwdgJv4MDsJ7paxFuxrdxBa7CDVggSTJstsZF2NTw2Q4/liRZLjOOsOQf8CYMJMn4m4eTcIrkaWbiAbPNsptkAq2FA7E5dsfu2B4rmzhz8F3chqtwGa6XZFisii2wC/bGRtge2+EFJpfHcCtuxHW4BVfgJxiRZLythh2xB16GjbE9Njc5zcNtuBb/hpvwTdyOxZI8m5dgO2yKHbEptsCWWN3UdA/uxM24G9fgStyORyXDa11sgV2wAV6OdbETNjA1PIjbcQ1uxvW4Aj/FEkmS8J/wN1jLcLkBh+AuSZLlMuMIS47GmVhZkoy/+/EHuFjyNDPxgNlm2U0yCa2DPbAW9sQMbIMNMRPb4LctuwW4CT/HPFyDh3AbfoLrsECSPLsXYiesiR2xKrbAFliEl2ATo+M+XIV1cAeuxmL8GPfjDvxUkqlgBrbETtgcG2BLbIJF2BYvNHqW4Me4E7+FH+MnWICbcTtuwlxJRtMAO2I9bIRtsAibYhu8APOwEzY2dhbjetyDNfAL3Ij5eBg3YiGux12SLK8d8Dv4LWyLmdgCL8FirI9tsYrRtwjX4CEsxtWYi9vxb7gXP8HjkiR5fmfjDw2fr+GN+JkkyXKZcYQlq+JH2EaSjL/v4CDJs5iJB8w2y26SaWIGXowdMAc/wc8lycSZgS2xJR73TAOM4Bb8VJIwA9thUzzuN1sZd+EGLJZkKlsb22FtLPL8VsHt+AmWSDJVrIttsQZGLJ1VcBNuwxJJkoyeVTEb2xo+n8Ff4GFJkuUy4whLBjgKZ2JlSTJ+7sWhuEbyHGbiAbPNspskSZIkSZIkSZIMhYNxJn7H8Dken8OIJMlyGWAxvoz/icWSZHzMw0dwjSRJkiRJkiRJkiR50muxnuF0LUYkSZbbwBMW4gR8Foslydh6DB/DKZIkSZIkSZIkSZLkqQ7HyobTg5IkK2TgSQvxVhyDn0uSsfFDHIr/JkmSJEmSJEmSJEme6mCsZzjdgPmSJCtk4KkW4zxsizfjy3hIkqyY+3EWjsQe+K4kSZIkSZIkSZIkeabXYj3D6RLMlSRZITM9uwfwWXxWkiRJkiRJkiRJkiTJ+DgcKxtOl2KuJMkKGUiSJEmSJEmSJEmSJJl4R2IDw+tajEiSrJCBJEmSJEmSJEmSJEmSiXcsNjCc5uLnkiQrbCBJkiRJkiRJkiRJkmRibY29Da9LMFeSZIUNJEmSJEmSJEmSJEmSTKxjsYHhdSnmSpKssIEkSZIkSZIkSZIkSZbd2lhJsuJWxRuwuuF1KeZLkqywgSRJkiRJkiRJkiRJls1x+AEOkKy4Y7Gh4TUXt0iSjIqBJEmSJEmSJEmSJEmW3ovxHmyNL2JfyYo5AesaXpdgriTJqBhIkiRJkiRJkiRJkmTpnYHtPGEdfAX7SpbPH2Nbw+1SzJUkGRUDSZIkSZIkSZIkSZIsnfdhP0+1Dr6NN0iW3QlY13C7FPMlSUbFQJIkSZIkSZIkSZIkv9lr8Das4plWwj/hTZKl98fY1nCbh1skSUbNQJIkSZIkSZIkSZIkz++38F5s5Pmdgf+MmZLntyrejXUNt6/iYUmSUTOQJEmSJEmSJEmSJMnz+wj2sXQ+hg9jTclzOwlbyKWYK0kyagaSJEmSJEmSJEmSJHlux+NIy+ZEnIENJc+0NY7ByvIVLJAkGTUDSZIkSZIkSZIkSZI8ux3wbqxr2R2NC7CT5Kn+HpvJ5ZgrSTKqBpIkSZIkSZIkSZIkeXYfxVaW3z6YhX0lT/hP2Ft+6UI8JEkyqgaSJEmSJEmSJEmSJHmmU3GwFbcOLsabZNhtjXdhLfmlr2K+JMmoGkiSJEmSJEmSJEmS5KmOxhvxAqPnDHwEa8qw+ntsJr90Oe6UJBl1A0mSJEmSJEmSJEmSPGltvAcbGn0n4mvYSYbNKThIfuVCPCRJMuoGkiRJkiRJkiRJkiR50unY2djZB9/GMZghw+CP8SdYWX7lq5gvSTLqBpIkSZIkSZIkSZIkecKJeI2x99v4PE7GWjKd7YEPYV35lctxpyTJmBhIkiRJkiRJkiRJkoRX4ESsafz8JS7BbjId/Q4+g03k112IhyRJxsRAkiRJkiRJkiRJkmTYzcD/g82Mv53wPZyAlWQ6uQC7ytOdifmSJGNiIEmSJEmSJEmSJEky7P4HDjJxVsFp+DK2k+ngXLxCnu4beFiSZMwMJEmSJEmSJEmSJEmG2dH4fZPDYZiNE7CSTFXn4t/Js/kU7pckGTMDSZIkSZIkSZIkSZJhtQlOwoYmj1VwGr6M7WSqORf/Tp7NPPxQkmRMDSRJkiRJkiRJkiRJhtXp2N7kdBh+iL/EajLZrYHzcbQ8l0/hfkmSMTWQJEmSJEmSJEmSJBlG78UBJrfV8Le4Hq+SyeqFmIXXYYY8l7MwV5JkTA0kSZIkSZIkSZIkSYbNoXgbVjE1bI6LcA62lMlkD3wLu8vz+QbulCQZcwNJkiRJkiRJkiRJkmHyW3gvNjb1HIubcRrWlYn2RnwdO8hv8mHcL0ky5gaSJEmSJEmSJEmSJMPkI9jX1HYC/g1/g7VlInwaZ2A9+U1uxA2SJONiIEmSJEmSJEmSJEkyLI7HkaaHNfB/4W58EGvJeNgD1+FP8AJZGqfiHkmScTGQJEmSJEmSJEmSJBkGO+DdWNf0sgb+Gvfgg1hLxsqpuAQ7yNKah29jRJJkXAwkSZIkSZIkSZIkSYbBR7GV6WsN/DXuwUnYREbLkbgZ78IqsixOxT2SJONmIEmSJEmSJEmSJEky3Z2Kgw2HNfAe3IEL8HLMkOWxHb6C87ClLKt5+BzmS5KMm4EkSZIkSZIkSZIkyXR2KP4QLzBcBjgSl+MKnIA1ZWlsj7PwIxyOgSyPU3GPJMm4GkiSJEmSJEmSJEmSTFdr48PY2HB7GU7Dv+HzOAQrydNtj7MwG6/HyrK85uFzmC9JMq4GkiRJkiRJkiRJkiTT1enYWX5lHRyDr+M2nIJdMDC8VsZrcDmux+uxsqyoU3GPJMm4G0iSJEmSJEmSJEmSTEf/Ga+R57Ix/gtm4zaciUOxkuGwN/5f3IoL8XIZLfPwOcyXJBl3MyVJkiRJkiRJkiRJppvt8Q6sKUtjUxyH47AI38DX8C1cjxHTw944GsdgExkrp+IeSZIJMVOSJEmSJEmSJEmSZDqZgU9ga1keM3EYDvOEB/BdXIlZuAyPmxq2wIF4JV6NjWSs3YjPYL4kyYSYKUmSJEmSJEmSJEkynZyGV8poWQ+/j9/3pB/hRlyHK3ELbsVCE2dD7IxdcCD2wgaYIePpVNwjSTJhZkqSJEmSJEmSJEmSTBdH4XUy1nbBLp7ph3gUV2AubsJdeAFuwN1YYvlsjY2wCHtjNeyJjbAjVpWJdjn+N0YkSSbMTEmSJEmSJEmSJEmS6WBjfBAbykTZ3RP2s3Ruxt1YjBmesASrYWesJlPJe3CPJMmEmilJkiRJkiRJkiRJMh18FDvIVLIVtpLp4HRcIUky4QaSJEmSJEmSJEmSJFPdX+MISSbCXPw9HpYkmXADSZIkSZIkSZIkSZKp7NU4AatKMhFOxNWSJJPCQJIkSZIkSZIkSZJkqlob78PGkkyEy/G/MSJJMikMJEmSJEmSJEmSJEmmqlOwnyQT5R24R5Jk0hhIkiRJkiRJkiRJkkxVK0kyUf4cV0uSTCoDSZIkSZIkSZIkSZKp6i34oiTj7XKcgwWSJJPKQJIkSZIkSZIkSZJkKnsLLpZkPL0D90iSTDoDSZIkSZIkSZIkSZKpbA4Ox8WSjIe34ipJkklpIEmSJEmSJEmSJEky1c3B4bhYkrF0Pi7AiCTJpDSQJEmSJEmSJEmSJJkO5uBwXCzJWLgX78IvJEkmrYEkSZIkSZIkSZIkyXQxB4fjYklG2xtxuyTJpDaQJEmSJEmSJEmSJJlO5uBwXCzJaPkLzJIkmfQGkiRJkiRJkiRJkiTTzRwcjkskWVFn4B+wQJJk0htIkiRJkiRJkiRJkkxHc3A4LpFkeV2Ed+MhSZIpYSBJkiRJkiRJkiRJMl09jP1whiTL6h78Be6TJJkyBpIkSZIkSZIkSZIk093xOEOSZXEkfiRJMqUMJEmSJEmSJEmSJEmGwfH4M8yV5Dc5GldIkkw5A0mSJEmSJEmSJEmSYfFRvBn3S/JcjsV5kiRT0kCSJEmSJEmSJEmSZJh8EUfiGkme7iT8syTJlDWQJEmSJEmSJEmSJBk238OB+Kokv3ISTsZ8SZIpayBJkiRJkiRJkiRJMowexO/iY1gkGW4n4WTMlySZ0gaSJEmSJEmSJEmSJMPsRPwHPCgZTifhZMyXJJnyBpIkSZIkSZIkSZIkw+507I+rJMPlJJyM+ZIk08JAkiRJkiRJkiRJkiRch73x37FQMv2dhJMxX5Jk2hhIkiRJkiRJkiRJkuQJj+M/4jjcL5m+TsLJmC9JMq0MJEmSJEmSJEmSJEnyVF/EdviqZPo5Gu/DfEmSaWcgSZIkSZIkSZIkSZJnehC/i/+AByRT3yM4EudLkkxbA0mSJEmSJEmSJEmSPLdPYXd8UzJ13YP98WUskSSZtgaSJEmSJEmSJEmSJHl+d+DV+FM8IJlaLsKB+JEkybQ3kCRJkiRJkiRJkiTJ0vkktsW5WCKZ/D6Oo3CTJMlQGEiSJEmSJEmSJEmSZOn9HMficPxYMnn9Cd6FRyRJhsZAkiRJkiRJkiRJkiTL7qvYDn+FRySTx4+xM/4BiyRJhspAkiRJkiRJkiRJkiTL7xRsic9ggWRi/SP2xjWSJENpIEmSJEmSJEmSJEmSFfMzvBV7YpZk/M3FUXgzHpQkGVoDSZIkSZIkSZIkSZKMjqtxIPbFtZLxcT52xQVYIkky1AaSJEmSJEmSJEmSJBldl2InvAG3SMbGI3gTjsUtkiT5/w0kSZIkSZIkSZIkSTI2zsRWeANukYyef8Rm+EcskiTJ/zGQJEmSJEmSJEmSJMnYOhNb4Q24RbL8bsR+eBMelCTJ0wwkSZIkSZIkSZIkSTI+zsRW2B/fkyy9h/FO7IZLJEnyHAaSJEmSJEmSJEmSJBlfF2MfHIwv4DHJsxvBR7ApPo7HJEnyPAaSJEmSJEmSJEmSJJkY38Yx2BIfwBzJE0bwGWyFP8ccSZIshYEkSZIkSZIkSZIkSSbW3Xg/1sXr8H0ZViM4HVvhrbhdkiTLYCBJkiRJkiRJkiRJkslhMb6El2MvnIKHZBiM4HRshbfgdkmSLIeBJEmSJEmSJEmSJEkmnyvwV9gAr8aFWCTTzcN4DzbFW3C7JElWwECSJEmSJEmSJEmSJJPXInwTh2F9/Al+iCUylV2HP8WL8CHcLUmSUTCQJEmSJEmSJEmSJMnU8DD+AXvgxfhLXI3FMhX8AmfjZdgJn8R8SZKMooEkSZIkSZIkSZIkSaaeu/Bh7IL18Ye4CAtlsvkajsdmOA5XYokkScbATEmSJEmSJEmSJEmSTG0P4vP4PGbiEByKo7CpTIRL8UV8AT+VJMk4mXGEJZIkmaxm4gGzzbKbJEmSJEmSJEmS5bApfg+H4BCsLmPhcVyOL+Nc/FSSJBNgpiRJkiRJkiRJkiRJpq878Ql8whNeilfhYOyFDTFDlsdt+C6+hK/iMUmSTLCZkiRJkiRJkiRJkiQZHtfiWnzME7bAbjgAe2IPrCLP5jZ8B9/GRbhbkiSTzExJkiRJkiRJkiRJkgyv23AbzvekXbEddsRu2AMvxAzD42e4GrMxC5fjfiyRJMkkNlOSJEmSJEmSJEmSJPl1szHbU62KHbAn1sPe2Ag7YDVT12O4DlfiNlyLH+A+LJEkyRQzU5IkSZIkSZIkSZIk+U0eww/xQ8+0KnbBStgLa2JrbIxF2AtrmRj342YswWWYj8sxH5djriRJppGZkiRJkiRJkiRJkiTJingMl3vCxZ7f1tgIAyzBAuyNdTBi2c3EDbgbizETd+NmLJQkyZD5/wCH+IAIaCVEVwAAAABJRU5ErkJggg==';
@@ -28,12 +43,29 @@ var GENIUS_BAR_LOGO_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAWgAAABgCAYAAAAwwegMAAAMTG
 var ENRICHMENT_ENABLED = true;   // Master on/off switch for public API enrichment
 
 var PROP_SEC_PROXY_URL = 'SEC_PROXY_URL';     // Script property for SEC EDGAR proxy URL
+var SEC_HISTORY_YEARS  = 5;                   // Fiscal years of 10-K history requested from the SEC proxy
+var SEC_NAME_MATCH_THRESHOLD = 0.9;           // Min confidence to auto-accept an SEC company-name match
+var SEC_EVENT_MONTHS   = 12;                  // Months of 8-K filings shown under Recent Corporate Events
+var SEC_PEER_LIMIT     = 40;                  // Max SIC peers (closest by revenue) the SEC proxy benchmarks against (0 disables)
 var WIKI_API_URL     = 'https://en.wikipedia.org/api/rest_v1';
 var WIKIDATA_API_URL = 'https://www.wikidata.org/w/api.php';
 
 // ── Intelligence Cache ────────────────────────────────────────────────
 var PROP_CACHE_FOLDER  = 'INTELLIGENCE_CACHE_FOLDER_ID';
 var CACHE_STALE_DAYS   = 7;  // L1 research considered stale after this many days
+var CHECKPOINT_MAX_AGE_HOURS = 24;  // Resume an interrupted run from its checkpoint only within this window
+var REFRESH_GLEAN_MAX_AGE_DAYS = 30; // Incremental refresh re-gathers Glean research only after this many days
+var REFRESH_MAX_PER_RUN = 20;        // Stale accounts queued per scheduled refresh run
+var REFRESH_HOUR        = 5;         // Hour of day (script time zone) the nightly refresh runs
+var VERSION_MAX_PER_LAYER = 12;      // research/intelligence snapshots kept per company
+var VERSION_MAX_AGE_DAYS  = 400;     // Snapshots older than this are pruned (the latest is always kept)
+var SIMILAR_NARRATIVE_MAX_AGE_DAYS = 30;  // Cached Glean narratives for similar customers re-fetched after this
+
+// ── Account Health Monitoring ─────────────────────────────────────────
+var HEALTH_SWEEP_HOUR     = 6;        // Hour of day (script time zone) the daily health sweep starts
+var HEALTH_HISTORY_DAYS   = 180;      // Health time series kept per account
+var HEALTH_OWNER_EMAIL_COL = 'ACCOUNT_OWNER_EMAIL';  // Bookscrub column with the owner's email, when present
+var PROP_HEALTH_ALERT_CHANNEL = 'HEALTH_ALERT_CHANNEL_ID';  // Script property: Slack channel for health alerts
 
 // ── Helpers to read Script Properties ─────────────────────────────────
 
@@ -49,6 +81,11 @@ function getApiKey()       { return getConfig(PROP_API_KEY); }
 function getApiUser()      { return getConfig(PROP_API_USER); }
 function getOutputFolder() { return getConfig(PROP_OUTPUT_FOLDER); }
 
+/** Slides template ID, or '' to build decks on the default theme. */
+function getSlidesTemplateId() {
+  return PropertiesService.getScriptProperties().getProperty(PROP_SLIDES_TEMPLATE) || '';
+}
+
 // ── Column Groups ─────────────────────────────────────────────────────
 // Maps logical groups to the header names in the Book Scrub sheet.
 // DataExtractor uses these to pull only the columns we care about.
@@ -368,6 +368,13 @@ function updateCardPreview(companyName) {
     meta.cardPreview = preview;
     _writeJsonFile(folder, 'meta.json', meta);
 
+    // Keep the portfolio index row in step with the card
+    try {
+      updatePortfolioEntry(companyName, meta, intel, research);
+    } catch (e) {
+      Logger.log('[Dashboard] Portfolio index update failed (non-fatal): ' + e.message);
+    }
+
     // Invalidate CacheService so next landing page load picks up the new data
     try { CacheService.getScriptCache().remove('dashboard_accounts'); } catch (e) { /* non-fatal */ }
 
@@ -379,6 +386,8 @@ function updateCardPreview(companyName) {
 
 /**
  * Saves bet validation statuses into meta.json for the given company.
+ * The dashboard now edits full bet records (saveBetRecord in BetTracker.gs),
+ * which keep this map in step for the portfolio counts.
  * @param {string} companyName
  * @param {Object} statuses  e.g. { "0": "validated", "1": "rejected", "2": "needs_validation" }
  */
@@ -389,6 +398,7 @@ function saveBetStatuses(companyName, statuses) {
   var meta = _readJsonFile(folder, 'meta.json') || {};
   meta.betStatuses = statuses;
   _writeJsonFile(folder, 'meta.json', meta);
+  try { updatePortfolioBetStatuses(companyName, statuses); } catch (e) { /* non-fatal */ }
   Logger.log('[Dashboard] saveBetStatuses for "' + companyName + '": ' + JSON.stringify(statuses));
 }
 
@@ -404,6 +414,7 @@ function cleanupAndBackfill() {
 
   var cleanIndex = {};
 
+  deferPortfolioWrites();
   for (var i = 0; i < names.length; i++) {
     var name = names[i];
     try {
@@ -439,6 +450,8 @@ function cleanupAndBackfill() {
     }
   }
 
+  flushPortfolioWrites();
+
   // Rewrite _index.json with only L2 accounts
   var root = _getCacheRootFolder();
   var files = root.getFilesByName('_index.json');
@@ -541,8 +554,9 @@ function generateARDirect(companyName) {
  * @param {string} title
  * @param {string} url
  * @param {string} createdBy
+ * @param {string} [betId]  Big bet this deliverable supports (BetTracker.gs)
  */
-function logDeliverable(companyName, type, title, url, createdBy) {
+function logDeliverable(companyName, type, title, url, createdBy, betId) {
   var ss    = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID);
   var sheet = ss.getSheetByName('Deliverables');
   if (!sheet) {
@@ -557,10 +571,21 @@ function logDeliverable(companyName, type, title, url, createdBy) {
     if (String(data[i][0]).toLowerCase() === companyName.toLowerCase() &&
         String(data[i][1]) === type) {
       sheet.getRange(i + 1, 1, 1, 6).setValues([[companyName, type, title, url || '', new Date(), createdBy || '']]);
+      _linkDeliverableToBet(companyName, betId, type);
       return;
     }
   }
   sheet.appendRow([companyName, type, title, url || '', new Date(), createdBy || '']);
+  _linkDeliverableToBet(companyName, betId, type);
+}
+
+function _linkDeliverableToBet(companyName, betId, type) {
+  if (!betId) return;
+  try {
+    linkBetDeliverable(companyName, betId, type);
+  } catch (e) {
+    Logger.log('[Dashboard] Linking ' + type + ' to bet "' + betId + '" failed (non-fatal): ' + e.message);
+  }
 }
 
 // ── Get GVS web app URL ────────────────────────────────────────────────
@@ -646,29 +671,328 @@ function getRecentActivity(companyName) {
   }
 }
 
-// ── Similar Customers (live Glean call) ───────────────────────────────
+// ── Recent Corporate Events (SEC 8-K filings) ─────────────────────────
 
 /**
- * Returns similar Docusign customers via Glean agent Branch 6.
- * Searches for comparable customers in the same/adjacent industries.
- * No caching — always live.
+ * Returns recent 8-K filings for a company.
+ * Uses the events captured in research.json at enrichment time; when the
+ * cache has a CIK but no events (older runs), fetches them live from the
+ * SEC proxy's /events route.
+ * @param {string} companyName
+ * @returns {string} JSON string of { since, events: [...], summary }
+ */
+function getCorporateEvents(companyName) {
+  var empty = JSON.stringify({ since: null, events: [], summary: null });
+  if (!companyName) return empty;
+
+  try {
+    var cached = getResearchCache(companyName);
+    var enrichment = (cached && cached.research && cached.research.enrichment) || {};
+    if (enrichment.corporateEvents) {
+      Logger.log('[Dashboard] getCorporateEvents CACHE HIT for "' + companyName + '" — ' +
+        (enrichment.corporateEvents.events || []).length + ' filings');
+      return JSON.stringify(enrichment.corporateEvents);
+    }
+    if (enrichment.secCik) {
+      var live = fetchSecEvents(enrichment.secCik);
+      if (live) {
+        Logger.log('[Dashboard] getCorporateEvents LIVE for "' + companyName + '" — ' + live.events.length + ' filings');
+        return JSON.stringify(live);
+      }
+    }
+  } catch (e) {
+    Logger.log('[Dashboard] getCorporateEvents failed for "' + companyName + '": ' + e.message);
+  }
+  return empty;
+}
+
+// ── Peer Benchmark (SEC companies sharing the account's SIC code) ─────
+
+/**
+ * Returns the account's percentile standing against SIC peers.
+ * Uses the benchmark captured in research.json at enrichment time, falling
+ * back to a live /peers call when the cache has a CIK but no benchmark.
+ * @param {string} companyName
+ * @returns {string|null} JSON string of { sic, sicDescription, peerCount, metrics, headlines } or null
+ */
+function getPeerBenchmark(companyName) {
+  if (!companyName) return null;
+  try {
+    var cached = getResearchCache(companyName);
+    var enrichment = (cached && cached.research && cached.research.enrichment) || {};
+    if (enrichment.peerBenchmark) {
+      Logger.log('[Dashboard] getPeerBenchmark CACHE HIT for "' + companyName + '"');
+      return JSON.stringify(enrichment.peerBenchmark);
+    }
+    if (enrichment.secCik) {
+      var live = fetchSecPeerBenchmark(enrichment.secCik);
+      if (live) return JSON.stringify(live);
+    }
+  } catch (e) {
+    Logger.log('[Dashboard] getPeerBenchmark failed for "' + companyName + '": ' + e.message);
+  }
+  return null;
+}
+
+// ── Health Trends (daily health sweep time series) ────────────────────
+
+/**
+ * Returns an account's health indicator trends for sparklines, with the
+ * current assessment (label and detail) computed live from the bookscrub.
+ * @param {string} companyName
+ * @returns {string|null} JSON string of { lastScoredAt, status, days, rollup, indicators: [{ key, name, series, current }] } or null
+ */
+function getHealthTrends(companyName) {
+  if (!companyName) return null;
+  try {
+    var ts = getHealthTimeSeries(companyName);
+    if (!ts) {
+      Logger.log('[Dashboard] getHealthTrends: no health series for "' + companyName + '"');
+      return null;
+    }
+    var current = {};
+    try {
+      current = analyzeAccountHealth(getCompanyData(companyName));
+    } catch (e) {
+      Logger.log('[Dashboard] getHealthTrends live assessment failed (non-fatal): ' + e.message);
+    }
+    var indicators = HEALTH_INDICATOR_ORDER.filter(function(ind) {
+      return INDICATOR_TIERS[ind.key] !== 'excluded';
+    }).map(function(ind) {
+      return { key: ind.key, name: ind.name, series: ts.indicators[ind.key], current: current[ind.key] || null };
+    });
+    Logger.log('[Dashboard] getHealthTrends for "' + companyName + '": ' + ts.days.length + ' days');
+    return JSON.stringify({ lastScoredAt: ts.lastScoredAt, status: ts.status, days: ts.days, rollup: ts.rollup, indicators: indicators });
+  } catch (e) {
+    Logger.log('[Dashboard] getHealthTrends failed for "' + companyName + '": ' + e.message);
+    return null;
+  }
+}
+
+// ── What's Changed (intelligence version history) ─────────────────────
+
+// Financial fields compared between versions (enrichment.* from the SEC proxy)
+var DIFF_FINANCIAL_METRICS = [
+  { key: 'revenue',   label: 'Revenue',    dollars: true },
+  { key: 'netIncome', label: 'Net income', dollars: true },
+  { key: 'opex',      label: 'OpEx',       dollars: true },
+  { key: 'cogs',      label: 'COGS',       dollars: true },
+  { key: 'capex',     label: 'CapEx',      dollars: true },
+  { key: 'employees', label: 'Employees',  dollars: false }
+];
+
+/**
+ * Lists the intelligence snapshots kept for a company, newest first.
+ * @param {string} companyName
+ * @returns {string} JSON string of { versions: [{ id, at, pipeline, sizeBytes }] }
+ */
+function getIntelligenceVersions(companyName) {
+  if (!companyName) return JSON.stringify({ versions: [] });
+  try {
+    var versions = listCacheVersions(companyName, 'intelligence').map(function(v) {
+      return { id: v.id, at: v.at, pipeline: v.pipeline, sizeBytes: v.sizeBytes };
+    });
+    Logger.log('[Dashboard] getIntelligenceVersions for "' + companyName + '": ' + versions.length + ' versions');
+    return JSON.stringify({ versions: versions });
+  } catch (e) {
+    Logger.log('[Dashboard] getIntelligenceVersions failed for "' + companyName + '": ' + e.message);
+    return JSON.stringify({ versions: [] });
+  }
+}
+
+/**
+ * Compares two intelligence versions: big bets added/removed, health
+ * indicator transitions (analyzeAccountHealth over the research each
+ * version was built from) and financial deltas.
+ * Defaults to the previous version against the latest one.
+ * @param {string} companyName
+ * @param {string} [fromId]  Older version id
+ * @param {string} [toId]    Newer version id
+ * @returns {string} JSON string of { from, to, bigBets, health, financials, summary } or { error }
+ */
+function getIntelligenceDiff(companyName, fromId, toId) {
+  if (!companyName) return JSON.stringify({ error: 'No account selected' });
+  try {
+    var versions = listCacheVersions(companyName, 'intelligence');
+    if (versions.length < 2 && !(fromId && toId)) {
+      return JSON.stringify({ error: 'Only one version cached — changes appear after the next refresh', versionCount: versions.length });
+    }
+    var to = getCacheVersion(companyName, toId || versions[0].id);
+    var from = getCacheVersion(companyName, fromId || versions[1].id);
+    if (!to || !from) return JSON.stringify({ error: 'Version not found' });
+    if (new Date(from.version.at) > new Date(to.version.at)) { var swap = from; from = to; to = swap; }
+
+    var fromResearch = getCacheVersionAt(companyName, 'research', from.version.at);
+    var toResearch = getCacheVersionAt(companyName, 'research', to.version.at);
+    var fromL1 = fromResearch ? fromResearch.data : {};
+    var toL1 = toResearch ? toResearch.data : {};
+
+    var diff = {
+      from: { id: from.version.id, at: from.version.at, pipeline: from.version.pipeline },
+      to: { id: to.version.id, at: to.version.at, pipeline: to.version.pipeline },
+      bigBets: _diffBigBets(from.data, to.data),
+      health: _diffHealth(fromL1.data, toL1.data),
+      financials: _diffFinancials(fromL1.enrichment, toL1.enrichment)
+    };
+    diff.summary = {
+      betsAdded: diff.bigBets.added.length,
+      betsRemoved: diff.bigBets.removed.length,
+      healthImproved: diff.health.filter(function(h) { return h.direction === 'improved'; }).length,
+      healthWorsened: diff.health.filter(function(h) { return h.direction === 'worsened'; }).length,
+      financialChanges: diff.financials.length
+    };
+    Logger.log('[Dashboard] getIntelligenceDiff for "' + companyName + '": ' + from.version.id + ' → ' + to.version.id +
+      ' (' + JSON.stringify(diff.summary) + ')');
+    return JSON.stringify(diff);
+  } catch (e) {
+    Logger.log('[Dashboard] getIntelligenceDiff failed for "' + companyName + '": ' + e.message);
+    return JSON.stringify({ error: e.message });
+  }
+}
+
+/**
+ * Big bets present in only one of two versions, matched by title.
+ * @param {Object} fromIntel  Older intelligence version
+ * @param {Object} toIntel    Newer intelligence version
+ * @returns {{ added: Array, removed: Array, unchanged: number }}
+ */
+function _diffBigBets(fromIntel, toIntel) {
+  var summarize = function(bet) {
+    return {
+      title: bet.title || bet.name || bet.opportunity || '',
+      score: bet.score || bet.alignmentScore || null,
+      estimatedValue: bet.estimatedValue || bet.value || null
+    };
+  };
+  var keyOf = function(bet) {
+    return String(bet.title || bet.name || bet.opportunity || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  };
+  var fromKeys = {};
+  var toKeys = {};
+  getBigBetList(fromIntel).forEach(function(b) { fromKeys[keyOf(b)] = b; });
+  getBigBetList(toIntel).forEach(function(b) { toKeys[keyOf(b)] = b; });
+
+  var added = [], removed = [], unchanged = 0;
+  Object.keys(toKeys).forEach(function(k) {
+    if (fromKeys[k]) unchanged++;
+    else added.push(summarize(toKeys[k]));
+  });
+  Object.keys(fromKeys).forEach(function(k) {
+    if (!toKeys[k]) removed.push(summarize(fromKeys[k]));
+  });
+  return { added: added, removed: removed, unchanged: unchanged };
+}
+
+/**
+ * Health indicators whose status changed between two bookscrub snapshots.
+ * @param {Object} fromData  research.data of the older version
+ * @param {Object} toData    research.data of the newer version
+ * @returns {Array<{ indicator, name, from, to, fromLabel, toLabel, direction }>}
+ */
+function _diffHealth(fromData, toData) {
+  var assess = function(data) {
+    if (!data || !data.contract || !data.consumption) return null;
+    try { return analyzeAccountHealth(data); } catch (e) { return null; }
+  };
+  var before = assess(fromData);
+  var after = assess(toData);
+  if (!before || !after) return [];
+
+  var rank = { red: 0, yellow: 1, green: 2 };
+  var changes = [];
+  HEALTH_INDICATOR_ORDER.forEach(function(ind) {
+    var a = before[ind.key];
+    var b = after[ind.key];
+    if (!a || !b || a.status === b.status) return;
+    var direction = 'changed';
+    if (rank[a.status] != null && rank[b.status] != null) {
+      direction = rank[b.status] > rank[a.status] ? 'improved' : 'worsened';
+    }
+    changes.push({
+      indicator: ind.key,
+      name: ind.name,
+      from: a.status,
+      to: b.status,
+      fromLabel: a.label,
+      toLabel: b.label,
+      direction: direction
+    });
+  });
+  return changes;
+}
+
+/**
+ * Financial metrics that changed between two enrichment snapshots.
+ * @param {Object} fromEnrichment
+ * @param {Object} toEnrichment
+ * @returns {Array<{ metric, label, from, to, delta, deltaPct, fromFormatted, toFormatted, filingPeriod }>}
+ */
+function _diffFinancials(fromEnrichment, toEnrichment) {
+  var a = fromEnrichment || {};
+  var b = toEnrichment || {};
+  var changes = [];
+  DIFF_FINANCIAL_METRICS.forEach(function(m) {
+    var before = typeof a[m.key] === 'number' ? a[m.key] : null;
+    var after = typeof b[m.key] === 'number' ? b[m.key] : null;
+    if (before === after || (before === null && after === null)) return;
+    var format = m.dollars ? formatDollars : formatNumber;
+    var delta = before !== null && after !== null ? after - before : null;
+    changes.push({
+      metric: m.key,
+      label: m.label,
+      from: before,
+      to: after,
+      delta: delta,
+      deltaPct: delta !== null && before !== 0 ? Math.round((delta / Math.abs(before)) * 1000) / 10 : null,
+      fromFormatted: before !== null ? format(before) : null,
+      toFormatted: after !== null ? format(after) : null,
+      filingPeriod: b.filingPeriod || a.filingPeriod || null
+    });
+  });
+  return changes;
+}
+
+// ── Similar Customers (local match + Glean narrative) ──────────────────
+
+/**
+ * Returns similar Docusign customers for a company.
+ *
+ * The customers themselves come from findSimilarCustomers() — a
+ * deterministic feature match over cached accounts (SimilarCustomers.gs) —
+ * so the list is recomputed on every call and works when Glean is down.
+ * Glean (agent Branch 6) is only asked for narrative about those customers:
+ * use cases, personas, benefits, collateral and a conversation starter.
+ * Narratives are cached per customer in similar-customers.json, each with
+ * its own generatedAt, and re-fetched once older than
+ * SIMILAR_NARRATIVE_MAX_AGE_DAYS; forceRefresh re-fetches them all.
  * @param {string} companyName
- * @returns {string} JSON string of { similarCustomers: [...] }
+ * @param {boolean} [forceRefresh]
+ * @returns {string} JSON string of { similarCustomers: [...], generatedAt }
  */
 function getSimilarCustomers(companyName, forceRefresh) {
   if (!companyName) return JSON.stringify({ similarCustomers: [] });
 
-  // ── Check Drive cache first (skip if forceRefresh) ──
+  var items;
+  try {
+    items = findSimilarCustomers(companyName, SIMILAR_CUSTOMER_LIMIT);
+  } catch (e) {
+    Logger.log('[Dashboard] getSimilarCustomers matching failed for "' + companyName + '": ' + e.message);
+    return JSON.stringify({ similarCustomers: [] });
+  }
+  if (items.length === 0) return JSON.stringify({ similarCustomers: [], generatedAt: new Date().toISOString() });
+
+  // ── Narrative cache — keyed by similar customer name ──
+  var narratives = {};
   if (!forceRefresh) {
     try {
       var folder = _getCompanyFolder(companyName, false);
-      if (folder) {
-        var cached = _readJsonFile(folder, 'similar-customers.json');
-        if (cached && cached.similarCustomers) {
-          Logger.log('[Dashboard] getSimilarCustomers CACHE HIT for "' + companyName + '" — ' + cached.similarCustomers.length + ' customers');
-          return JSON.stringify(cached);
-        }
-      }
+      var cached = folder ? _readJsonFile(folder, 'similar-customers.json') : null;
+      var cutoff = Date.now() - SIMILAR_NARRATIVE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+      Object.keys((cached && cached.narratives) || {}).forEach(function(name) {
+        // Narratives cached before per-entry stamps take the file's generatedAt
+        var at = new Date(cached.narratives[name].generatedAt || cached.generatedAt || 0).getTime();
+        if (at >= cutoff) narratives[name] = cached.narratives[name];
+      });
     } catch (e) {
       Logger.log('[Dashboard] getSimilarCustomers cache read failed (non-fatal): ' + e.message);
     }
@@ -676,57 +1000,93 @@ function getSimilarCustomers(companyName, forceRefresh) {
     Logger.log('[Dashboard] getSimilarCustomers FORCE REFRESH for "' + companyName + '"');
   }
 
-  // ── Cache miss — call Glean ──
+  var missing = items.filter(function(c) { return !narratives[c.name]; });
+  if (missing.length > 0) {
+    try {
+      var fetched = _fetchSimilarCustomerNarratives(companyName, missing);
+      var fetchedAt = new Date().toISOString();
+      Object.keys(fetched).forEach(function(name) {
+        narratives[name] = fetched[name];
+        narratives[name].generatedAt = fetchedAt;
+      });
+      var writeFolder = _getCompanyFolder(companyName, true);
+      _writeJsonFile(writeFolder, 'similar-customers.json',
+        { narratives: narratives, generatedAt: new Date().toISOString() });
+      Logger.log('[Dashboard] getSimilarCustomers cached ' + Object.keys(fetched).length + ' narratives for "' + companyName + '"');
+    } catch (e) {
+      Logger.log('[Dashboard] getSimilarCustomers narrative fetch failed (non-fatal): ' + e.message);
+    }
+  } else {
+    Logger.log('[Dashboard] getSimilarCustomers narrative CACHE HIT for "' + companyName + '"');
+  }
+
+  items.forEach(function(c) {
+    var n = narratives[c.name];
+    if (!n) return;
+    ['useCases', 'personas', 'benefits', 'resources', 'sources', 'conversationStarter'].forEach(function(k) {
+      if (n[k]) c[k] = n[k];
+    });
+  });
+
+  Logger.log('[Dashboard] getSimilarCustomers for "' + companyName + '": ' + items.length + ' customers');
+  return JSON.stringify({ similarCustomers: items, generatedAt: new Date().toISOString() });
+}
+
+/**
+ * Asks Glean for narrative about already-chosen similar customers.
+ * @param {string} companyName
+ * @param {Object[]} customers  findSimilarCustomers() matches
+ * @returns {Object} customer name → { useCases, personas, benefits, resources, sources, conversationStarter }
+ */
+function _fetchSimilarCustomerNarratives(companyName, customers) {
   var industry = '';
   var products = '';
-  try {
-    var researchCache = getResearchCache(companyName);
-    if (researchCache && researchCache.research && researchCache.research.data) {
-      var d = researchCache.research.data;
-      if (d.context && d.context.industry) industry = d.context.industry;
-      if (d.activeProducts && d.activeProducts.length > 0) {
-        products = d.activeProducts.map(function(p) { return typeof p === 'string' ? p : (p.name || ''); }).join(', ');
-      }
-    }
-    if (!industry || !products) {
-      var data = getCompanyData(companyName);
-      if (data) {
-        if (!industry && data.context && data.context.industry) industry = data.context.industry;
-        if (!products && data.activeProducts && data.activeProducts.length > 0) {
-          products = data.activeProducts.map(function(p) { return typeof p === 'string' ? p : (p.name || ''); }).join(', ');
-        }
-      }
-    }
-  } catch (e) {
-    Logger.log('[Dashboard] getSimilarCustomers — context lookup failed (non-fatal): ' + e.message);
+  var researchCache = getResearchCache(companyName);
+  if (researchCache && researchCache.research && researchCache.research.data) {
+    var d = researchCache.research.data;
+    if (d.context && d.context.industry) industry = d.context.industry;
+    if (d.activeProducts && d.activeProducts.length > 0) products = d.activeProducts.join(', ');
   }
 
   var msg = 'STEP: similar-customers\n\nCOMPANY: ' + companyName +
     '\nINDUSTRY: ' + (industry || 'Unknown') +
-    '\nPRODUCTS: ' + (products || 'Unknown');
+    '\nPRODUCTS: ' + (products || 'Unknown') +
+    '\nCUSTOMERS: ' + customers.map(function(c) { return c.name; }).join('; ');
+
+  var responseText = _postToGleanStep('similar-customers', msg);
+  var parsed = _parseStepJson(responseText, 'similar-customers');
+  var described = _filterSimilarCustomerLinks(parsed.similarCustomers || []);
+
+  // Glean may drop a legal suffix or abbreviate — match exact names first,
+  // then a whole-word prefix ("Pfizer" ↔ "Pfizer Inc."), each description once
+  var byName = {};
+  var used = {};
+  [true, false].forEach(function(exact) {
+    customers.forEach(function(c) {
+      if (byName[c.name]) return;
+      var key = _similarNameKey(c.name);
+      for (var i = 0; i < described.length; i++) {
+        if (used[i]) continue;
+        var other = _similarNameKey(described[i].name);
+        if (other && key && (exact ? other === key : _isWordPrefix(other, key) || _isWordPrefix(key, other))) {
+          byName[c.name] = described[i];
+          used[i] = true;
+          break;
+        }
+      }
+    });
+  });
+  return byName;
+}
 
-  try {
-    var responseText = _postToGleanStep('similar-customers', msg);
-    var parsed = _parseStepJson(responseText, 'similar-customers');
-    var items = parsed.similarCustomers || [];
-    items = _filterSimilarCustomerLinks(items);
-    Logger.log('[Dashboard] getSimilarCustomers for "' + companyName + '": ' + items.length + ' customers');
-
-    // Write to Drive cache
-    var result = { similarCustomers: items, generatedAt: new Date().toISOString() };
-    try {
-      var writeFolder = _getCompanyFolder(companyName, true);
-      _writeJsonFile(writeFolder, 'similar-customers.json', result);
-      Logger.log('[Dashboard] getSimilarCustomers cached for "' + companyName + '"');
-    } catch (we) {
-      Logger.log('[Dashboard] getSimilarCustomers cache write failed (non-fatal): ' + we.message);
-    }
+function _similarNameKey(name) {
+  return cleanCompanyNameForSearch(String(name || '')).toLowerCase()
+    .replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
 
-    return JSON.stringify(result);
-  } catch (e) {
-    Logger.log('[Dashboard] getSimilarCustomers failed for "' + companyName + '": ' + e.message);
-    return JSON.stringify({ similarCustomers: [] });
-  }
+/** True when every word of `shorter` starts `longer`, e.g. "ge" of "ge healthcare". */
+function _isWordPrefix(shorter, longer) {
+  return longer.length > shorter.length && longer.indexOf(shorter + ' ') === 0;
 }
 
 // ── GVS Results Cache Reader ──────────────────────────────────────────
@@ -785,13 +1145,13 @@ function checkCachedAccounts(names) {
       var rowIdx = findCompanyRow(name, cache.headerIndex[COMPANY_NAME_COL],
         { nameMap: cache.nameMap, normalizedMap: cache.normalizedMap });
       if (rowIdx < 0) continue;
-      var sheetRow = rowIdx + 2; // 0-based data row → 1-based sheet row
+      var row = _readRow(cache, rowIdx);
       var sfdcUrl = '';
       if (urlCol !== undefined) {
-        sfdcUrl = String(cache.sheet.getRange(sheetRow, urlCol + 1).getValue()).trim();
+        sfdcUrl = String(row[urlCol]).trim();
       }
       if (!sfdcUrl && sfidCol !== undefined) {
-        var sfid = String(cache.sheet.getRange(sheetRow, sfidCol + 1).getValue()).trim();
+        var sfid = String(row[sfidCol]).trim();
         if (sfid) sfdcUrl = 'https://docusign.lightning.force.com/lightning/r/Account/' + sfid + '/view';
       }
       if (!result[name]) result[name] = { cached: false, sfdcUrl: '' };
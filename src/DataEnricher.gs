@@ -3,18 +3,60 @@
  * to anchor LLM research with consistent, authoritative facts.
  *
  * APIs used:
- *   - SEC EDGAR (via Cloudflare Worker proxy) — financials from 10-K XBRL
+ *   - SEC EDGAR (via Cloudflare Worker proxy) — financials from 10-K XBRL;
+ *                                               also resolves company name → CIK
  *   - Wikipedia                               — stable company overview text
  *   - Wikidata                                — CEO, headquarters, founding date, ticker, CIK
  *
  * All functions degrade gracefully: if an API is unreachable or the company
  * is not found, the corresponding fields are simply omitted.
+ *
+ * Every request goes through enrichmentFetch(), which follows the LLM mode
+ * (see LLMProvider.gs): record saves each response, stub replays them and
+ * makes no network calls.
  */
 
 // ═══════════════════════════════════════════════════════════════════════
 // HTTP Helpers
 // ═══════════════════════════════════════════════════════════════════════
 
+/**
+ * Recording key for an enrichment request (see LLMProvider.gs recordings).
+ * @param {string} url
+ * @param {Object} [options]  method / payload as passed to enrichmentFetch()
+ * @returns {string}
+ */
+function enrichmentRecordingKey(url, options) {
+  options = options || {};
+  return 'http-' + fingerprintValue({ url: url, method: options.method || 'get', payload: options.payload || null });
+}
+
+/**
+ * One enrichment HTTP request under the current LLM mode. In stub mode a
+ * request without a recording answers 404, which callers already treat as
+ * "not found". Throws on transport errors like UrlFetchApp.fetch.
+ * @param {string} url
+ * @param {Object} [options]  UrlFetchApp options (method, contentType, payload)
+ * @returns {{ code: number, text: string }}
+ */
+function enrichmentFetch(url, options) {
+  var mode = getLLMMode();
+  var key = enrichmentRecordingKey(url, options);
+
+  if (mode === 'stub') {
+    var replay = findRecording(key);
+    Logger.log('[Enrich] STUB ' + (replay ? 'replay ' : 'no recording for ') + url);
+    return replay ? { code: replay.code, text: replay.body } : { code: 404, text: '{"error":"no recording"}' };
+  }
+
+  var request = { muteHttpExceptions: true, headers: { 'Accept': 'application/json' } };
+  Object.keys(options || {}).forEach(function(k) { request[k] = options[k]; });
+  var response = UrlFetchApp.fetch(url, request);
+  var result = { code: response.getResponseCode(), text: response.getContentText() };
+  if (mode === 'record') saveRecording(key, { provider: 'http', label: url }, result.code, result.text);
+  return result;
+}
+
 /**
  * Fetch JSON from a public API (Wikipedia, Wikidata, SEC proxy).
  * @param {string} url
@@ -22,16 +64,13 @@
  */
 function fetchPublicJson(url) {
   try {
-    Utilities.sleep(1000);
-    var response = UrlFetchApp.fetch(url, {
-      muteHttpExceptions: true,
-      headers: { 'Accept': 'application/json' }
-    });
-    if (response.getResponseCode() !== 200) {
-      Logger.log('[Enrich] HTTP ' + response.getResponseCode() + ' for ' + url);
+    if (getLLMMode() !== 'stub') Utilities.sleep(1000);
+    var response = enrichmentFetch(url);
+    if (response.code !== 200) {
+      Logger.log('[Enrich] HTTP ' + response.code + ' for ' + url);
       return null;
     }
-    return JSON.parse(response.getContentText());
+    return JSON.parse(response.text);
   } catch (e) {
     Logger.log('[Enrich] Fetch failed: ' + e.message);
     return null;
@@ -91,7 +130,7 @@ function getSecProxyUrl() {
  *
  * @param {string|null} cik     SEC CIK number (e.g., "0000072971")
  * @param {string|null} ticker  Stock ticker (e.g., "WFC")
- * @returns {Object}  { revenue, cogs, opex, capex, netIncome, employees, filingPeriod, secIndustry }
+ * @returns {Object}  { revenue, cogs, opex, capex, netIncome, employees, filingPeriod, secIndustry, ttm, history }
  */
 function fetchSecProxyFinancials(cik, ticker) {
   var proxyUrl = getSecProxyUrl();
@@ -108,6 +147,15 @@ function fetchSecProxyFinancials(cik, ticker) {
     Logger.log('[Enrich/SEC] No CIK or ticker available — cannot fetch SEC financials');
     return {};
   }
+  if (SEC_HISTORY_YEARS > 0) params.push('history=' + SEC_HISTORY_YEARS);
+
+  // Served from a batch pre-fetch earlier in this execution?
+  var prefetched = (cik && _secPrefetch['cik:' + _padSecCik(cik)]) ||
+                   (ticker && _secPrefetch['ticker:' + String(ticker).toUpperCase()]);
+  if (prefetched) {
+    Logger.log('[Enrich/SEC] Using pre-fetched batch result for ' + prefetched.entityName);
+    return _mapSecProxyResponse(prefetched);
+  }
 
   var url = proxyUrl + '?' + params.join('&');
   Logger.log('[Enrich/SEC] Fetching: ' + url);
@@ -118,6 +166,16 @@ function fetchSecProxyFinancials(cik, ticker) {
     return {};
   }
 
+  return _mapSecProxyResponse(data);
+}
+
+/**
+ * Map a proxy company response onto the flat financials object used by
+ * enrichCompanyData().
+ * @param {Object} data  Proxy response for one company
+ * @returns {Object}
+ */
+function _mapSecProxyResponse(data) {
   Logger.log('[Enrich/SEC] Response: ' + data.entityName + ' (' + data.filingPeriod + ')');
 
   var result = {};
@@ -131,17 +189,345 @@ function fetchSecProxyFinancials(cik, ticker) {
   if (fin.employees != null) result.employees = fin.employees;
   if (data.filingPeriod)     result.filingPeriod = data.filingPeriod;
   if (data.sicDescription)   result.secIndustry = data.sicDescription;
+  if (data.cik)              result.secCik = data.cik;
+  if (data.source)           result.secSource = data.source;
+  if (data.nameMatch) {
+    result.secNameMatch = { matchedName: data.nameMatch.matchedName, confidence: data.nameMatch.confidence };
+    Logger.log('[Enrich/SEC] Name matched "' + data.nameMatch.query + '" → ' + data.nameMatch.matchedName +
+      ' (confidence ' + data.nameMatch.confidence + ')');
+  }
 
-  // Segment revenue from 10-K XBRL instance
-  if (data.segments && data.segments.length > 0) {
-    result.segments = data.segments;
-    result.segmentType = data.segmentType || 'business';
-    Logger.log('[Enrich/SEC] Segment revenue: ' + data.segments.length + ' segments (' + result.segmentType + ')');
+  // Segment disclosures from 10-K XBRL instance, keyed by axis
+  // (business / geographic / product).  `segments` stays the flat
+  // name + revenue list for the primary axis, which the prompts and the
+  // BU revenue override consume; `segmentBreakdown` keeps every axis.
+  var breakdown = _mapSecSegments(data.segments, data.segmentType);
+  var primaryType = data.segmentType && breakdown[data.segmentType] ? data.segmentType
+    : SEC_SEGMENT_AXES.filter(function(axis) { return breakdown[axis]; })[0];
+  if (primaryType) {
+    result.segmentBreakdown = breakdown;
+    result.segmentType = primaryType;
+    result.segments = breakdown[primaryType].members
+      .filter(function(m) { return m.revenue != null; })
+      .map(function(m) { return { name: m.name, revenue: m.revenue }; });
+    Logger.log('[Enrich/SEC] Segments: ' + SEC_SEGMENT_AXES.filter(function(axis) { return breakdown[axis]; })
+      .map(function(axis) { return axis + '=' + breakdown[axis].members.length; }).join(', ') +
+      ' (primary ' + primaryType + ')');
+  }
+
+  // Trailing twelve months — only useful when a 10-Q is newer than the 10-K
+  var ttmPeriods = (data.ttm && data.ttm.periods) || {};
+  var hasFresherTtm = Object.keys(ttmPeriods).some(function(k) { return ttmPeriods[k].method === 'ytd'; });
+  if (hasFresherTtm) {
+    result.ttm = data.ttm;
+    Logger.log('[Enrich/SEC] TTM through ' + data.ttm.periodEnd);
+  }
+
+  // Multi-year 10-K history (oldest → newest) with YoY growth and margins
+  if (data.history && data.history.length > 0) {
+    result.history = data.history;
+    Logger.log('[Enrich/SEC] Financial history: FY' + data.history[0].fiscalYear +
+      '–FY' + data.history[data.history.length - 1].fiscalYear);
   }
 
   return result;
 }
 
+/**
+ * Record the SEC filings behind the enrichment fields: the 10-K for annual
+ * figures, companyfacts for 10-Q TTM, the 8-K list and the SIC peer set.
+ * @param {Object} enrichment
+ * @param {Object} [secSource]  Proxy `source` block — { companyfactsUrl, annualFiling, retrievedAt }
+ */
+function _addSecSources(enrichment, secSource) {
+  var src = secSource || {};
+  var filing = src.annualFiling || {};
+  var cik = enrichment.secCik ? String(enrichment.secCik).replace(/^0+/, '') : null;
+  var browse = cik ? 'https://www.sec.gov/cgi-bin/browse-edgar?action=getcompany&CIK=' + cik : null;
+
+  addEnrichmentSource(enrichment, makeSource('sec-10k', 'sec',
+    'SEC EDGAR ' + (filing.form || '10-K') + (enrichment.filingPeriod ? ' FY ' + enrichment.filingPeriod : '') +
+      (filing.filingDate ? ' (filed ' + filing.filingDate + ')' : ''),
+    filing.documentUrl || filing.filingIndexUrl || src.companyfactsUrl || (browse && browse + '&type=10-K'), src.retrievedAt),
+    ['revenue', 'cogs', 'opex', 'capex', 'netIncome', 'employees', 'filingPeriod', 'segments', 'segmentBreakdown', 'financialHistory']);
+  addEnrichmentSource(enrichment, makeSource('sec-10q', 'sec',
+    'SEC EDGAR XBRL company facts' + (enrichment.ttm ? ' (10-Q through ' + enrichment.ttm.periodEnd + ')' : ''),
+    src.companyfactsUrl || (browse && browse + '&type=10-Q'), src.retrievedAt), ['ttm']);
+  addEnrichmentSource(enrichment, makeSource('sec-8k', 'sec',
+    'SEC EDGAR 8-K filings' + (enrichment.corporateEvents ? ' since ' + enrichment.corporateEvents.since : ''),
+    browse && browse + '&type=8-K'), ['corporateEvents']);
+  var bench = enrichment.peerBenchmark;
+  addEnrichmentSource(enrichment, makeSource('sec-peers', 'sec',
+    'SEC EDGAR SIC ' + (bench ? bench.sic + ' peer filers' : 'peers'),
+    bench ? 'https://www.sec.gov/cgi-bin/browse-edgar?action=getcompany&SIC=' + bench.sic : null), ['peerBenchmark']);
+}
+
+/**
+ * Fetch the last SEC_EVENT_MONTHS of 8-K filings (leadership changes,
+ * acquisitions, material agreements, ...) from the proxy's /events route.
+ *
+ * @param {string} cik  SEC CIK (padded or not)
+ * @returns {Object|null}  { since, events: [...], summary } or null if unavailable
+ */
+function fetchSecEvents(cik) {
+  var proxyUrl = getSecProxyUrl();
+  if (!proxyUrl || !cik) return null;
+
+  var url = proxyUrl + '/events?cik=' + encodeURIComponent(cik) + '&months=' + SEC_EVENT_MONTHS;
+  Logger.log('[Enrich/SEC] Fetching events: ' + url);
+
+  var data = fetchPublicJson(url);
+  if (!data || data.error) {
+    Logger.log('[Enrich/SEC] Events error: ' + (data ? data.error : 'null response'));
+    return null;
+  }
+
+  Logger.log('[Enrich/SEC] Events since ' + data.since + ': ' + (data.summary ? data.summary.total : 0) +
+    ' filings (' + (data.summary ? data.summary.material : 0) + ' material)');
+  return { since: data.since, events: data.events || [], summary: data.summary || null };
+}
+
+/** Peer benchmark metrics, in display order, with the phrase used in headlines. */
+var PEER_BENCHMARK_METRICS = [
+  { key: 'revenue',            label: 'Revenue',              phrase: 'revenue' },
+  { key: 'netMargin',          label: 'Net margin',           phrase: 'net margin' },
+  { key: 'opexIntensity',      label: 'OpEx / revenue',       phrase: 'opex efficiency' },
+  { key: 'revenuePerEmployee', label: 'Revenue per employee', phrase: 'revenue per employee' }
+];
+
+var PEER_QUARTILE_LABELS = { 1: 'Top quartile', 2: 'Second quartile', 3: 'Third quartile', 4: 'Bottom quartile' };
+
+/**
+ * Fetch percentile ranks against companies sharing the account's SIC code
+ * from the proxy's /peers route. The proxy ranks against the peers closest
+ * in revenue and fetches only a few uncached peers per call, so the first
+ * calls for a SIC code can come back partial (bench.partial); later
+ * enrichments see the fuller set.
+ *
+ * @param {string} cik  SEC CIK (padded or not)
+ * @returns {Object|null}  { sic, sicDescription, peerCount, partial, metrics, peers, headlines } or null
+ */
+function fetchSecPeerBenchmark(cik) {
+  var proxyUrl = getSecProxyUrl();
+  if (!proxyUrl || !cik || !(SEC_PEER_LIMIT > 0)) return null;
+
+  var url = proxyUrl + '/peers?cik=' + encodeURIComponent(cik) + '&limit=' + SEC_PEER_LIMIT;
+  Logger.log('[Enrich/SEC] Fetching peer benchmark: ' + url);
+
+  var data = fetchPublicJson(url);
+  if (!data || data.error) {
+    Logger.log('[Enrich/SEC] Peer benchmark error: ' + (data ? data.error : 'null response'));
+    return null;
+  }
+  if (!data.peerCount) {
+    Logger.log('[Enrich/SEC] No current peers for SIC ' + data.sic);
+    return null;
+  }
+
+  var bench = {
+    sic: data.sic,
+    sicDescription: data.sicDescription || null,
+    filingPeriod: data.filingPeriod || null,
+    peerCount: data.peerCount,
+    partial: !!data.partial,
+    metrics: data.metrics || {},
+    peers: data.peers || []
+  };
+  bench.headlines = describePeerBenchmark(bench);
+  Logger.log('[Enrich/SEC] Peer benchmark vs ' + bench.peerCount + ' SIC ' + bench.sic + ' peers' +
+    (bench.partial ? ' (partial — ' + data.pendingPeers + ' peers still warming in the proxy cache)' : '') +
+    ': ' + bench.headlines.join('; '));
+  return bench;
+}
+
+/**
+ * Plain-English standing per metric, e.g.
+ * "Top quartile on opex efficiency among 40 SIC 6022 (state commercial banks) peers".
+ * @param {Object} bench  Peer benchmark from fetchSecPeerBenchmark()
+ * @returns {string[]}  Strongest standings first
+ */
+function describePeerBenchmark(bench) {
+  if (!bench || !bench.metrics) return [];
+  var group = 'SIC ' + bench.sic + (bench.sicDescription ? ' (' + bench.sicDescription.toLowerCase() + ')' : '') + ' peers';
+
+  return PEER_BENCHMARK_METRICS
+    .filter(function(def) { var m = bench.metrics[def.key]; return m && m.quartile; })
+    .sort(function(a, b) { return bench.metrics[a.key].quartile - bench.metrics[b.key].quartile; })
+    .map(function(def) {
+      var m = bench.metrics[def.key];
+      return PEER_QUARTILE_LABELS[m.quartile] + ' on ' + def.phrase + ' among ' + m.peerCount + ' ' + group;
+    });
+}
+
+/** Segment axes reported by the proxy, in display / preference order. */
+var SEC_SEGMENT_AXES = ['business', 'geographic', 'product'];
+
+/**
+ * Normalize the proxy's `segments` field into { axis: { periodEnd, members, quality } }.
+ * Older proxy deployments return a flat [{name, revenue}] array plus
+ * `segmentType`; that is mapped onto the matching axis.
+ * @param {Object|Array} segments  Proxy `segments` field
+ * @param {string} [legacyType]    Proxy `segmentType` (legacy array only)
+ * @returns {Object}  Only axes with at least one member
+ */
+function _mapSecSegments(segments, legacyType) {
+  var breakdown = {};
+  if (!segments) return breakdown;
+
+  if (Array.isArray(segments)) {
+    if (segments.length > 0) {
+      breakdown[legacyType || 'business'] = {
+        periodEnd: null,
+        quality: null,
+        members: segments.map(function(seg) {
+          return { name: seg.name, revenue: seg.revenue, operatingIncome: null, assets: null };
+        })
+      };
+    }
+    return breakdown;
+  }
+
+  SEC_SEGMENT_AXES.forEach(function(axis) {
+    var block = segments[axis];
+    if (block && block.members && block.members.length > 0) {
+      breakdown[axis] = { periodEnd: block.periodEnd || null, members: block.members, quality: block.quality || null };
+      if (block.quality && !block.quality.reliable) {
+        Logger.log('[Enrich/SEC] ' + axis + ' segments unreliable: ' + (block.quality.discrepancies || []).join('; '));
+      }
+    }
+  });
+  return breakdown;
+}
+
+/**
+ * Fetch financials by company name when Wikidata gave us no CIK or ticker.
+ * The proxy fuzzy-matches against SEC's company list and only auto-accepts
+ * a match at or above SEC_NAME_MATCH_THRESHOLD; otherwise it answers 300
+ * with ranked candidates, which are logged for manual follow-up.
+ *
+ * @param {string} searchName  Output of cleanCompanyNameForSearch()
+ * @returns {Object}  Same shape as fetchSecProxyFinancials(); {} if unresolved
+ */
+function fetchSecProxyFinancialsByName(searchName) {
+  var proxyUrl = getSecProxyUrl();
+  if (!proxyUrl || !searchName) return {};
+
+  var url = proxyUrl + '?name=' + encodeURIComponent(searchName) +
+    '&threshold=' + SEC_NAME_MATCH_THRESHOLD;
+  if (SEC_HISTORY_YEARS > 0) url += '&history=' + SEC_HISTORY_YEARS;
+  Logger.log('[Enrich/SEC] Resolving by name: ' + url);
+
+  try {
+    var response = enrichmentFetch(url);
+    var code = response.code;
+    var data = JSON.parse(response.text);
+    if (code === 200) return _mapSecProxyResponse(data);
+
+    var candidates = (data.candidates || []).map(function(c) {
+      return c.name + ' (CIK ' + c.cik + ', ' + c.confidence + ')';
+    });
+    Logger.log('[Enrich/SEC] No name match (HTTP ' + code + '): ' + data.error +
+      (candidates.length ? ' | Candidates: ' + candidates.join('; ') : ''));
+  } catch (e) {
+    Logger.log('[Enrich/SEC] Name lookup failed: ' + e.message);
+  }
+  return {};
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// SEC EDGAR Proxy — Batch Pre-fetch
+// ═══════════════════════════════════════════════════════════════════════
+
+// Proxy responses pre-fetched via fetchSecProxyFinancialsBatch(), keyed by
+// "cik:<padded>", "ticker:<UPPER>" and "name:<cleaned lowercase>".
+// Lives for the current execution only (e.g. one BatchRunner chunk).
+var _secPrefetch = {};
+
+/**
+ * Pad a CIK to 10 digits (matches the proxy's response format).
+ * @param {string|number} cik
+ * @returns {string}
+ */
+function _padSecCik(cik) {
+  var digits = String(cik).replace(/^0+/, '');
+  while (digits.length < 10) digits = '0' + digits;
+  return digits;
+}
+
+/**
+ * Look up many companies in one round trip via the proxy's POST /batch route.
+ * Each lookup succeeds or fails independently.
+ *
+ * @param {Array<{cik: string, ticker: string, name: string}>} lookups  Any one key per item; at most 8
+ *        (the proxy's BATCH_MAX_ITEMS, sized to the Workers subrequest limit)
+ * @returns {Array<{input: Object, ok: boolean, data: Object, error: Object}>}  Same order as lookups; [] on transport failure
+ */
+function fetchSecProxyFinancialsBatch(lookups) {
+  var proxyUrl = getSecProxyUrl();
+  if (!proxyUrl || !lookups || lookups.length === 0) return [];
+
+  var url = proxyUrl.replace(/\/+$/, '') + '/batch';
+  var payload = { items: lookups };
+  if (SEC_HISTORY_YEARS > 0) payload.history = SEC_HISTORY_YEARS;
+
+  try {
+    var response = enrichmentFetch(url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload)
+    });
+    if (response.code !== 200) {
+      Logger.log('[Enrich/SEC] Batch HTTP ' + response.code + ': ' + response.text.substring(0, 200));
+      return [];
+    }
+    var data = JSON.parse(response.text);
+    Logger.log('[Enrich/SEC] Batch: ' + data.summary.succeeded + '/' + data.summary.requested + ' resolved');
+    return data.results || [];
+  } catch (e) {
+    Logger.log('[Enrich/SEC] Batch fetch failed: ' + e.message);
+    return [];
+  }
+}
+
+/**
+ * Pre-warm SEC data for a set of companies in one proxy call.
+ * Successful results are remembered for the rest of the execution, so the
+ * per-company enrichCompanyData() calls that follow skip the round trip.
+ *
+ * @param {string[]} companyNames  Bookscrub account names
+ * @returns {number}  How many companies were resolved
+ */
+function prefetchSecFinancials(companyNames) {
+  if (!ENRICHMENT_ENABLED || !companyNames || companyNames.length === 0) return 0;
+
+  var lookups = companyNames.map(function(n) {
+    return { name: cleanCompanyNameForSearch(n), threshold: SEC_NAME_MATCH_THRESHOLD };
+  });
+  var results = fetchSecProxyFinancialsBatch(lookups);
+
+  var resolved = 0;
+  results.forEach(function(r) {
+    if (!r.ok || !r.data) return;
+    _secPrefetch['name:' + String(r.input.name).toLowerCase()] = r.data;
+    if (r.data.cik) _secPrefetch['cik:' + r.data.cik] = r.data;
+    if (r.data.ticker) _secPrefetch['ticker:' + String(r.data.ticker).toUpperCase()] = r.data;
+    resolved++;
+  });
+  Logger.log('[Enrich/SEC] Pre-fetched SEC data for ' + resolved + ' of ' + companyNames.length + ' companies');
+  return resolved;
+}
+
+/**
+ * Return a pre-fetched proxy result for a company name, mapped like
+ * fetchSecProxyFinancials(), or null.
+ * @param {string} searchName  Output of cleanCompanyNameForSearch()
+ * @returns {Object|null}
+ */
+function getPrefetchedSecFinancials(searchName) {
+  var data = _secPrefetch['name:' + String(searchName || '').toLowerCase()];
+  return data ? _mapSecProxyResponse(data) : null;
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 // Wikipedia — Company Overview
 // ═══════════════════════════════════════════════════════════════════════
@@ -456,6 +842,20 @@ function formatNumber(val) {
   return Number(val).toLocaleString('en-US');
 }
 
+/**
+ * A metric's formatted TTM value, only when it was rolled forward from a
+ * 10-Q to ttm.periodEnd. A metric whose TTM fell back to the 10-K (method
+ * 'annual') or ends earlier would be mislabelled under "TTM to <periodEnd>".
+ * @param {Object} ttm     enrichment.ttm
+ * @param {string} metric  e.g. 'revenue'
+ * @returns {string} Formatted value, or '' when there is none for that period
+ */
+function ttmFormatted(ttm, metric) {
+  var period = ttm && ttm.periods && ttm.periods[metric];
+  if (!period || period.method !== 'ytd' || period.end !== ttm.periodEnd) return '';
+  return ttm[metric + 'Formatted'] || '';
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 // Orchestrator
 // ═══════════════════════════════════════════════════════════════════════
@@ -490,6 +890,10 @@ function enrichCompanyData(companyName, industry) {
     var wikiResult = fetchWikipediaOverview(searchName);
     if (wikiResult.overview) enrichment.overview = wikiResult.overview;
     wikiTitle = wikiResult.title;
+    if (wikiTitle) {
+      addEnrichmentSource(enrichment, makeSource('wikipedia', 'wikipedia', 'Wikipedia — ' + wikiTitle,
+        'https://en.wikipedia.org/wiki/' + encodeURIComponent(wikiTitle.replace(/ /g, '_'))), ['overview']);
+    }
   } catch (e) {
     Logger.log('[Enrich] Wikipedia failed: ' + e.message);
   }
@@ -513,6 +917,8 @@ function enrichCompanyData(companyName, industry) {
       if (wikidataFacts.foundingDate) enrichment.foundingDate = wikidataFacts.foundingDate;
       if (wikidataFacts.ticker) enrichment.ticker = wikidataFacts.ticker;
       if (wikidataFacts.industry) enrichment.wikidataIndustry = wikidataFacts.industry;
+      addEnrichmentSource(enrichment, makeSource('wikidata', 'wikidata', 'Wikidata ' + qid, 'https://www.wikidata.org/wiki/' + qid),
+        ['ceo', 'headquarters', 'foundingDate', 'ticker', 'wikidataIndustry']);
     }
   } catch (e) {
     Logger.log('[Enrich] Wikidata failed: ' + e.message);
@@ -524,12 +930,24 @@ function enrichCompanyData(companyName, industry) {
     var secCik = wikidataFacts.secCik || null;
     var financials = {};
 
-    if (!secCik && !ticker) {
-      Logger.log('[Enrich/SEC] No CIK or ticker available — cannot fetch SEC financials (company may be private)');
+    var prefetchedByName = (!secCik && !ticker) ? getPrefetchedSecFinancials(searchName) : null;
+
+    if (prefetchedByName) {
+      Logger.log('[Enrich/SEC] No CIK/ticker from Wikidata — using batch pre-fetch matched by name');
+      financials = prefetchedByName;
+      if (financials.secIndustry) enrichment.secIndustry = financials.secIndustry;
+    } else if (!secCik && !ticker) {
+      Logger.log('[Enrich/SEC] No CIK or ticker from Wikidata — trying SEC name match');
+      financials = fetchSecProxyFinancialsByName(searchName);
+      if (financials.secIndustry) enrichment.secIndustry = financials.secIndustry;
+      if (!financials.secNameMatch) {
+        Logger.log('[Enrich/SEC] No SEC match by name — cannot fetch SEC financials (company may be private)');
+      }
     } else {
       financials = fetchSecProxyFinancials(secCik, ticker);
       if (financials.secIndustry) enrichment.secIndustry = financials.secIndustry;
     }
+    if (financials.secNameMatch) enrichment.secNameMatch = financials.secNameMatch;
 
     if (financials.revenue != null)   { enrichment.revenue = financials.revenue; enrichment.revenueFormatted = formatDollars(financials.revenue); }
     if (financials.cogs != null)      { enrichment.cogs = financials.cogs; enrichment.cogsFormatted = formatDollars(financials.cogs); }
@@ -548,6 +966,35 @@ function enrichCompanyData(companyName, industry) {
       });
       Logger.log('[Enrich/SEC] Segment revenue formatted (' + enrichment.segmentType + '): ' + enrichment.segmentsFormatted.join(', '));
     }
+    if (financials.segmentBreakdown) enrichment.segmentBreakdown = financials.segmentBreakdown;
+
+    // Trailing twelve months from 10-Q filings (fresher than the 10-K)
+    if (financials.ttm) {
+      var ttmFin = financials.ttm.financials || {};
+      enrichment.ttm = { periodEnd: financials.ttm.periodEnd, periods: financials.ttm.periods || {} };
+      ['revenue', 'netIncome', 'opex', 'capex'].forEach(function(metric) {
+        if (ttmFin[metric] != null) {
+          enrichment.ttm[metric] = ttmFin[metric];
+          enrichment.ttm[metric + 'Formatted'] = formatDollars(ttmFin[metric]);
+        }
+      });
+    }
+
+    // Multi-year trend
+    if (financials.history && financials.history.length > 0) {
+      enrichment.financialHistory = financials.history;
+    }
+
+    // Recent 8-K filings and SIC peer benchmark — keyed off the CIK the proxy resolved
+    var resolvedCik = financials.secCik || secCik;
+    if (resolvedCik) {
+      enrichment.secCik = resolvedCik;
+      var events = fetchSecEvents(resolvedCik);
+      if (events) enrichment.corporateEvents = events;
+      var peers = fetchSecPeerBenchmark(resolvedCik);
+      if (peers) enrichment.peerBenchmark = peers;
+    }
+    _addSecSources(enrichment, financials.secSource);
   } catch (e) {
     Logger.log('[Enrich] SEC financial data failed: ' + e.message);
   }
@@ -1,5 +1,7 @@
 /**
  * Extracts and structures data from the Book Scrub sheet for a given company.
+ * Rows are read through the active bookscrub source (DataSources.gs), which
+ * may also be a CSV or JSON export.
  */
 
 var COMPANY_NAME_COL = 'COMPANY_NAME';
@@ -9,44 +11,53 @@ var BOOKSCRUB_SHEET_NAME = 'Full Data';
 // GAS resets module-level variables between executions, so this cache is
 // valid for the duration of a single script run only — no explicit invalidation
 // needed. All public read functions call _loadSheet() instead of opening the
-// spreadsheet independently.
+// bookscrub source independently.
 var _sheetCache = null;
 
 /**
- * Load the bookscrub sheet into the module-level cache (once per execution).
+ * Load the bookscrub source into the module-level cache (once per execution).
  * Subsequent calls return the cached object immediately.
  *
- * Returns: { sheet, headerIndex, nameMap, normalizedMap, groupMap, accountIdMap, lastCol, numRows }
+ * Returns: { source, headerIndex, types, nameMap, normalizedMap, groupMap, accountIdMap, numRows }
+ *   source         bookscrub source adapter (getBookscrubSource())
+ *   headerIndex    {string → number}  header and canonical field name → column index
+ *   types          {string[]}         declared type per column, for coerceBookscrubRow()
+ *   numRows        number of data rows (excludes header)
  *   nameMap        {string → number}  lowercased COMPANY_NAME → row index (0-based, excludes header)
  *   normalizedMap  {string → number}  normalized name → row index (for Pass 3 lookup)
  *   groupMap       {string → number[]} GTM_GROUP ID → array of row indices
  *   accountIdMap   {string → {rowIndex, name}}  SALESFORCE_ACCOUNT_ID → { rowIndex, name }
  *
- * NOTE: no .data property — rows are read on demand via _readRow().
+ * NOTE: no .data property — rows are read on demand via _readRow() / _readRows().
+ * @throws if the source lacks a required field (see BOOKSCRUB_REQUIRED_FIELDS)
  */
 function _loadSheet() {
   if (_sheetCache) return _sheetCache;
 
-  Logger.log('[DataExtractor] _loadSheet: opening spreadsheet...');
-  var sheet = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID).getSheetByName(BOOKSCRUB_SHEET_NAME);
-  var numRows = sheet.getLastRow();
-  var lastCol = sheet.getLastColumn();
-  Logger.log('[DataExtractor] _loadSheet: sheet "' + sheet.getName() + '" (' + numRows + ' rows, ' + lastCol + ' cols)');
+  Logger.log('[DataExtractor] _loadSheet: opening bookscrub source...');
+  var source = getBookscrubSource();
+  Logger.log('[DataExtractor] _loadSheet: ' + source.label + ' (' + source.numRows + ' rows, ' +
+    source.headers.length + ' cols)');
 
-  var headerIndex = buildHeaderIndex(sheet);
+  var fields = resolveBookscrubFields(source.headers);
+  if (fields.report.requiredMissing.length) {
+    throw new Error('Bookscrub ' + source.label + ' is missing required column(s): ' +
+      fields.report.requiredMissing.join(', ') + '. Run "Validate Bookscrub Source" for details.');
+  }
+  fields.report.renamed.forEach(function(r) {
+    Logger.log('[DataExtractor] _loadSheet: ' + r.field + ' read from column "' + r.header + '"');
+  });
+  var headerIndex = fields.headerIndex;
 
   var nameCol    = headerIndex[COMPANY_NAME_COL];
   var groupIdCol = headerIndex['GTM_GROUP'];
   var sfidCol    = headerIndex['SALESFORCE_ACCOUNT_ID'];
 
-  // Read 3 single-column ranges (18K × 1 each) instead of the full 18K × 245 grid
-  var dataRows = numRows - 1;
-  var nameValues  = nameCol !== undefined
-    ? sheet.getRange(2, nameCol + 1,    dataRows, 1).getValues() : null;
-  var groupValues = groupIdCol !== undefined
-    ? sheet.getRange(2, groupIdCol + 1, dataRows, 1).getValues() : null;
-  var sfidValues  = sfidCol !== undefined
-    ? sheet.getRange(2, sfidCol + 1,    dataRows, 1).getValues() : null;
+  // Read 3 single columns (18K × 1 each) instead of the full 18K × 245 grid
+  var dataRows = source.numRows;
+  var nameValues  = nameCol    !== undefined ? source.readColumn(nameCol)    : null;
+  var groupValues = groupIdCol !== undefined ? source.readColumn(groupIdCol) : null;
+  var sfidValues  = sfidCol    !== undefined ? source.readColumn(sfidCol)    : null;
 
   Logger.log('[DataExtractor] _loadSheet: read ' + dataRows + ' rows × 3 columns (' +
     (dataRows * 3) + ' cells total)');
@@ -66,7 +77,7 @@ function _loadSheet() {
   for (var r = 0; r < dataRows; r++) {
     // Name map (exact, case-insensitive)
     if (nameValues) {
-      var name = String(nameValues[r][0]).replace(/[\u200B-\u200D\uFEFF]/g, '').trim().toLowerCase();
+      var name = String(nameValues[r]).replace(/[\u200B-\u200D\uFEFF]/g, '').trim().toLowerCase();
       if (name && !(name in nameMap)) nameMap[name] = r;
 
       // Normalized map (suffix-stripped)
@@ -76,7 +87,7 @@ function _loadSheet() {
 
     // GTM group map
     if (groupValues) {
-      var gid = String(groupValues[r][0]).trim();
+      var gid = String(groupValues[r]).trim();
       if (gid) {
         if (!groupMap[gid]) groupMap[gid] = [];
         groupMap[gid].push(r);
@@ -85,33 +96,46 @@ function _loadSheet() {
 
     // Salesforce account ID map — stores { rowIndex, name } for direct name lookup
     if (sfidValues) {
-      var sfid = String(sfidValues[r][0]).trim();
+      var sfid = String(sfidValues[r]).trim();
       if (sfid && !(sfid in accountIdMap)) {
         accountIdMap[sfid] = {
           rowIndex: r,
-          name: nameValues ? String(nameValues[r][0]).trim() : ''
+          name: nameValues ? String(nameValues[r]).trim() : ''
         };
       }
     }
   }
 
-  _sheetCache = { sheet: sheet, headerIndex: headerIndex,
+  _sheetCache = { source: source, headerIndex: headerIndex, types: fields.types,
                   nameMap: nameMap, normalizedMap: normalizedMap,
                   groupMap: groupMap, accountIdMap: accountIdMap,
-                  lastCol: lastCol, numRows: numRows };
+                  numRows: dataRows };
   Logger.log('[DataExtractor] _loadSheet: cache built (' + Object.keys(nameMap).length + ' names, ' +
     Object.keys(groupMap).length + ' GTM groups)');
   return _sheetCache;
 }
 
 /**
- * Read a single data row from the sheet by 0-based row index.
+ * Read a single data row from the source by 0-based row index.
  * @param {Object} cache  The _sheetCache object
  * @param {number} rowIdx 0-based row index (0 = first data row, i.e. sheet row 2)
  * @returns {Array} single row of cell values
  */
 function _readRow(cache, rowIdx) {
-  return cache.sheet.getRange(rowIdx + 2, 1, 1, cache.lastCol).getValues()[0];
+  return _readRows(cache, rowIdx, 1)[0];
+}
+
+/**
+ * Read a contiguous block of data rows, coerced to their declared field types.
+ * @param {Object} cache  The _sheetCache object
+ * @param {number} start  0-based index of the first data row
+ * @param {number} count
+ * @returns {Array[]} rows of cell values
+ */
+function _readRows(cache, start, count) {
+  return cache.source.readRows(start, count).map(function(row) {
+    return coerceBookscrubRow(row, cache.types);
+  });
 }
 
 /**
@@ -362,7 +386,7 @@ function productInUse(row, headerIndex, purchasedCol, usedCol) {
  * Return all company names for the picker dialog.
  *
  * Fast path:  CacheService hit → near-instant (chunked storage, 6hr TTL)
- * Slow path:  single-column read from sheet (1 col vs 200+) — much faster than _loadSheet()
+ * Slow path:  single-column read from the bookscrub source (1 col vs 200+) — much faster than _loadSheet()
  *
  * @returns {string[]}
  */
@@ -383,24 +407,11 @@ function getCompanyNames() {
   }
 
   // Cache miss — targeted single-column read (avoids loading 200+ columns)
-  var sheet = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID).getSheetByName(BOOKSCRUB_SHEET_NAME);
-  var lastRow = sheet.getLastRow();
-  var lastCol = sheet.getLastColumn();
-
-  // Find COMPANY_NAME column index from header row
-  var headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
-  var nameColIdx = -1;
-  for (var c = 0; c < headers.length; c++) {
-    if (String(headers[c]).trim() === COMPANY_NAME_COL) { nameColIdx = c + 1; break; } // 1-based
-  }
-
+  var colData = readBookscrubColumn(COMPANY_NAME_COL) || [];
   var names = [];
-  if (nameColIdx > 0 && lastRow > 1) {
-    var colData = sheet.getRange(2, nameColIdx, lastRow - 1, 1).getValues();
-    for (var r = 0; r < colData.length; r++) {
-      var name = String(colData[r][0]).trim();
-      if (name) names.push(name);
-    }
+  for (var r = 0; r < colData.length; r++) {
+    var name = String(colData[r]).trim();
+    if (name) names.push(name);
   }
   Logger.log('[DataExtractor] getCompanyNames: loaded ' + names.length + ' names (single-column read)');
 
@@ -454,25 +465,16 @@ function getGtmGroupIds() {
   }
 
   // Targeted single-column read — just GTM_GROUP column
-  var sheet = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID).getSheetByName(BOOKSCRUB_SHEET_NAME);
-  var lastRow = sheet.getLastRow();
-  var lastCol = sheet.getLastColumn();
-
-  var headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
-  var groupColIdx = -1;
-  for (var c = 0; c < headers.length; c++) {
-    if (String(headers[c]).trim() === 'GTM_GROUP') { groupColIdx = c + 1; break; }
-  }
-  if (groupColIdx === -1) {
+  var colData = readBookscrubColumn('GTM_GROUP');
+  if (!colData) {
     Logger.log('[GTMGroup] getGtmGroupIds: GTM_GROUP column not found');
     return [];
   }
 
-  var colData = sheet.getRange(2, groupColIdx, lastRow - 1, 1).getValues();
   var seen = {};
   var ids = [];
   for (var r = 0; r < colData.length; r++) {
-    var id = String(colData[r][0]).trim();
+    var id = String(colData[r]).trim();
     if (id && !seen[id]) { seen[id] = true; ids.push(id); }
   }
   ids.sort();
@@ -519,10 +521,10 @@ function getGtmGroupData(gtmGroupId) {
     var sortedIndices = rowIndices.slice().sort(function(a, b) { return a - b; });
     var minRow = sortedIndices[0];
     var maxRow = sortedIndices[sortedIndices.length - 1];
-    var batchData = cache.sheet.getRange(minRow + 2, 1, maxRow - minRow + 1, cache.lastCol).getValues();
+    var batchData = _readRows(cache, minRow, maxRow - minRow + 1);
     sortedIndices.forEach(function(r) { rowLookup[r] = batchData[r - minRow]; });
     Logger.log('[GTMGroup] Batch read: sheet rows ' + (minRow + 2) + '–' + (maxRow + 2) +
-      ' (' + (maxRow - minRow + 1) + ' rows × ' + cache.lastCol + ' cols)');
+      ' (' + (maxRow - minRow + 1) + ' rows × ' + cache.source.headers.length + ' cols)');
   }
 
   // Deduplicate by SALESFORCE_ACCOUNT_ID
@@ -711,7 +713,7 @@ function findCompanyNameByAccountId(accountId) {
   var cache = _loadSheet();
 
   if (cache.headerIndex['SALESFORCE_ACCOUNT_ID'] === undefined) {
-    throw new Error('SALESFORCE_ACCOUNT_ID column not found in "' + BOOKSCRUB_SHEET_NAME + '" sheet.');
+    throw new Error('SALESFORCE_ACCOUNT_ID column not found in bookscrub ' + cache.source.label + '.');
   }
 
   var entry = cache.accountIdMap[target];
@@ -743,7 +745,7 @@ function getCompanyData(companyName, isProspect, preloadedContext) {
     headerIndex = cache.headerIndex;
 
     var nameCol = headerIndex[COMPANY_NAME_COL];
-    Logger.log('[DataExtractor] Searching cache (' + (cache.numRows - 1) + ' rows) for "' + companyName + '"...');
+    Logger.log('[DataExtractor] Searching cache (' + cache.numRows + ' rows) for "' + companyName + '"...');
     var rowIdx = findCompanyRow(companyName, nameCol,
                                 { nameMap: cache.nameMap, normalizedMap: cache.normalizedMap });
     if (rowIdx === -1) {
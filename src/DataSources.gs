@@ -0,0 +1,614 @@
+/**
+ * DataSources — pluggable bookscrub sources with a declarative field map.
+ *
+ * DataExtractor.gs reads bookscrub rows through a source adapter instead of
+ * opening the spreadsheet directly. Three adapters share one interface:
+ *
+ *   sheet — the "Full Data" tab of BOOKSCRUB_SPREADSHEET_ID (default);
+ *           single-column reads, so the 18K × 245 grid is never loaded whole
+ *   csv   — a CSV export in Drive
+ *   json  — a JSON snapshot in Drive: an array of row objects,
+ *           { rows: [...] } or { headers: [...], rows: [[...]] }
+ *
+ * A CSV/JSON file has to be parsed whole, so its header row, each column
+ * read and each block of BOOKSCRUB_ROW_BLOCK rows are kept in CacheService,
+ * keyed on the file's last-updated time. The name-list and lookup-map
+ * paths then skip the parse; it runs at most once per execution, on a miss.
+ *
+ *   { type, label, url, headers: string[], numRows,
+ *     readColumn(colIdx) → values[], readRows(start, count) → values[][] }
+ *
+ * The active source is the BOOKSCRUB_SOURCE script property
+ * ({ "type": "csv", "fileId": "…" }); Menu → "Bookscrub: Set Source..." sets it
+ * and "Bookscrub: Validate Source" shows the report below.
+ *
+ * Columns are resolved through a field map — each column the extractor reads
+ * (ALL_COLUMNS in Config.gs), with its type and whether it is required. A field matches its own
+ * header, any alias, or a header that differs only in case/spacing
+ * ("Envelopes Sent" → ENVELOPES_SENT). Admins add aliases, types or new
+ * required fields in the "Bookscrub Fields" tab (field | aliases | type |
+ * required) without code changes. Values are coerced by type when rows are
+ * read, so CSV/JSON strings behave like sheet cells.
+ *
+ * validateBookscrubSource() reports missing, renamed and unmapped columns
+ * and values that don't fit their type; _loadSheet() refuses a source that
+ * lacks a required field.
+ */
+
+var PROP_BOOKSCRUB_SOURCE = 'BOOKSCRUB_SOURCE';
+var BOOKSCRUB_FIELDS_SHEET = 'Bookscrub Fields';
+var BOOKSCRUB_SOURCE_TYPES = ['sheet', 'csv', 'json'];
+var BOOKSCRUB_VALIDATION_SAMPLE_ROWS = 200;
+
+// CacheService for parsed CSV/JSON sources (see _bookscrubTableCache)
+var BOOKSCRUB_CACHE_TTL_SECS = 6 * 60 * 60;   // CacheService maximum
+var BOOKSCRUB_CACHE_CHUNK_CHARS = 25000;      // ≤ 75KB even at 3 bytes/char; entries max out at 100KB
+var BOOKSCRUB_ROW_BLOCK = 25;                 // rows per cached block (245 cols × 25 rows fits a few chunks)
+
+var BOOKSCRUB_REQUIRED_FIELDS = [
+  'COMPANY_NAME', 'INDUSTRY', 'TERM_END_DATE', 'ENVELOPES_PURCHASED', 'ENVELOPES_SENT', 'ACCOUNT_ACV'
+];
+
+// Column types for the fields in ALL_COLUMNS (Config.gs) plus COMPANY_NAME.
+// The identity, context and people groups are strings too; anything else
+// not listed here is a number.
+var BOOKSCRUB_FIELD_TYPES = {
+  string:  ['COMPANY_NAME', 'ACCOUNT_PLAN', 'DOCUSIGN_ACCOUNT_PLAN_NAME', 'CHARGE_MODEL', 'TERM_END_FYQ',
+            'USAGE_TREND', 'USAGE_TREND_SEAT', 'LAST_30_DAYS_PERFORMANCE_BUCKET', 'RENEWAL_BASE_CMRR',
+            'MRR_CURRENCY'],
+  date:    ['TERM_START_DATE', 'TERM_END_DATE'],
+  boolean: ['IS_CLM_ACCOUNT', 'IS_IAM', 'IS_MULTI_YEAR_RAMP', 'IS_UNLIMITED_SEATS']
+};
+
+// Per-execution caches (GAS resets module-level variables between runs)
+var _bookscrubSourceCache = null;
+var _bookscrubFieldDefsCache = null;
+
+// ── Source selection ───────────────────────────────────────────────────
+
+/**
+ * The active bookscrub source config — the BOOKSCRUB_SOURCE script property,
+ * or the bound Google Sheet when unset.
+ * @returns {{ type: string, spreadsheetId?: string, sheetName?: string, fileId?: string }}
+ */
+function getBookscrubSourceConfig() {
+  var raw = PropertiesService.getScriptProperties().getProperty(PROP_BOOKSCRUB_SOURCE);
+  if (raw) {
+    try {
+      var cfg = JSON.parse(raw);
+      if (cfg && BOOKSCRUB_SOURCE_TYPES.indexOf(cfg.type) !== -1) return cfg;
+      Logger.log('[DataSources] Ignoring BOOKSCRUB_SOURCE with unknown type: ' + raw);
+    } catch (e) {
+      Logger.log('[DataSources] Ignoring unparseable BOOKSCRUB_SOURCE: ' + e.message);
+    }
+  }
+  return { type: 'sheet', spreadsheetId: BOOKSCRUB_SPREADSHEET_ID, sheetName: BOOKSCRUB_SHEET_NAME };
+}
+
+/**
+ * Link to the active source for citations — resolved from config so callers
+ * don't have to open (or parse) the source.
+ * @returns {string}
+ */
+function getBookscrubSourceUrl() {
+  var cfg = getBookscrubSourceConfig();
+  if (cfg.type === 'sheet') return 'https://docs.google.com/spreadsheets/d/' + (cfg.spreadsheetId || BOOKSCRUB_SPREADSHEET_ID);
+  return 'https://drive.google.com/file/d/' + cfg.fileId + '/view';
+}
+
+/**
+ * Points the extractor at a different source. Validates it first so a bad
+ * file never replaces a working source.
+ * @param {Object} config  { type: 'sheet' } | { type: 'csv' | 'json', fileId }
+ * @returns {Object} The validation report for the new source
+ */
+function setBookscrubSource(config) {
+  if (!config || BOOKSCRUB_SOURCE_TYPES.indexOf(config.type) === -1) {
+    throw new Error('Source type must be one of: ' + BOOKSCRUB_SOURCE_TYPES.join(', '));
+  }
+  if (config.type !== 'sheet' && !config.fileId) throw new Error('A ' + config.type + ' source needs a Drive fileId');
+
+  var report = validateBookscrubSource(createBookscrubSource(config));
+  if (report.requiredMissing.length) {
+    throw new Error('Source is missing required column(s): ' + report.requiredMissing.join(', '));
+  }
+  var props = PropertiesService.getScriptProperties();
+  if (config.type === 'sheet' && !config.spreadsheetId) props.deleteProperty(PROP_BOOKSCRUB_SOURCE);
+  else props.setProperty(PROP_BOOKSCRUB_SOURCE, JSON.stringify(config));
+  _bookscrubSourceCache = null;
+  _sheetCache = null;
+  invalidatePickerCache();
+  Logger.log('[DataSources] Bookscrub source set to ' + report.source);
+  return report;
+}
+
+/**
+ * The active source adapter (built once per execution).
+ * @returns {Object} Source adapter — see file header
+ */
+function getBookscrubSource() {
+  if (!_bookscrubSourceCache) _bookscrubSourceCache = createBookscrubSource(getBookscrubSourceConfig());
+  return _bookscrubSourceCache;
+}
+
+/**
+ * Builds a source adapter for a config.
+ * @param {Object} config
+ * @returns {Object} Source adapter
+ */
+function createBookscrubSource(config) {
+  switch (config.type) {
+    case 'sheet': return _createSheetSource(config);
+    case 'csv':   return _createCsvSource(config);
+    case 'json':  return _createJsonSource(config);
+  }
+  throw new Error('Unknown bookscrub source type "' + config.type + '"');
+}
+
+// ── Field mapping ──────────────────────────────────────────────────────
+
+/**
+ * Field definitions: COMPANY_NAME + ALL_COLUMNS typed by BOOKSCRUB_FIELD_TYPES,
+ * overlaid with rows from the "Bookscrub Fields" tab.
+ * @returns {Object<string, { type: string, required: boolean, aliases: string[] }>}
+ */
+function getBookscrubFieldDefs() {
+  if (_bookscrubFieldDefsCache) return _bookscrubFieldDefsCache;
+  var defs = {};
+  [COMPANY_NAME_COL].concat(ALL_COLUMNS).forEach(function(field) {
+    defs[field] = { type: 'number', required: BOOKSCRUB_REQUIRED_FIELDS.indexOf(field) !== -1, aliases: [] };
+  });
+  COLUMN_GROUPS.identity.concat(COLUMN_GROUPS.context, COLUMN_GROUPS.people).forEach(function(field) {
+    defs[field].type = 'string';
+  });
+  Object.keys(BOOKSCRUB_FIELD_TYPES).forEach(function(type) {
+    BOOKSCRUB_FIELD_TYPES[type].forEach(function(field) { defs[field].type = type; });
+  });
+
+  try {
+    var sheet = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID).getSheetByName(BOOKSCRUB_FIELDS_SHEET);
+    if (sheet && sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues().forEach(function(r) {
+        var field = String(r[0]).trim();
+        if (!field) return;
+        var def = defs[field] || (defs[field] = { type: 'string', required: false, aliases: [] });
+        var aliases = String(r[1]).split(',').map(function(a) { return a.trim(); }).filter(Boolean);
+        def.aliases = def.aliases.concat(aliases);
+        var type = String(r[2]).trim().toLowerCase();
+        if (BOOKSCRUB_FIELD_TYPES[type] || type === 'number') def.type = type;
+        if (String(r[3]).trim() !== '') def.required = String(r[3]).toUpperCase() === 'TRUE' || r[3] === true;
+      });
+    }
+  } catch (e) {
+    Logger.log('[DataSources] "' + BOOKSCRUB_FIELDS_SHEET + '" tab unreadable (using built-in fields): ' + e.message);
+  }
+
+  _bookscrubFieldDefsCache = defs;
+  return defs;
+}
+
+/**
+ * Maps field names to column indices for a source's header row.
+ *
+ * Every header is indexed under its own name, then each declared field is
+ * indexed under its canonical name when it matches exactly, by alias, or by
+ * normalized name — so val()/numVal() keep working after a rename.
+ *
+ * @param {string[]} headers
+ * @returns {{ headerIndex: Object<string, number>, types: string[], report: Object }}
+ *   types[colIdx] is the declared type of the field in that column (or undefined)
+ */
+function resolveBookscrubFields(headers) {
+  var defs = getBookscrubFieldDefs();
+  var headerIndex = {};
+  var normIndex = {};
+  headers.forEach(function(h, c) {
+    var name = String(h).trim();
+    if (!name) return;
+    if (!(name in headerIndex)) headerIndex[name] = c;
+    var norm = _normalizeHeader(name);
+    if (!(norm in normIndex)) normIndex[norm] = c;
+  });
+
+  var report = { matched: 0, missing: [], requiredMissing: [], renamed: [], unmapped: [] };
+  var types = [];
+  var claimed = {};
+
+  Object.keys(defs).forEach(function(field) {
+    var def = defs[field];
+    var col = headerIndex[field];
+    var via = '';
+    if (col === undefined) {
+      for (var i = 0; i < def.aliases.length && col === undefined; i++) {
+        if (def.aliases[i] in headerIndex) { col = headerIndex[def.aliases[i]]; via = def.aliases[i]; }
+      }
+    }
+    if (col === undefined && normIndex[_normalizeHeader(field)] !== undefined) {
+      col = normIndex[_normalizeHeader(field)];
+      via = String(headers[col]).trim();
+    }
+
+    if (col === undefined) {
+      report.missing.push(field);
+      if (def.required) report.requiredMissing.push(field);
+      return;
+    }
+    headerIndex[field] = col;
+    types[col] = def.type;
+    claimed[col] = true;
+    report.matched++;
+    if (via) report.renamed.push({ field: field, header: via });
+  });
+
+  headers.forEach(function(h, c) {
+    if (String(h).trim() && !claimed[c]) report.unmapped.push(String(h).trim());
+  });
+  return { headerIndex: headerIndex, types: types, report: report };
+}
+
+/**
+ * Coerces a raw row in place by column type. Blank cells stay '' so the
+ * extractor can tell "missing" from zero.
+ * @param {Array} row
+ * @param {string[]} types  From resolveBookscrubFields()
+ * @returns {Array} row
+ */
+function coerceBookscrubRow(row, types) {
+  for (var c = 0; c < row.length; c++) {
+    if (types[c]) row[c] = _coerceBookscrubValue(row[c], types[c]).value;
+  }
+  return row;
+}
+
+/**
+ * Checks a source against the field map: missing and required columns,
+ * columns matched under another name, source columns nothing reads, and
+ * sampled values that don't fit their type.
+ * @param {Object} [source]  Defaults to the active source
+ * @returns {Object} { source, rows, matched, missing, requiredMissing, renamed, unmapped, typeIssues, ok }
+ */
+function validateBookscrubSource(source) {
+  source = source || getBookscrubSource();
+  var resolved = resolveBookscrubFields(source.headers);
+  var report = resolved.report;
+  report.source = source.label;
+  report.rows = source.numRows;
+  report.typeIssues = [];
+
+  var sampleCount = Math.min(source.numRows, BOOKSCRUB_VALIDATION_SAMPLE_ROWS);
+  var sample = sampleCount > 0 ? source.readRows(0, sampleCount) : [];
+  var defs = getBookscrubFieldDefs();
+  Object.keys(defs).forEach(function(field) {
+    var col = resolved.headerIndex[field];
+    var type = defs[field].type;
+    if (col === undefined || type === 'string') return;
+    var bad = 0, example = '';
+    sample.forEach(function(row) {
+      if (!_coerceBookscrubValue(row[col], type).ok) {
+        bad++;
+        if (!example) example = String(row[col]);
+      }
+    });
+    if (bad) report.typeIssues.push({ field: field, type: type, bad: bad, of: sample.length, example: example });
+  });
+
+  report.ok = report.requiredMissing.length === 0 && report.typeIssues.length === 0;
+  Logger.log('[DataSources] Validated ' + report.source + ': ' + report.rows + ' rows, ' + report.matched +
+    ' fields matched, ' + report.missing.length + ' missing (' + report.requiredMissing.length + ' required), ' +
+    report.renamed.length + ' renamed, ' + report.unmapped.length + ' unmapped, ' +
+    report.typeIssues.length + ' with type issues');
+  return report;
+}
+
+/**
+ * Reads one field's column from the active source without building the
+ * full _loadSheet() lookup maps.
+ * @param {string} field  Canonical field name, e.g. 'COMPANY_NAME'
+ * @returns {Array|null} One value per data row, or null if the field isn't mapped
+ */
+function readBookscrubColumn(field) {
+  var source = getBookscrubSource();
+  var col = resolveBookscrubFields(source.headers).headerIndex[field];
+  return col === undefined ? null : source.readColumn(col);
+}
+
+// ── Adapters ───────────────────────────────────────────────────────────
+
+function _createSheetSource(config) {
+  var ssId = config.spreadsheetId || BOOKSCRUB_SPREADSHEET_ID;
+  var name = config.sheetName || BOOKSCRUB_SHEET_NAME;
+  var sheet = SpreadsheetApp.openById(ssId).getSheetByName(name);
+  if (!sheet) throw new Error('Bookscrub sheet "' + name + '" not found');
+  var lastCol = sheet.getLastColumn();
+  var numRows = Math.max(0, sheet.getLastRow() - 1);
+
+  return {
+    type:    'sheet',
+    label:   'sheet "' + name + '"',
+    url:     'https://docs.google.com/spreadsheets/d/' + ssId,
+    headers: sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(function(h) { return String(h).trim(); }),
+    numRows: numRows,
+    readColumn: function(colIdx) {
+      if (numRows === 0) return [];
+      return sheet.getRange(2, colIdx + 1, numRows, 1).getValues().map(function(r) { return r[0]; });
+    },
+    readRows: function(start, count) {
+      return sheet.getRange(start + 2, 1, count, lastCol).getValues();
+    }
+  };
+}
+
+function _createCsvSource(config) {
+  var file = DriveApp.getFileById(config.fileId);
+  return _createTableSource('csv', _fileInfo(file), function() {
+    return _parseCsvTable(file.getBlob().getDataAsString(), file.getName());
+  }, _bookscrubTableCache(file));
+}
+
+function _createJsonSource(config) {
+  var file = DriveApp.getFileById(config.fileId);
+  return _createTableSource('json', _fileInfo(file), function() {
+    return _parseJsonTable(file.getBlob().getDataAsString(), file.getName());
+  }, _bookscrubTableCache(file));
+}
+
+function _fileInfo(file) {
+  return { name: file.getName(), url: file.getUrl() };
+}
+
+/**
+ * @param {string} text  CSV export
+ * @param {string} name  File name, for errors
+ * @returns {{ headers: Array, rows: Array[] }}
+ */
+function _parseCsvTable(text, name) {
+  var table = Utilities.parseCsv(text);
+  if (!table.length) throw new Error('CSV source "' + name + '" is empty');
+  return { headers: table[0], rows: table.slice(1) };
+}
+
+/**
+ * @param {string} text  JSON snapshot (any of the shapes in the file header)
+ * @param {string} name  File name, for errors
+ * @returns {{ headers: Array, rows: Array[] }}
+ */
+function _parseJsonTable(text, name) {
+  var parsed = JSON.parse(text);
+  var rows = Array.isArray(parsed) ? parsed : (parsed.rows || []);
+  var headers = parsed.headers || [];
+
+  if (rows.length && !Array.isArray(rows[0])) {
+    // Row objects — headers are the union of keys, in first-seen order
+    var seen = {};
+    rows.forEach(function(obj) {
+      Object.keys(obj).forEach(function(k) { if (!seen[k]) { seen[k] = true; headers.push(k); } });
+    });
+    rows = rows.map(function(obj) {
+      return headers.map(function(h) { return obj[h] === null || obj[h] === undefined ? '' : obj[h]; });
+    });
+  }
+  if (!headers.length) throw new Error('JSON source "' + name + '" has no columns');
+  return { headers: headers, rows: rows };
+}
+
+/**
+ * Adapter for CSV/JSON tables. load() parses the whole table and runs only
+ * when a read misses the store (at most once). Derives COMPANY_NAME from
+ * ACCOUNT_NAME_PLAN_TERM when the export lacks it, as refreshCompanyNames()
+ * does for the sheet.
+ * @param {string} type
+ * @param {{ name: string, url: string }} info
+ * @param {Function} load  () → { headers: Array, rows: Array[] }
+ * @param {Object} [store]  From _bookscrubTableCache(); omit to keep nothing
+ * @returns {Object} Source adapter
+ */
+function _createTableSource(type, info, load, store) {
+  var table = null;
+  var parsed = function() {
+    if (table) return table;
+    var t = load();
+    var headers = t.headers.map(function(h) { return String(h).trim(); });
+    var rawCol = headers.indexOf('ACCOUNT_NAME_PLAN_TERM');
+    if (headers.indexOf(COMPANY_NAME_COL) === -1 && rawCol !== -1) {
+      headers.push(COMPANY_NAME_COL);
+      t.rows.forEach(function(r) { r.push(extractCompanyName(r[rawCol])); });
+    }
+    Logger.log('[DataSources] Parsed ' + type + ' "' + info.name + '" (' + t.rows.length + ' rows, ' +
+      headers.length + ' cols)');
+    table = { headers: headers, rows: t.rows };
+    return table;
+  };
+  var cached = function(key, compute) {
+    var value = store ? store.get(key) : null;
+    if (value === null) {
+      value = compute();
+      if (store) store.put(key, value);
+    }
+    return value;
+  };
+
+  var shape = cached('shape', function() { return { headers: parsed().headers, numRows: parsed().rows.length }; });
+  if (!table) Logger.log('[DataSources] ' + type + ' "' + info.name + '" served from cache (' + shape.numRows + ' rows)');
+
+  return {
+    type:    type,
+    label:   type + ' "' + info.name + '"',
+    url:     info.url,
+    headers: shape.headers,
+    numRows: shape.numRows,
+    readColumn: function(colIdx) {
+      return cached('col' + colIdx, function() {
+        return parsed().rows.map(function(r) { return r[colIdx] === undefined ? '' : r[colIdx]; });
+      });
+    },
+    readRows: function(start, count) {
+      if (table || !store) return parsed().rows.slice(start, start + count).map(function(r) { return r.slice(); });
+      var first = Math.floor(start / BOOKSCRUB_ROW_BLOCK);
+      var last = Math.floor((start + count - 1) / BOOKSCRUB_ROW_BLOCK);
+      var rows = [];
+      for (var b = first; b <= last; b++) {
+        rows = rows.concat(cached('rows' + b, function() {
+          return parsed().rows.slice(b * BOOKSCRUB_ROW_BLOCK, (b + 1) * BOOKSCRUB_ROW_BLOCK);
+        }));
+      }
+      var offset = start - first * BOOKSCRUB_ROW_BLOCK;
+      return rows.slice(offset, offset + count).map(function(r) { return r.slice(); });
+    }
+  };
+}
+
+/**
+ * CacheService store for one version of a Drive file source. Keys carry
+ * the file id and last-updated time, so replacing the export starts a
+ * fresh cache. Values are JSON split into BOOKSCRUB_CACHE_CHUNK_CHARS
+ * parts; a missing part reads as a miss. Cache errors are non-fatal.
+ * @param {GoogleAppsScript.Drive.File} file
+ * @returns {{ get: function(string): *, put: function(string, *) }}
+ */
+function _bookscrubTableCache(file) {
+  var svc = CacheService.getScriptCache();
+  var prefix = 'bs_' + file.getId() + '_' + file.getLastUpdated().getTime() + '_';
+
+  return {
+    get: function(name) {
+      try {
+        var count = svc.get(prefix + name);
+        if (count === null) return null;
+        var keys = [];
+        for (var i = 0; i < Number(count); i++) keys.push(prefix + name + '_' + i);
+        var parts = svc.getAll(keys);
+        var text = '';
+        for (var k = 0; k < keys.length; k++) {
+          if (parts[keys[k]] === undefined) return null;
+          text += parts[keys[k]];
+        }
+        return JSON.parse(text);
+      } catch (e) {
+        Logger.log('[DataSources] Cache read failed for ' + name + ' (non-fatal): ' + e.message);
+        return null;
+      }
+    },
+    put: function(name, value) {
+      try {
+        var text = JSON.stringify(value);
+        var entries = {};
+        var count = Math.max(1, Math.ceil(text.length / BOOKSCRUB_CACHE_CHUNK_CHARS));
+        for (var i = 0; i < count; i++) {
+          entries[prefix + name + '_' + i] = text.substr(i * BOOKSCRUB_CACHE_CHUNK_CHARS, BOOKSCRUB_CACHE_CHUNK_CHARS);
+        }
+        entries[prefix + name] = String(count);
+        svc.putAll(entries, BOOKSCRUB_CACHE_TTL_SECS);
+      } catch (e) {
+        Logger.log('[DataSources] Cache write failed for ' + name + ' (non-fatal): ' + e.message);
+      }
+    }
+  };
+}
+
+// ── Private helpers ────────────────────────────────────────────────────
+
+/** "Envelopes Sent" / "envelopes-sent" → "ENVELOPES_SENT" */
+function _normalizeHeader(name) {
+  return String(name).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * @returns {{ value: *, ok: boolean }} ok is false when a non-blank value
+ *   could not be read as the declared type; the raw value is kept so a
+ *   mistyped field map never blanks data
+ */
+function _coerceBookscrubValue(v, type) {
+  if (v === null || v === undefined || v === '') return { value: '', ok: true };
+  switch (type) {
+    case 'number':
+      if (typeof v === 'number') return { value: v, ok: true };
+      var s = String(v).replace(/[$,\s%]/g, '');
+      if (/^\(.*\)$/.test(s)) s = '-' + s.slice(1, -1);   // accounting negatives
+      var n = parseFloat(s);
+      return isNaN(n) ? { value: v, ok: false } : { value: n, ok: true };
+    case 'boolean':
+      if (typeof v === 'boolean') return { value: v, ok: true };
+      var b = String(v).trim().toUpperCase();
+      if (['TRUE', 'YES', 'Y', '1'].indexOf(b) !== -1) return { value: true, ok: true };
+      if (['FALSE', 'NO', 'N', '0'].indexOf(b) !== -1) return { value: false, ok: true };
+      return { value: v, ok: false };
+    case 'date':
+      if (v instanceof Date) return { value: v, ok: !isNaN(v.getTime()) };
+      var ds = String(v).trim();
+      var ymd = ds.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      // Date-only ISO strings parse as UTC midnight; build them in script time like sheet dates
+      var d = ymd ? new Date(+ymd[1], +ymd[2] - 1, +ymd[3]) : new Date(ds);
+      return isNaN(d.getTime()) ? { value: v, ok: false } : { value: d, ok: true };
+  }
+  return { value: v, ok: true };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Test
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Deterministic check of the field map on small in-memory CSV and JSON
+ * tables: renamed headers resolve, a missing required field and a bad
+ * number are reported, and values are coerced by type. Doesn't touch the
+ * active source (aliases added in the "Bookscrub Fields" tab still apply).
+ */
+function testBookscrubTableSource() {
+  var csv = 'Company Name,industry,Term End Date,ENVELOPES_PURCHASED,Envelopes Sent,IS_CLM_ACCOUNT,Region Notes\n' +
+            '"Merck Sharp & Dohme LLC",Life Sciences,2025-06-30,"$12,000",(50),yes,East\n' +
+            'Example Corp,Technology,2026-01-31,500,n/a,no,West\n';
+  var json = JSON.stringify([
+    { 'Company Name': 'Merck Sharp & Dohme LLC', industry: 'Life Sciences', 'Term End Date': '2025-06-30',
+      ENVELOPES_PURCHASED: '$12,000', 'Envelopes Sent': '(50)', IS_CLM_ACCOUNT: 'yes', 'Region Notes': 'East' },
+    { 'Company Name': 'Example Corp', industry: 'Technology', 'Term End Date': '2026-01-31',
+      ENVELOPES_PURCHASED: 500, 'Envelopes Sent': 'n/a', IS_CLM_ACCOUNT: 'no', 'Region Notes': 'West' }
+  ]);
+  var sources = [
+    _createTableSource('csv', { name: 'test.csv', url: '' }, function() { return _parseCsvTable(csv, 'test.csv'); }),
+    _createTableSource('json', { name: 'test.json', url: '' }, function() { return _parseJsonTable(json, 'test.json'); })
+  ];
+
+  var failures = [];
+  var check = function(label, ok) { if (!ok) failures.push(label); };
+  sources.forEach(function(source) {
+    var tag = source.type + ': ';
+    var report = validateBookscrubSource(source);
+    var renamed = {};
+    report.renamed.forEach(function(r) { renamed[r.field] = r.header; });
+    check(tag + 'COMPANY_NAME renamed', renamed.COMPANY_NAME === 'Company Name');
+    check(tag + 'ENVELOPES_SENT renamed', renamed.ENVELOPES_SENT === 'Envelopes Sent');
+    check(tag + 'TERM_END_DATE renamed', renamed.TERM_END_DATE === 'Term End Date');
+    check(tag + 'ACCOUNT_ACV required and missing', report.requiredMissing.indexOf('ACCOUNT_ACV') !== -1);
+    check(tag + 'Region Notes unmapped', report.unmapped.indexOf('Region Notes') !== -1);
+    var sentIssue = report.typeIssues.filter(function(t) { return t.field === 'ENVELOPES_SENT'; })[0];
+    check(tag + 'ENVELOPES_SENT type issue', sentIssue && sentIssue.bad === 1 && sentIssue.example === 'n/a');
+    check(tag + 'not ok', report.ok === false);
+
+    var fields = resolveBookscrubFields(source.headers);
+    var row = coerceBookscrubRow(source.readRows(0, 1)[0], fields.types);
+    var val = function(field) { return row[fields.headerIndex[field]]; };
+    check(tag + '"$12,000" → 12000', val('ENVELOPES_PURCHASED') === 12000);
+    check(tag + '"(50)" → -50', val('ENVELOPES_SENT') === -50);
+    check(tag + '"yes" → true', val('IS_CLM_ACCOUNT') === true);
+    check(tag + 'term end is a local date', val('TERM_END_DATE') instanceof Date &&
+      val('TERM_END_DATE').getFullYear() === 2025 && val('TERM_END_DATE').getMonth() === 5 && val('TERM_END_DATE').getDate() === 30);
+    check(tag + 'name column', source.readColumn(fields.headerIndex.COMPANY_NAME).join('|') === 'Merck Sharp & Dohme LLC|Example Corp');
+  });
+
+  Logger.log(failures.length ? 'FAIL: ' + failures.join('; ') : 'PASS: CSV and JSON field map, report and coercion');
+}
+
+function testBookscrubSource() {
+  var companyName = 'Merck Sharp & Dohme LLC';
+  try {
+    var report = validateBookscrubSource();
+    Logger.log('[TEST] ' + JSON.stringify(report, null, 2));
+    if (report.requiredMissing.length) { Logger.log('FAIL: required columns missing'); return; }
+    var data = getCompanyData(companyName);
+    Logger.log('[TEST] ' + data.identity.name + ' — ' + data.consumption.envelopesSent + ' envelopes sent, term ends ' +
+      data.contract.termEnd);
+    Logger.log('PASS: ' + report.source + ' resolves ' + report.matched + ' fields');
+  } catch (e) {
+    Logger.log('FAIL: ' + e.message);
+  }
+}
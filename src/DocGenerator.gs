@@ -602,6 +602,7 @@ function addDocumentHeader(body, companyName, isProspect, subheadText) {
 
 //AAH 3.23.2026
 function notifyUserOfProgress (email, channelId, message){
+  recordJobStage(message);
   if (email != "" && channelId != ""){
     var slackWebhookUrl = "https://hooks.slack.com/triggers/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";
 
@@ -657,19 +658,39 @@ function generateAccountResearchDocForGroup(gtmGroupId, email, channelId) {
 
 /**
  * Main entry point: generate an account research doc for one company.
+ *
+ * With options.checkpoint each stage's output is saved to the company's
+ * Drive cache folder as it completes (see openRunCheckpoint), so a run that
+ * times out resumes at the last completed stage instead of re-paying for
+ * every LLM call.
+ *
  * @param {string} companyName
+ * @param {string} email
+ * @param {string} channelId
+ * @param {boolean} isProspect
+ * @param {Object} [prebuiltData]  Pre-merged data (GTM groups)
+ * @param {{ checkpoint: boolean }} [options]
  * @returns {string} URL of the created Google Doc
  */
-function generateAccountResearchDoc(companyName, email, channelId, isProspect, prebuiltData) {
+function generateAccountResearchDoc(companyName, email, channelId, isProspect, prebuiltData, options) {
   Logger.log('Starting account research generation for: ' + companyName + (isProspect ? ' [PROSPECT]' : ''));
+  resetLLMUsage(companyName);
+  resetValidationReport();
+  var run = options && options.checkpoint ? openRunCheckpoint(companyName) : null;
+  _lastRunCheckpoint = run;
 
   // ── Step 1: Extract internal data and run signal matching ─────────
   Logger.log('Extracting sheet data...');
   //AAH 3.23.2026
   notifyUserOfProgress (email, channelId, "Fetching consumption data..");
-  var data = prebuiltData || getCompanyData(companyName, isProspect);
-  var productSignals = generateProductSignals(data);
-  var internalSummary = summarizeForLLM(data, productSignals);
+  var extracted = runCheckpointStage(run, 'extract', function() {
+    var d = prebuiltData || getCompanyData(companyName, isProspect);
+    var signals = generateProductSignals(d);
+    return { data: d, productSignals: signals, internalSummary: summarizeForLLM(d, signals) };
+  });
+  var data = extracted.data;
+  var productSignals = extracted.productSignals;
+  var internalSummary = extracted.internalSummary;
   Logger.log('[DocGen] Internal data extracted. Industry: ' + data.context.industry +
     ' | Plan: ' + data.contract.plan + ' | Envelopes: ' + data.consumption.envelopesSent + '/' + data.consumption.envelopesPurchased);
 
@@ -679,7 +700,9 @@ function generateAccountResearchDoc(companyName, email, channelId, isProspect, p
   notifyUserOfProgress (email, channelId, "Fetching SEC, Wikipedia and Wikidata data..");
   var enrichment = {};
   try {
-    enrichment = enrichCompanyData(data.identity.name, data.context.industry);
+    enrichment = runCheckpointStage(run, 'enrichment', function() {
+      return enrichCompanyData(data.identity.name, data.context.industry);
+    });
     var enrichedFields = Object.keys(enrichment).filter(function(k) {
       return k.charAt(0) !== '_' && enrichment[k] != null;
     });
@@ -698,7 +721,9 @@ function generateAccountResearchDoc(companyName, email, channelId, isProspect, p
   notifyUserOfProgress (email, channelId, "Researching company " + companyName + "..");
   var accountProfile;
   try {
-    accountProfile = researchAccountProfile(data.identity.name, data.context.industry, enrichment);
+    accountProfile = runCheckpointStage(run, 'accountProfile', function() {
+      return researchAccountProfile(data.identity.name, data.context.industry, enrichment);
+    });
     Logger.log('[DocGen] Call 1 succeeded. Keys: ' + (accountProfile ? Object.keys(accountProfile).join(', ') : 'null'));
   } catch (e) {
     Logger.log('[DocGen] Call 1 FAILED: ' + e.message);
@@ -722,71 +747,25 @@ function generateAccountResearchDoc(companyName, email, channelId, isProspect, p
   //AAH 3.23.2026
   notifyUserOfProgress (email, channelId, "Generating Business Map, Agreement Landscape and Contract Commerce..");
   Logger.log('[DocGen] === LLM CALLS 2+3+4/7: Business Map + Agreement Landscape + Contract Commerce (parallel) ===');
-  var businessMap = {};
-  var agreementLandscape = {};
-  var contractCommerce = {};
-
-  try {
-    var req2 = buildCall2Request(data.identity.name, data.context.industry, accountProfile);
-    var req3 = buildCall3Request(data.identity.name, data.context.industry, accountProfile);
-    var req4 = buildCall4Request(data.identity.name, data.context.industry, accountProfile);
-
-    var parallelResults = callLLMJsonParallel([req2, req3, req4]);
-
-    // Process results — retry individually on failure
-    if (parallelResults[0]) {
-      businessMap = parallelResults[0];
-      Logger.log('[DocGen] Call 2 (parallel) succeeded. Nodes: ' + (businessMap.nodes ? businessMap.nodes.length : 0));
-    } else {
-      Logger.log('[DocGen] Call 2 (parallel) failed. Retrying individually...');
-      try {
-        businessMap = researchBusinessMap(data.identity.name, data.context.industry, accountProfile);
-        Logger.log('[DocGen] Call 2 retry succeeded. Nodes: ' + (businessMap.nodes ? businessMap.nodes.length : 0));
-      } catch (e2) {
-        Logger.log('[DocGen] Call 2 retry FAILED: ' + e2.message);
-        businessMap = {};
-      }
-    }
-
-    if (parallelResults[1]) {
-      agreementLandscape = parallelResults[1];
-      Logger.log('[DocGen] Call 3 (parallel) succeeded. Agreements: ' + (agreementLandscape.agreements ? agreementLandscape.agreements.length : 0));
-    } else {
-      Logger.log('[DocGen] Call 3 (parallel) failed. Retrying individually...');
-      try {
-        agreementLandscape = researchAgreementLandscape(data.identity.name, data.context.industry, accountProfile, businessMap);
-        Logger.log('[DocGen] Call 3 retry succeeded. Agreements: ' + (agreementLandscape.agreements ? agreementLandscape.agreements.length : 0));
-      } catch (e3) {
-        Logger.log('[DocGen] Call 3 retry FAILED: ' + e3.message);
-        agreementLandscape = {};
-      }
-    }
-
-    if (parallelResults[2]) {
-      contractCommerce = parallelResults[2];
-      Logger.log('[DocGen] Call 4 (parallel) succeeded. Keys: ' + Object.keys(contractCommerce).join(', '));
-    } else {
-      Logger.log('[DocGen] Call 4 (parallel) failed. Retrying individually...');
-      try {
-        contractCommerce = researchContractCommerce(data.identity.name, data.context.industry, accountProfile, agreementLandscape);
-        Logger.log('[DocGen] Call 4 retry succeeded. Keys: ' + Object.keys(contractCommerce).join(', '));
-      } catch (e4) {
-        Logger.log('[DocGen] Call 4 retry FAILED: ' + e4.message);
-        contractCommerce = {};
-      }
-    }
-  } catch (e) {
-    Logger.log('[DocGen] Parallel calls 2+3+4 FAILED: ' + e.message + '. Falling back to sequential...');
-    try {
-      businessMap = researchBusinessMap(data.identity.name, data.context.industry, accountProfile);
-    } catch (e2) { Logger.log('[DocGen] Call 2 fallback FAILED: ' + e2.message); businessMap = {}; }
-    try {
-      agreementLandscape = researchAgreementLandscape(data.identity.name, data.context.industry, accountProfile, businessMap);
-    } catch (e3) { Logger.log('[DocGen] Call 3 fallback FAILED: ' + e3.message); agreementLandscape = {}; }
-    try {
-      contractCommerce = researchContractCommerce(data.identity.name, data.context.industry, accountProfile, agreementLandscape);
-    } catch (e4) { Logger.log('[DocGen] Call 4 fallback FAILED: ' + e4.message); contractCommerce = {}; }
-  }
+  var name = data.identity.name;
+  var industry = data.context.industry;
+  var research234 = _runParallelStages(run, [
+    { stage: 'businessMap', label: 'Call 2',
+      build: function() { return buildCall2Request(name, industry, accountProfile); },
+      retry: function() { return researchBusinessMap(name, industry, accountProfile); } },
+    { stage: 'agreementLandscape', label: 'Call 3',
+      build: function() { return buildCall3Request(name, industry, accountProfile); },
+      retry: function(r) { return researchAgreementLandscape(name, industry, accountProfile, r.businessMap || {}); } },
+    { stage: 'contractCommerce', label: 'Call 4',
+      build: function() { return buildCall4Request(name, industry, accountProfile); },
+      retry: function(r) { return researchContractCommerce(name, industry, accountProfile, r.agreementLandscape || {}); } }
+  ]);
+  var businessMap = research234.businessMap;
+  var agreementLandscape = research234.agreementLandscape;
+  var contractCommerce = research234.contractCommerce;
+  Logger.log('[DocGen] Calls 2+3+4 complete. Nodes: ' + (businessMap.nodes ? businessMap.nodes.length : 0) +
+    ' | Agreements: ' + (agreementLandscape.agreements ? agreementLandscape.agreements.length : 0) +
+    ' | Commerce keys: ' + Object.keys(contractCommerce).join(', '));
 
   // If Call 3 returned empty or failed, use deterministic fallback
   if (!agreementLandscape || !agreementLandscape.agreements || agreementLandscape.agreements.length === 0) {
@@ -807,7 +786,9 @@ function generateAccountResearchDoc(companyName, email, channelId, isProspect, p
   };
   var priorityMap;
   try {
-    priorityMap = synthesizePriorityMap(data.identity.name, internalSummary, externalResearch, productSignals);
+    priorityMap = runCheckpointStage(run, 'priorityMap', function() {
+      return synthesizePriorityMap(data.identity.name, internalSummary, externalResearch, productSignals, data.context.industry);
+    });
     Logger.log('[DocGen] Call 5 succeeded. Priorities: ' +
       (priorityMap && priorityMap.priorityMapping ? priorityMap.priorityMapping.length : 0));
   } catch (e) {
@@ -819,59 +800,38 @@ function generateAccountResearchDoc(companyName, email, channelId, isProspect, p
   //AAH 3.23.2026
   notifyUserOfProgress (email, channelId, "Generating Executive Briefing and Big Bet Initiatives..");
   Logger.log('[DocGen] === LLM CALLS 6+7/7: Executive Briefing + Big Bet Initiatives (parallel) ===');
-  var briefing = {};
-  var bigBets = {};
-
-  try {
-    var req6 = buildCall6Request(data.identity.name, accountProfile, priorityMap, productSignals);
-    var req7 = buildCall7Request(data.identity.name, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary);
-
-    var parallelResults67 = callLLMJsonParallel([req6, req7]);
-
-    if (parallelResults67[0]) {
-      briefing = parallelResults67[0];
-      Logger.log('[DocGen] Call 6 (parallel) succeeded. Priorities: ' + (briefing.priorities ? briefing.priorities.length : 0));
-    } else {
-      Logger.log('[DocGen] Call 6 (parallel) failed. Retrying individually...');
-      try {
-        briefing = generateExecutiveBriefing(data.identity.name, accountProfile, priorityMap, productSignals);
-        Logger.log('[DocGen] Call 6 retry succeeded. Priorities: ' + (briefing.priorities ? briefing.priorities.length : 0));
-      } catch (e6) {
-        Logger.log('[DocGen] Call 6 retry FAILED: ' + e6.message);
-        briefing = {};
-      }
-    }
-
-    if (parallelResults67[1]) {
-      bigBets = parallelResults67[1];
-      Logger.log('[DocGen] Call 7 (parallel) succeeded. Big Bets: ' + (bigBets.bigBets ? bigBets.bigBets.length : 0));
-    } else {
-      Logger.log('[DocGen] Call 7 (parallel) failed. Retrying individually...');
-      try {
-        bigBets = generateBigBetInitiatives(data.identity.name, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary);
-        Logger.log('[DocGen] Call 7 retry succeeded. Big Bets: ' + (bigBets.bigBets ? bigBets.bigBets.length : 0));
-      } catch (e7) {
-        Logger.log('[DocGen] Call 7 retry FAILED: ' + e7.message);
-        bigBets = {};
-      }
-    }
-  } catch (e) {
-    Logger.log('[DocGen] Parallel calls 6+7 FAILED: ' + e.message + '. Falling back to sequential...');
-    try {
-      briefing = generateExecutiveBriefing(data.identity.name, accountProfile, priorityMap, productSignals);
-    } catch (e6) { Logger.log('[DocGen] Call 6 fallback FAILED: ' + e6.message); briefing = {}; }
-    try {
-      bigBets = generateBigBetInitiatives(data.identity.name, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary);
-    } catch (e7) { Logger.log('[DocGen] Call 7 fallback FAILED: ' + e7.message); bigBets = {}; }
-  }
+  var synthesis67 = _runParallelStages(run, [
+    { stage: 'briefing', label: 'Call 6',
+      build: function() { return buildCall6Request(name, accountProfile, priorityMap, productSignals); },
+      retry: function() { return generateExecutiveBriefing(name, accountProfile, priorityMap, productSignals); } },
+    { stage: 'bigBets', label: 'Call 7',
+      build: function() { return buildCall7Request(name, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary, data.context.industry); },
+      retry: function() { return generateBigBetInitiatives(name, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary, data.context.industry); } }
+  ]);
+  var briefing = synthesis67.briefing;
+  var bigBets = synthesis67.bigBets;
+  Logger.log('[DocGen] Calls 6+7 complete. Priorities: ' + (briefing.priorities ? briefing.priorities.length : 0) +
+    ' | Big Bets: ' + (bigBets.bigBets ? bigBets.bigBets.length : 0));
 
   // ── Step 3: Build the Google Docs (Brief + Full Report) ──────────
+  // Not checkpointed: a run interrupted mid-build rebuilds both docs.
+  if (run) run.currentStage = 'docBuild';
+  var buildStart = Date.now();
   var result = _buildResearchDoc(
     data, productSignals, enrichment,
     accountProfile, businessMap, agreementLandscape, contractCommerce,
     priorityMap, briefing, bigBets,
     email, channelId, isProspect, 'og'
   );
+  if (run) {
+    run.stages.docBuild = { durationMs: Date.now() - buildStart, completedAt: new Date().toISOString() };
+    run.currentStage = null;
+    try {
+      clearRunCheckpoint(companyName);
+    } catch (e) {
+      Logger.log('[DocGen] Checkpoint cleanup failed (non-fatal): ' + e.message);
+    }
+  }
 
   // Notify Slack with both doc links
   if (email && channelId) {
@@ -884,9 +844,69 @@ function generateAccountResearchDoc(companyName, email, channelId, isProspect, p
   return result.briefUrl;
 }
 
+/**
+ * Runs a group of LLM calls in one parallel batch, retrying failures
+ * individually in order. Stages already in the checkpoint are reused and
+ * left out of the batch; failed calls come back as {} and are not
+ * checkpointed, so a resumed run tries them again.
+ *
+ * @param {Object|null} run  From openRunCheckpoint()
+ * @param {Array<{ stage: string, label: string, build: Function, retry: Function }>} specs
+ *        retry(results) receives the outputs gathered so far
+ * @returns {Object} stage → output
+ */
+function _runParallelStages(run, specs) {
+  var results = {};
+  var pending = specs.filter(function(spec) {
+    if (run && run.stages[spec.stage]) {
+      Logger.log('[DocGen] ' + spec.label + ' restored from checkpoint');
+      results[spec.stage] = run.stages[spec.stage].output;
+      return false;
+    }
+    return true;
+  });
+  if (!pending.length) return results;
+
+  var start = Date.now();
+  var parallel = [];
+  try {
+    if (run) run.currentStage = pending[0].stage;
+    parallel = callLLMJsonParallel(pending.map(function(spec) { return spec.build(); }));
+  } catch (e) {
+    Logger.log('[DocGen] Parallel ' + pending.map(function(s) { return s.label; }).join('+') +
+      ' FAILED: ' + e.message + '. Falling back to sequential...');
+  }
+  // Calls in the batch share the wall-clock time, so each is charged its share
+  var parallelMs = Math.round((Date.now() - start) / pending.length);
+
+  pending.forEach(function(spec, i) {
+    if (parallel[i]) {
+      Logger.log('[DocGen] ' + spec.label + ' (parallel) succeeded.');
+      results[spec.stage] = parallel[i];
+      saveCheckpointStage(run, spec.stage, parallel[i], parallelMs);
+      return;
+    }
+    Logger.log('[DocGen] ' + spec.label + ' (parallel) failed. Retrying individually...');
+    try {
+      results[spec.stage] = runCheckpointStage(run, spec.stage, function() { return spec.retry(results); });
+      Logger.log('[DocGen] ' + spec.label + ' retry succeeded.');
+    } catch (e) {
+      Logger.log('[DocGen] ' + spec.label + ' retry FAILED: ' + e.message);
+      results[spec.stage] = {};
+    }
+  });
+  return results;
+}
+
+/** Checkpoint of the last generateAccountResearchDoc() run (null unless checkpointed). Read by the batch runner for stage timings. */
+var _lastRunCheckpoint = null;
+
 /** Last doc generation result — { briefUrl, fullUrl }. Used by callers that need both URLs. */
 var _lastDocResult = null;
 
+/** Numbered sources for the report being built — see buildSourceRegister(). */
+var _docSourceRegister = null;
+
 // ── V2 wrappers — return { briefUrl, fullUrl } directly ────────────
 
 /**
@@ -960,25 +980,72 @@ function _buildResearchDoc(data, productSignals, enrichment,
   var docTitle = (isProspect ? '[PROSPECT] ' : '') +
     data.identity.name + ' | Account Research' +
     (data.isGtmGroup ? ' [GTM GROUP: ' + data.context.gtmGroup + ']' : '');
-  var doc = DocumentApp.create(docTitle);
+  var renderer = createDocsRenderer(docTitle);
+  var doc = renderer.doc;
+  var body = renderer.body;
+
+  // ── Header ──────────────────────────────────────────────────────────
+  addDocumentHeader(body, data.identity.name, isProspect);
+
+  renderReportSections(body, {
+    data: data, productSignals: productSignals, enrichment: enrichment,
+    accountProfile: accountProfile, businessMap: businessMap, agreementLandscape: agreementLandscape,
+    contractCommerce: contractCommerce, priorityMap: priorityMap, briefing: briefing, bigBets: bigBets,
+    isProspect: isProspect, pipeline: pipeline
+  });
+
+  Logger.log('[DocGen] Saving and closing full report...');
+  var fullUrl = renderer.finish();
+  Logger.log('[DocGen] Full report URL: ' + fullUrl);
+
+  // ── Build the Brief doc ────────────────────────────────────────────
+  var briefUrl = _buildBriefDoc(data, productSignals, enrichment,
+    accountProfile, businessMap, agreementLandscape, contractCommerce,
+    priorityMap, briefing, bigBets,
+    email, channelId, isProspect, pipeline, fullUrl);
+
+  // ── Patch cross-reference link into the full report ────────────────
+  _addCrossReferenceLink(doc.getId(), briefUrl, 'Account Brief');
 
+  // ── Cache structured AR data for Command Center dashboard ──────────
+  notifyUserOfProgress(email, channelId, 'Caching data for Command Center..');
   try {
-    var folderId = getOutputFolder();
-    var file = DriveApp.getFileById(doc.getId());
-    DriveApp.getFolderById(folderId).addFile(file);
-    DriveApp.getRootFolder().removeFile(file);
-  } catch (e) {
-    Logger.log('[DocGen] Could not move to output folder: ' + e.message + '. Doc stays in root.');
+    _cacheARResult(data, productSignals, enrichment,
+      accountProfile, businessMap, agreementLandscape, contractCommerce,
+      priorityMap, briefing, bigBets, briefUrl, fullUrl, pipeline);
+    Logger.log('[DocGen] Cache write complete (L1 research + L2 intelligence)');
+  } catch (cacheErr) {
+    Logger.log('[DocGen] WARNING: AR cache write failed (non-fatal): ' + cacheErr.message);
   }
 
-  var body = doc.getBody();
-  body.setMarginTop(36);
-  body.setMarginBottom(36);
-  body.setMarginLeft(48);
-  body.setMarginRight(48);
+  Logger.log('[DocGen] COMPLETE. Brief URL: ' + briefUrl + ' | Full URL: ' + fullUrl);
+  return { briefUrl: briefUrl, fullUrl: fullUrl };
+}
 
-  // ── Header ──────────────────────────────────────────────────────────
-  addDocumentHeader(body, data.identity.name, isProspect);
+
+/**
+ * Write the report's sections — primary sections, appendix and data
+ * sources — to a body. Shared by the Google Doc build and the Markdown /
+ * JSON renderers (Renderers.gs), so every format carries the same content.
+ *
+ * @param {Body|Object} body  Google Doc body, or a recording body from createRecordingRenderer()
+ * @param {Object} report     { data, productSignals, enrichment, accountProfile, businessMap,
+ *                              agreementLandscape, contractCommerce, priorityMap, briefing,
+ *                              bigBets, isProspect, pipeline }
+ */
+function renderReportSections(body, report) {
+  var data = report.data, productSignals = report.productSignals, enrichment = report.enrichment;
+  var accountProfile = report.accountProfile, businessMap = report.businessMap;
+  var agreementLandscape = report.agreementLandscape, contractCommerce = report.contractCommerce;
+  var priorityMap = report.priorityMap, briefing = report.briefing, bigBets = report.bigBets;
+  var isProspect = report.isProspect, pipeline = report.pipeline;
+
+  // Footnote numbers for source markers throughout the report
+  var research = {
+    accountProfile: accountProfile, businessMap: businessMap, agreementLandscape: agreementLandscape,
+    contractCommerce: contractCommerce, priorityMap: priorityMap, briefing: briefing, bigBets: bigBets
+  };
+  _docSourceRegister = buildSourceRegister(enrichment, research, pipeline);
 
   // ── Primary sections ────────────────────────────────────────────────
   // Sections 1–3: internal account data (customer accounts only).
@@ -1023,9 +1090,14 @@ function _buildResearchDoc(data, productSignals, enrichment,
   body.appendPageBreak();
 
   Logger.log('[DocGen] Appendix: Business Performance & Strategy');
-  addBusinessPerformanceSection(body, data, accountProfile);
+  addBusinessPerformanceSection(body, data, accountProfile, enrichment);
   body.appendPageBreak();
 
+  Logger.log('[DocGen] Appendix: Recent Corporate Events');
+  if (addRecentCorporateEventsSection(body, enrichment)) {
+    body.appendPageBreak();
+  }
+
   Logger.log('[DocGen] Appendix: Executive Contacts & Technology');
   addExecutivesAndTechSection(body, data, accountProfile);
   body.appendPageBreak();
@@ -1055,39 +1127,10 @@ function _buildResearchDoc(data, productSignals, enrichment,
   body.appendPageBreak();
 
   Logger.log('[DocGen] Appendix: Data Sources & Methodology');
-  addDataSourcesSection(body, enrichment, pipeline);
-
-  Logger.log('[DocGen] Saving and closing full report...');
-  doc.saveAndClose();
-
-  var fullUrl = doc.getUrl();
-  Logger.log('[DocGen] Full report URL: ' + fullUrl);
-
-  // ── Build the Brief doc ────────────────────────────────────────────
-  var briefUrl = _buildBriefDoc(data, productSignals, enrichment,
-    accountProfile, businessMap, agreementLandscape, contractCommerce,
-    priorityMap, briefing, bigBets,
-    email, channelId, isProspect, pipeline, fullUrl);
-
-  // ── Patch cross-reference link into the full report ────────────────
-  _addCrossReferenceLink(doc.getId(), briefUrl, 'Account Brief');
-
-  // ── Cache structured AR data for Command Center dashboard ──────────
-  notifyUserOfProgress(email, channelId, 'Caching data for Command Center..');
-  try {
-    _cacheARResult(data, productSignals, enrichment,
-      accountProfile, businessMap, agreementLandscape, contractCommerce,
-      priorityMap, briefing, bigBets, briefUrl, fullUrl, pipeline);
-    Logger.log('[DocGen] Cache write complete (L1 research + L2 intelligence)');
-  } catch (cacheErr) {
-    Logger.log('[DocGen] WARNING: AR cache write failed (non-fatal): ' + cacheErr.message);
-  }
-
-  Logger.log('[DocGen] COMPLETE. Brief URL: ' + briefUrl + ' | Full URL: ' + fullUrl);
-  return { briefUrl: briefUrl, fullUrl: fullUrl };
+  addDataSourcesSection(body, enrichment, pipeline, getValidationReportForDoc(data.identity.name),
+    _docSourceRegister, findUnsourcedNumericClaims(research));
 }
 
-
 // ═══════════════════════════════════════════════════════════════════════
 // AR Result Cache — persists to Drive cache for the Command Center
 // ═══════════════════════════════════════════════════════════════════════
@@ -1141,6 +1184,16 @@ function _cacheARResult(data, productSignals, enrichment,
   } catch (e) {
     Logger.log('[Cache] L2 write failed (non-fatal): ' + e.message);
   }
+
+  // ── Record LLM usage for this run ──────────────────────────────
+  try {
+    var usage = getLLMUsage();
+    recordLLMUsage(companyName, usage);
+    Logger.log('[Cache] LLM usage: ' + usage.calls + ' calls, ' + (usage.inputTokens + usage.outputTokens) +
+      ' tokens, $' + usage.costUsd.toFixed(4) + (usage.estimated ? ' (estimated)' : ''));
+  } catch (e) {
+    Logger.log('[Cache] LLM usage write failed (non-fatal): ' + e.message);
+  }
 }
 
 
@@ -2023,7 +2076,8 @@ function addCompanyProfileSection(body, data, accountProfile, enrichment, busine
   if (ap.companyOverview) {
     addBodyText(body, ap.companyOverview);
     if (enr.overview) {
-      addSourceNote(body, 'Source: Wikipedia');
+      var overviewNote = addSourceNote(body, 'Source: Wikipedia ');
+      appendSourceMarkers(overviewNote.editAsText(), claimSourceNumbers(_docSourceRegister, 'accountProfile', ap, 'companyOverview'));
     }
   }
 
@@ -2083,25 +2137,26 @@ function addCompanyProfileSection(body, data, accountProfile, enrichment, busine
     var buLastHeaderCell = buTable.getRow(0).getCell(buRows[0].length - 1);
     buLastHeaderCell.setBackgroundColor(DOCUSIGN_TODAY_BG);
     buLastHeaderCell.editAsText().setForegroundColor(DOCUSIGN_TODAY_FG);
+    var buFlagged = false;
+    bus.forEach(function(bu, i) {
+      if (!bu.segmentRevenue) return;
+      var cellText = buTable.getRow(i + 1).getCell(4).editAsText();
+      buFlagged = markClaimInDoc(cellText, 'accountProfile', ap, 'businessUnits[' + i + '].segmentRevenue', bu.segmentRevenue) || buFlagged;
+    });
     var buSources = ['AI-generated research (Bing-grounded)'];
+    var primarySegments = enr.segmentBreakdown && enr.segmentBreakdown[enr.segmentType];
     if (enr.segments && enr.segments.length > 0 && enr.segmentType !== 'geographic') {
       buSources.push('Segment Revenue from SEC EDGAR 10-K XBRL filing');
     }
-    addSourceNote(body, 'Source: ' + buSources.join(' · '));
+    addSourceNote(body, 'Source: ' + buSources.join(' · ') + (buFlagged ? ' · ' + UNVERIFIED_CLAIM_NOTE : ''));
+    if (enr.segmentType !== 'geographic' && primarySegments && primarySegments.quality && !primarySegments.quality.reliable) {
+      addSegmentQualityNote(body, { reliable: false, discrepancies: primarySegments.quality.discrepancies });
+    }
 
   }
 
-  // Revenue by Geography table (geographic segments only)
-  if (enr.segmentType === 'geographic' && enr.segments && enr.segments.length > 0) {
-    addSubHeading(body, 'Revenue by Geography');
-    var geoRows = [['Region', 'Revenue']];
-    enr.segments.forEach(function(seg) {
-      geoRows.push([seg.name || '', formatDollars(seg.revenue)]);
-    });
-    addStyledTable(body, geoRows);
-    var period = enr.filingPeriod ? ' (FY ' + enr.filingPeriod + ')' : '';
-    addSourceNote(body, 'Source: SEC EDGAR 10-K' + period + ' \u00b7 Geographic segments');
-  }
+  // SEC segment disclosures — one table per axis the 10-K reports
+  addSegmentBreakdownTables(body, enr);
 
   // Key Metrics table
   addSubHeading(body, 'Key Metrics');
@@ -2116,9 +2171,17 @@ function addCompanyProfileSection(body, data, accountProfile, enrichment, busine
     ['Employees', empCount.total || 'N/A', empCount.context || ''],
     ['Supply Chain', (supply.majorCategories || []).join(', ') || 'N/A', supply.context || '']
   ];
-  addStyledTable(body, metricsRows);
+  var metricsTable = addStyledTable(body, metricsRows);
+  var metricsFlagged = false;
+  if (empCount.total) {
+    metricsFlagged = markClaimInDoc(metricsTable.getRow(2).getCell(1).editAsText(), 'accountProfile', ap, 'employeeCount.total', empCount.total);
+  }
+  if (custBase.total) {
+    metricsFlagged = markClaimInDoc(metricsTable.getRow(1).getCell(1).editAsText(), 'accountProfile', ap, 'customerBase.total', custBase.total) || metricsFlagged;
+  }
   var metricSources = [];
   if (enr.employeesFormatted) metricSources.push('Employee count from SEC EDGAR 10-K');
+  if (metricsFlagged) metricSources.push(UNVERIFIED_CLAIM_NOTE);
   if (metricSources.length > 0) {
     addSourceNote(body, 'Source: ' + metricSources.join(' · '));
   }
@@ -2142,22 +2205,108 @@ function addCompanyProfileSection(body, data, accountProfile, enrichment, busine
     ['CapEx',      fin.capex     || 'N/A', METRIC_DEFS.capex,     ''],
     ['Net Income', fin.netIncome || 'N/A', METRIC_DEFS.netIncome, '']
   ];
-  addStyledTable(body, finRows);
+
+  // Prefer the fresher TTM figure when a 10-Q post-dates the 10-K; keep FY alongside
+  var ttm = enr.ttm;
+  if (ttm && ttm.periodEnd) {
+    var ttmKeys = [null, 'revenue', 'cogs', 'opex', 'capex', 'netIncome'];
+    finRows = finRows.map(function(row, i) {
+      if (i === 0) return ['Metric', 'TTM (to ' + ttm.periodEnd + ')', filingPeriod ? 'FY ' + filingPeriod : 'Annual', 'Definition', 'Insight'];
+      var ttmVal = ttmFormatted(ttm, ttmKeys[i]) || '—';
+      return [row[0], ttmVal].concat(row.slice(1));
+    });
+  }
+
+  var finTable = addStyledTable(body, finRows);
+  var finValueCol = (ttm && ttm.periodEnd) ? 2 : 1;
+  var finFlagged = false;
+  ['revenue', 'cogs', 'opex', 'capex', 'netIncome'].forEach(function(metric, i) {
+    if (!fin[metric]) return;
+    var cellText = finTable.getRow(i + 1).getCell(finValueCol).editAsText();
+    finFlagged = markClaimInDoc(cellText, 'accountProfile', ap, 'financials.' + metric, fin[metric]) || finFlagged;
+  });
   if (enr.revenueFormatted) {
-    addSourceNote(body, 'Source: SEC EDGAR 10-K XBRL filing' + (filingPeriod ? ' (FY ' + filingPeriod + ')' : ''));
+    var finSource = 'Source: SEC EDGAR 10-K XBRL filing' + (filingPeriod ? ' (FY ' + filingPeriod + ')' : '');
+    if (ttm && ttm.periodEnd) {
+      finSource += ' · TTM = latest fiscal year + current 10-Q year-to-date − prior-year year-to-date';
+    }
+    var finNote = addSourceNote(body, finSource + ' ');
+    appendSourceMarkers(finNote.editAsText(), enrichmentSourceNumbers(['sec-10k', 'sec-10q']));
   }
+  if (finFlagged) addSourceNote(body, UNVERIFIED_CLAIM_NOTE);
 }
 
 /**
  * Section 2: Business Performance & Strategy
  */
-function addBusinessPerformanceSection(body, data, accountProfile) {
+function addBusinessPerformanceSection(body, data, accountProfile, enrichment) {
   addSectionHeading(body, 'Business Performance & Strategy');
-  addSectionDescription(body, 'Sources: Glean AI research (Google Gemini web search). Three-year trends, highlights, strategic initiatives, and SWOT analysis are AI-generated based on publicly available information. Financial trend claims should be cross-checked against SEC filings in the Company Profile section.');
+  addSectionDescription(body, 'Sources: SEC EDGAR 10-K XBRL filings (financial trend and peer benchmark tables, when available) and Glean AI research (Google Gemini web search). Three-year narrative, highlights, strategic initiatives, and SWOT analysis are AI-generated based on publicly available information and should be cross-checked against the SEC figures.');
 
   var ap = accountProfile || {};
   var perf = ap.businessPerformance || {};
   var swot = ap.swot || {};
+  var enr = enrichment || {};
+
+  // Multi-year financial trend from SEC 10-K history
+  var history = enr.financialHistory || [];
+  if (history.length > 1) {
+    addSubHeading(body, 'Financial Trend');
+    var trendRows = [['Metric'].concat(history.map(function(row) { return 'FY ' + row.fiscalYear; }))];
+    var TREND_METRICS = [
+      { label: 'Revenue',          key: 'revenue',         fmt: formatDollars },
+      { label: 'Revenue Growth',   key: 'revenueGrowth',   fmt: formatRatioPct },
+      { label: 'Gross Margin',     key: 'grossMargin',     fmt: formatRatioPct },
+      { label: 'Operating Margin', key: 'operatingMargin', fmt: formatRatioPct },
+      { label: 'Net Income',       key: 'netIncome',       fmt: formatDollars },
+      { label: 'OpEx',             key: 'opex',            fmt: formatDollars },
+      { label: 'CapEx',            key: 'capex',           fmt: formatDollars },
+      { label: 'Employees',        key: 'employees',       fmt: formatNumber }
+    ];
+    TREND_METRICS.forEach(function(m) {
+      var hasAny = history.some(function(row) { return row[m.key] != null; });
+      if (!hasAny) return;
+      trendRows.push([m.label].concat(history.map(function(row) {
+        return row[m.key] != null ? m.fmt(row[m.key]) : '—';
+      })));
+    });
+    addStyledTable(body, trendRows);
+    var trendNote = addSourceNote(body, 'Source: SEC EDGAR 10-K XBRL filings (FY ' + history[0].fiscalYear + '–FY ' +
+      history[history.length - 1].fiscalYear + ') · Growth is year-over-year; margins are computed from reported revenue, cost of revenue and operating income ');
+    appendSourceMarkers(trendNote.editAsText(), enrichmentSourceNumbers(['sec-10k']));
+  }
+
+  // Industry peer benchmark (SEC companies sharing the account's SIC code)
+  var bench = enr.peerBenchmark;
+  if (bench && bench.peerCount > 0) {
+    addSubHeading(body, 'Peer Benchmark');
+    (bench.headlines || []).forEach(function(h) {
+      var li = body.appendListItem(h);
+      li.setGlyphType(DocumentApp.GlyphType.BULLET);
+      li.editAsText().setFontSize(11);
+      li.editAsText().setBold(false);
+      li.editAsText().setForegroundColor('#333333');
+    });
+
+    var benchRows = [['Metric', 'Account', 'Peer Median', 'Percentile', 'Standing']];
+    PEER_BENCHMARK_METRICS.forEach(function(def) {
+      var m = bench.metrics[def.key];
+      if (!m || m.value == null) return;
+      var fmt = def.key === 'revenue' || def.key === 'revenuePerEmployee' ? formatDollars : formatRatioPct;
+      benchRows.push([
+        def.label,
+        fmt(m.value),
+        m.peerMedian != null ? fmt(m.peerMedian) : '\u2014',
+        m.percentile != null ? String(m.percentile) : '\u2014',
+        PEER_QUARTILE_LABELS[m.quartile] || '\u2014'
+      ]);
+    });
+    if (benchRows.length > 1) addStyledTable(body, benchRows);
+    var benchNote = addSourceNote(body, 'Source: SEC EDGAR 10-K XBRL filings · ' + bench.peerCount + ' SIC ' + bench.sic +
+      (bench.sicDescription ? ' (' + bench.sicDescription + ')' : '') +
+      ' filers · Percentile is the share of peers with a lower value; standing accounts for whether lower is better (OpEx / revenue) ');
+    appendSourceMarkers(benchNote.editAsText(), enrichmentSourceNumbers(['sec-peers']));
+  }
 
   // 3-year trend narrative
   if (perf.threeYearTrend) {
@@ -2249,6 +2398,65 @@ function addBusinessPerformanceSection(body, data, accountProfile) {
   }
 }
 
+/**
+ * Recent Corporate Events — 8-K filings from the last SEC_EVENT_MONTHS,
+ * with executive changes (5.02), acquisitions (2.01) and material
+ * agreements (1.01) called out first.  Skipped when the company has no
+ * SEC filings.
+ * @param {Body}   body
+ * @param {Object} enrichment  Enrichment data (corporateEvents from fetchSecEvents)
+ */
+function addRecentCorporateEventsSection(body, enrichment) {
+  var feed = enrichment && enrichment.corporateEvents;
+  if (!feed) return false;
+
+  addSectionHeading(body, 'Recent Corporate Events');
+  addSectionDescription(body, 'Sources: SEC EDGAR 8-K current reports filed since ' + feed.since + '. Item codes are as filed by the company; open the linked document for details.');
+
+  var events = feed.events || [];
+  if (events.length === 0) {
+    addBodyText(body, 'No 8-K filings in the last ' + SEC_EVENT_MONTHS + ' months.');
+    return true;
+  }
+
+  // Headline counts for the items reps ask about
+  var HEADLINE_CATEGORIES = [
+    { category: 'leadership',  label: 'executive / board change' },
+    { category: 'acquisition', label: 'acquisition or disposition' },
+    { category: 'agreement',   label: 'material agreement' }
+  ];
+  var byCategory = (feed.summary && feed.summary.byCategory) || {};
+  var headline = HEADLINE_CATEGORIES.filter(function(h) { return byCategory[h.category]; })
+    .map(function(h) { return byCategory[h.category] + ' ' + h.label + (byCategory[h.category] === 1 ? '' : 's'); });
+  if (headline.length > 0) {
+    addBodyText(body, events.length + ' filings in the last ' + SEC_EVENT_MONTHS + ' months, including ' + headline.join(', ') + '.');
+  }
+
+  // Material events first, then the rest — each group newest first
+  var ordered = events.filter(function(e) { return e.material; })
+    .concat(events.filter(function(e) { return !e.material; }));
+
+  var rows = [['Filed', 'Form', 'Items', 'Document']];
+  ordered.forEach(function(e) {
+    var items = (e.items || []).filter(function(item) { return item.category !== 'exhibits'; })
+      .map(function(item) { return item.code + ' ' + item.label; });
+    rows.push([e.filingDate || '', e.form || '', items.join('\n') || '\u2014', e.documentUrl ? 'View filing' : '']);
+  });
+  var table = addStyledTable(body, rows);
+
+  // Link the Document column to the primary document
+  for (var r = 0; r < ordered.length; r++) {
+    if (!ordered[r].documentUrl) continue;
+    var cellText = table.getRow(r + 1).getCell(3).editAsText();
+    cellText.setLinkUrl(ordered[r].documentUrl);
+    cellText.setForegroundColor(DOCUSIGN_COBALT);
+  }
+
+  var eventsNote = addSourceNote(body, 'Source: SEC EDGAR submissions \u00b7 8-K filings since ' + feed.since + ' ');
+  appendSourceMarkers(eventsNote.editAsText(), enrichmentSourceNumbers(['sec-8k']));
+  return true;
+}
+
 /**
  * Section 3: Executive Contacts & Technology
  */
@@ -2302,10 +2510,81 @@ function addExecutivesAndTechSection(body, data, accountProfile) {
   }
 }
 
+/**
+ * Render SEC 10-K segment disclosures, one table per available axis
+ * (business segments, geography, products & services).  Columns for
+ * operating income and assets appear only when the filing discloses them.
+ * @param {Body}   body
+ * @param {Object} enr  Enrichment data (segmentBreakdown, filingPeriod)
+ */
+function addSegmentBreakdownTables(body, enr) {
+  var breakdown = (enr && enr.segmentBreakdown) || {};
+  var axes = [
+    { key: 'business',   heading: 'Business Segments',     label: 'Segment' },
+    { key: 'geographic', heading: 'Revenue by Geography',  label: 'Region' },
+    { key: 'product',    heading: 'Products & Services',   label: 'Product / Service' }
+  ];
+
+  axes.forEach(function(axis) {
+    var block = breakdown[axis.key];
+    if (!block || !block.members || block.members.length === 0) return;
+
+    var hasOpInc = block.members.some(function(m) { return m.operatingIncome != null; });
+    var hasAssets = block.members.some(function(m) { return m.assets != null; });
+
+    var header = [axis.label, 'Revenue'];
+    if (hasOpInc) header.push('Operating Income', 'Op. Margin');
+    if (hasAssets) header.push('Assets');
+    var rows = [header];
+
+    block.members.forEach(function(m) {
+      var row = [m.name || '', m.revenue != null ? formatDollars(m.revenue) : '\u2014'];
+      if (hasOpInc) {
+        row.push(m.operatingIncome != null ? formatDollars(m.operatingIncome) : '\u2014');
+        row.push(m.operatingIncome != null && m.revenue ? formatRatioPct(m.operatingIncome / m.revenue) : '\u2014');
+      }
+      if (hasAssets) row.push(m.assets != null ? formatDollars(m.assets) : '\u2014');
+      rows.push(row);
+    });
+
+    addSubHeading(body, axis.heading);
+    addStyledTable(body, rows);
+    var period = block.periodEnd ? ' (period ending ' + block.periodEnd + ')'
+      : (enr.filingPeriod ? ' (FY ' + enr.filingPeriod + ')' : '');
+    addSourceNote(body, 'Source: SEC EDGAR 10-K XBRL' + period + ' \u00b7 ' + axis.heading);
+    addSegmentQualityNote(body, block.quality);
+  });
+}
+
+/**
+ * Flag segment figures that don't reconcile with consolidated revenue, and
+ * note any eliminations / totals the proxy removed.
+ * @param {Body}   body
+ * @param {Object} quality  Proxy segment quality block (may be null)
+ */
+function addSegmentQualityNote(body, quality) {
+  if (!quality) return;
+
+  var excluded = quality.excludedMembers || [];
+  if (excluded.length > 0) {
+    addSourceNote(body, 'Excluded from totals: ' + excluded.map(function(m) {
+      return m.name + ' (' + m.reason + ')';
+    }).join(', '));
+  }
+
+  if (quality.reliable) return;
+  var reasons = (quality.discrepancies || []).join('; ') || 'could not be reconciled with consolidated revenue';
+  var note = addSourceNote(body, '\u26a0 Segment figures may be unreliable \u2014 ' + reasons + '. Verify against the 10-K before quoting.');
+  note.editAsText().setItalic(false);
+  note.editAsText().setBold(true);
+  note.editAsText().setForegroundColor(DOCUSIGN_COBALT);
+}
+
 /**
  * Section 4: Business Map
+ * @param {Object} [enrichment]  When given, SEC segment tables follow the hierarchy
  */
-function addBusinessMapSection(body, data, businessMap) {
+function addBusinessMapSection(body, data, businessMap, enrichment) {
   addSectionHeading(body, 'Business Map');
   addSectionDescription(body, 'Sources: AI-generated organizational hierarchy based on company profile, public disclosures, and industry patterns. Business units, departments, and functions are LLM estimates. Agreement intensity ratings (High/Medium/Low) reflect expected agreement activity, not measured data.');
 
@@ -2373,6 +2652,8 @@ function addBusinessMapSection(body, data, businessMap) {
   legend.editAsText().setFontSize(9);
   legend.editAsText().setBold(false);
   legend.editAsText().setForegroundColor('#666666');
+
+  if (enrichment) addSegmentBreakdownTables(body, enrichment);
 }
 
 /**
@@ -2575,6 +2856,22 @@ var INDICATOR_TIERS = {
   chargeModel:       'excluded'
 };
 
+/**
+ * Display order and names of the health indicators.
+ */
+var HEALTH_INDICATOR_ORDER = [
+  { key: 'consumptionPacing', name: 'Consumption Pacing' },
+  { key: 'usageTrend',        name: 'Usage Trend' },
+  { key: 'sendVelocity',      name: 'Send Velocity (MoM)' },
+  { key: 'seatActivation',    name: 'Seat Activation' },
+  { key: 'seatGrowth',        name: 'Seat Growth (MoM)' },
+  { key: 'integrationDepth',  name: 'Integration Depth' },
+  { key: 'transactionHealth', name: 'Transaction Health' },
+  { key: 'productBreadth',    name: 'Product Breadth' },
+  { key: 'renewalProximity',  name: 'Renewal Proximity' },
+  { key: 'chargeModel',       name: 'Charge Model' }
+];
+
 /**
  * Compute tiered rollup status from health results.
  * @param {Object} health  Output of analyzeAccountHealth()
@@ -2817,18 +3114,7 @@ function addAccountHealthSection(body, data, showOverallAssessment) {
   addSectionDescription(body, 'Sources: Internal Docusign account metrics processed through rule-based scoring. Health indicators (green/yellow/red) are computed deterministically from consumption pacing, usage trends, seat activation, and renewal proximity. No AI estimation involved.');
   addSourceNote(body, 'Source: Docusign Book of Business · Health indicators computed from internal account metrics');
 
-  var indicatorOrder = [
-    { key: 'consumptionPacing', name: 'Consumption Pacing' },
-    { key: 'usageTrend',        name: 'Usage Trend' },
-    { key: 'sendVelocity',      name: 'Send Velocity (MoM)' },
-    { key: 'seatActivation',    name: 'Seat Activation' },
-    { key: 'seatGrowth',        name: 'Seat Growth (MoM)' },
-    { key: 'integrationDepth',  name: 'Integration Depth' },
-    { key: 'transactionHealth', name: 'Transaction Health' },
-    { key: 'productBreadth',    name: 'Product Breadth' },
-    { key: 'renewalProximity',  name: 'Renewal Proximity' },
-    { key: 'chargeModel',       name: 'Charge Model' }
-  ];
+  var indicatorOrder = HEALTH_INDICATOR_ORDER;
 
   // ── GTM Group: compact per-account summary table ──────────────────
   if (data.isGtmGroup && data.accounts && data.accounts.length > 0) {
@@ -3307,8 +3593,8 @@ function addContractCommerceSection(body, data, contractCommerce) {
   if (depts.length > 0) {
     addSubHeading(body, 'Commerce by Department');
 
-    // Try bar chart
-    var barBlob = createBarChart(depts);
+    // Try bar chart (Docs only — the chart is built in a temporary spreadsheet)
+    var barBlob = isRecordingBody(body) ? null : createBarChart(depts);
     if (barBlob) {
       try {
         body.appendImage(barBlob);
@@ -3719,8 +4005,12 @@ function addPriorityMapSection(body, data, priorityMap, productSignals) {
  * Lists all data sources used, what they provided, and methodology notes.
  * @param {Body} body
  * @param {Object} enrichment  Output of enrichCompanyData()
+ * @param {string} pipeline    'glean' or 'og'
+ * @param {Object} [validation]  Schema validation report — see getValidationReportForDoc()
+ * @param {Object} [register]    Numbered sources — see buildSourceRegister()
+ * @param {Array}  [unsourced]   Figures with no source — see findUnsourcedNumericClaims()
  */
-function addDataSourcesSection(body, enrichment, pipeline) {
+function addDataSourcesSection(body, enrichment, pipeline, validation, register, unsourced) {
   addSectionHeading(body, 'Data Sources & Methodology');
 
   var enr = enrichment || {};
@@ -3776,8 +4066,16 @@ function addDataSourcesSection(body, enrichment, pipeline) {
   if (enr.revenueFormatted || enr.segments) {
     var secData = [];
     if (enr.revenueFormatted) secData.push('consolidated financials (revenue, COGS, OpEx, CapEx, net income)');
+    if (enr.ttm && enr.ttm.periodEnd) secData.push('trailing-twelve-month figures through ' + enr.ttm.periodEnd + ' (10-Q)');
     if (enr.employeesFormatted) secData.push('employee count');
-    if (enr.segments && enr.segments.length > 0) secData.push('segment revenue (' + enr.segments.length + ' segments)');
+    if (enr.segmentBreakdown) {
+      var segAxes = Object.keys(enr.segmentBreakdown);
+      secData.push('segment data by ' + segAxes.join(' / ') + ' axis (revenue, operating income and assets where disclosed)');
+    } else if (enr.segments && enr.segments.length > 0) {
+      secData.push('segment revenue (' + enr.segments.length + ' segments)');
+    }
+    if (enr.peerBenchmark) secData.push('peer benchmark vs ' + enr.peerBenchmark.peerCount + ' SIC ' + enr.peerBenchmark.sic + ' filers');
+    if (enr.corporateEvents) secData.push('8-K filings since ' + enr.corporateEvents.since + ' (' + (enr.corporateEvents.events || []).length + ')');
     var period = enr.filingPeriod ? 'FY ' + enr.filingPeriod + ' 10-K annual filing' : 'Most recent 10-K annual filing';
     rows.push([
       'SEC EDGAR (XBRL)',
@@ -3811,6 +4109,46 @@ function addDataSourcesSection(body, enrichment, pipeline) {
 
   addStyledTable(body, rows);
 
+  // ── Source register — the footnote numbers used throughout the report ──
+  if (register && register.sources.length > 0) {
+    addSpacer(body);
+    addSubHeading(body, 'Sources');
+    var srcRows = [['#', 'Source', 'Retrieved', 'Used For']];
+    register.sources.forEach(function(src) {
+      srcRows.push([
+        String(src.num),
+        src.title,
+        src.retrievedAt ? Utilities.formatDate(new Date(src.retrievedAt), Session.getScriptTimeZone(), 'MMM d, yyyy') : '\u2014',
+        src.usedBy.join(', ') || '\u2014'
+      ]);
+    });
+    var srcTable = addStyledTable(body, srcRows);
+    register.sources.forEach(function(src, i) {
+      if (!src.url) return;
+      var titleText = srcTable.getRow(i + 1).getCell(1).editAsText();
+      titleText.setLinkUrl(src.url);
+      titleText.setForegroundColor(DOCUSIGN_COBALT);
+    });
+  }
+
+  // ── Unverified figures — numeric claims with no filing or citation ──
+  if (unsourced && unsourced.length > 0) {
+    var MAX_UNSOURCED_ROWS = 25;
+    addSpacer(body);
+    addSubHeading(body, 'Unverified Figures');
+    addBodyText(body, unsourced.length + ' figure' + (unsourced.length === 1 ? ' has' : 's have') +
+      ' no SEC filing, database record or web citation behind ' + (unsourced.length === 1 ? 'it' : 'them') +
+      ' and should be treated as model estimates. Figures marked \u2020 in the report are among these.');
+    var claimRows = [['Output', 'Field', 'Value', 'Confidence']];
+    unsourced.slice(0, MAX_UNSOURCED_ROWS).forEach(function(claim) {
+      claimRows.push([RESEARCH_OUTPUT_LABELS[claim.key] || claim.key, claim.path, String(claim.value), 'Unverified \u2014 model estimate']);
+    });
+    addStyledTable(body, claimRows);
+    if (unsourced.length > MAX_UNSOURCED_ROWS) {
+      addSourceNote(body, '+' + (unsourced.length - MAX_UNSOURCED_ROWS) + ' more not shown');
+    }
+  }
+
   // ── How It Was Generated ─────────────────────────────────────────────
   addSpacer(body);
   addSubHeading(body, 'How This Report Was Generated');
@@ -3838,6 +4176,27 @@ function addDataSourcesSection(body, enrichment, pipeline) {
   steps.forEach(function(s) { stepRows.push(s); });
   addStyledTable(body, stepRows);
 
+  // ── Output validation ────────────────────────────────────────────────
+  var validatedKeys = L2_ORDER.filter(function(key) { return validation && validation[key]; });
+  if (validatedKeys.length > 0) {
+    addSpacer(body);
+    addSubHeading(body, 'Output Validation');
+    addBodyText(body, 'Each AI output is checked against a declared structure. Unambiguous format issues are corrected automatically; ' +
+      'fields that remain invalid are re-requested once. Outputs marked Incomplete may have sections with missing detail.');
+    var statusLabels = { valid: 'Valid', coerced: 'Valid (auto-corrected)', repaired: 'Valid (re-requested)',
+                         invalid: 'Incomplete', missing: 'Not returned' };
+    var valRows = [['Output', 'Status', 'Notes']];
+    validatedKeys.forEach(function(key) {
+      var v = validation[key];
+      var notes = [];
+      if (v.coercions && v.coercions.length) notes.push(v.coercions.length + ' format correction' + (v.coercions.length > 1 ? 's' : ''));
+      if (v.reasked && v.reasked.length) notes.push('re-requested: ' + v.reasked.join(', '));
+      if (v.errors && v.errors.length) notes.push(v.errors.slice(0, 3).join('; ') + (v.errors.length > 3 ? ' (+' + (v.errors.length - 3) + ' more)' : ''));
+      valRows.push([RESEARCH_OUTPUT_LABELS[key] || key, statusLabels[v.status] || v.status, notes.join(' · ') || '—']);
+    });
+    addStyledTable(body, valRows);
+  }
+
   addSpacer(body);
   var disclaimer = addBodyText(body,
     'Disclaimer: AI-generated analysis in this report is intended as a starting point for AE research and executive conversations — not a substitute for independent verification. ' +
@@ -3924,6 +4283,68 @@ function addSourceNote(body, text) {
   return para;
 }
 
+// Legend for the † flag on figures with no verified or cited source
+var UNVERIFIED_CLAIM_NOTE = '\u2020 Unverified \u2014 model estimate with no filing or citation behind it';
+
+/**
+ * Append linked footnote markers ("[1][3]") to a Text element, each
+ * pointing at its source in the current report's register.
+ * @param {Text} text
+ * @param {Array<number>} nums  Register numbers
+ */
+function appendSourceMarkers(text, nums) {
+  if (!_docSourceRegister || !nums || nums.length === 0) return;
+  nums.forEach(function(num) {
+    var source = _docSourceRegister.sources[num - 1];
+    var label = '[' + num + ']';
+    var start = text.getText().length;
+    text.appendText(label);
+    var end = start + label.length - 1;
+    text.setTextAlignment(start, end, DocumentApp.TextAlignment.SUPERSCRIPT);
+    text.setForegroundColor(start, end, DOCUSIGN_COBALT);
+    if (source && source.url) text.setLinkUrl(start, end, source.url);
+  });
+}
+
+/**
+ * Register numbers for enrichment source ids, skipping any not used.
+ * @param {Array<string>} ids  e.g. ['sec-10k']
+ * @returns {Array<number>}
+ */
+function enrichmentSourceNumbers(ids) {
+  if (!_docSourceRegister) return [];
+  var nums = [];
+  ids.forEach(function(id) {
+    var num = _docSourceRegister.numbers[id];
+    if (num && nums.indexOf(num) === -1) nums.push(num);
+  });
+  return nums;
+}
+
+/**
+ * Mark a rendered claim with its source markers, or with † when it is a
+ * figure nothing backs.
+ * @param {Text}   text   Cell or paragraph text holding the value
+ * @param {string} key    Research output key
+ * @param {Object} obj    Research object
+ * @param {string} path   Claim path within obj
+ * @param {*}      value  The rendered value
+ * @returns {boolean} true if the † flag was added
+ */
+function markClaimInDoc(text, key, obj, path, value) {
+  var nums = claimSourceNumbers(_docSourceRegister, key, obj, path);
+  if (nums.length > 0) {
+    appendSourceMarkers(text, nums);
+    return false;
+  }
+  if (!isNumericClaim(path.split('.').pop(), value)) return false;
+  var start = text.getText().length;
+  text.appendText('\u2020');
+  text.setTextAlignment(start, start, DocumentApp.TextAlignment.SUPERSCRIPT);
+  text.setForegroundColor(start, start, '#666666');
+  return true;
+}
+
 /**
  * Add a section description paragraph — brief provenance note below section headings.
  * 9pt italic gray text, tight against heading with small gap before content.
@@ -4055,6 +4476,14 @@ function formatPct(n, decimals) {
   return num.toFixed(decimals !== undefined ? decimals : 1) + '%';
 }
 
+/**
+ * Format a ratio (e.g. 0.125) as a percentage string ("12.5%").
+ */
+function formatRatioPct(n) {
+  if (n === null || n === undefined || isNaN(n)) return 'N/A';
+  return formatPct(Number(n) * 100);
+}
+
 // Term completion display: shows normally up to 100%; flags elapsed contracts.
 function formatTermCompletion(n) {
   if (n === null || n === undefined || n === '') return 'N/A';
@@ -5,9 +5,11 @@
  * communication needed. generateAccountResearchDoc() is called directly.
  *
  * Tabs added to the Bookscrub sheet:
- *   Questions   — question bank
- *   Leaderboard — score history
- *   Config      — game tuning values
+ *   Questions    — question bank
+ *   Leaderboard  — score history
+ *   Config       — game tuning values
+ *   Quiz Reviews — per-player account quiz schedule (created on first use,
+ *                  see QuizGenerator.gs)
  *
  * Setup (run once):
  *   Run seedGameTabs() to create and populate the three tabs.
@@ -31,11 +33,42 @@ function doGet(e) {
     return HtmlService.createTemplateFromFile('Dashboard').evaluate()
       .setTitle('Command Center — Genius Bar');
   }
+  if (view === 'export') {
+    return _exportReport(e.parameter.company, e.parameter.format || 'markdown');
+  }
   return HtmlService
     .createHtmlOutputFromFile('Game')
     .setTitle('Genius Bar — Account Research');
 }
 
+/**
+ * ?view=export&company=…&format=markdown|json — the cached account research
+ * report for non-Google consumers (see Renderers.gs).
+ * @param {string} companyName
+ * @param {string} format  'markdown' or 'json'
+ * @returns {TextOutput}
+ */
+function _exportReport(companyName, format) {
+  var payload;
+  try {
+    if (!companyName) throw new Error('Missing company parameter');
+    if (format !== 'markdown' && format !== 'json') {
+      throw new Error('Unsupported format "' + format + '" — use markdown or json');
+    }
+    payload = renderAccountReport(companyName, format);
+  } catch (err) {
+    Logger.log('[GameServer] Export failed for "' + companyName + '": ' + err.message);
+    return ContentService.createTextOutput(JSON.stringify({ error: err.message }))
+      .setMimeType(ContentService.MimeType.JSON);
+  }
+  if (format === 'json') {
+    return ContentService.createTextOutput(JSON.stringify(payload))
+      .setMimeType(ContentService.MimeType.JSON);
+  }
+  return ContentService.createTextOutput(payload)
+    .setMimeType(ContentService.MimeType.TEXT);
+}
+
 /** Include an HTML partial (used by <?!= include('file') ?> in templates). */
 function include(filename) {
   return HtmlService.createTemplateFromFile(filename).getRawContent();
@@ -93,20 +126,15 @@ function buildCompanyNameCache() {
   }
 
   // Read all names from bookscrub once
-  var bookscrub = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID).getSheetByName(BOOKSCRUB_SHEET_NAME);
-  if (!bookscrub) throw new Error('Bookscrub sheet not found');
-  var headers = bookscrub.getRange(1, 1, 1, bookscrub.getLastColumn()).getValues()[0];
-  var colIdx  = headers.indexOf(COMPANY_NAME_COL);
-  if (colIdx < 0) throw new Error('COMPANY_NAME column not found');
-  var lastRow = bookscrub.getLastRow();
-  if (lastRow < 2) return;
-  var raw = bookscrub.getRange(2, colIdx + 1, lastRow - 1, 1).getValues();
+  var raw = readBookscrubColumn(COMPANY_NAME_COL);
+  if (!raw) throw new Error('COMPANY_NAME column not found');
+  if (!raw.length) return;
 
   // Bucket into chunks
   var chunks = {};
   NAME_CACHE_LETTERS.split('').forEach(function(l) { chunks[l] = {}; });
-  raw.forEach(function(row) {
-    var name  = String(row[0]).trim();
+  raw.forEach(function(value) {
+    var name  = String(value).trim();
     if (!name) return;
     var first = name.charAt(0).toUpperCase();
     var key   = (first >= '0' && first <= '9') ? '0' : first;
@@ -132,7 +160,7 @@ function buildCompanyNameCache() {
   var blank = ss.getSheetByName('Sheet1');
   if (blank && ss.getSheets().length > 1) ss.deleteSheet(blank);
 
-  Logger.log('[buildCompanyNameCache] Done. ' + lastRow + ' rows bucketed into ' +
+  Logger.log('[buildCompanyNameCache] Done. ' + raw.length + ' rows bucketed into ' +
     NAME_CACHE_LETTERS.length + ' tabs. Sheet ID: ' + ss.getId());
 }
 
@@ -140,20 +168,13 @@ function buildCompanyNameCache() {
  * Fallback: scan bookscrub directly (used when cache hasn't been built).
  */
 function _getCompanyNameChunkFromBookscrub(letter) {
-  var ss    = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID);
-  var sheet = ss.getSheetByName(BOOKSCRUB_SHEET_NAME);
-  if (!sheet) return [];
-  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  var colIdx  = headers.indexOf(COMPANY_NAME_COL);
-  if (colIdx < 0) return [];
-  var lastRow = sheet.getLastRow();
-  if (lastRow < 2) return [];
-  var values  = sheet.getRange(2, colIdx + 1, lastRow - 1, 1).getValues();
+  var values  = readBookscrubColumn(COMPANY_NAME_COL);
+  if (!values) return [];
   var isDigit = (letter === '0');
   var seen    = {};
   var names   = [];
-  values.forEach(function(row) {
-    var name  = String(row[0]).trim();
+  values.forEach(function(value) {
+    var name  = String(value).trim();
     if (!name) return;
     var first = name.charAt(0).toUpperCase();
     var match = isDigit ? (first >= '0' && first <= '9') : (first === letter);
@@ -162,95 +183,70 @@ function _getCompanyNameChunkFromBookscrub(letter) {
   return names.sort();
 }
 
-// ── AR trigger (direct call — same project) ───────────────────────────────
+// ── AR jobs (queued — see JobRunner.gs) ──────────────────────────────────
 
 /**
- * Kicks off AR generation via a one-second time trigger.
- * Returns { jobId } immediately — does not block.
+ * Queues AR generation for a company. Returns { jobId } immediately —
+ * does not block; poll checkJobStatus() for progress.
  */
 function triggerAR(companyName, email) {
-  var jobId = Utilities.getUuid();
-
-  // Write pending row to Jobs sheet so checkJobStatus can find it
-  _gameGetJobsSheet().appendRow([jobId, companyName, email, 'running', '', new Date(), '']);
-
-  // Store payload for the trigger handler
-  PropertiesService.getScriptProperties().setProperty(
-    'GAME_PENDING_JOB',
-    JSON.stringify({ jobId: jobId, companyName: companyName, email: email })
-  );
-
-  ScriptApp.newTrigger('runGameARJob').timeBased().after(1000).create();
-
+  var jobId = enqueueJob('ar', { companyName: companyName, email: email },
+    { priority: JOB_PRIORITY.HIGH, label: companyName, email: email });
   Logger.log('[Game] Job queued: ' + jobId + ' for ' + companyName);
   return { jobId: jobId };
 }
 
 /**
- * Trigger handler — runs AR generation and updates the Jobs row.
+ * Queue handler for 'ar' jobs — runs AR generation for one payload.
+ * @param {{ companyName: string, email: string, isProspect: boolean, gtmGroupId: string, isGtm: boolean }} job
+ * @returns {{ docUrl: string, fullUrl: string }}
+ */
+function runArJob(job) {
+  var docUrl;
+  if (job.isGtm) {
+    Logger.log('[runArJob] GTM group: ' + job.gtmGroupId);
+    var groupData = getGtmGroupData(job.gtmGroupId);
+    docUrl = triggerGleanReport(groupData.identity.name, groupData, false, job.email, '');
+  } else {
+    Logger.log('[runArJob] Starting: ' + job.companyName + (job.isProspect ? ' [prospect]' : ''));
+    docUrl = triggerGleanReport(job.companyName, null, !!job.isProspect, job.email, '');
+  }
+  // docUrl is the brief URL; the full report URL comes from the last doc result
+  return { docUrl: docUrl, fullUrl: (_lastDocResult && _lastDocResult.fullUrl) || '' };
+}
+
+/**
+ * Legacy trigger handler from the single-slot GAME_PENDING_JOB era.
+ * Triggers created before the queue existed still fire it; drain the queue.
  */
 function runGameARJob() {
   _deleteTrigger('runGameARJob');
-
-  var raw = PropertiesService.getScriptProperties().getProperty('GAME_PENDING_JOB');
-  if (!raw) { Logger.log('[runGameARJob] No pending job.'); return; }
-
-  var job;
-  try { job = JSON.parse(raw); } catch(e) { Logger.log('[runGameARJob] Parse error.'); return; }
-  PropertiesService.getScriptProperties().deleteProperty('GAME_PENDING_JOB');
-
-  try {
-    var docUrl;
-    if (job.isGtm) {
-      Logger.log('[runGameARJob] GTM group: ' + job.gtmGroupId);
-      var groupData = getGtmGroupData(job.gtmGroupId);
-      docUrl = triggerGleanReport(groupData.identity.name, groupData, false, job.email, '');
-    } else {
-      Logger.log('[runGameARJob] Starting: ' + job.companyName + (job.isProspect ? ' [prospect]' : ''));
-      docUrl = triggerGleanReport(job.companyName, null, !!job.isProspect, job.email, '');
-    }
-    // docUrl is the brief URL; stash both for the job row
-    var fullUrl = (_lastDocResult && _lastDocResult.fullUrl) || '';
-    _gameUpdateJobRow(job.jobId, 'done', docUrl, fullUrl);
-    Logger.log('[runGameARJob] Done: ' + docUrl);
-  } catch(err) {
-    Logger.log('[runGameARJob] FAILED: ' + err.message);
-    _gameUpdateJobRow(job.jobId, 'error', err.message);
-  }
+  runJobQueue();
 }
 
 /**
- * Kicks off AR generation for a prospect (no bookscrub data).
+ * Queues AR generation for a prospect (no bookscrub data).
  * @param {string} companyName
  * @param {string} email
  * @returns {{ jobId: string }}
  */
 function triggerProspectAR(companyName, email) {
-  var jobId = Utilities.getUuid();
-  _gameGetJobsSheet().appendRow([jobId, companyName + ' [prospect]', email, 'running', '', new Date(), '']);
-  PropertiesService.getScriptProperties().setProperty(
-    'GAME_PENDING_JOB',
-    JSON.stringify({ jobId: jobId, companyName: companyName, email: email, isProspect: true })
-  );
-  ScriptApp.newTrigger('runGameARJob').timeBased().after(1000).create();
+  var jobId = enqueueJob('ar', { companyName: companyName, email: email, isProspect: true },
+    { priority: JOB_PRIORITY.HIGH, label: companyName + ' [prospect]', email: email });
   Logger.log('[Game] Prospect job queued: ' + jobId + ' for ' + companyName);
   return { jobId: jobId };
 }
 
 /**
- * Kicks off AR generation for a GTM group.
+ * Queues AR generation for a GTM group. Runs at normal priority — group
+ * reports merge many accounts and shouldn't hold up single-account briefs.
  * @param {string} gtmGroupId  Salesforce GTM Group ID
  * @param {string} email
  * @returns {{ jobId: string }}
  */
 function triggerGtmGroupAR(gtmGroupId, email) {
-  var jobId = Utilities.getUuid();
-  _gameGetJobsSheet().appendRow([jobId, 'GTM: ' + gtmGroupId, email, 'running', '', new Date(), '']);
-  PropertiesService.getScriptProperties().setProperty(
-    'GAME_PENDING_JOB',
-    JSON.stringify({ jobId: jobId, gtmGroupId: gtmGroupId, email: email, isGtm: true })
-  );
-  ScriptApp.newTrigger('runGameARJob').timeBased().after(1000).create();
+  var jobId = enqueueJob('ar', { gtmGroupId: gtmGroupId, email: email, isGtm: true },
+    { priority: JOB_PRIORITY.NORMAL, label: 'GTM: ' + gtmGroupId, email: email });
   Logger.log('[Game] GTM group job queued: ' + jobId + ' for ' + gtmGroupId);
   return { jobId: jobId };
 }
@@ -312,21 +308,12 @@ function _getOrCreateStarsSheet() {
 }
 
 /**
- * Reads job status from the Jobs sheet.
+ * Reads job status from the Jobs queue.
+ * @param {string} jobId
+ * @returns {{ status: string, docUrl: string, fullUrl: string, stage: string, queuePosition: number|null, attempts: number, error: string }}
  */
 function checkJobStatus(jobId) {
-  var sheet = _gameGetJobsSheet();
-  var data  = sheet.getDataRange().getValues();
-  for (var i = 1; i < data.length; i++) {
-    if (String(data[i][0]) === String(jobId)) {
-      return {
-        status:  data[i][3] || 'unknown',
-        docUrl:  data[i][4] || '',   // brief URL
-        fullUrl: data[i][7] || ''    // full report URL (col 8, 0-indexed = 7)
-      };
-    }
-  }
-  return { status: 'unknown', docUrl: '', fullUrl: '' };
+  return getJobStatus(jobId);
 }
 
 // ── Questions ──────────────────────────────────────────────────────────────
@@ -365,6 +352,11 @@ function getQuestions(n) {
 
 // ── Leaderboard ────────────────────────────────────────────────────────────
 
+/**
+ * Records a finished session. payload.answers ({ id, correct } for each
+ * account quiz question) feeds the player's spaced-repetition schedule.
+ * @param {Object} payload
+ */
 function submitScore(payload) {
   _gameGetSheet(GAME_SHEET_LEADERBOARD).appendRow([
     new Date(),
@@ -378,6 +370,14 @@ function submitScore(payload) {
     payload.diveCount    || 0,
     payload.cardsRead    || 0
   ]);
+
+  if (payload.email && payload.answers && payload.answers.length) {
+    try {
+      recordQuizAnswers(payload.email, payload.company, payload.answers);
+    } catch (e) {
+      Logger.log('[Game] recordQuizAnswers failed (non-fatal): ' + e.message);
+    }
+  }
 }
 
 function getLeaderboard() {
@@ -418,33 +418,6 @@ function _gameGetSheet(name) {
   return sheet;
 }
 
-function _gameGetJobsSheet() {
-  var ss    = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID);
-  var sheet = ss.getSheetByName('Jobs');
-  if (!sheet) {
-    sheet = ss.insertSheet('Jobs');
-    sheet.appendRow(['jobId', 'companyName', 'email', 'status', 'docUrl', 'createdAt', 'completedAt']);
-    sheet.setFrozenRows(1);
-  }
-  return sheet;
-}
-
-function _gameUpdateJobRow(jobId, status, docUrl, fullUrl) {
-  var sheet = _gameGetJobsSheet();
-  var data  = sheet.getDataRange().getValues();
-  for (var i = 1; i < data.length; i++) {
-    if (String(data[i][0]) === String(jobId)) {
-      sheet.getRange(i + 1, 4).setValue(status);
-      sheet.getRange(i + 1, 5).setValue(docUrl || '');   // brief URL
-      sheet.getRange(i + 1, 7).setValue(new Date());
-      if (fullUrl) {
-        sheet.getRange(i + 1, 8).setValue(fullUrl);      // full report URL
-      }
-      return;
-    }
-  }
-}
-
 function _deleteTrigger(functionName) {
   ScriptApp.getProjectTriggers().forEach(function(t) {
     if (t.getHandlerFunction() === functionName) ScriptApp.deleteTrigger(t);
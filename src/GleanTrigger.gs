@@ -102,6 +102,7 @@ function gatherResearch(companyName, isProspect, prebuiltData, email, channelId)
   var gleanResearch = { internal: '', external: '' };
   try {
     gleanResearch = _runResearchParallel(data.identity.name, data.context.industry);
+    gleanResearch._gatheredAt = new Date().toISOString();   // ignored by fingerprints; read by incremental refresh
     Logger.log('[Glean] Research done. Internal: ' + gleanResearch.internal.length +
       ' chars | External: ' + gleanResearch.external.length + ' chars');
   } catch (e) {
@@ -153,17 +154,20 @@ function synthesizeIntelligence(companyName, research, isProspect, email, channe
   // ── Step 3: Think 1 — Company Profile ───────────────────────────
   notifyUserOfProgress(email, channelId, 'Synthesizing company profile..');
   Logger.log('[Glean] Step 3: think1 — Company Profile...');
-  var think1Text = _postToGleanStep('think1',
-    _buildThink1Message(payloadStr, internalResearch, externalResearch, isProspect));
+  var think1Msg = _buildThink1Message(payloadStr, internalResearch, externalResearch, isProspect);
+  var think1Text = _postToGleanStep('think1', think1Msg);
   var think1Data = _parseStepJson(think1Text, 'think1');
-  var accountProfile = think1Data.accountProfile || {};
+  var think1Call = _gleanStepCall('think1', think1Msg);
+  var accountProfile = attachProvenance(
+    validateResearchOutput('accountProfile', think1Data.accountProfile || {}, think1Call), think1Call);
+  markMatchingEnrichedClaims(accountProfile, research.enrichment);
   Logger.log('[Glean] think1 done. accountProfile keys: ' + Object.keys(accountProfile).join(', '));
 
   // ── Step 4: Think 2 — Business Map + Agreements + Commerce ──────
   notifyUserOfProgress(email, channelId, 'Synthesizing business map and agreements..');
   Logger.log('[Glean] Step 4: think2 — Business Map + Agreements + Commerce...');
-  var think2Text = _postToGleanStep('think2',
-    _buildThink2Message(payloadStr, accountProfile, isProspect));
+  var think2Msg = _buildThink2Message(payloadStr, accountProfile, isProspect);
+  var think2Text = _postToGleanStep('think2', think2Msg);
   var think2Data = _parseStepJson(think2Text, 'think2');
   Logger.log('[Glean] think2 done. Keys: ' + Object.keys(think2Data).join(', '));
 
@@ -171,30 +175,48 @@ function synthesizeIntelligence(companyName, research, isProspect, email, channe
   notifyUserOfProgress(email, channelId, 'Synthesizing strategy and priorities..');
   Logger.log('[Glean] Step 5: think3 — Docusign Strategy...');
   var think3Msg = _buildThink3Message(payloadStr, accountProfile, think2Data, isProspect);
-  var think3Text = _postToGleanStep('think3', think3Msg);
+  var think3Step = 'think3';
+  var think3Text = _postToGleanStep(think3Step, think3Msg);
   var think3Data = _parseStepJson(think3Text, 'think3');
 
   // Retry once if think3 returned an error envelope or empty result
   if (!think3Data.priorityMap && !think3Data.briefing && !think3Data.bigBets) {
     Logger.log('[Glean] think3 — no usable data on first attempt. Retrying in 30s...');
     Utilities.sleep(30000);
-    think3Text = _postToGleanStep('think3-retry', think3Msg);
+    think3Step = 'think3-retry';
+    think3Text = _postToGleanStep(think3Step, think3Msg);
     think3Data = _parseStepJson(think3Text, 'think3-retry');
   }
 
   Logger.log('[Glean] think3 done. Keys: ' + Object.keys(think3Data).join(', '));
 
-  // ── Assemble the 7 intelligence objects ──────────────────────────
+  // ── Assemble the 7 intelligence objects (validated per schema) ───
+  var think2Call = _gleanStepCall('think2', think2Msg);
+  var think3Call = _gleanStepCall(think3Step, think3Msg);
+  // One validation pass (and at most one re-ask) per step
+  var think2Out = validateResearchOutputs({
+    businessMap:        think2Data.businessMap        || {},
+    agreementLandscape: think2Data.agreementLandscape || {},
+    contractCommerce:   think2Data.contractCommerce   || {}
+  }, think2Call);
+  var think3Out = validateResearchOutputs({
+    priorityMap:        think3Data.priorityMap        || {},
+    briefing:           think3Data.briefing           || {},
+    bigBets:            think3Data.bigBets            || {}
+  }, think3Call);
   var intel = {
     accountProfile:     accountProfile,
-    businessMap:        think2Data.businessMap         || {},
-    agreementLandscape: think2Data.agreementLandscape  || {},
-    contractCommerce:   think2Data.contractCommerce    || {},
-    priorityMap:        think3Data.priorityMap         || {},
-    briefing:           think3Data.briefing            || {},
-    bigBets:            think3Data.bigBets             || {}
+    businessMap:        think2Out.businessMap,
+    agreementLandscape: think2Out.agreementLandscape,
+    contractCommerce:   think2Out.contractCommerce,
+    priorityMap:        think3Out.priorityMap,
+    briefing:           think3Out.briefing,
+    bigBets:            think3Out.bigBets
   };
 
+  ['businessMap', 'agreementLandscape', 'contractCommerce'].forEach(function(key) { attachProvenance(intel[key], think2Call); });
+  ['priorityMap', 'briefing', 'bigBets'].forEach(function(key) { attachProvenance(intel[key], think3Call); });
+
   Logger.log('[Glean] Analysis assembled. agreementLandscape count: ' +
     ((intel.agreementLandscape.agreements || []).length));
 
@@ -233,6 +255,8 @@ function triggerGleanReport(companyName, prebuiltData, isProspect, email, channe
   Logger.log('[Glean] Starting V5 multi-step report for: ' + companyName +
     (prebuiltData && prebuiltData.isGtmGroup ? ' [GTM GROUP]' : '') +
     (isProspect ? ' [PROSPECT]' : ''));
+  resetLLMUsage(companyName);
+  resetValidationReport();
 
   var research, intel;
 
@@ -271,6 +295,16 @@ function triggerGleanReport(companyName, prebuiltData, isProspect, email, channe
   var elapsed = ((Date.now() - start) / 1000).toFixed(1);
   Logger.log('[Glean] Pipeline complete for "' + companyName + '" (' + elapsed + 's)');
 
+  // Only record usage when this run actually called the LLM (not a full cache hit)
+  var usage = getLLMUsage();
+  if (usage.calls) {
+    try { recordLLMUsage(research.data.identity.name, usage); } catch (e) {
+      Logger.log('[Glean] LLM usage write failed (non-fatal): ' + e.message);
+    }
+    Logger.log('[Glean] LLM usage: ' + usage.calls + ' calls, $' + usage.costUsd.toFixed(4) +
+      (usage.estimated ? ' (estimated)' : ''));
+  }
+
   // ── L3: Build the Google Doc ─────────────────────────────────────
   return generateAccountResearchDocFromGlean(
     research.data.identity.name, intel, research.data, research.productSignals,
@@ -293,44 +327,28 @@ function triggerGleanReportV2(companyName, prebuiltData, isProspect, email, chan
  * Research failures are non-fatal — Think steps degrade gracefully with empty strings.
  */
 function _runResearchParallel(companyName, industry) {
-  var apiKey  = getApiKey();
-  var apiUser = getApiUser();
-  var headers = { 'DOCU-INFRA-IC-KEY': apiKey, 'DOCU-INFRA-IC-USER': apiUser };
-
-  var makeReq = function(step, msg) {
-    return {
-      url:              GLEAN_ENDPOINT,
-      method:           'post',
-      contentType:      'application/json',
-      headers:          headers,
-      payload:          JSON.stringify({ step: step, companyNameForResearch: msg }),
-      muteHttpExceptions: true
-    };
-  };
-
   var msg1 = 'STEP: company-search\n\nCOMPANY: ' + companyName + '\nINDUSTRY: ' + industry;
   var msg2 = 'STEP: web-search\n\nCOMPANY: ' + companyName + '\nINDUSTRY: ' + industry;
 
-  Utilities.sleep(1000);
-  var responses = UrlFetchApp.fetchAll([makeReq('company-search', msg1), makeReq('web-search', msg2)]);
+  var texts = llmCompleteAll([
+    { provider: 'glean', step: 'company-search', message: msg1 },
+    { provider: 'glean', step: 'web-search',     message: msg2 }
+  ]);
 
   return {
-    internal: _extractResponseText(responses[0], 'company-search'),
-    external: _extractResponseText(responses[1], 'web-search')
+    internal: texts[0] || '',
+    external: texts[1] || ''
   };
 }
 
 /**
- * POST a single step to the Glean agent. Retries on 500/502.
+ * POST a single step to the Glean agent. Retries on 429/5xx (see LLMProvider.gs).
  * @param {string} stepName       e.g. 'think1'
  * @param {string} messageContent Full message string (starts with STEP: ...)
  * @returns {string} Raw response text from Glean
  */
 function _postToGleanStep(stepName, messageContent) {
-  var apiKey  = getApiKey();
-  var apiUser = getApiUser();
-
-  if (!apiKey || !apiUser) {
+  if (getLLMMode() !== 'stub' && (!getApiKey() || !getApiUser())) {
     throw new Error(
       'Infra API credentials not configured. Use Account Research > Settings to set ' +
       'INFRA_API_KEY and INFRA_API_USER.'
@@ -341,40 +359,17 @@ function _postToGleanStep(stepName, messageContent) {
   Logger.log('[Glean] ' + stepName + ' — message prefix: ' +
     JSON.stringify(messageContent.substring(0, 80)));
 
-  var fetchOptions = {
-    method:             'post',
-    contentType:        'application/json',
-    headers:            { 'DOCU-INFRA-IC-KEY': apiKey, 'DOCU-INFRA-IC-USER': apiUser },
-    payload:            JSON.stringify({ step: stepName, companyNameForResearch: messageContent }),
-    muteHttpExceptions: true
-  };
-
-  var maxAttempts = 3;
-  var code, responseBody, response;
-
-  for (var attempt = 1; attempt <= maxAttempts; attempt++) {
-    Logger.log('[Glean] ' + stepName + ' — attempt ' + attempt + ' — POSTing to ' + GLEAN_ENDPOINT);
-    Utilities.sleep(1000);
-    response     = UrlFetchApp.fetch(GLEAN_ENDPOINT, fetchOptions);
-    code         = response.getResponseCode();
-    responseBody = response.getContentText();
-    Logger.log('[Glean] ' + stepName + ' — HTTP ' + code +
-      ' | Body length: ' + responseBody.length + ' chars');
-
-    if (code === 200) break;
-
-    if ((code === 500 || code === 502) && attempt < maxAttempts) {
-      Logger.log('[Glean] ' + stepName + ' — HTTP ' + code +
-        ' — waiting 60s before retry ' + (attempt + 1) + '/' + maxAttempts);
-      Utilities.sleep(60000);
-    } else {
-      Logger.log('[Glean] ' + stepName + ' error body: ' + responseBody.substring(0, 1000));
-      throw new Error('[' + stepName + '] Glean API returned HTTP ' + code +
-        ': ' + responseBody.substring(0, 500));
-    }
-  }
+  return llmComplete({ provider: 'glean', step: stepName, message: messageContent });
+}
 
-  return _extractResponseText(response, stepName);
+/**
+ * Call spec for a Glean step — used to re-ask a step for invalid fields.
+ * @param {string} stepName
+ * @param {string} messageContent
+ * @returns {Object}
+ */
+function _gleanStepCall(stepName, messageContent) {
+  return { provider: 'glean', step: stepName, message: messageContent };
 }
 
 /**
@@ -510,7 +505,7 @@ function _buildThink2Message(payloadStr, accountProfile, isProspect) {
   }
   lines.push('companyNameForResearch:', payloadStr, '');
   if (accountProfile && Object.keys(accountProfile).length > 0) {
-    lines.push('ACCOUNT_PROFILE:', JSON.stringify(accountProfile, null, 2));
+    lines.push('ACCOUNT_PROFILE:', JSON.stringify(stripProvenance(accountProfile), null, 2));
   }
   return lines.join('\n');
 }
@@ -532,7 +527,7 @@ function _buildThink3Message(payloadStr, accountProfile, appendixData, isProspec
   }
   lines.push('companyNameForResearch:', payloadStr, '');
   if (accountProfile && Object.keys(accountProfile).length > 0) {
-    lines.push('ACCOUNT_PROFILE:', JSON.stringify(accountProfile, null, 2), '');
+    lines.push('ACCOUNT_PROFILE:', JSON.stringify(stripProvenance(accountProfile), null, 2), '');
   }
   if (appendixData && Object.keys(appendixData).length > 0) {
     lines.push('APPENDIX_DATA:', JSON.stringify(appendixData, null, 2));
@@ -0,0 +1,468 @@
+/**
+ * Account health monitoring — daily health scoring for every bookscrub
+ * account, kept as a time series, with alerts on indicator transitions.
+ *
+ * Architecture:
+ *   scheduleHealthSweep()  (daily trigger, or Menu → Run Health Sweep Now)
+ *     - Enqueues a low-priority 'health' job starting at the first bookscrub row
+ *
+ *   runHealthJob({ sweepDate, startRow })  (the 'health' job)
+ *     - Reads bookscrub rows in blocks and scores each account with
+ *       analyzeAccountHealth() / computeTieredStatus() (DocGenerator.gs)
+ *     - Appends the result to the account's series in the Health sheet
+ *     - Compares it with the previous point and notifies the account owner
+ *       through notifyUserOfProgress() when an indicator moves into or out
+ *       of red, or the contract term elapses with envelopes unused
+ *     - Enqueues the next block until every row has been scored
+ *
+ * Series storage (Health sheet, one row per account):
+ *   Points are only appended when something changed, so a stable account
+ *   carries a single point however long it is tracked. Each point is
+ *   "date:codes:rollup:flags" — one status code per HEALTH_INDICATOR_ORDER
+ *   entry (g/y/r, x = no data, - = not assessed), the tiered status
+ *   (H/W/A) and event flags (e = term elapsed with unused envelopes).
+ *   Points are separated by ';'.
+ */
+
+// ── Constants ──────────────────────────────────────────────────────────
+
+var HEALTH_SHEET_NAME          = 'Health';
+var OWNER_DIRECTORY_SHEET_NAME = 'Owner Directory';   // Optional: owner name (A) → email (B)
+
+var HEALTH_JOB_BUDGET_MS = 120 * 1000;   // fits inside the queue's JOB_MIN_RUN_MS claim window
+var HEALTH_READ_ROWS     = 250;          // bookscrub rows per range read
+
+var HEALTH_COL_KEY     = 1;   // Salesforce account ID, or company name when missing
+var HEALTH_COL_NAME    = 2;
+var HEALTH_COL_OWNER   = 3;
+var HEALTH_COL_SCORED  = 4;
+var HEALTH_COL_STATUS  = 5;
+var HEALTH_COL_SERIES  = 6;
+
+var HEALTH_HEADERS = ['accountKey', 'companyName', 'owner', 'lastScoredAt', 'status', 'series'];
+
+var HEALTH_STATUS_CODES = { green: 'g', yellow: 'y', red: 'r', gray: 'x' };
+var HEALTH_ROLLUP_CODES = { 'Healthy': 'H', 'Watch': 'W', 'At Risk': 'A' };
+
+// ── Public: Scheduling ─────────────────────────────────────────────────
+
+/**
+ * Queues a health sweep over the whole bookscrub. Skipped while a previous
+ * sweep is still queued or running.
+ * @returns {boolean} true if a sweep was queued
+ */
+function scheduleHealthSweep() {
+  var pending = _readJobs(_getJobsSheet()).some(function(job) {
+    return job.type === 'health' && (_isWaiting(job) || job.status === 'running');
+  });
+  if (pending) {
+    Logger.log('[Health] Sweep already in progress — not queued');
+    return false;
+  }
+  var sweepDate = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  enqueueJob('health', { sweepDate: sweepDate, startRow: 0 },
+    { priority: JOB_PRIORITY.LOW, label: 'Health sweep ' + sweepDate });
+  Logger.log('[Health] Sweep queued for ' + sweepDate);
+  return true;
+}
+
+/**
+ * Installs the daily trigger for scheduleHealthSweep(). Safe to re-run.
+ */
+function startDailyHealthSweep() {
+  _deleteTrigger('scheduleHealthSweep');
+  ScriptApp.newTrigger('scheduleHealthSweep').timeBased().everyDays(1).atHour(HEALTH_SWEEP_HOUR).create();
+  Logger.log('[Health] Daily sweep scheduled at ' + HEALTH_SWEEP_HOUR + ':00');
+}
+
+/**
+ * Removes the daily health sweep trigger. A sweep in progress still finishes.
+ */
+function stopDailyHealthSweep() {
+  _deleteTrigger('scheduleHealthSweep');
+  Logger.log('[Health] Daily sweep stopped');
+}
+
+// ── Public: Sweep ──────────────────────────────────────────────────────
+
+/**
+ * Queue handler for 'health' jobs. Scores bookscrub rows from startRow
+ * until HEALTH_JOB_BUDGET_MS is spent, then queues the remainder.
+ * @param {{ sweepDate: string, startRow: number }} job
+ * @returns {{ docUrl: string, fullUrl: string }}
+ */
+function runHealthJob(job) {
+  var start = Date.now();
+  var cache = _loadSheet();
+  var headerIndex = cache.headerIndex;
+  var nameCol = headerIndex[COMPANY_NAME_COL];
+  var sfidCol = headerIndex['SALESFORCE_ACCOUNT_ID'];
+  var dataRows = cache.numRows;
+  var store = _readHealthStore();
+  var directory = null;
+  var alerts = [];
+  var scored = 0, failed = 0;
+
+  var row = job.startRow || 0;
+  while (row < dataRows && Date.now() - start < HEALTH_JOB_BUDGET_MS) {
+    var count = Math.min(HEALTH_READ_ROWS, dataRows - row);
+    var values = _readRows(cache, row, count);
+    for (var i = 0; i < values.length; i++) {
+      var name = String(values[i][nameCol]).trim();
+      if (!name) continue;
+      var key = (sfidCol !== undefined && String(values[i][sfidCol]).trim()) || name;
+      try {
+        var data = getCompanyData(name, false, { headerIndex: headerIndex, row: values[i] });
+        var point = scoreAccountHealth(data);
+        var owner = data.people.accountOwner || '';
+        var changes = _recordHealthPoint(store, key, name, owner, job.sweepDate, point);
+        if (changes.length > 0) {
+          if (!directory) directory = _readOwnerDirectory();
+          alerts.push({
+            companyName: name,
+            owner: owner,
+            email: _ownerEmail(values[i], headerIndex, owner, directory),
+            changes: changes
+          });
+        }
+        scored++;
+      } catch (e) {
+        failed++;
+        Logger.log('[Health] Scoring failed for "' + name + '": ' + e.message);
+      }
+    }
+    row += count;
+    recordJobStage('Scored ' + row + ' / ' + dataRows + ' rows');
+  }
+
+  _writeHealthStore(store);
+  _sendHealthAlerts(alerts, job.sweepDate);
+
+  Logger.log('[Health] Sweep ' + job.sweepDate + ': scored ' + scored + ' accounts (' + failed + ' failed), rows ' +
+    (job.startRow || 0) + '–' + row + ' of ' + dataRows + ', ' + alerts.length + ' with alerts, ' +
+    Math.round((Date.now() - start) / 1000) + 's');
+
+  if (row < dataRows) {
+    enqueueJob('health', { sweepDate: job.sweepDate, startRow: row },
+      { priority: JOB_PRIORITY.LOW, label: 'Health sweep ' + job.sweepDate + ' (row ' + row + ')' });
+  } else {
+    Logger.log('[Health] Sweep ' + job.sweepDate + ' complete');
+  }
+  return { docUrl: '', fullUrl: '' };
+}
+
+/**
+ * Scores one account and encodes the result as a series point.
+ * @param {Object} data  Output of getCompanyData
+ * @returns {{ health: Object, status: string, codes: string, rollup: string, flags: string, unusedEnvelopes: number }}
+ */
+function scoreAccountHealth(data) {
+  var health = analyzeAccountHealth(data);
+  var tiered = computeTieredStatus(health, HEALTH_INDICATOR_ORDER);
+  var codes = HEALTH_INDICATOR_ORDER.map(function(ind) {
+    var h = health[ind.key];
+    return h ? (HEALTH_STATUS_CODES[h.status] || '-') : '-';
+  }).join('');
+
+  var c = data.contract || {};
+  var cons = data.consumption || {};
+  var termElapsedUnused = c.percentComplete > 100 && cons.envelopesPurchased > cons.envelopesSent;
+
+  return {
+    health: health,
+    status: tiered.status,
+    codes: codes,
+    rollup: HEALTH_ROLLUP_CODES[tiered.status] || '-',
+    flags: termElapsedUnused ? 'e' : '',
+    unusedEnvelopes: termElapsedUnused ? cons.envelopesPurchased - cons.envelopesSent : 0
+  };
+}
+
+// ── Public: Reading the series ─────────────────────────────────────────
+
+/**
+ * Returns an account's health series expanded to one sample per day, from
+ * its first recorded point (at most HEALTH_HISTORY_DAYS ago) to its last sweep.
+ * @param {string} companyName
+ * @returns {{ lastScoredAt: string, status: string, days: string[], rollup: string[], indicators: Object<string, string[]> }|null}
+ *   Statuses per day are 'green' | 'yellow' | 'red' | 'gray' | null
+ */
+function getHealthTimeSeries(companyName) {
+  var sheet = _getHealthSheet();
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return null;
+  var names = sheet.getRange(2, HEALTH_COL_NAME, lastRow - 1, 1).getValues();
+  var target = String(companyName).trim().toLowerCase();
+  var idx = -1;
+  for (var i = 0; i < names.length; i++) {
+    if (String(names[i][0]).trim().toLowerCase() === target) { idx = i; break; }
+  }
+  if (idx === -1) return null;
+
+  var rec = sheet.getRange(idx + 2, 1, 1, HEALTH_HEADERS.length).getValues()[0];
+  var series = _parseHealthSeries(rec[HEALTH_COL_SERIES - 1]);
+  if (series.length === 0) return null;
+
+  var tz = Session.getScriptTimeZone();
+  var lastScored = rec[HEALTH_COL_SCORED - 1] ? new Date(rec[HEALTH_COL_SCORED - 1]) : new Date();
+  var endDate = Utilities.formatDate(lastScored, tz, 'yyyy-MM-dd');
+  var cutoff = _addDays(endDate, -HEALTH_HISTORY_DAYS);
+  var day = series[0].date > cutoff ? series[0].date : cutoff;
+
+  var statusNames = {};
+  Object.keys(HEALTH_STATUS_CODES).forEach(function(s) { statusNames[HEALTH_STATUS_CODES[s]] = s; });
+  var rollupNames = {};
+  Object.keys(HEALTH_ROLLUP_CODES).forEach(function(s) { rollupNames[HEALTH_ROLLUP_CODES[s]] = s; });
+
+  var result = { lastScoredAt: lastScored.toISOString(), status: String(rec[HEALTH_COL_STATUS - 1] || ''),
+                 days: [], rollup: [], indicators: {} };
+  HEALTH_INDICATOR_ORDER.forEach(function(ind) { result.indicators[ind.key] = []; });
+
+  var p = 0;
+  while (day <= endDate) {
+    while (p + 1 < series.length && series[p + 1].date <= day) p++;
+    var point = series[p].date <= day ? series[p] : null;
+    result.days.push(day);
+    result.rollup.push(point ? (rollupNames[point.rollup] || null) : null);
+    HEALTH_INDICATOR_ORDER.forEach(function(ind, k) {
+      result.indicators[ind.key].push(point ? (statusNames[point.codes.charAt(k)] || null) : null);
+    });
+    day = _addDays(day, 1);
+  }
+  return result;
+}
+
+/**
+ * Latest sweep result for every scored account, keyed by lower-cased
+ * company name. Reads only the status columns, not the series.
+ * @returns {Object<string, { status: string, lastScoredAt: string, owner: string }>}
+ */
+function getLatestHealthStatuses() {
+  var sheet = _getHealthSheet();
+  var lastRow = sheet.getLastRow();
+  var result = {};
+  if (lastRow < 2) return result;
+  var rows = sheet.getRange(2, HEALTH_COL_NAME, lastRow - 1, HEALTH_COL_STATUS - HEALTH_COL_NAME + 1).getValues();
+  rows.forEach(function(r) {
+    var name = String(r[0]).trim().toLowerCase();
+    if (!name || result[name]) return;
+    var scored = r[HEALTH_COL_SCORED - HEALTH_COL_NAME];
+    result[name] = {
+      status: String(r[HEALTH_COL_STATUS - HEALTH_COL_NAME] || ''),
+      lastScoredAt: scored ? new Date(scored).toISOString() : '',
+      owner: String(r[HEALTH_COL_OWNER - HEALTH_COL_NAME] || '')
+    };
+  });
+  return result;
+}
+
+// ── Private: Series ────────────────────────────────────────────────────
+
+/**
+ * Adds a sweep result to an account's series and returns the transitions
+ * worth alerting on. The first point for an account never alerts.
+ * @param {Object} store  From _readHealthStore()
+ * @param {string} key
+ * @param {string} name
+ * @param {string} owner
+ * @param {string} date  yyyy-MM-dd
+ * @param {Object} point  From scoreAccountHealth()
+ * @returns {Array<string>} Alert lines
+ */
+function _recordHealthPoint(store, key, name, owner, date, point) {
+  var idx = store.byKey[key];
+  if (idx === undefined) {
+    idx = store.rows.length;
+    store.byKey[key] = idx;
+    store.rows.push([key, name, owner, '', '', '']);
+  }
+  var rec = store.rows[idx];
+  var series = _parseHealthSeries(rec[HEALTH_COL_SERIES - 1]);
+  var prev = series.length ? series[series.length - 1] : null;
+  var entry = { date: date, codes: point.codes, rollup: point.rollup, flags: point.flags };
+
+  var changed = !prev || prev.codes !== entry.codes || prev.rollup !== entry.rollup || prev.flags !== entry.flags;
+  if (changed) {
+    if (prev && prev.date === date) series[series.length - 1] = entry;
+    else series.push(entry);
+  }
+  series = _trimHealthSeries(series, date);
+
+  rec[HEALTH_COL_NAME - 1] = name;
+  rec[HEALTH_COL_OWNER - 1] = owner;
+  rec[HEALTH_COL_SCORED - 1] = new Date();
+  rec[HEALTH_COL_STATUS - 1] = point.status;
+  rec[HEALTH_COL_SERIES - 1] = _formatHealthSeries(series);
+
+  return prev && changed ? _healthTransitions(prev, entry, point) : [];
+}
+
+/**
+ * Describes the alert-worthy differences between two points: indicators
+ * moving into or out of red, and the term elapsing with envelopes unused.
+ * @param {Object} prev   Previous series point
+ * @param {Object} entry  New series point
+ * @param {Object} point  From scoreAccountHealth() — supplies the detail text
+ * @returns {Array<string>}
+ */
+function _healthTransitions(prev, entry, point) {
+  var statusNames = { g: 'green', y: 'yellow', r: 'red' };
+  var lines = [];
+  HEALTH_INDICATOR_ORDER.forEach(function(ind, k) {
+    var a = prev.codes.charAt(k);
+    var b = entry.codes.charAt(k);
+    if (a === b || !statusNames[a] || !statusNames[b]) return;
+    if (a !== 'r' && b !== 'r') return;
+    var h = point.health[ind.key];
+    lines.push(ind.name + ': ' + statusNames[a] + ' → ' + statusNames[b] + ' (' + h.label + '). ' + h.detail);
+  });
+  if (entry.flags.indexOf('e') !== -1 && prev.flags.indexOf('e') === -1) {
+    lines.push('Contract term has elapsed with ' + formatNumber(point.unusedEnvelopes) + ' envelopes unused.');
+  }
+  return lines;
+}
+
+/**
+ * Drops points older than HEALTH_HISTORY_DAYS, keeping the last one before
+ * the cutoff so the window still starts from a known state.
+ * @param {Array} series
+ * @param {string} today  yyyy-MM-dd
+ * @returns {Array}
+ */
+function _trimHealthSeries(series, today) {
+  var cutoff = _addDays(today, -HEALTH_HISTORY_DAYS);
+  var first = 0;
+  while (first + 1 < series.length && series[first + 1].date <= cutoff) first++;
+  return series.slice(first);
+}
+
+function _parseHealthSeries(text) {
+  if (!text) return [];
+  return String(text).split(';').map(function(part) {
+    var f = part.split(':');
+    return { date: f[0], codes: f[1] || '', rollup: f[2] || '-', flags: f[3] || '' };
+  }).filter(function(p) { return p.date; });
+}
+
+function _formatHealthSeries(series) {
+  return series.map(function(p) { return [p.date, p.codes, p.rollup, p.flags].join(':'); }).join(';');
+}
+
+/**
+ * Shifts a yyyy-MM-dd date by whole days (UTC arithmetic, so no DST drift).
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function _addDays(date, days) {
+  var d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// ── Private: Alerts ────────────────────────────────────────────────────
+
+/**
+ * Sends one message per owner listing their accounts' transitions, through
+ * the same Slack workflow as run progress. Without a channel configured
+ * (HEALTH_ALERT_CHANNEL_ID) or an owner email, alerts are only logged.
+ * @param {Array<{ companyName, owner, email, changes }>} alerts
+ * @param {string} sweepDate
+ */
+function _sendHealthAlerts(alerts, sweepDate) {
+  if (alerts.length === 0) return;
+  var channelId = PropertiesService.getScriptProperties().getProperty(PROP_HEALTH_ALERT_CHANNEL) || '';
+  var byEmail = {};
+  alerts.forEach(function(a) {
+    Logger.log('[Health] ALERT "' + a.companyName + '" (' + (a.owner || 'no owner') + '): ' + a.changes.join(' | '));
+    if (!a.email) return;
+    (byEmail[a.email] = byEmail[a.email] || []).push(a);
+  });
+  if (!channelId) {
+    Logger.log('[Health] ' + PROP_HEALTH_ALERT_CHANNEL + ' not set — ' + alerts.length + ' alerts logged only');
+    return;
+  }
+
+  Object.keys(byEmail).forEach(function(email) {
+    var lines = ['Account health changes (' + sweepDate + '):'];
+    byEmail[email].forEach(function(a) {
+      lines.push('*' + a.companyName + '*');
+      a.changes.forEach(function(c) { lines.push('• ' + c); });
+    });
+    try {
+      notifyUserOfProgress(email, channelId, lines.join('\n'));
+    } catch (e) {
+      Logger.log('[Health] Alert to ' + email + ' failed (non-fatal): ' + e.message);
+    }
+  });
+  Logger.log('[Health] Alerts sent to ' + Object.keys(byEmail).length + ' owners');
+}
+
+/**
+ * Owner email from the bookscrub row, falling back to the Owner Directory sheet.
+ * @param {Array} row
+ * @param {Object} headerIndex
+ * @param {string} owner
+ * @param {Object} directory  From _readOwnerDirectory()
+ * @returns {string}
+ */
+function _ownerEmail(row, headerIndex, owner, directory) {
+  var col = headerIndex[HEALTH_OWNER_EMAIL_COL];
+  var email = col !== undefined ? String(row[col] || '').trim() : '';
+  return email || directory[String(owner).trim().toLowerCase()] || '';
+}
+
+/**
+ * Reads the optional Owner Directory sheet (owner name → email).
+ * @returns {Object<string, string>}  Keys lowercased
+ */
+function _readOwnerDirectory() {
+  var directory = {};
+  var sheet = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID).getSheetByName(OWNER_DIRECTORY_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return directory;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(function(r) {
+    var name = String(r[0]).trim().toLowerCase();
+    var email = String(r[1]).trim();
+    if (name && email) directory[name] = email;
+  });
+  return directory;
+}
+
+// ── Private: Sheet access ──────────────────────────────────────────────
+
+/**
+ * Health sheet in the bookscrub spreadsheet, created on first use.
+ * @returns {Sheet}
+ */
+function _getHealthSheet() {
+  var ss = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID);
+  var sheet = ss.getSheetByName(HEALTH_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(HEALTH_SHEET_NAME);
+    sheet.getRange(1, 1, 1, HEALTH_HEADERS.length).setValues([HEALTH_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Loads every Health row so a job can update them in memory and write
+ * them back in one call.
+ * @returns {{ sheet: Sheet, rows: Array[], byKey: Object<string, number> }}
+ */
+function _readHealthStore() {
+  var sheet = _getHealthSheet();
+  var lastRow = sheet.getLastRow();
+  var rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, HEALTH_HEADERS.length).getValues() : [];
+  var byKey = {};
+  rows.forEach(function(r, i) {
+    var key = String(r[HEALTH_COL_KEY - 1]).trim();
+    if (key && byKey[key] === undefined) byKey[key] = i;
+  });
+  return { sheet: sheet, rows: rows, byKey: byKey };
+}
+
+function _writeHealthStore(store) {
+  if (store.rows.length === 0) return;
+  store.sheet.getRange(2, 1, store.rows.length, HEALTH_HEADERS.length).setValues(store.rows);
+}
@@ -1,4 +1,499 @@
 /**
- * JobRunner.gs — retained for reference only.
- * Job execution is now handled by GameServer.gs (runGameARJob).
+ * Durable job queue backed by the Jobs sheet.
+ *
+ * Architecture:
+ *   enqueueJob(type, payload, options)
+ *     - Appends a 'queued' row (priority, payload JSON, attempt count)
+ *     - Makes sure a worker trigger fires within a few seconds
+ *
+ *   runJobQueue()  (time-driven trigger)
+ *     - Claims the highest-priority runnable job under the script lock,
+ *       stamping a lease so no other worker picks it up
+ *     - Runs it, writes the result back, then claims the next one while
+ *       the execution budget allows
+ *     - Failed jobs go back to 'retry' with exponential backoff; after
+ *       JOB_MAX_ATTEMPTS they are dead-lettered ('dead')
+ *     - Reschedules itself for the next due job before exiting
+ *
+ *   Jobs whose lease expires while 'running' belong to an execution that
+ *   timed out; the next worker reclaims them and counts it as an attempt.
+ *
+ * Job statuses: queued → running → done | retry → … → dead
  */
+
+// ── Constants ──────────────────────────────────────────────────────────
+
+var JOBS_SHEET_NAME = 'Jobs';
+
+var JOB_WORKER_HANDLER   = 'runJobQueue';
+var PROP_JOB_WORKER_NEXT = 'JOB_WORKER_NEXT_RUN';   // epoch ms of the next scheduled worker fire
+
+var JOB_PRIORITY = { HIGH: 10, NORMAL: 5, LOW: 1 };
+
+var JOB_MAX_ATTEMPTS     = 3;
+var JOB_BACKOFF_BASE_MS  = 60 * 1000;          // 1 min, 2 min, 4 min …
+var JOB_LEASE_MS         = 7 * 60 * 1000;      // longer than the 6-min execution limit
+var JOB_EXEC_BUDGET_MS   = 5 * 60 * 1000;      // stop claiming new work after this
+var JOB_MIN_RUN_MS       = 150 * 1000;         // typical AR job — need this much budget left to claim
+var JOB_LOCK_WAIT_MS     = 10 * 1000;
+
+// Column positions in the Jobs sheet (1-based). Columns 1–8 predate the
+// queue and are read by the portal, so they keep their positions.
+var JOB_COL_ID          = 1;
+var JOB_COL_LABEL       = 2;
+var JOB_COL_EMAIL       = 3;
+var JOB_COL_STATUS      = 4;
+var JOB_COL_DOC_URL     = 5;   // brief URL
+var JOB_COL_CREATED_AT  = 6;
+var JOB_COL_COMPLETED   = 7;
+var JOB_COL_FULL_URL    = 8;
+var JOB_COL_TYPE        = 9;
+var JOB_COL_PRIORITY    = 10;
+var JOB_COL_PAYLOAD     = 11;
+var JOB_COL_ATTEMPTS    = 12;
+var JOB_COL_NEXT_RUN    = 13;
+var JOB_COL_LEASE_UNTIL = 14;
+var JOB_COL_LEASE_OWNER = 15;
+var JOB_COL_STAGE       = 16;
+var JOB_COL_ERROR       = 17;
+
+var JOB_HEADERS = ['jobId', 'companyName', 'email', 'status', 'docUrl', 'createdAt', 'completedAt',
+  'fullUrl', 'type', 'priority', 'payload', 'attempts', 'nextRunAt', 'leaseUntil', 'leaseOwner',
+  'stage', 'lastError'];
+
+// Job currently executing in this execution — lets notifyUserOfProgress()
+// record the pipeline stage without threading the job through every call.
+var _activeJob = null;
+
+// ── Public: Enqueue ────────────────────────────────────────────────────
+
+/**
+ * Add a job to the queue and make sure a worker picks it up.
+ * @param {string} type     Job type understood by _executeJob() (e.g. 'ar')
+ * @param {Object} payload  JSON-serialisable job arguments
+ * @param {Object} [options]
+ * @param {number} [options.priority]  JOB_PRIORITY value (default NORMAL)
+ * @param {string} [options.label]     Human-readable label for the companyName column
+ * @param {string} [options.email]     Requesting user
+ * @returns {string} jobId
+ */
+function enqueueJob(type, payload, options) {
+  options = options || {};
+  var jobId    = Utilities.getUuid();
+  var priority = options.priority || JOB_PRIORITY.NORMAL;
+  var now      = new Date();
+
+  var row = [];
+  row[JOB_COL_ID - 1]          = jobId;
+  row[JOB_COL_LABEL - 1]       = options.label || payload.companyName || '';
+  row[JOB_COL_EMAIL - 1]       = options.email || payload.email || '';
+  row[JOB_COL_STATUS - 1]      = 'queued';
+  row[JOB_COL_DOC_URL - 1]     = '';
+  row[JOB_COL_CREATED_AT - 1]  = now;
+  row[JOB_COL_COMPLETED - 1]   = '';
+  row[JOB_COL_FULL_URL - 1]    = '';
+  row[JOB_COL_TYPE - 1]        = type;
+  row[JOB_COL_PRIORITY - 1]    = priority;
+  row[JOB_COL_PAYLOAD - 1]     = JSON.stringify(payload || {});
+  row[JOB_COL_ATTEMPTS - 1]    = 0;
+  row[JOB_COL_NEXT_RUN - 1]    = now;
+  row[JOB_COL_LEASE_UNTIL - 1] = '';
+  row[JOB_COL_LEASE_OWNER - 1] = '';
+  row[JOB_COL_STAGE - 1]       = 'Queued';
+  row[JOB_COL_ERROR - 1]       = '';
+
+  // appendRow is atomic, so enqueueing doesn't need the script lock —
+  // a long batch chunk holding it must not block reps from queueing.
+  _getJobsSheet().appendRow(row);
+  _scheduleJobWorker(1000);
+
+  Logger.log('[JobQueue] Enqueued ' + type + ' job ' + jobId + ' (priority ' + priority + '): ' + row[JOB_COL_LABEL - 1]);
+  return jobId;
+}
+
+// ── Public: Status ─────────────────────────────────────────────────────
+
+/**
+ * Status of one job, including its place in the queue.
+ * @param {string} jobId
+ * @returns {{ status: string, docUrl: string, fullUrl: string, stage: string, queuePosition: number|null, attempts: number, error: string }}
+ */
+function getJobStatus(jobId) {
+  var jobs = _readJobs(_getJobsSheet());
+  var job  = null;
+  for (var i = 0; i < jobs.length; i++) {
+    if (jobs[i].jobId === String(jobId)) { job = jobs[i]; break; }
+  }
+  if (!job) {
+    return { status: 'unknown', docUrl: '', fullUrl: '', stage: '', queuePosition: null, attempts: 0, error: '' };
+  }
+
+  // 1-based position among jobs still waiting to start; running jobs are 0
+  var position = null;
+  if (job.status === 'running') {
+    position = 0;
+  } else if (_isWaiting(job)) {
+    position = jobs.filter(_isWaiting).sort(_compareJobs).indexOf(job) + 1;
+  }
+
+  return {
+    status:        job.status || 'unknown',
+    docUrl:        job.docUrl,
+    fullUrl:       job.fullUrl,
+    stage:         job.stage,
+    queuePosition: position,
+    attempts:      job.attempts,
+    error:         job.lastError
+  };
+}
+
+/**
+ * Record the pipeline stage of the job running in this execution.
+ * No-op outside a queue worker.
+ * @param {string} stage
+ */
+function recordJobStage(stage) {
+  if (!_activeJob) return;
+  try {
+    _getJobsSheet().getRange(_activeJob.row, JOB_COL_STAGE).setValue(stage);
+  } catch (e) {
+    Logger.log('[JobQueue] Stage update failed (non-fatal): ' + e.message);
+  }
+}
+
+/**
+ * Put dead-lettered jobs back on the queue with a fresh attempt count.
+ * Run manually from the editor after fixing the underlying problem.
+ * @returns {number} Number of jobs requeued
+ */
+function requeueDeadJobs() {
+  var sheet = _getJobsSheet();
+  var count = 0;
+  _readJobs(sheet).forEach(function(job) {
+    if (job.status !== 'dead') return;
+    _writeJobFields(sheet, job.row, {
+      status: 'queued', attempts: 0, nextRunAt: new Date(), stage: 'Queued', lastError: ''
+    });
+    count++;
+  });
+  if (count) _scheduleJobWorker(1000);
+  Logger.log('[JobQueue] Requeued ' + count + ' dead job(s)');
+  return count;
+}
+
+// ── Public: Worker ─────────────────────────────────────────────────────
+
+/**
+ * Queue worker (trigger handler). Drains runnable jobs until the execution
+ * budget is spent, then reschedules itself if work remains.
+ */
+function runJobQueue() {
+  _deleteTrigger(JOB_WORKER_HANDLER);
+  PropertiesService.getScriptProperties().deleteProperty(PROP_JOB_WORKER_NEXT);
+
+  var start    = Date.now();
+  var workerId = Utilities.getUuid();
+  var ran      = 0;
+
+  deferPortfolioWrites();   // one _portfolio.json write for the whole run
+  try {
+    while (Date.now() - start + JOB_MIN_RUN_MS <= JOB_EXEC_BUDGET_MS) {
+      var job = _claimNextJob(workerId);
+      if (!job) break;
+      _runClaimedJob(job, workerId);
+      ran++;
+    }
+  } finally {
+    _activeJob = null;
+    try { flushPortfolioWrites(); } catch (e) {
+      Logger.log('[JobQueue] Portfolio index write failed (non-fatal): ' + e.message);
+    }
+    _rescheduleJobWorker();
+  }
+
+  var elapsed = ((Date.now() - start) / 1000).toFixed(1);
+  Logger.log('[JobQueue] Worker ' + workerId.slice(0, 8) + ' ran ' + ran + ' job(s) in ' + elapsed + 's');
+}
+
+// ── Claim / run ────────────────────────────────────────────────────────
+
+/**
+ * Claim the next runnable job under the script lock.
+ * A 'running' job whose lease has expired is reclaimed as a new attempt.
+ * @param {string} workerId
+ * @returns {Object|null} Claimed job, or null when nothing is runnable
+ */
+function _claimNextJob(workerId) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(JOB_LOCK_WAIT_MS)) {
+    Logger.log('[JobQueue] Script lock busy — leaving the queue for the next worker fire.');
+    return null;
+  }
+  try {
+    var sheet = _getJobsSheet();
+    var now   = Date.now();
+    var jobs  = _readJobs(sheet);
+
+    // Expired leases: the owning execution died mid-job
+    jobs.forEach(function(job) {
+      if (job.status !== 'running' || job.leaseUntil > now) return;
+      Logger.log('[JobQueue] Lease expired on ' + job.jobId + ' (' + job.label + ')');
+      _failJob(sheet, job, 'Execution timed out or was interrupted');
+    });
+
+    // Waiting rows with no job type can never be claimed — dead-letter them
+    jobs.forEach(function(job) {
+      if ((job.status !== 'queued' && job.status !== 'retry') || job.type) return;
+      job.attempts = Math.max(job.attempts, JOB_MAX_ATTEMPTS);
+      _failJob(sheet, job, 'No job type — the row predates the queue and cannot be run');
+    });
+
+    var runnable = _readJobs(sheet).filter(function(job) {
+      return _isWaiting(job) && job.nextRunAt <= now;
+    }).sort(_compareJobs);
+    if (!runnable.length) return null;
+
+    var job = runnable[0];
+    job.status     = 'running';
+    job.attempts   = job.attempts + 1;
+    job.leaseUntil = now + JOB_LEASE_MS;
+    _writeJobFields(sheet, job.row, {
+      status:     'running',
+      attempts:   job.attempts,
+      leaseUntil: new Date(job.leaseUntil),
+      leaseOwner: workerId,
+      stage:      'Starting',
+      lastError:  ''
+    });
+    SpreadsheetApp.flush();
+    Logger.log('[JobQueue] Claimed ' + job.jobId + ' (' + job.label + '), attempt ' + job.attempts);
+    return job;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Run a claimed job and record the outcome.
+ * @param {Object} job
+ * @param {string} workerId
+ */
+function _runClaimedJob(job, workerId) {
+  var sheet = _getJobsSheet();
+  _activeJob = job;
+  try {
+    var result = _executeJob(job);
+    if (!_ownsLease(sheet, job, workerId)) {
+      Logger.log('[JobQueue] Lost lease on ' + job.jobId + ' — discarding result');
+      return;
+    }
+    _writeJobFields(sheet, job.row, {
+      status:      'done',
+      docUrl:      (result && result.docUrl) || '',
+      fullUrl:     (result && result.fullUrl) || '',
+      completedAt: new Date(),
+      leaseUntil:  '',
+      leaseOwner:  '',
+      stage:       'Done'
+    });
+    Logger.log('[JobQueue] Done: ' + job.jobId + ' → ' + ((result && result.docUrl) || '(no url)'));
+  } catch (err) {
+    Logger.log('[JobQueue] FAILED: ' + job.jobId + ' (' + job.label + ') — ' + err.message);
+    if (_ownsLease(sheet, job, workerId)) _failJob(sheet, job, err.message || String(err));
+  } finally {
+    _activeJob = null;
+    SpreadsheetApp.flush();
+  }
+}
+
+/**
+ * Dispatch a job to its type's handler.
+ * @param {Object} job
+ * @returns {{ docUrl: string, fullUrl: string }}
+ */
+function _executeJob(job) {
+  switch (job.type) {
+    case 'ar':      return runArJob(job.payload);
+    case 'refresh': return runRefreshJob(job.payload);
+    case 'health':  return runHealthJob(job.payload);
+    default:   throw new Error('Unknown job type: ' + job.type);
+  }
+}
+
+/**
+ * Record a failed attempt: back off and retry, or dead-letter once the
+ * attempts are used up.
+ * @param {Sheet} sheet
+ * @param {Object} job
+ * @param {string} message
+ */
+function _failJob(sheet, job, message) {
+  if (job.attempts >= JOB_MAX_ATTEMPTS) {
+    _writeJobFields(sheet, job.row, {
+      status: 'dead', completedAt: new Date(), leaseUntil: '', leaseOwner: '',
+      stage: 'Failed after ' + job.attempts + ' attempts', lastError: message
+    });
+    job.status = 'dead';
+    Logger.log('[JobQueue] Dead-lettered ' + job.jobId + ' after ' + job.attempts + ' attempts: ' + message);
+    return;
+  }
+  var delay = JOB_BACKOFF_BASE_MS * Math.pow(2, Math.max(0, job.attempts - 1));
+  job.status    = 'retry';
+  job.nextRunAt = Date.now() + delay;
+  _writeJobFields(sheet, job.row, {
+    status: 'retry', nextRunAt: new Date(job.nextRunAt), leaseUntil: '', leaseOwner: '',
+    stage: 'Retrying in ' + Math.round(delay / 60000) + ' min', lastError: message
+  });
+  Logger.log('[JobQueue] Retry ' + job.jobId + ' in ' + Math.round(delay / 1000) + 's');
+}
+
+/**
+ * True when the job row still carries this worker's lease.
+ */
+function _ownsLease(sheet, job, workerId) {
+  return String(sheet.getRange(job.row, JOB_COL_LEASE_OWNER).getValue()) === workerId;
+}
+
+// ── Scheduling ─────────────────────────────────────────────────────────
+
+/**
+ * Make sure a worker fires within delayMs. Skips creating a trigger when
+ * one is already due sooner.
+ *
+ * The check-and-create runs under the script lock so two enqueues can't
+ * both see no worker due and create a trigger each. A batch chunk can hold
+ * the lock for minutes; rather than leave the job without a worker, a busy
+ * lock falls through to creating the trigger — a spare fire finds nothing
+ * to claim, and runJobQueue() deletes every worker trigger when it starts.
+ * @param {number} delayMs
+ */
+function _scheduleJobWorker(delayMs) {
+  var lock   = LockService.getScriptLock();
+  var locked = lock.tryLock(JOB_LOCK_WAIT_MS);
+  if (!locked) Logger.log('[JobQueue] Script lock busy — scheduling the worker without it');
+  try {
+    var props  = PropertiesService.getScriptProperties();
+    var target = Date.now() + Math.max(1000, delayMs);
+    var next   = Number(props.getProperty(PROP_JOB_WORKER_NEXT)) || 0;
+    if (next && next <= target) return;
+
+    ScriptApp.newTrigger(JOB_WORKER_HANDLER).timeBased().after(Math.max(1000, delayMs)).create();
+    props.setProperty(PROP_JOB_WORKER_NEXT, String(target));
+  } finally {
+    if (locked) lock.releaseLock();
+  }
+}
+
+/**
+ * After a worker run: schedule the next fire for the earliest due job
+ * (including leases that will expire), or nothing if the queue is idle.
+ */
+function _rescheduleJobWorker() {
+  var now  = Date.now();
+  var next = null;
+  _readJobs(_getJobsSheet()).forEach(function(job) {
+    var due = _isWaiting(job) ? job.nextRunAt : job.status === 'running' ? job.leaseUntil : null;
+    if (due !== null && (next === null || due < next)) next = due;
+  });
+  if (next !== null) _scheduleJobWorker(next - now);
+}
+
+// ── Sheet access ───────────────────────────────────────────────────────
+
+/**
+ * Jobs sheet in the bookscrub spreadsheet, created on first use. Widens
+ * the header of sheets created before the queue columns existed.
+ * @returns {Sheet}
+ */
+function _getJobsSheet() {
+  var ss    = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID);
+  var sheet = ss.getSheetByName(JOBS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(JOBS_SHEET_NAME);
+    sheet.setFrozenRows(1);
+  }
+  var header = sheet.getRange(1, 1, 1, JOB_HEADERS.length).getValues()[0];
+  if (String(header[JOB_HEADERS.length - 1]) !== JOB_HEADERS[JOB_HEADERS.length - 1]) {
+    sheet.getRange(1, 1, 1, JOB_HEADERS.length).setValues([JOB_HEADERS]);
+  }
+  return sheet;
+}
+
+/**
+ * Read every job row into plain objects (dates as epoch ms).
+ * Rows written before the queue existed have no type or payload; they are
+ * reported but never claimed, and dead-lettered if left waiting. A 'retry'
+ * row without an attempt count has failed at least once — it is given one
+ * last attempt before it is dead-lettered.
+ * @param {Sheet} sheet
+ * @returns {Object[]}
+ */
+function _readJobs(sheet) {
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+  var values = sheet.getRange(2, 1, lastRow - 1, JOB_HEADERS.length).getValues();
+  var jobs = [];
+  for (var i = 0; i < values.length; i++) {
+    var r = values[i];
+    if (!r[JOB_COL_ID - 1]) continue;
+    var payload = {};
+    try { payload = JSON.parse(r[JOB_COL_PAYLOAD - 1] || '{}'); } catch (e) { /* keep empty */ }
+    var createdAt = _jobTime(r[JOB_COL_CREATED_AT - 1]);
+    jobs.push({
+      row:        i + 2,
+      jobId:      String(r[JOB_COL_ID - 1]),
+      label:      String(r[JOB_COL_LABEL - 1] || ''),
+      email:      String(r[JOB_COL_EMAIL - 1] || ''),
+      status:     String(r[JOB_COL_STATUS - 1] || '').trim(),
+      docUrl:     String(r[JOB_COL_DOC_URL - 1] || ''),
+      fullUrl:    String(r[JOB_COL_FULL_URL - 1] || ''),
+      createdAt:  createdAt,
+      type:       String(r[JOB_COL_TYPE - 1] || ''),
+      priority:   Number(r[JOB_COL_PRIORITY - 1]) || JOB_PRIORITY.NORMAL,
+      payload:    payload,
+      attempts:   r[JOB_COL_ATTEMPTS - 1] === '' && String(r[JOB_COL_STATUS - 1]).trim() === 'retry'
+                    ? JOB_MAX_ATTEMPTS - 1 : Number(r[JOB_COL_ATTEMPTS - 1]) || 0,
+      nextRunAt:  _jobTime(r[JOB_COL_NEXT_RUN - 1]) || createdAt,
+      // Legacy 'running' rows have no lease — expire them relative to creation
+      leaseUntil: _jobTime(r[JOB_COL_LEASE_UNTIL - 1]) || (createdAt + JOB_LEASE_MS),
+      stage:      String(r[JOB_COL_STAGE - 1] || ''),
+      lastError:  String(r[JOB_COL_ERROR - 1] || '')
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Write named job fields to a row.
+ * @param {Sheet} sheet
+ * @param {number} row
+ * @param {Object} fields  Keys: status, docUrl, fullUrl, completedAt, attempts, nextRunAt, leaseUntil, leaseOwner, stage, lastError
+ */
+function _writeJobFields(sheet, row, fields) {
+  var cols = {
+    status: JOB_COL_STATUS, docUrl: JOB_COL_DOC_URL, fullUrl: JOB_COL_FULL_URL,
+    completedAt: JOB_COL_COMPLETED, attempts: JOB_COL_ATTEMPTS, nextRunAt: JOB_COL_NEXT_RUN,
+    leaseUntil: JOB_COL_LEASE_UNTIL, leaseOwner: JOB_COL_LEASE_OWNER, stage: JOB_COL_STAGE,
+    lastError: JOB_COL_ERROR
+  };
+  Object.keys(fields).forEach(function(key) {
+    sheet.getRange(row, cols[key]).setValue(fields[key]);
+  });
+}
+
+function _jobTime(value) {
+  if (!value) return 0;
+  var t = new Date(value).getTime();
+  return isNaN(t) ? 0 : t;
+}
+
+/** Waiting to start: queued or backing off, and claimable by a worker. */
+function _isWaiting(job) {
+  return (job.status === 'queued' || job.status === 'retry') && !!job.type;
+}
+
+/** Queue order: priority (high first), then oldest first. */
+function _compareJobs(a, b) {
+  if (a.priority !== b.priority) return b.priority - a.priority;
+  return a.createdAt - b.createdAt;
+}
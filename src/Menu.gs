@@ -12,11 +12,23 @@ function onOpen() {
     .addItem('Refresh Company Names', 'refreshCompanyNames')
     .addItem('Batch Generate All...', 'batchGenerateAll')
     .addItem('Stop Batch', 'stopBatch')
+    .addItem('Refresh Stale Accounts Now', 'refreshStaleAccountsNow')
+    .addItem('Start Nightly Cache Refresh', 'startNightlyRefreshFromMenu')
+    .addItem('Stop Nightly Cache Refresh', 'stopNightlyRefreshFromMenu')
+    .addItem('Run Health Sweep Now', 'runHealthSweepNow')
+    .addItem('Start Daily Health Sweep', 'startDailyHealthSweepFromMenu')
+    .addItem('Stop Daily Health Sweep', 'stopDailyHealthSweepFromMenu')
+    .addItem('Rebuild Portfolio Index', 'rebuildPortfolioIndexFromMenu')
     .addSeparator()
     .addItem('Set API Key', 'promptApiKey')
     .addItem('Set API User', 'promptApiUser')
     .addItem('Set Output Folder ID', 'promptOutputFolder')
     .addItem('Set Cache Folder ID', 'promptCacheFolder')
+    .addItem('LLM: Set Mode...', 'promptLLMMode')
+    .addItem('LLM: Set Daily Budget...', 'promptLLMBudget')
+    .addItem('LLM: Show Today\'s Spend', 'showLLMSpend')
+    .addItem('Bookscrub: Set Source...', 'promptBookscrubSource')
+    .addItem('Bookscrub: Validate Source', 'showBookscrubValidation')
     .addSeparator()
     .addItem('Glean: Set API Base URL', 'promptGleanApiBase')
     .addItem('Glean: Set API Key', 'promptGleanApiKey')
@@ -465,11 +477,12 @@ function logToStatusSheet(companyName, isProspect, status, briefUrl, error, full
 function batchGenerateAll() {
   var ui = SpreadsheetApp.getUi();
   var names = getCompanyNames();
+  var chunkSize = _planChunkSize(_readStageStats());
   var result = ui.alert(
     'Batch Generate All',
     'This will queue all ' + names.length + ' companies for generation.\n\n' +
-    'Processing runs in the background at ' + BATCH_CHUNK_SIZE + ' companies every ' +
-    BATCH_TRIGGER_INTERVAL_MINS + ' minutes (~' + Math.ceil(names.length / BATCH_CHUNK_SIZE * BATCH_TRIGGER_INTERVAL_MINS) +
+    'Processing runs in the background at ~' + chunkSize + ' companies every ' +
+    BATCH_TRIGGER_INTERVAL_MINS + ' minutes (~' + Math.ceil(names.length / chunkSize * BATCH_TRIGGER_INTERVAL_MINS) +
     ' min total).\n\n' +
     'Companies already marked "done" will be skipped.\n\n' +
     'Continue?',
@@ -494,6 +507,64 @@ function stopBatch() {
   cancelBatch();
 }
 
+/**
+ * Queues incremental refresh jobs for stale cached accounts right away.
+ */
+function refreshStaleAccountsNow() {
+  var queued = scheduleStaleRefresh();
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    queued + ' stale account(s) queued for incremental refresh. Progress is on the "Jobs" tab.',
+    'Cache Refresh',
+    10
+  );
+}
+
+function startNightlyRefreshFromMenu() {
+  startNightlyRefresh();
+  SpreadsheetApp.getUi().alert('Stale accounts will be refreshed nightly at ' + REFRESH_HOUR + ':00 ' +
+    '(up to ' + REFRESH_MAX_PER_RUN + ' per night). Only inputs that changed are re-researched.');
+}
+
+function stopNightlyRefreshFromMenu() {
+  stopNightlyRefresh();
+  SpreadsheetApp.getUi().alert('Nightly cache refresh stopped. Jobs already queued will still run.');
+}
+
+/**
+ * Queues a health sweep over every bookscrub account right away.
+ */
+function runHealthSweepNow() {
+  var queued = scheduleHealthSweep();
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    queued ? 'Health sweep queued. Progress is on the "Jobs" tab; results land on the "Health" tab.'
+           : 'A health sweep is already in progress.',
+    'Account Health',
+    10
+  );
+}
+
+function startDailyHealthSweepFromMenu() {
+  startDailyHealthSweep();
+  var channelSet = !!PropertiesService.getScriptProperties().getProperty(PROP_HEALTH_ALERT_CHANNEL);
+  SpreadsheetApp.getUi().alert('Account health will be scored daily at ' + HEALTH_SWEEP_HOUR + ':00. ' +
+    (channelSet ? 'Owners are notified when an indicator moves into or out of red.'
+                : 'Set the ' + PROP_HEALTH_ALERT_CHANNEL + ' script property to notify owners of transitions.'));
+}
+
+function stopDailyHealthSweepFromMenu() {
+  stopDailyHealthSweep();
+  SpreadsheetApp.getUi().alert('Daily health sweep stopped. A sweep in progress will still finish.');
+}
+
+function rebuildPortfolioIndexFromMenu() {
+  var index = rebuildPortfolioIndex();
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    Object.keys(index.accounts).length + ' account(s) in the portfolio index. Details are in the execution log.',
+    'Portfolio',
+    10
+  );
+}
+
 /**
  * Escape HTML special characters.
  */
@@ -638,6 +709,116 @@ function promptCacheFolder() {
   }
 }
 
+function promptLLMMode() {
+  var ui = SpreadsheetApp.getUi();
+  var result = ui.prompt(
+    'Set LLM Mode',
+    'Current mode: ' + getLLMMode() + '\n\n' +
+    'live — call the LLM endpoints\n' +
+    'record — call them and save every response for replay\n' +
+    'stub — replay saved responses, no network calls\n\nEnter mode:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+  var mode = result.getResponseText().trim().toLowerCase();
+  if (['live', 'record', 'stub'].indexOf(mode) === -1) {
+    ui.alert('Unknown mode "' + mode + '". Use live, record or stub.');
+    return;
+  }
+  PropertiesService.getScriptProperties().setProperty(PROP_LLM_MODE, mode);
+  ui.alert('LLM mode set to ' + mode + '.');
+}
+
+function promptLLMBudget() {
+  var ui = SpreadsheetApp.getUi();
+  var result = ui.prompt(
+    'Set Daily LLM Budget',
+    'Current budget: $' + getDailyLLMSpend().budgetUsd + ' per day (0 = unlimited).\nEnter budget in USD:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+  var budget = Number(result.getResponseText().trim());
+  if (isNaN(budget) || budget < 0) {
+    ui.alert('Enter a number of dollars, e.g. 50.');
+    return;
+  }
+  PropertiesService.getScriptProperties().setProperty(PROP_LLM_DAILY_BUDGET, String(budget));
+  ui.alert('Daily LLM budget set to $' + budget + '.');
+}
+
+function showLLMSpend() {
+  var spend = getDailyLLMSpend();
+  SpreadsheetApp.getUi().alert(
+    'LLM spend for ' + spend.date + ' (estimated)\n\n' +
+    'Calls: ' + spend.calls + '\n' +
+    'Tokens: ' + spend.tokens.toLocaleString() + '\n' +
+    'Cost: $' + spend.costUsd.toFixed(2) + (spend.budgetUsd > 0 ? ' of $' + spend.budgetUsd.toFixed(2) : ' (no budget)') + '\n' +
+    'Mode: ' + getLLMMode()
+  );
+}
+
+function promptBookscrubSource() {
+  var ui = SpreadsheetApp.getUi();
+  var current = getBookscrubSourceConfig();
+  var result = ui.prompt(
+    'Set Bookscrub Source',
+    'Current source: ' + current.type + (current.fileId ? ' (' + current.fileId + ')' : '') + '\n\n' +
+    'sheet — the "' + BOOKSCRUB_SHEET_NAME + '" tab of this spreadsheet\n' +
+    'or a Drive URL / file ID of a .csv or .json export\n\nEnter source:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+  var input = result.getResponseText().trim();
+  try {
+    var config = { type: 'sheet' };
+    if (input.toLowerCase() !== 'sheet') {
+      var match = input.match(/[-\w]{25,}/);
+      if (!match) throw new Error('Enter "sheet" or a Drive file URL / ID.');
+      var file = DriveApp.getFileById(match[0]);
+      var type = /\.json$/i.test(file.getName()) || file.getMimeType() === 'application/json' ? 'json'
+        : /\.csv$/i.test(file.getName()) || file.getMimeType() === 'text/csv' ? 'csv' : '';
+      if (!type) throw new Error('"' + file.getName() + '" is not a .csv or .json file.');
+      config = { type: type, fileId: match[0] };
+    }
+    ui.alert('Bookscrub source set.\n\n' + _formatBookscrubReport(setBookscrubSource(config)));
+  } catch (e) {
+    ui.alert('Source not changed: ' + e.message);
+  }
+}
+
+function showBookscrubValidation() {
+  var ui = SpreadsheetApp.getUi();
+  try {
+    ui.alert(_formatBookscrubReport(validateBookscrubSource()));
+  } catch (e) {
+    ui.alert('Could not read bookscrub source: ' + e.message);
+  }
+}
+
+/** Plain-text rendering of a validateBookscrubSource() report for ui.alert(). */
+function _formatBookscrubReport(report) {
+  var lines = [
+    'Source: ' + report.source + ' — ' + report.rows + ' rows',
+    (report.ok ? '✓ Ready' : '⚠ Needs attention') + ' — ' + report.matched + ' fields matched'
+  ];
+  if (report.requiredMissing.length) lines.push('', 'Missing REQUIRED: ' + report.requiredMissing.join(', '));
+  var optional = report.missing.filter(function(f) { return report.requiredMissing.indexOf(f) === -1; });
+  if (optional.length) lines.push('', 'Missing (optional, ' + optional.length + '): ' + optional.join(', '));
+  if (report.renamed.length) {
+    lines.push('', 'Matched under another name:');
+    report.renamed.forEach(function(r) { lines.push('  ' + r.field + ' ← "' + r.header + '"'); });
+  }
+  if (report.typeIssues.length) {
+    lines.push('', 'Type problems (first ' + BOOKSCRUB_VALIDATION_SAMPLE_ROWS + ' rows):');
+    report.typeIssues.forEach(function(t) {
+      lines.push('  ' + t.field + ' (' + t.type + '): ' + t.bad + '/' + t.of + ' rows, e.g. "' + t.example + '"');
+    });
+  }
+  if (report.unmapped.length) lines.push('', 'Unmapped columns (ignored): ' + report.unmapped.length);
+  lines.push('', 'Add aliases or types in the "' + BOOKSCRUB_FIELDS_SHEET + '" tab (field | aliases | type | required).');
+  return lines.join('\n');
+}
+
 // ── Glean Export Picker ────────────────────────────────────────────────
 
 /**
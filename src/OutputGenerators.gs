@@ -10,6 +10,7 @@
  *
  * Generator registry:
  *   follow_up_email   — post-meeting follow-up email (1 LLM call, plain text)
+ *   slides_deck       — Google Slides strategy deck (no LLM, see SlidesGenerator.gs)
  *   [future: ar_brief, ar_full, value_case, pov_deck, champion_brief]
  */
 
@@ -35,6 +36,11 @@ var OUTPUT_GENERATORS = {
     label:    'Champion Brief',
     fn:       _generateChampionBrief,
     needsL1:  false
+  },
+  slides_deck: {
+    label:    'Account Strategy Deck',
+    fn:       _generateSlidesDeck,
+    needsL1:  true
   }
 };
 
@@ -45,7 +51,8 @@ var OUTPUT_GENERATORS = {
  *
  * @param {string} companyName
  * @param {string} outputType   Key from OUTPUT_GENERATORS
- * @param {Object} [options]    Generator-specific options (e.g. meetingNotes, audience)
+ * @param {Object} [options]    Generator-specific options (e.g. meetingNotes, audience);
+ *                              options.betId links the deliverable to that big bet (BetTracker.gs)
  * @returns {{ type: string, title: string, content: string, url: string|null }}
  */
 function generateOutput(companyName, outputType, options) {
@@ -79,7 +86,7 @@ function generateOutput(companyName, outputType, options) {
   // Log deliverable
   try {
     if (result.url) {
-      logDeliverable(companyName, outputType, result.title, result.url, 'Content Factory');
+      logDeliverable(companyName, outputType, result.title, result.url, 'Content Factory', options.betId);
     }
   } catch (e) {
     Logger.log('[OutputGenerators] logDeliverable failed (non-fatal): ' + e.message);
@@ -114,16 +121,16 @@ function _generateFollowUpEmail(companyName, intel, research, options) {
     'Use the following intelligence to make the email specific and valuable:',
     '',
     '## Account Profile',
-    JSON.stringify(intel.accountProfile || {}, null, 2),
+    JSON.stringify(stripProvenance(intel.accountProfile || {}), null, 2),
     '',
     '## Priority Map',
-    JSON.stringify(intel.priorityMap || {}, null, 2),
+    JSON.stringify(stripProvenance(intel.priorityMap || {}), null, 2),
     '',
     '## Briefing',
-    JSON.stringify(intel.briefing || {}, null, 2),
+    JSON.stringify(stripProvenance(intel.briefing || {}), null, 2),
     '',
     '## Big Bets',
-    JSON.stringify(intel.bigBets || {}, null, 2)
+    JSON.stringify(stripProvenance(intel.bigBets || {}), null, 2)
   ];
 
   if (meetingNotes) {
@@ -217,6 +224,32 @@ function _generateARFull(companyName, intel, research, options) {
   };
 }
 
+// ── Slides Deck Generator (no LLM) ─────────────────────────────────────
+
+/**
+ * Generates a Google Slides account strategy deck from cached data:
+ * title, company snapshot, health, agreement quadrant, big bets and
+ * priority map. No LLM call.
+ *
+ * @param {string} companyName
+ * @param {Object} intel       L2 intelligence (7 objects)
+ * @param {Object} research    L1 research { data, productSignals, enrichment, gleanResearch }
+ * @param {Object} options     (unused)
+ * @returns {{ type: string, title: string, content: null, url: string }}
+ */
+function _generateSlidesDeck(companyName, intel, research, options) {
+  Logger.log('[OutputGenerators] slides_deck — building deck from cached data');
+
+  var deck = buildSlidesDeck(companyName, intel, research);
+
+  return {
+    type:    'slides_deck',
+    title:   'Account Strategy Deck — ' + companyName,
+    content: null,
+    url:     deck.url
+  };
+}
+
 // ── Champion Brief Generator (1 LLM call) ──────────────────────────────
 
 /**
@@ -251,16 +284,16 @@ function _generateChampionBrief(companyName, intel, research, options) {
 
   prompt.push(
     '## Account Profile',
-    JSON.stringify(intel.accountProfile || {}, null, 2),
+    JSON.stringify(stripProvenance(intel.accountProfile || {}), null, 2),
     '',
     '## Priority Map',
-    JSON.stringify(intel.priorityMap || {}, null, 2),
+    JSON.stringify(stripProvenance(intel.priorityMap || {}), null, 2),
     '',
     '## Big Bets',
-    JSON.stringify(intel.bigBets || {}, null, 2),
+    JSON.stringify(stripProvenance(intel.bigBets || {}), null, 2),
     '',
     '## Briefing',
-    JSON.stringify(intel.briefing || {}, null, 2),
+    JSON.stringify(stripProvenance(intel.briefing || {}), null, 2),
     '',
     '## Instructions',
     'Create a Champion Brief with these sections:',
@@ -297,33 +330,12 @@ function _generateChampionBrief(companyName, intel, research, options) {
  * @returns {string} LLM response text
  */
 function _callLLM(prompt) {
-  var apiKey  = getApiKey();
-  var apiUser = getApiUser();
-
-  if (!apiKey || !apiUser) {
+  if (getLLMMode() !== 'stub' && (!getApiKey() || !getApiUser())) {
     throw new Error('[OutputGenerators] Infra API credentials not configured');
   }
 
-  var fetchOptions = {
-    method:             'post',
-    contentType:        'application/json',
-    headers:            { 'DOCU-INFRA-IC-KEY': apiKey, 'DOCU-INFRA-IC-USER': apiUser },
-    payload:            JSON.stringify({ step: 'generate', companyNameForResearch: prompt }),
-    muteHttpExceptions: true
-  };
-
   Logger.log('[OutputGenerators] LLM call — prompt size: ' + prompt.length + ' chars');
-  Utilities.sleep(1000);
-  var response = UrlFetchApp.fetch(GLEAN_ENDPOINT, fetchOptions);
-  var code     = response.getResponseCode();
-  var body     = response.getContentText();
-
-  if (code !== 200) {
-    Logger.log('[OutputGenerators] LLM call failed — HTTP ' + code + ': ' + body.substring(0, 500));
-    throw new Error('[OutputGenerators] LLM call failed — HTTP ' + code);
-  }
-
-  var text = _extractResponseText(response, 'generate');
+  var text = llmComplete({ provider: 'glean', step: 'generate', message: prompt });
   Logger.log('[OutputGenerators] LLM response: ' + text.length + ' chars');
   return text;
 }
@@ -405,6 +417,23 @@ function testARFull() {
   }
 }
 
+/**
+ * Test: generate a Slides deck from cache (no LLM call).
+ * Requires L1 + L2 cache for Merck.
+ */
+function testSlidesDeck() {
+  var companyName = 'Merck Sharp & Dohme LLC';
+  Logger.log('[TEST] Generating Slides deck for: ' + companyName);
+  try {
+    var result = generateOutput(companyName, 'slides_deck', {});
+    if (!result.url) { Logger.log('FAIL: no deck URL returned'); return; }
+    Logger.log('[TEST] Deck URL: ' + result.url);
+    Logger.log('PASS: Slides deck generated');
+  } catch (e) {
+    Logger.log('FAIL: ' + e.message);
+  }
+}
+
 /**
  * Test: generate a Champion Brief from cache (1 LLM call).
  * Requires L2 cache for Merck.
@@ -0,0 +1,461 @@
+/**
+ * Portfolio — cross-account view of every cached account for the dashboard.
+ *
+ * Reading every company folder on each page load is too slow once an owner
+ * covers dozens of accounts, so one precomputed row per account is kept in
+ * the portfolio index:
+ *
+ *   📁 {INTELLIGENCE_CACHE_FOLDER_ID}/
+ *     _portfolio.json   ← { builtAt, accounts: { companyName: row } }
+ *
+ * A row carries the card preview, the health tier (analyzeAccountHealth →
+ * computeTieredStatus over the cached bookscrub data), contract renewal,
+ * consumption pacing, big-bet validation counts, the facts the account
+ * quiz uses for distractors (quizFacts) and the feature vector for
+ * look-alike matching (similarityFeatures, see SimilarCustomers.gs). The
+ * last two are not sent to the dashboard.
+ *
+ *   updatePortfolioEntry()   — recompute one row; called from updateCardPreview()
+ *                              after every AR run, refresh or backfill
+ *   deferPortfolioWrites() / flushPortfolioWrites()
+ *                            — buffer those rows during a loop over many
+ *                              accounts and write them once at the end
+ *   rebuildPortfolioIndex()  — recompute rows whose cache changed (Menu)
+ *   getPortfolio()           — dashboard API; overlays the latest daily health
+ *                              sweep and recomputes days to renewal
+ *   getPortfolioCsv()        — CSV export of the rows the dashboard shows
+ */
+
+var PORTFOLIO_INDEX_FILE = '_portfolio.json';
+var PORTFOLIO_REBUILD_BUDGET_MS = 4 * 60 * 1000;   // leaves headroom under the 6-min limit
+
+// Rows waiting for flushPortfolioWrites(), or null when writes go straight
+// to the index. Per execution, like every other global.
+var _portfolioPendingRows = null;
+
+// CSV export columns, in order: [header, row field]
+var PORTFOLIO_CSV_COLUMNS = [
+  ['Account',              'companyName'],
+  ['Owner',                'owner'],
+  ['Industry',             'industry'],
+  ['GTM Group',            'gtmGroup'],
+  ['Region',               'region'],
+  ['ACV',                  'acv'],
+  ['Active Products',      'productCount'],
+  ['Health',               'healthStatus'],
+  ['Red Indicators',       'healthReds'],
+  ['Renewal Date',         'termEnd'],
+  ['Renewal FYQ',          'termEndFyq'],
+  ['Days to Renewal',      'daysLeft'],
+  ['Consumption %',        'consumptionPct'],
+  ['Term Elapsed %',       'termPct'],
+  ['Pacing Ratio',         'pacingRatio'],
+  ['Pacing',               'pacingLabel'],
+  ['Big Bets',             'betsTotal'],
+  ['Bets Validated',       'betsValidated'],
+  ['Bets Needing Validation', 'betsNeedsValidation'],
+  ['Bets Rejected',        'betsRejected'],
+  ['Intelligence Updated', 'generatedAt'],
+  ['Report URL',           'fullUrl']
+];
+
+// ── Public: Dashboard API ──────────────────────────────────────────────
+
+/**
+ * Returns the portfolio rows for every cached account. Builds the index on
+ * first use.
+ * @returns {string} JSON string of { builtAt, accounts: Object[] }
+ */
+function getPortfolio() {
+  var start = Date.now();
+  var index = _readPortfolioIndex();
+  if (!index) {
+    Logger.log('[Portfolio] No portfolio index yet — building');
+    index = rebuildPortfolioIndex();
+  }
+
+  var rows = Object.keys(index.accounts).map(function(name) {
+    var row = index.accounts[name];
+    delete row.quizFacts;
+    delete row.similarityFeatures;
+    return row;
+  });
+  _overlayLatestHealth(rows);
+  rows.forEach(function(row) { row.daysLeft = _daysUntil(row.termEnd, row.daysLeft, row.dataAsOf); });
+
+  Logger.log('[Portfolio] getPortfolio: ' + rows.length + ' accounts (' + (Date.now() - start) + 'ms)');
+  return JSON.stringify({ builtAt: index.builtAt, accounts: rows });
+}
+
+/**
+ * CSV export of portfolio rows, in the order given (the dashboard passes
+ * its current filtered, sorted list).
+ * @param {string[]} names  Company names; all accounts when omitted
+ * @returns {string} CSV text with a header row
+ */
+function getPortfolioCsv(names) {
+  var rows = JSON.parse(getPortfolio()).accounts;
+  var byName = {};
+  rows.forEach(function(row) { byName[row.companyName] = row; });
+  if (names && names.length) {
+    rows = names.map(function(n) { return byName[n]; }).filter(Boolean);
+  }
+
+  var lines = [PORTFOLIO_CSV_COLUMNS.map(function(c) { return _csvCell(c[0]); }).join(',')];
+  rows.forEach(function(row) {
+    lines.push(PORTFOLIO_CSV_COLUMNS.map(function(c) {
+      var v = row[c[1]];
+      return _csvCell(Array.isArray(v) ? v.join('; ') : v);
+    }).join(','));
+  });
+  Logger.log('[Portfolio] CSV export: ' + rows.length + ' accounts');
+  return lines.join('\r\n');
+}
+
+// ── Public: Maintaining the index ──────────────────────────────────────
+
+/**
+ * Recomputes one account's portfolio row. Pass the cache objects when the
+ * caller already has them to skip re-reading the company folder.
+ * @param {string} companyName
+ * @param {Object} [meta]
+ * @param {Object} [intel]
+ * @param {Object} [research]
+ */
+function updatePortfolioEntry(companyName, meta, intel, research) {
+  if (!companyName) return;
+  if (!meta || !intel) {
+    var folder = _getCompanyFolder(companyName, false);
+    if (!folder) return;
+    meta = meta || _readJsonFile(folder, 'meta.json') || {};
+    intel = intel || _readJsonFile(folder, 'intelligence.json');
+    research = research || _readJsonFile(folder, 'research.json');
+  }
+  if (!intel || !meta.l2GeneratedAt) return;
+
+  var row = buildPortfolioRow(companyName, meta, intel, research);
+  if (_portfolioPendingRows) {
+    _portfolioPendingRows[companyName] = row;
+    return;
+  }
+  _withLock(function() {
+    var index = _readPortfolioIndex() || { builtAt: null, accounts: {} };
+    index.accounts[companyName] = row;
+    _writePortfolioIndex(index);
+  });
+  Logger.log('[Portfolio] Updated row for "' + companyName + '"');
+}
+
+/**
+ * Holds rows from updatePortfolioEntry() in memory until
+ * flushPortfolioWrites(), so a loop over many accounts rewrites
+ * _portfolio.json once instead of once per account. Call the flush from a
+ * finally block; rows lost to a hard timeout are picked up by the next
+ * rebuildPortfolioIndex().
+ */
+function deferPortfolioWrites() {
+  if (!_portfolioPendingRows) _portfolioPendingRows = {};
+}
+
+/**
+ * Writes the rows buffered since deferPortfolioWrites() in one locked
+ * read-modify-write and goes back to writing rows immediately.
+ */
+function flushPortfolioWrites() {
+  var rows = _portfolioPendingRows;
+  _portfolioPendingRows = null;
+  var names = rows ? Object.keys(rows) : [];
+  if (!names.length) return;
+
+  _withLock(function() {
+    var index = _readPortfolioIndex() || { builtAt: null, accounts: {} };
+    names.forEach(function(name) { index.accounts[name] = rows[name]; });
+    _writePortfolioIndex(index);
+  });
+  Logger.log('[Portfolio] Updated ' + names.length + ' row(s) in one write');
+}
+
+/**
+ * Updates the big-bet validation counts on an account's row after the
+ * dashboard saves new statuses.
+ * @param {string} companyName
+ * @param {Object} statuses  betIndex → 'validated' | 'rejected' | 'needs_validation'
+ */
+function updatePortfolioBetStatuses(companyName, statuses) {
+  _withLock(function() {
+    var index = _readPortfolioIndex();
+    if (!index || !index.accounts[companyName]) return;
+    var row = index.accounts[companyName];
+    var counts = _countBetStatuses(row.betsTotal, statuses);
+    row.betsValidated = counts.validated;
+    row.betsRejected = counts.rejected;
+    row.betsNeedsValidation = counts.needsValidation;
+    _writePortfolioIndex(index);
+  });
+}
+
+/**
+ * Removes an account's row (after its cache folder is removed).
+ * @param {string} companyName
+ */
+function removePortfolioEntry(companyName) {
+  _withLock(function() {
+    var index = _readPortfolioIndex();
+    if (!index || !index.accounts[companyName]) return;
+    delete index.accounts[companyName];
+    _writePortfolioIndex(index);
+  });
+}
+
+/**
+ * Recomputes rows for every cached account whose intelligence changed since
+ * its row was built, and drops rows for accounts no longer cached. Stops at
+ * PORTFOLIO_REBUILD_BUDGET_MS; run again to finish a large portfolio.
+ *
+ * The scan runs outside the lock, so the index is re-read under the lock
+ * and only this run's rows are merged into it. A row that another
+ * execution rewrote during the scan (updatePortfolioEntry,
+ * updatePortfolioBetStatuses) is kept unless this run saw newer
+ * intelligence for it.
+ * @returns {{ builtAt: string, accounts: Object }} The index as written
+ */
+function rebuildPortfolioIndex() {
+  var start = Date.now();
+  var previous = _readPortfolioIndex() || { accounts: {} };
+  var before = {};   // name → row JSON as read, to spot concurrent writes
+  Object.keys(previous.accounts).forEach(function(name) {
+    before[name] = JSON.stringify(previous.accounts[name]);
+  });
+  var changed = {};  // name → row to merge
+  var cached = {};   // names that still have a cached account
+  var rebuilt = 0, kept = 0, remaining = 0;
+
+  var subfolders = _getCacheRootFolder().getFolders();
+  while (subfolders.hasNext()) {
+    var folder = subfolders.next();
+    var name = folder.getName();
+    try {
+      var meta = _readJsonFile(folder, 'meta.json');
+      if (!meta || !meta.l2GeneratedAt) continue;
+
+      var prev = previous.accounts[name];
+      if (prev && prev.generatedAt === meta.l2GeneratedAt && prev.quizFacts &&
+          prev.similarityFeatures !== undefined) {
+        // Intelligence unchanged — refresh only what meta.json carries
+        var counts = _countBetStatuses(prev.betsTotal, meta.betStatuses);
+        prev.betsValidated = counts.validated;
+        prev.betsRejected = counts.rejected;
+        prev.betsNeedsValidation = counts.needsValidation;
+        changed[name] = prev;
+        cached[name] = true;
+        kept++;
+        continue;
+      }
+      if (Date.now() - start > PORTFOLIO_REBUILD_BUDGET_MS) {
+        if (prev) cached[name] = true;
+        remaining++;
+        continue;
+      }
+
+      var intel = _readJsonFile(folder, 'intelligence.json');
+      if (!intel) continue;
+      changed[name] = buildPortfolioRow(name, meta, intel, _readJsonFile(folder, 'research.json'));
+      cached[name] = true;
+      rebuilt++;
+    } catch (e) {
+      cached[name] = true;   // keep the old row on a transient read failure
+      Logger.log('[Portfolio] Skipping "' + name + '": ' + e.message);
+    }
+  }
+
+  var index;
+  _withLock(function() {
+    index = _readPortfolioIndex() || { accounts: {} };
+    var touched = function(name) {
+      return index.accounts[name] !== undefined &&
+        JSON.stringify(index.accounts[name]) !== (before[name] || null);
+    };
+
+    Object.keys(changed).forEach(function(name) {
+      var current = index.accounts[name];
+      if (before[name] && current === undefined) return;   // removed meanwhile
+      if (touched(name) && !(changed[name].generatedAt > current.generatedAt)) return;
+      index.accounts[name] = changed[name];
+    });
+    // Only drop rows this run saw and found uncached; rows added meanwhile stay
+    Object.keys(before).forEach(function(name) {
+      if (!cached[name] && !touched(name)) delete index.accounts[name];
+    });
+
+    index.builtAt = new Date().toISOString();
+    _writePortfolioIndex(index);
+  });
+  Logger.log('[Portfolio] Rebuilt index: ' + rebuilt + ' rebuilt, ' + kept + ' unchanged' +
+    (remaining ? ', ' + remaining + ' left for the next run' : '') + ' (' + (Date.now() - start) + 'ms)');
+  return index;
+}
+
+/**
+ * Builds one account's portfolio row from its cache files.
+ * @param {string} companyName
+ * @param {Object} meta      meta.json
+ * @param {Object} intel     L2 intelligence
+ * @param {Object} research  L1 research (may be null)
+ * @returns {Object}
+ */
+function buildPortfolioRow(companyName, meta, intel, research) {
+  var preview = meta.cardPreview || {};
+  var data = (research && research.data) || null;
+  var ctx = (data && data.context) || {};
+  var people = (data && data.people) || {};
+  var contract = (data && data.contract) || {};
+  var isProspect = !!(data && data.identity && data.identity.isProspect);
+
+  var row = {
+    companyName:  companyName,
+    isProspect:   isProspect,
+    owner:        people.accountOwner || '',
+    csm:          people.csm || '',
+    industry:     ctx.industry || preview.industry || '',
+    gtmGroup:     ctx.gtmGroupName || ctx.gtmGroup || '',
+    region:       ctx.region || '',
+    acv:          preview.acv || (data && data.financial && data.financial.acv) || 0,
+    productCount: preview.productCount || (data && data.activeProducts ? data.activeProducts.length : 0),
+    introText:    preview.introText || preview.companyOverview || '',
+    briefUrl:     preview.briefUrl || null,
+    fullUrl:      preview.fullUrl || null,
+    generatedAt:  meta.l2GeneratedAt,
+    dataAsOf:     meta.l1GeneratedAt || meta.l2GeneratedAt,
+
+    healthStatus: '',
+    healthReds:   [],
+    termEnd:      _isoDate(contract.termEnd),
+    termEndFyq:   contract.termEndFyq || '',
+    daysLeft:     contract.daysLeft || null,
+    consumptionPct: null,
+    termPct:      null,
+    pacingRatio:  null,
+    pacingStatus: 'gray',
+    pacingLabel:  'No Data'
+  };
+
+  // Health tier and consumption pacing — customer accounts only
+  if (data && !isProspect && data.contract && data.consumption) {
+    try {
+      var health = analyzeAccountHealth(data);
+      var tiered = computeTieredStatus(health, HEALTH_INDICATOR_ORDER);
+      row.healthStatus = tiered.status;
+      row.healthReds = tiered.criticalRedNames.concat(tiered.contextualRedNames);
+      if (health.consumptionPacing) {
+        row.pacingStatus = health.consumptionPacing.status;
+        row.pacingLabel = health.consumptionPacing.label;
+      }
+    } catch (e) {
+      Logger.log('[Portfolio] Health scoring failed for "' + companyName + '": ' + e.message);
+    }
+    var cons = data.consumption;
+    var termPct = Math.min(100, contract.percentComplete || 0);
+    if (cons.envelopesPurchased > 0) {
+      row.consumptionPct = Math.round((cons.envelopesSent / cons.envelopesPurchased) * 100);
+      row.termPct = Math.round(termPct);
+      if (termPct > 0) row.pacingRatio = Math.round((row.consumptionPct / termPct) * 100) / 100;
+    }
+  }
+
+  // Big bets and their validation statuses
+  var bets = getBigBetList(intel);
+  var counts = _countBetStatuses(bets.length, meta.betStatuses);
+  row.betsTotal = bets.length;
+  row.betsValidated = counts.validated;
+  row.betsRejected = counts.rejected;
+  row.betsNeedsValidation = counts.needsValidation;
+
+  // Facts the account quiz draws distractors from (QuizGenerator.gs)
+  row.quizFacts = extractQuizFacts(intel, research);
+
+  // Look-alike matching features (SimilarCustomers.gs) — null for prospects
+  row.similarityFeatures = extractSimilarityFeatures(data, research && research.enrichment);
+
+  return row;
+}
+
+// ── Private ────────────────────────────────────────────────────────────
+
+function _readPortfolioIndex() {
+  var files = _getCacheRootFolder().getFilesByName(PORTFOLIO_INDEX_FILE);
+  if (!files.hasNext()) return null;
+  try {
+    var index = JSON.parse(files.next().getBlob().getDataAsString());
+    return index && index.accounts ? index : null;
+  } catch (e) {
+    Logger.log('[Portfolio] WARN ' + PORTFOLIO_INDEX_FILE + ' parse error: ' + e.message);
+    return null;
+  }
+}
+
+function _writePortfolioIndex(index) {
+  _writeJsonFile(_getCacheRootFolder(), PORTFOLIO_INDEX_FILE, index);
+}
+
+/**
+ * Counts bet statuses; bets with no stored status need validation (the
+ * dashboard's default).
+ */
+function _countBetStatuses(total, statuses) {
+  var counts = { validated: 0, rejected: 0, needsValidation: 0 };
+  statuses = statuses || {};
+  for (var i = 0; i < total; i++) {
+    var s = statuses[String(i)];
+    if (s === 'validated') counts.validated++;
+    else if (s === 'rejected') counts.rejected++;
+    else counts.needsValidation++;
+  }
+  return counts;
+}
+
+/**
+ * Replaces each row's health tier with the latest daily sweep result when
+ * the sweep scored the account after its cache was built.
+ */
+function _overlayLatestHealth(rows) {
+  var latest;
+  try {
+    latest = getLatestHealthStatuses();
+  } catch (e) {
+    Logger.log('[Portfolio] Health sheet read failed (non-fatal): ' + e.message);
+    return;
+  }
+  rows.forEach(function(row) {
+    var h = latest[String(row.companyName).trim().toLowerCase()];
+    if (!h || !h.status || !h.lastScoredAt) return;
+    if (row.dataAsOf && new Date(h.lastScoredAt) < new Date(row.dataAsOf)) return;
+    row.healthStatus = h.status;
+    row.healthScoredAt = h.lastScoredAt;
+  });
+}
+
+/** Days from today to an ISO date; falls back to the cached count aged since asOf. */
+function _daysUntil(isoDate, cachedDays, asOf) {
+  var dayMs = 24 * 60 * 60 * 1000;
+  if (isoDate) {
+    var end = new Date(isoDate);
+    if (!isNaN(end.getTime())) return Math.ceil((end.getTime() - Date.now()) / dayMs);
+  }
+  if (cachedDays == null || cachedDays === '') return null;
+  var aged = asOf ? Math.floor((Date.now() - new Date(asOf).getTime()) / dayMs) : 0;
+  return Number(cachedDays) - Math.max(0, aged || 0);
+}
+
+/** Sheet dates arrive as Date objects or date strings; normalize to yyyy-MM-dd. */
+function _isoDate(value) {
+  if (!value) return '';
+  var d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d.getTime())) return String(value);
+  return Utilities.formatDate(d, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+function _csvCell(value) {
+  if (value == null) return '';
+  var s = String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
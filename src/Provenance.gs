@@ -0,0 +1,357 @@
+/**
+ * Source provenance for research output.
+ *
+ * A source is a { id, kind, title, url, retrievedAt } record. Enrichment
+ * keeps its sources in enrichment._sources (each also lists the enrichment
+ * fields it supplied); every LLM research object carries
+ *
+ *   obj._provenance = {
+ *     generatedBy, generatedAt,
+ *     sources: [ source, ... ],                       // citations returned with the call
+ *     claims:  { 'financials.revenue': { sources: [ids], confidence } }
+ *   }
+ *
+ * Claim paths use the validator's notation without the leading '$.'.
+ * Confidence is 'verified' (overwritten from a public filing or database),
+ * 'cited' (the model attached a citation) or 'unsourced' (anything else).
+ *
+ * Underscore keys are ignored by fingerprintValue(), so provenance never
+ * changes cache fingerprints; stripProvenance() keeps it out of prompts.
+ */
+
+var PROVENANCE_VERIFIED  = 'verified';
+var PROVENANCE_CITED     = 'cited';
+var PROVENANCE_UNSOURCED = 'unsourced';
+
+// Bing grounding markers, e.g. 【3:2†source】
+var CITATION_MARKER_RE = /【[^】]*†[^】]*】/g;
+
+// Field names whose numbers are figures (money, headcount) rather than scores
+var NUMERIC_CLAIM_KEY_RE = /revenue|income|spend|value|cost|price|budget|acv|tcv|arr|cmrr|employees|headcount|customers|count|total/i;
+var NUMERIC_CLAIM_TEXT_RE = /\$\s?\d|\d[\d,.]*\s?(%|percent\b|thousand\b|million\b|billion\b|trillion\b|[KMB]\b)/i;
+
+// ── Source records ────────────────────────────────────────────────────
+
+/**
+ * Build a source record.
+ * @param {string} id           Stable id, unique within its list ('sec-10k', 'web-3')
+ * @param {string} kind         'internal' | 'sec' | 'wikipedia' | 'wikidata' | 'web' | 'glean'
+ * @param {string} title
+ * @param {string|null} url
+ * @param {string} [retrievedAt]  ISO timestamp (default: now)
+ * @returns {Object}
+ */
+function makeSource(id, kind, title, url, retrievedAt) {
+  return { id: id, kind: kind, title: title, url: url || null, retrievedAt: retrievedAt || new Date().toISOString() };
+}
+
+/**
+ * Record an enrichment source and the enrichment fields it supplied.
+ * Fields that were not populated are dropped; a source with none is skipped.
+ * @param {Object} enrichment
+ * @param {Object} source  From makeSource()
+ * @param {Array<string>} fields  Enrichment keys this source supplied
+ */
+function addEnrichmentSource(enrichment, source, fields) {
+  source.fields = fields.filter(function(f) { return enrichment[f] != null; });
+  if (source.fields.length === 0) return;
+  enrichment._sources = (enrichment._sources || []).filter(function(s) { return s.id !== source.id; });
+  enrichment._sources.push(source);
+}
+
+/**
+ * Id of the enrichment source that supplied a field.
+ * @param {Object} enrichment
+ * @param {string} field  e.g. 'revenue'
+ * @returns {string|null}
+ */
+function enrichmentSourceFor(enrichment, field) {
+  var sources = (enrichment && enrichment._sources) || [];
+  for (var i = 0; i < sources.length; i++) {
+    if ((sources[i].fields || []).indexOf(field) !== -1) return sources[i].id;
+  }
+  return null;
+}
+
+/**
+ * Normalize one citation from the LLM endpoint. Handles plain URLs,
+ * { url, title } objects and Azure-style annotations
+ * ({ text: '【3:2†source】', url_citation: { url, title } }).
+ * @param {*} citation
+ * @param {number} index  Position in the citation list
+ * @returns {Object|null}  Source record plus `marker` when the annotation had one
+ */
+function normalizeCitation(citation, index) {
+  if (!citation) return null;
+  if (typeof citation === 'string') {
+    return makeSource('web-' + (index + 1), 'web', citation, /^https?:/.test(citation) ? citation : null);
+  }
+  var inner = citation.url_citation || citation.urlCitation || citation.file_citation || citation;
+  var url = inner.url || inner.uri || inner.link || null;
+  var title = inner.title || inner.name || url || 'Web source ' + (index + 1);
+  var source = makeSource('web-' + (index + 1), 'web', title, url);
+  if (typeof citation.text === 'string' && citation.text.indexOf('†') !== -1) source.marker = citation.text;
+  return source;
+}
+
+// ── Claims ────────────────────────────────────────────────────────────
+
+/**
+ * Find citation markers in a parsed response before cleanCitations() strips them.
+ * @param {*} value
+ * @returns {Array<{path: string, marker: string}>}
+ */
+function collectCitationRefs(value) {
+  var refs = [];
+  _walkLeaves(value, '', function(path, leaf) {
+    if (typeof leaf !== 'string') return;
+    (leaf.match(CITATION_MARKER_RE) || []).forEach(function(marker) {
+      refs.push({ path: path, marker: marker });
+    });
+  });
+  return refs;
+}
+
+/**
+ * Attach call-level provenance to a research object: the call's citations
+ * as sources, and a 'cited' claim for every field that carried a marker.
+ * Markers resolve to citations by annotation text, else by the index
+ * after the colon ("【3:2†source】" → citation 2).
+ *
+ * @param {Object} obj        Research object (mutated)
+ * @param {Object} call       Call spec the object came from
+ * @param {Array}  [citations]  Raw citations from getLastCitations()
+ * @param {Array}  [refs]       Markers from getLastCitationRefs()
+ * @returns {Object} obj
+ */
+function attachProvenance(obj, call, citations, refs) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return obj;
+
+  var sources = (citations || []).map(normalizeCitation).filter(Boolean);
+  var claims = {};
+  (refs || []).forEach(function(ref) {
+    var source = _sourceForMarker(sources, ref.marker);
+    if (!source) return;
+    var claim = claims[ref.path] || (claims[ref.path] = { sources: [], confidence: PROVENANCE_CITED });
+    if (claim.sources.indexOf(source.id) === -1) claim.sources.push(source.id);
+  });
+  sources.forEach(function(s) { delete s.marker; });
+
+  var existing = obj._provenance || {};
+  obj._provenance = {
+    generatedBy: call ? (call.provider === 'glean' ? 'glean:' + call.step : call.provider) : 'unknown',
+    generatedAt: new Date().toISOString(),
+    sources: sources,
+    claims: existing.claims || {}
+  };
+  Object.keys(claims).forEach(function(path) { obj._provenance.claims[path] = claims[path]; });
+
+  if (sources.length) {
+    Logger.log('[Provenance] ' + (call && call.label || obj._provenance.generatedBy) + ': ' + sources.length +
+      ' citation(s), ' + Object.keys(claims).length + ' cited field(s)');
+  }
+  return obj;
+}
+
+function _sourceForMarker(sources, marker) {
+  for (var i = 0; i < sources.length; i++) {
+    if (sources[i].marker === marker) return sources[i];
+  }
+  var m = marker.match(/:(\d+)/);
+  return m && sources[Number(m[1])] ? sources[Number(m[1])] : null;
+}
+
+/**
+ * Mark a claim as verified against an enrichment source.
+ * @param {Object} obj
+ * @param {string} path      e.g. 'financials.revenue'
+ * @param {string} sourceId  Enrichment source id
+ */
+function markClaimVerified(obj, path, sourceId) {
+  if (!obj || !sourceId) return;
+  var prov = obj._provenance || (obj._provenance = { sources: [], claims: {} });
+  prov.claims = prov.claims || {};
+  prov.claims[path] = { sources: [sourceId], confidence: PROVENANCE_VERIFIED };
+}
+
+/**
+ * Re-key claims on array items after items are inserted at the front, so
+ * 'executiveContacts[0].name' follows its contact to index 1.
+ * @param {Object} obj
+ * @param {string} arrayPath  e.g. 'executiveContacts'
+ * @param {number} by         Number of items inserted
+ */
+function shiftClaimIndices(obj, arrayPath, by) {
+  var claims = obj && obj._provenance && obj._provenance.claims;
+  if (!claims || !by) return;
+  var prefix = arrayPath + '[';
+  var shifted = {};
+  Object.keys(claims).forEach(function(path) {
+    var m = path.indexOf(prefix) === 0 && path.slice(prefix.length).match(/^(\d+)\](.*)$/);
+    if (m) {
+      shifted[prefix + (Number(m[1]) + by) + ']' + m[2]] = claims[path];
+      delete claims[path];
+    }
+  });
+  Object.keys(shifted).forEach(function(path) { claims[path] = shifted[path]; });
+}
+
+/**
+ * Mark account profile figures that already equal the enrichment value as
+ * verified. enforceEnrichedData() marks what it overwrites; this covers the
+ * Glean pipeline, which is given the figures and asked to keep them.
+ * @param {Object} accountProfile
+ * @param {Object} enrichment
+ */
+function markMatchingEnrichedClaims(accountProfile, enrichment) {
+  if (!accountProfile || !enrichment) return;
+  var fin = accountProfile.financials || {};
+  ['revenue', 'cogs', 'opex', 'capex', 'netIncome'].forEach(function(metric) {
+    if (enrichment[metric + 'Formatted'] && fin[metric] === enrichment[metric + 'Formatted']) {
+      markClaimVerified(accountProfile, 'financials.' + metric, enrichmentSourceFor(enrichment, metric));
+    }
+  });
+  if (enrichment.employeesFormatted && accountProfile.employeeCount &&
+      accountProfile.employeeCount.total === enrichment.employeesFormatted) {
+    markClaimVerified(accountProfile, 'employeeCount.total', enrichmentSourceFor(enrichment, 'employees'));
+  }
+}
+
+/**
+ * Provenance of one claim — its own entry, else the nearest ancestor's
+ * (a citation on 'financials' covers 'financials.revenue').
+ * @param {Object} obj
+ * @param {string} path
+ * @returns {{sources: Array<string>, confidence: string}}
+ */
+function claimProvenance(obj, path) {
+  var claims = (obj && obj._provenance && obj._provenance.claims) || {};
+  for (var p = path; p; p = p.replace(/(\.[^.\[]+|\[\d+\])$/, '')) {
+    if (claims[p]) return claims[p];
+    if (!/[.\[]/.test(p)) break;
+  }
+  return { sources: [], confidence: PROVENANCE_UNSOURCED };
+}
+
+/**
+ * True if a value reads as a figure (money, percentage, headcount).
+ * @param {string} key   Field name
+ * @param {*}      value
+ * @returns {boolean}
+ */
+function isNumericClaim(key, value) {
+  if (typeof value === 'number') return NUMERIC_CLAIM_KEY_RE.test(key);
+  if (typeof value !== 'string' || value.length > 120) return false;
+  return NUMERIC_CLAIM_TEXT_RE.test(value) || (NUMERIC_CLAIM_KEY_RE.test(key) && /^\D{0,2}\d[\d,.]*\+?$/.test(value.trim()));
+}
+
+/**
+ * Numeric claims in research objects that have no verified or cited source.
+ * @param {Object} research  { accountProfile, businessMap, ... }
+ * @returns {Array<{key: string, path: string, value: *}>}
+ */
+function findUnsourcedNumericClaims(research) {
+  var out = [];
+  L2_ORDER.forEach(function(key) {
+    var obj = research && research[key];
+    if (!obj || typeof obj !== 'object') return;
+    _walkLeaves(obj, '', function(path, leaf, field) {
+      if (!isNumericClaim(field, leaf)) return;
+      if (claimProvenance(obj, path).confidence !== PROVENANCE_UNSOURCED) return;
+      out.push({ key: key, path: path, value: leaf });
+    });
+  });
+  return out;
+}
+
+/**
+ * Copy of a research object without its _provenance, for prompts.
+ * @param {Object} obj
+ * @returns {Object}
+ */
+function stripProvenance(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj) || !obj._provenance) return obj;
+  var copy = {};
+  Object.keys(obj).forEach(function(k) { if (k !== '_provenance') copy[k] = obj[k]; });
+  return copy;
+}
+
+// Visit every scalar leaf, skipping '_' keys. visit(path, value, fieldName)
+function _walkLeaves(value, path, visit, field) {
+  if (Array.isArray(value)) {
+    value.forEach(function(item, i) { _walkLeaves(item, path + '[' + i + ']', visit, field); });
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(function(k) {
+      if (k.charAt(0) === '_') return;
+      _walkLeaves(value[k], path ? path + '.' + k : k, visit, k);
+    });
+  } else if (value != null) {
+    visit(path, value, field || '');
+  }
+}
+
+// ── Document source register ──────────────────────────────────────────
+
+/**
+ * Number every source behind a report for footnotes: the Book of Business,
+ * enrichment sources, Glean research and each output's citations.
+ * Sources sharing a URL share a number.
+ *
+ * @param {Object} enrichment  Output of enrichCompanyData()
+ * @param {Object} research    { accountProfile, businessMap, ... }
+ * @param {string} pipeline    'glean' or 'og'
+ * @returns {{ sources: Array<Object>, numbers: Object }}  numbers maps
+ *          'sec-10k' and '<outputKey>:web-3' style refs to footnote numbers
+ */
+function buildSourceRegister(enrichment, research, pipeline) {
+  var register = { sources: [], numbers: {} };
+  var enr = enrichment || {};
+  var gatheredAt = enr._timestamp || new Date().toISOString();
+
+  var add = function(ref, source, usedBy) {
+    var match = source.url && register.sources.filter(function(s) { return s.url === source.url; })[0];
+    if (!match) {
+      match = { num: register.sources.length + 1, kind: source.kind, title: source.title,
+                url: source.url, retrievedAt: source.retrievedAt, usedBy: [] };
+      register.sources.push(match);
+    }
+    usedBy.forEach(function(u) { if (match.usedBy.indexOf(u) === -1) match.usedBy.push(u); });
+    register.numbers[ref] = match.num;
+  };
+
+  add('bookscrub', makeSource('bookscrub', 'internal', 'Docusign Book of Business (bookscrub)',
+    getBookscrubSourceUrl(), gatheredAt), ['account data']);
+  (enr._sources || []).forEach(function(s) { add(s.id, s, s.fields || []); });
+  if (pipeline === 'glean') {
+    add('glean', makeSource('glean', 'glean', 'Glean internal search and Google Gemini web search', null, gatheredAt),
+      ['research for all outputs']);
+  }
+
+  L2_ORDER.forEach(function(key) {
+    var prov = research && research[key] && research[key]._provenance;
+    if (!prov) return;
+    (prov.sources || []).forEach(function(s) {
+      add(key + ':' + s.id, s, [RESEARCH_OUTPUT_LABELS[key] || key]);
+    });
+  });
+  return register;
+}
+
+/**
+ * Footnote numbers for a claim: its cited/verified sources, resolved
+ * against the register.
+ * @param {Object} register  From buildSourceRegister()
+ * @param {string} key       Research output key
+ * @param {Object} obj       Research object
+ * @param {string} path      Claim path
+ * @returns {Array<number>}
+ */
+function claimSourceNumbers(register, key, obj, path) {
+  if (!register) return [];
+  var nums = [];
+  claimProvenance(obj, path).sources.forEach(function(id) {
+    var num = register.numbers[id] || register.numbers[key + ':' + id];
+    if (num && nums.indexOf(num) === -1) nums.push(num);
+  });
+  return nums;
+}
@@ -0,0 +1,372 @@
+/**
+ * QuizGenerator — multiple-choice questions about a rep's own accounts,
+ * built from the intelligence cache, with per-player spaced repetition.
+ *
+ * Questions come from a company's intelligence.json and research.json:
+ *   revenue, employees   — financials (SEC-verified where enrichment has them)
+ *   segment              — business units
+ *   product, whitespace  — active and not-yet-adopted Docusign products
+ *   executive            — executive contacts by title
+ *   bigBet               — Big Bet titles
+ * Wrong options are drawn from the same facts of other cached accounts
+ * (the quizFacts kept on each portfolio index row, see Portfolio.gs), so
+ * they look plausible. Numeric facts fall back to scaled values when the
+ * portfolio is too small.
+ *
+ * Question ids are stable ("Acme Corp|executive|Jane Doe") so answers can
+ * be scheduled across sessions.
+ *
+ * Spaced repetition (Leitner boxes, Quiz Reviews tab):
+ *   submitScore() passes each answered question to recordQuizAnswers().
+ *   Correct moves a question up one box, wrong sends it back to box 0.
+ *   A question is due QUIZ_BOX_INTERVAL_DAYS[box] days after it was last seen.
+ *   getAccountQuiz() serves due reviews first, then unseen questions, then
+ *   the ones due soonest.
+ */
+
+var QUIZ_SHEET_REVIEWS = 'Quiz Reviews';
+var QUIZ_REVIEW_HEADERS = ['email', 'questionId', 'company', 'box', 'dueAt', 'lastSeenAt', 'correct', 'wrong'];
+var QUIZ_BOX_INTERVAL_DAYS = [0, 1, 3, 7, 14, 30];
+var QUIZ_CATEGORY = 'Your Account';
+var QUIZ_MAX_EXECUTIVES = 3;
+var QUIZ_MAX_SEGMENTS = 2;
+var QUIZ_MAX_PRODUCTS = 2;
+var QUIZ_MAX_BETS = 2;
+
+// ── Public: Game API ───────────────────────────────────────────────────
+
+/**
+ * Cached accounts a quiz can be built for.
+ * @returns {string[]} Company names, sorted
+ */
+function getQuizAccounts() {
+  var index = _readPortfolioIndex();
+  if (!index) return [];
+  return Object.keys(index.accounts).filter(function(name) {
+    return !!index.accounts[name].quizFacts;
+  }).sort();
+}
+
+/**
+ * Returns up to n questions about a company, ordered for the player:
+ * due reviews, then unseen questions, then those due soonest.
+ * @param {string} companyName
+ * @param {string} email  Player; scheduling is skipped when empty
+ * @param {number} n
+ * @returns {Object[]} { id, question, a, b, c, d, answer, category, difficulty, review }
+ */
+function getAccountQuiz(companyName, email, n) {
+  var questions = generateAccountQuestions(companyName);
+  var reviews = email ? _readQuizReviews(email, companyName) : {};
+  var now = Date.now();
+
+  questions = _gameShuffle(questions);
+  questions.forEach(function(q) {
+    var r = reviews[q.id];
+    var due = r ? new Date(r.dueAt).getTime() : 0;
+    q.review = !r ? 'new' : (due <= now ? 'due' : 'scheduled');
+    q._rank = q.review === 'due' ? 0 : q.review === 'new' ? 1 : 2;
+    q._due = due;
+  });
+  questions.sort(function(a, b) { return a._rank - b._rank || a._due - b._due; });
+
+  var picked = questions.slice(0, Math.min(n || 10, questions.length));
+  picked.forEach(function(q) { delete q._rank; delete q._due; });
+  Logger.log('[Quiz] ' + picked.length + ' of ' + questions.length + ' questions for "' + companyName + '"' +
+    (email ? ' (' + picked.filter(function(q) { return q.review === 'due'; }).length + ' due reviews)' : ''));
+  return picked;
+}
+
+/**
+ * Updates a player's review schedule from one session's answers.
+ * @param {string} email
+ * @param {string} companyName
+ * @param {Array<{ id: string, correct: boolean }>} answers
+ */
+function recordQuizAnswers(email, companyName, answers) {
+  if (!email || !answers || answers.length === 0) return;
+  var target = String(email).toLowerCase();
+
+  _withLock(function() {
+    var sheet = _getQuizReviewsSheet();
+    var lastRow = sheet.getLastRow();
+    var rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, QUIZ_REVIEW_HEADERS.length).getValues() : [];
+    var byId = {};
+    rows.forEach(function(r, i) {
+      if (String(r[0]).toLowerCase() === target) byId[String(r[1])] = i;
+    });
+
+    var now = new Date();
+    answers.forEach(function(a) {
+      if (!a || !a.id) return;
+      var i = byId[a.id];
+      if (i === undefined) {
+        rows.push([email, a.id, companyName || '', 0, '', '', 0, 0]);
+        i = byId[a.id] = rows.length - 1;
+      }
+      var row = rows[i];
+      var box = a.correct ? Math.min(Number(row[3]) + 1, QUIZ_BOX_INTERVAL_DAYS.length - 1) : 0;
+      row[3] = box;
+      row[4] = new Date(now.getTime() + QUIZ_BOX_INTERVAL_DAYS[box] * 24 * 60 * 60 * 1000);
+      row[5] = now;
+      row[a.correct ? 6 : 7] = Number(row[a.correct ? 6 : 7]) + 1;
+    });
+
+    if (rows.length) sheet.getRange(2, 1, rows.length, QUIZ_REVIEW_HEADERS.length).setValues(rows);
+  });
+  Logger.log('[Quiz] Recorded ' + answers.length + ' answers for ' + email);
+}
+
+// ── Public: Question generation ────────────────────────────────────────
+
+/**
+ * Builds every question the cache supports for a company.
+ * @param {string} companyName
+ * @returns {Object[]} Questions with stable ids; options already shuffled
+ */
+function generateAccountQuestions(companyName) {
+  var cachedL2 = getIntelligenceCache(companyName);
+  if (!cachedL2 || !cachedL2.intelligence) {
+    throw new Error('No cached intelligence for "' + companyName + '". Run Account Research first.');
+  }
+  var cachedL1 = getResearchCache(companyName);
+  var facts = extractQuizFacts(cachedL2.intelligence, cachedL1 ? cachedL1.research : null);
+  var pool = _quizFactPool(companyName);
+  var co = companyName;
+  var questions = [];
+
+  function add(kind, key, question, correct, distractors, difficulty) {
+    var q = _quizQuestion(question, correct, distractors);
+    if (!q) return;
+    q.id = [co, kind, key].join('|');
+    q.category = QUIZ_CATEGORY;
+    q.difficulty = difficulty;
+    questions.push(q);
+  }
+
+  // Financials — the answer goes through the distractors' formatter so it can't be picked out by its wording
+  var headcount = function(v) { return Math.round(v).toLocaleString('en-US'); };
+  if (facts.revenue) {
+    add('revenue', '', 'What was ' + co + '\'s most recent annual revenue?', _formatQuizAmount(facts.revenue, formatDollars),
+      _numericDistractors(facts.revenue, pool.map(function(f) { return f.revenue; }), formatDollars), 'Medium');
+  }
+  if (facts.employees) {
+    add('employees', '', 'Roughly how many people does ' + co + ' employ?', _formatQuizAmount(facts.employees, headcount),
+      _numericDistractors(facts.employees, pool.map(function(f) { return f.employees; }), headcount), 'Medium');
+  }
+
+  // Business units
+  var otherSegments = _quizFlatten(pool.map(function(f) { return f.segments || []; }));
+  facts.segments.slice(0, QUIZ_MAX_SEGMENTS).forEach(function(seg) {
+    add('segment', seg, 'Which of these is one of ' + co + '\'s business units?', seg,
+      _quizExcluding(otherSegments, facts.segments), 'Easy');
+  });
+
+  // Docusign footprint
+  if (facts.inactiveProducts.length >= 3) {
+    facts.activeProducts.slice(0, QUIZ_MAX_PRODUCTS).forEach(function(product) {
+      add('product', product, 'Which Docusign product is ' + co + ' already using?', product,
+        facts.inactiveProducts, 'Easy');
+    });
+  }
+  if (facts.activeProducts.length >= 3) {
+    facts.inactiveProducts.slice(0, QUIZ_MAX_PRODUCTS).forEach(function(product) {
+      add('whitespace', product, 'Which of these Docusign products has ' + co + ' NOT adopted yet?', product,
+        facts.activeProducts, 'Medium');
+    });
+  }
+
+  // Executives
+  var otherExecs = _quizFlatten(pool.map(function(f) { return (f.executives || []).map(function(e) { return e.name; }); }));
+  var ownExecs = facts.executives.map(function(e) { return e.name; });
+  facts.executives.slice(0, QUIZ_MAX_EXECUTIVES).forEach(function(exec) {
+    add('executive', exec.name, 'Who is ' + co + '\'s ' + exec.title + '?', exec.name,
+      _quizExcluding(otherExecs, ownExecs), 'Hard');
+  });
+
+  // Big Bets
+  var otherBets = _quizFlatten(pool.map(function(f) { return f.bigBets || []; }));
+  facts.bigBets.slice(0, QUIZ_MAX_BETS).forEach(function(title) {
+    add('bigBet', title, 'Which of these is a Big Bet identified for ' + co + '?', title,
+      _quizExcluding(otherBets, facts.bigBets), 'Medium');
+  });
+
+  Logger.log('[Quiz] Generated ' + questions.length + ' questions for "' + co + '" (pool: ' + pool.length + ' accounts)');
+  return questions;
+}
+
+/**
+ * The quiz-worthy facts of one account. Stored on its portfolio index row
+ * so other accounts' quizzes can draw distractors without opening folders.
+ * @param {Object} intel     L2 intelligence
+ * @param {Object} research  L1 research (may be null)
+ * @returns {{ revenue: string, employees: string, segments: string[], executives: Object[],
+ *             bigBets: string[], activeProducts: string[], inactiveProducts: string[] }}
+ */
+function extractQuizFacts(intel, research) {
+  var profile = intel.accountProfile || {};
+  var enrichment = (research && research.enrichment) || {};
+  var data = (research && research.data) || {};
+  var isProspect = !!(data.identity && data.identity.isProspect);
+
+  var bets = getBigBetList(intel);
+
+  return {
+    revenue:    enrichment.revenueFormatted || _quizText(profile.financials && profile.financials.revenue),
+    employees:  enrichment.employeesFormatted || _quizText(profile.employeeCount && profile.employeeCount.total),
+    segments:   (profile.businessUnits || []).map(function(bu) { return _quizText(bu.name); }).filter(Boolean),
+    executives: (profile.executiveContacts || []).filter(function(e) {
+      return _quizText(e.name) && _quizText(e.title);
+    }).map(function(e) { return { name: _quizText(e.name), title: _quizText(e.title) }; }),
+    bigBets:    bets.map(function(b) { return _quizText(b.title); }).filter(Boolean),
+    activeProducts:   isProspect ? [] : (data.activeProducts || []),
+    inactiveProducts: isProspect ? [] : (data.inactiveProducts || [])
+  };
+}
+
+// ── Private ────────────────────────────────────────────────────────────
+
+/** Other cached accounts' quiz facts, from the portfolio index. */
+function _quizFactPool(companyName) {
+  var index = _readPortfolioIndex();
+  if (!index) return [];
+  return Object.keys(index.accounts).filter(function(name) {
+    return name !== companyName && index.accounts[name].quizFacts;
+  }).map(function(name) { return index.accounts[name].quizFacts; });
+}
+
+/**
+ * A question with the correct answer and three distractors in random
+ * positions, or null when there are not three usable distractors.
+ */
+function _quizQuestion(question, correct, distractors) {
+  var seen = {};
+  seen[String(correct).toLowerCase()] = true;
+  var wrong = [];
+  _gameShuffle(distractors || []).forEach(function(d) {
+    if (!d || wrong.length >= 3) return;
+    var k = String(d).toLowerCase();
+    if (seen[k]) return;
+    seen[k] = true;
+    wrong.push(String(d));
+  });
+  if (wrong.length < 3) return null;
+
+  var vals = _gameShuffle([String(correct)].concat(wrong));
+  var labels = ['A', 'B', 'C', 'D'];
+  return {
+    question: question,
+    a: vals[0], b: vals[1], c: vals[2], d: vals[3],
+    answer: labels[vals.indexOf(String(correct))]
+  };
+}
+
+/**
+ * Numeric distractors: other accounts' values at least 30% away from the
+ * correct one, topped up with scaled values of the correct figure. All are
+ * formatted alike, as _formatQuizAmount() formats the correct answer.
+ * @param {string} correct     e.g. "$4.2 billion"
+ * @param {string[]} others
+ * @param {function(number): string} format
+ * @returns {string[]}
+ */
+function _numericDistractors(correct, others, format) {
+  var value = _parseQuizAmount(correct);
+  var result = others.map(_parseQuizAmount).filter(function(v) {
+    return v && value && Math.abs(v - value) / value >= 0.3;
+  });
+  result = _gameShuffle(result).slice(0, 3).map(format);
+  if (value) {
+    [0.4, 2.5, 0.15, 6].forEach(function(f) {
+      if (result.length < 3) result.push(format(value * f));
+    });
+  }
+  return result;
+}
+
+/**
+ * Parses "$4.2 billion", "4.2B", "155,000", "~12k employees" to a number.
+ * @returns {number|null}
+ */
+function _parseQuizAmount(text) {
+  if (text == null) return null;
+  var m = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(trillion|billion|million|thousand|tn|bn|mm|[tbmk])?\b/i);
+  if (!m) return null;
+  var scale = { trillion: 1e12, tn: 1e12, t: 1e12, billion: 1e9, bn: 1e9, b: 1e9,
+                million: 1e6, mm: 1e6, m: 1e6, thousand: 1e3, k: 1e3 };
+  return parseFloat(m[1]) * (m[2] ? scale[m[2].toLowerCase()] : 1);
+}
+
+/**
+ * A figure in the quiz's display format ("$4.2B"), or the text as-is when
+ * it has no number to parse.
+ */
+function _formatQuizAmount(text, format) {
+  var value = _parseQuizAmount(text);
+  return value ? format(value) : text;
+}
+
+function _quizText(value) {
+  if (value == null) return '';
+  var s = String(value).replace(/\s+/g, ' ').trim();
+  // Skip placeholders the research calls use when a fact is unknown
+  return /^(n\/?a|unknown|not (available|disclosed|found)|-+)$/i.test(s) ? '' : s;
+}
+
+function _quizExcluding(values, exclude) {
+  var skip = {};
+  exclude.forEach(function(v) { skip[String(v).toLowerCase()] = true; });
+  return values.filter(function(v) { return v && !skip[String(v).toLowerCase()]; });
+}
+
+function _quizFlatten(arrays) {
+  return [].concat.apply([], arrays);
+}
+
+function _getQuizReviewsSheet() {
+  var ss = SpreadsheetApp.openById(BOOKSCRUB_SPREADSHEET_ID);
+  var sheet = ss.getSheetByName(QUIZ_SHEET_REVIEWS);
+  if (!sheet) {
+    sheet = ss.insertSheet(QUIZ_SHEET_REVIEWS);
+    sheet.getRange(1, 1, 1, QUIZ_REVIEW_HEADERS.length).setValues([QUIZ_REVIEW_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * A player's review records for one company, keyed by question id.
+ * @returns {Object<string, { box: number, dueAt: Date }>}
+ */
+function _readQuizReviews(email, companyName) {
+  var sheet = _getQuizReviewsSheet();
+  var lastRow = sheet.getLastRow();
+  var result = {};
+  if (lastRow < 2) return result;
+  var target = String(email).toLowerCase();
+  sheet.getRange(2, 1, lastRow - 1, QUIZ_REVIEW_HEADERS.length).getValues().forEach(function(r) {
+    if (String(r[0]).toLowerCase() !== target || String(r[2]) !== companyName) return;
+    result[String(r[1])] = { box: Number(r[3]) || 0, dueAt: r[4] ? new Date(r[4]) : new Date(0) };
+  });
+  return result;
+}
+
+// ── Test functions ─────────────────────────────────────────────────────
+
+/**
+ * Test: generate a quiz for a cached company and log it.
+ */
+function testAccountQuiz() {
+  var companyName = 'Merck Sharp & Dohme LLC';
+  Logger.log('[TEST] Generating account quiz for: ' + companyName);
+  try {
+    var questions = getAccountQuiz(companyName, '', 20);
+    if (questions.length === 0) { Logger.log('FAIL: no questions generated'); return; }
+    questions.forEach(function(q) {
+      Logger.log('[TEST] ' + q.question + ' → ' + q[q.answer.toLowerCase()] + ' (' + q.id + ')');
+    });
+    Logger.log('PASS: ' + questions.length + ' questions generated');
+  } catch (e) {
+    Logger.log('FAIL: ' + e.message);
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * Incremental cache refresh — re-researches only what changed.
+ *
+ * Architecture:
+ *   scheduleStaleRefresh()  (nightly trigger, or Menu → Refresh Stale Accounts Now)
+ *     - Walks _index.json for accounts whose L1 is older than CACHE_STALE_DAYS
+ *     - Enqueues a low-priority 'refresh' job per account (JobRunner.gs)
+ *
+ *   refreshCompanyCache(companyName)  (the 'refresh' job)
+ *     - Re-reads each L1 input (bookscrub row, enrichment, and Glean research
+ *       once it is REFRESH_GLEAN_MAX_AGE_DAYS old) and compares fingerprints
+ *       against meta.json
+ *     - Re-runs only the Researcher.gs calls whose inputs changed, in
+ *       dependency order (L2_DEPENDENCIES in CacheStore.gs) — a usage change
+ *       in bookscrub re-runs the priority map, briefing and big bets, not the
+ *       account profile
+ *     - Records what was refreshed and why in meta.json (lastRefresh)
+ *     - Checkpoints the L1 re-read and each L2 group (refresh-checkpoint.json,
+ *       see openRunCheckpoint), so a job that times out resumes where it
+ *       stopped instead of starting over
+ */
+
+// L2 objects re-run together; calls in one group go out as a parallel batch
+var REFRESH_L2_GROUPS = [
+  ['accountProfile'],
+  ['businessMap', 'agreementLandscape', 'contractCommerce'],
+  ['priorityMap'],
+  ['briefing', 'bigBets']
+];
+
+// ── Public: Scheduling ─────────────────────────────────────────────────
+
+/**
+ * Queues a refresh job for each stale cached account, oldest first.
+ * Accounts that already have a refresh queued or running are skipped.
+ * @returns {number} Number of jobs queued
+ */
+function scheduleStaleRefresh() {
+  var index = _readIndex();
+  var pendingRefresh = {};
+  _readJobs(_getJobsSheet()).forEach(function(job) {
+    if (job.type === 'refresh' && (_isWaiting(job) || job.status === 'running')) {
+      pendingRefresh[job.payload.companyName] = true;
+    }
+  });
+
+  var stale = [];
+  Object.keys(index).forEach(function(name) {
+    if (name.indexOf('__TEST') === 0 || pendingRefresh[name]) return;
+    try {
+      var meta = _readJsonFile(DriveApp.getFolderById(index[name]), 'meta.json');
+      // Accounts that never finished a full run are left to the full pipeline
+      if (!meta || !meta.l1GeneratedAt || !meta.l2GeneratedAt) return;
+      var ageDays = _researchAgeDays(meta);
+      if (ageDays > CACHE_STALE_DAYS) stale.push({ name: name, ageDays: ageDays });
+    } catch (e) {
+      Logger.log('[Refresh] Skipping "' + name + '": ' + e.message);
+    }
+  });
+
+  stale.sort(function(a, b) { return b.ageDays - a.ageDays; });
+  var queued = stale.slice(0, REFRESH_MAX_PER_RUN);
+  queued.forEach(function(s) {
+    enqueueJob('refresh', { companyName: s.name },
+      { priority: JOB_PRIORITY.LOW, label: s.name + ' [refresh]' });
+  });
+
+  Logger.log('[Refresh] ' + stale.length + ' stale accounts, ' + queued.length + ' queued');
+  return queued.length;
+}
+
+/**
+ * Installs the nightly trigger for scheduleStaleRefresh(). Safe to re-run.
+ */
+function startNightlyRefresh() {
+  _deleteTrigger('scheduleStaleRefresh');
+  ScriptApp.newTrigger('scheduleStaleRefresh').timeBased().everyDays(1).atHour(REFRESH_HOUR).create();
+  Logger.log('[Refresh] Nightly refresh scheduled at ' + REFRESH_HOUR + ':00');
+}
+
+/**
+ * Removes the nightly refresh trigger. Already-queued jobs still run.
+ */
+function stopNightlyRefresh() {
+  _deleteTrigger('scheduleStaleRefresh');
+  Logger.log('[Refresh] Nightly refresh stopped');
+}
+
+// ── Public: Incremental refresh ────────────────────────────────────────
+
+/**
+ * Queue handler for 'refresh' jobs.
+ * @param {{ companyName: string }} job
+ * @returns {{ docUrl: string, fullUrl: string }}
+ */
+function runRefreshJob(job) {
+  refreshCompanyCache(job.companyName, 'scheduled');
+  return { docUrl: '', fullUrl: '' };
+}
+
+/**
+ * Brings a cached account's L1 research and L2 intelligence up to date,
+ * re-running only the parts whose inputs changed.
+ *
+ * @param {string} companyName
+ * @param {string} [trigger]  'scheduled' or 'manual' — recorded in meta.json
+ * @returns {Object} The refresh record written to meta.lastRefresh
+ */
+function refreshCompanyCache(companyName, trigger) {
+  var start = Date.now();
+  Logger.log('[Refresh] Starting incremental refresh for "' + companyName + '"');
+  resetLLMUsage(companyName);
+  resetValidationReport();
+  var run = openRunCheckpoint(companyName, 'refresh');
+
+  // ── L1: re-read inputs and compare ────────────────────────────────
+  // Checkpointed with the fingerprints recorded before the L1 write, which
+  // a resumed run can no longer read from meta.json
+  var inputs = runCheckpointStage(run, 'researchInputs', function() {
+    var cachedL1 = getResearchCache(companyName);
+    if (!cachedL1 || !cachedL1.research) throw new Error('No cached research for "' + companyName + '"');
+    var meta = cachedL1.meta || {};
+    var oldResearch = cachedL1.research;
+    var recordedFps = meta.fingerprints || {};
+    // Caches written before fingerprinting, or under an older scheme: the
+    // cached research is its own baseline
+    var legacyFps = recordedFps.scheme !== FINGERPRINT_SCHEME;
+    var baselineL1 = (!legacyFps && recordedFps.l1) || fingerprintResearch(oldResearch);
+
+    recordJobStage('Checking bookscrub, enrichment and research for changes..');
+    var l1 = _refreshResearchInputs(companyName, oldResearch, meta);
+    var l1Fps = fingerprintResearch(l1.research);
+    var l1Changed = L1_PARTS.filter(function(part) { return baselineL1[part] !== l1Fps[part]; });
+
+    if (l1Changed.length) {
+      writeResearchCache(companyName, l1.research, meta.l1Pipeline || 'glean');
+    }
+    return {
+      research:   l1.research,
+      notes:      l1.notes,
+      l1Fps:      l1Fps,
+      l1Changed:  l1Changed,
+      baselineL1: baselineL1,
+      legacyFps:  legacyFps,
+      recordedL2: (!legacyFps && recordedFps.l2) || null
+    };
+  });
+  var l1 = { research: inputs.research, notes: inputs.notes };
+  var l1Fps = inputs.l1Fps;
+  var l1Changed = inputs.l1Changed;
+  var legacyFps = inputs.legacyFps;
+  Logger.log('[Refresh] L1 changed: ' + (l1Changed.join(', ') || 'nothing'));
+
+  // ── L2: re-run what depends on changed inputs ─────────────────────
+  // intelligence.json is only written at the end, so a resumed run reads
+  // the same cached objects and re-derives the same groups
+  var cachedL2 = getIntelligenceCache(companyName);
+  var l2Refreshed = {};
+  var l2Failed = {};
+  var l2Keep = {};
+
+  if (!cachedL2 || !cachedL2.intelligence) {
+    recordJobStage('Synthesizing intelligence..');
+    runCheckpointStage(run, 'synthesize', function() {
+      synthesizeIntelligence(companyName, l1.research, !!l1.research.data.identity.isProspect);
+      return true;
+    });
+    L2_ORDER.forEach(function(key) { l2Refreshed[key] = 'no cached intelligence'; });
+  } else {
+    var intel = {};
+    L2_ORDER.forEach(function(key) { intel[key] = cachedL2.intelligence[key] || {}; });
+    var recordedL2 = inputs.recordedL2 || l2DependencyFingerprints(inputs.baselineL1, intel);
+
+    REFRESH_L2_GROUPS.forEach(function(group) {
+      var diff = diffL2Dependencies(recordedL2, l2DependencyFingerprints(l1Fps, intel));
+      var due = group.filter(function(key) { return diff[key]; });
+      if (!due.length) return;
+
+      recordJobStage('Re-running ' + due.join(', ') + '..');
+      var results = runCheckpointStage(run, due.join('+'), function() {
+        return _rerunL2Group(due, l1.research, intel);
+      });
+      due.forEach(function(key) {
+        var reason = diff[key].join(', ') + ' changed';
+        if (results[key] && Object.keys(results[key]).length) {
+          intel[key] = results[key];
+          l2Refreshed[key] = reason;
+        } else {
+          l2Failed[key] = reason + ' — re-run failed, kept cached';
+          l2Keep[key] = recordedL2[key];
+        }
+      });
+    });
+
+    if (Object.keys(l2Refreshed).length) {
+      writeIntelligenceCache(companyName, intel, 'incremental');
+    }
+  }
+
+  var entry = {
+    at:           new Date().toISOString(),
+    trigger:      trigger || 'manual',
+    durationSecs: Math.round((Date.now() - start) / 1000),
+    l1Changed:    l1Changed,
+    l1Notes:      l1.notes,
+    l2Refreshed:  l2Refreshed,
+    l2Failed:     l2Failed,
+    llmUsage:     getLLMUsage()
+  };
+  var rebased = legacyFps && cachedL2 && cachedL2.intelligence
+    ? { scheme: FINGERPRINT_SCHEME, l1: l1Fps, l2: l2DependencyFingerprints(l1Fps, intel) }
+    : null;
+  recordCacheRefresh(companyName, entry, Object.keys(l2Keep).length ? l2Keep : null, rebased);
+  try {
+    clearRunCheckpoint(companyName, 'refresh');
+  } catch (e) {
+    Logger.log('[Refresh] Checkpoint cleanup failed (non-fatal): ' + e.message);
+  }
+
+  if (l1Changed.length || Object.keys(l2Refreshed).length) {
+    try { updateCardPreview(companyName); } catch (e) {
+      Logger.log('[Refresh] updateCardPreview failed (non-fatal): ' + e.message);
+    }
+  }
+
+  Logger.log('[Refresh] Done for "' + companyName + '" (' + entry.durationSecs + 's). L2 refreshed: ' +
+    (Object.keys(l2Refreshed).join(', ') || 'nothing') +
+    (Object.keys(l2Failed).length ? ' | failed: ' + Object.keys(l2Failed).join(', ') : ''));
+  return entry;
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────
+
+/**
+ * Re-reads the L1 inputs for a cached account. Enrichment failures keep the
+ * cached copy; Glean research is only re-gathered once it ages out.
+ * @param {string} companyName
+ * @param {Object} oldResearch  Cached research.json
+ * @param {Object} meta         Cached meta.json
+ * @returns {{ research: Object, notes: Object }}
+ */
+function _refreshResearchInputs(companyName, oldResearch, meta) {
+  var notes = {};
+  var oldData = oldResearch.data || {};
+  var isProspect = !!(oldData.identity && oldData.identity.isProspect);
+
+  var data = oldData.isGtmGroup
+    ? getGtmGroupData(oldData.context.gtmGroup)
+    : getCompanyData(companyName, isProspect);
+  var productSignals = generateProductSignals(data);
+
+  var enrichment = oldResearch.enrichment || {};
+  try {
+    enrichment = enrichCompanyData(data.identity.name, data.context.industry);
+  } catch (e) {
+    notes.enrichment = 'fetch failed, kept cached: ' + e.message;
+    Logger.log('[Refresh] Enrichment failed (keeping cached): ' + e.message);
+  }
+
+  var research = { data: data, productSignals: productSignals, enrichment: enrichment };
+
+  // OG-pipeline caches carry no Glean research; don't start gathering it here
+  if (oldResearch.gleanResearch) {
+    var gathered = oldResearch.gleanResearch._gatheredAt || meta.l1GeneratedAt;
+    var ageDays = gathered ? (Date.now() - new Date(gathered).getTime()) / (1000 * 60 * 60 * 24) : Infinity;
+    research.gleanResearch = oldResearch.gleanResearch;
+    if (ageDays > REFRESH_GLEAN_MAX_AGE_DAYS) {
+      try {
+        research.gleanResearch = _runResearchParallel(data.identity.name, data.context.industry);
+        research.gleanResearch._gatheredAt = new Date().toISOString();
+        notes.gleanResearch = 're-gathered (' + Math.round(ageDays) + ' days old)';
+      } catch (e) {
+        notes.gleanResearch = 're-gather failed, kept cached: ' + e.message;
+        Logger.log('[Refresh] Glean research failed (keeping cached): ' + e.message);
+      }
+    }
+  }
+
+  return { research: research, notes: notes };
+}
+
+/**
+ * Re-runs the Researcher.gs calls for some L2 objects of one group.
+ * Failed calls come back as {} (the caller keeps the cached object).
+ * @param {string[]} keys     L2 objects to re-run (one REFRESH_L2_GROUPS entry, filtered)
+ * @param {Object} research   Current L1 research
+ * @param {Object} intel      Current intelligence (upstream objects already refreshed)
+ * @returns {Object} key → new object
+ */
+function _rerunL2Group(keys, research, intel) {
+  var data = research.data;
+  var name = data.identity.name;
+  var industry = data.context.industry;
+  var productSignals = research.productSignals;
+  var internalSummary = summarizeForLLM(data, productSignals);
+
+  if (keys[0] === 'accountProfile') {
+    try {
+      var profile = researchAccountProfile(name, industry, research.enrichment);
+      return { accountProfile: enforceEnrichedData(profile, research.enrichment) };
+    } catch (e) {
+      Logger.log('[Refresh] accountProfile FAILED: ' + e.message);
+      return {};
+    }
+  }
+
+  if (keys[0] === 'priorityMap') {
+    try {
+      return { priorityMap: synthesizePriorityMap(name, internalSummary, {
+        accountProfile: intel.accountProfile, businessMap: intel.businessMap,
+        agreementLandscape: intel.agreementLandscape, contractCommerce: intel.contractCommerce
+      }, productSignals, industry) };
+    } catch (e) {
+      Logger.log('[Refresh] priorityMap FAILED: ' + e.message);
+      return {};
+    }
+  }
+
+  var specs = {
+    businessMap: { stage: 'businessMap', label: 'Call 2',
+      build: function() { return buildCall2Request(name, industry, intel.accountProfile); },
+      retry: function() { return researchBusinessMap(name, industry, intel.accountProfile); } },
+    agreementLandscape: { stage: 'agreementLandscape', label: 'Call 3',
+      build: function() { return buildCall3Request(name, industry, intel.accountProfile); },
+      retry: function(r) { return researchAgreementLandscape(name, industry, intel.accountProfile, r.businessMap || intel.businessMap); } },
+    contractCommerce: { stage: 'contractCommerce', label: 'Call 4',
+      build: function() { return buildCall4Request(name, industry, intel.accountProfile); },
+      retry: function(r) { return researchContractCommerce(name, industry, intel.accountProfile, r.agreementLandscape || intel.agreementLandscape); } },
+    briefing: { stage: 'briefing', label: 'Call 6',
+      build: function() { return buildCall6Request(name, intel.accountProfile, intel.priorityMap, productSignals); },
+      retry: function() { return generateExecutiveBriefing(name, intel.accountProfile, intel.priorityMap, productSignals); } },
+    bigBets: { stage: 'bigBets', label: 'Call 7',
+      build: function() { return buildCall7Request(name, intel.accountProfile, intel.priorityMap, productSignals, intel.agreementLandscape, internalSummary, industry); },
+      retry: function() { return generateBigBetInitiatives(name, intel.accountProfile, intel.priorityMap, productSignals, intel.agreementLandscape, internalSummary, industry); } }
+  };
+
+  var results = _runParallelStages(null, keys.map(function(key) { return specs[key]; }));
+
+  // Same deterministic fallback as the full pipeline when Call 3 returns no
+  // agreements. A failed call ({}) is left as is so the cached landscape is kept.
+  var landscape = results.agreementLandscape;
+  if (landscape && Array.isArray(landscape.agreements) && landscape.agreements.length === 0) {
+    results.agreementLandscape = generateFallbackAgreementLandscape(data, intel.accountProfile,
+      results.businessMap || intel.businessMap);
+  }
+  return results;
+}
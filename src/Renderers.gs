@@ -0,0 +1,516 @@
+/**
+ * Renderers — output backends for the account research report.
+ *
+ * The section builders in DocGenerator.gs (addAccountHealthSection,
+ * addPriorityMapSection, …) write to a Google Docs Body. A renderer hands
+ * them that body and turns whatever they wrote into the final output:
+ *
+ *   { format, body, finish() }
+ *
+ *   docs      — a real Google Doc in the output folder; finish() saves it
+ *               and returns the doc URL
+ *   markdown  — a recording body; finish() returns Markdown text
+ *   json      — a recording body; finish() returns
+ *               { title, generatedAt, blocks }
+ *
+ * The recording body implements the slice of the Body / Paragraph /
+ * ListItem / Table / Text API the builders use, so every backend runs the
+ * exact same section code. Headings, list items, tables, bold and italic
+ * runs and links are kept; Docs-only styling (colors, font sizes, padding,
+ * widths, spacing) is accepted and dropped. Charts built in a temporary
+ * spreadsheet are skipped for recording bodies (see isRecordingBody).
+ *
+ * Entry point for non-Google consumers:
+ *   renderAccountReport(companyName, format)   — from the L1/L2 cache
+ * Served by doGet(?view=export&company=…&format=markdown|json).
+ */
+
+var REPORT_FORMATS = ['docs', 'markdown', 'json'];
+
+/**
+ * Returns a renderer for the given format.
+ * @param {string} format  'docs', 'markdown' or 'json'
+ * @param {string} title   Document title
+ * @returns {{ format: string, body: Object, finish: function(): * }}
+ */
+function createReportRenderer(format, title) {
+  if (format === 'docs') return createDocsRenderer(title);
+  if (format === 'markdown' || format === 'json') return createRecordingRenderer(format, title);
+  throw new Error('[Renderers] Unknown report format "' + format + '" — expected one of ' + REPORT_FORMATS.join(', '));
+}
+
+// ── Google Docs backend ───────────────────────────────────────────────
+
+/**
+ * Creates a Google Doc in the output folder with the report's margins.
+ * @param {string} title
+ * @returns {{ format: string, doc: Document, body: Body, finish: function(): string }}
+ */
+function createDocsRenderer(title) {
+  var doc = DocumentApp.create(title);
+
+  // Move to output folder
+  try {
+    var folderId = getOutputFolder();
+    var file = DriveApp.getFileById(doc.getId());
+    DriveApp.getFolderById(folderId).addFile(file);
+    DriveApp.getRootFolder().removeFile(file);
+  } catch (e) {
+    Logger.log('[DocGen] Could not move to output folder: ' + e.message + '. Doc stays in root.');
+  }
+
+  var body = doc.getBody();
+  body.setMarginTop(36);
+  body.setMarginBottom(36);
+  body.setMarginLeft(48);
+  body.setMarginRight(48);
+
+  return {
+    format: 'docs',
+    doc:    doc,
+    body:   body,
+    finish: function() {
+      doc.saveAndClose();
+      return doc.getUrl();
+    }
+  };
+}
+
+// ── Recording backends (Markdown, JSON) ───────────────────────────────
+
+/**
+ * Creates a renderer whose body records what the section builders append.
+ * @param {string} format  'markdown' or 'json'
+ * @param {string} title   Written as the TITLE heading
+ * @returns {{ format: string, body: Object, finish: function(): (string|Object) }}
+ */
+function createRecordingRenderer(format, title) {
+  var body = new _RecordingBody();
+  if (title) body.appendParagraph(title).setHeading(DocumentApp.ParagraphHeading.TITLE);
+
+  return {
+    format: format,
+    body:   body,
+    finish: function() {
+      var blocks = body.toBlocks();
+      if (format === 'json') {
+        return { title: title || '', generatedAt: new Date().toISOString(), blocks: blocks };
+      }
+      return blocksToMarkdown(blocks);
+    }
+  };
+}
+
+/**
+ * True when the body belongs to a recording renderer rather than a Google
+ * Doc. Builders use it to skip Docs-only work such as chart images.
+ * @param {Object} body
+ * @returns {boolean}
+ */
+function isRecordingBody(body) {
+  return body instanceof _RecordingBody;
+}
+
+// Docs heading → level (0 = title). Looked up by name since enum values are opaque.
+var _RECORDED_HEADING_LEVELS = {
+  TITLE: 0, SUBTITLE: 1, HEADING1: 1, HEADING2: 2, HEADING3: 3,
+  HEADING4: 4, HEADING5: 5, HEADING6: 6
+};
+
+function _recordedHeadingLevel(heading) {
+  if (!heading) return null;
+  for (var name in _RECORDED_HEADING_LEVELS) {
+    if (DocumentApp.ParagraphHeading[name] === heading) return _RECORDED_HEADING_LEVELS[name];
+  }
+  return null;
+}
+
+// Styling the recording body accepts and drops
+var _RECORDED_NOOP_STYLES = [
+  'setForegroundColor', 'setBackgroundColor', 'setFontSize', 'setFontFamily',
+  'setTextAlignment', 'setUnderline', 'setAlignment', 'setSpacingBefore',
+  'setSpacingAfter', 'setLineSpacing', 'setIndentStart', 'setIndentFirstLine',
+  'setPaddingTop', 'setPaddingBottom', 'setPaddingLeft', 'setPaddingRight',
+  'setBorderColor', 'setBorderWidth', 'setColumnWidth', 'setWidth', 'setHeight',
+  'setMarginTop', 'setMarginBottom', 'setMarginLeft', 'setMarginRight', 'setAttributes'
+];
+
+function _acceptStyles(proto) {
+  _RECORDED_NOOP_STYLES.forEach(function(name) {
+    if (!proto[name]) proto[name] = function() { return this; };
+  });
+}
+
+// ── Recorded text ─────────────────────────────────────────────────────
+// Mirrors Text: setBold(value) styles everything written so far,
+// setBold(start, end, value) an inclusive range.
+
+function _RecordedText(text) {
+  this._text = text == null ? '' : String(text);
+  this._marks = [];
+}
+
+_RecordedText.prototype.getText = function() { return this._text; };
+_RecordedText.prototype.editAsText = function() { return this; };
+_RecordedText.prototype.appendText = function(text) {
+  this._text += String(text);
+  return this;
+};
+_RecordedText.prototype.setBold = function() { return this._mark('bold', arguments, 0); };
+_RecordedText.prototype.setItalic = function() { return this._mark('italic', arguments, 0); };
+_RecordedText.prototype.setLinkUrl = function() { return this._mark('link', arguments, 0); };
+
+_RecordedText.prototype._mark = function(attr, args, offset, length) {
+  var ranged = args.length >= 3;
+  var start = ranged ? offset + args[0] : offset;
+  var end = ranged ? offset + args[1] : offset + (length == null ? this._text.length - offset : length) - 1;
+  var value = ranged ? args[2] : args[0];
+  if (end >= start) this._marks.push({ attr: attr, start: start, end: end, value: value });
+  return this;
+};
+
+/** Splits the text into runs of identical formatting. */
+_RecordedText.prototype.toRuns = function() {
+  var n = this._text.length;
+  if (n === 0) return [];
+  var chars = [];
+  for (var i = 0; i < n; i++) chars.push({ bold: false, italic: false, link: null });
+  this._marks.forEach(function(m) {
+    for (var j = Math.max(0, m.start); j <= Math.min(n - 1, m.end); j++) {
+      chars[j][m.attr] = m.attr === 'link' ? (m.value || null) : !!m.value;
+    }
+  });
+
+  var runs = [];
+  var text = this._text;
+  var start = 0;
+  for (var k = 1; k <= n; k++) {
+    var a = chars[k - 1], b = chars[k];
+    if (k < n && a.bold === b.bold && a.italic === b.italic && a.link === b.link) continue;
+    var run = { text: text.substring(start, k) };
+    if (a.bold) run.bold = true;
+    if (a.italic) run.italic = true;
+    if (a.link) run.link = a.link;
+    runs.push(run);
+    start = k;
+  }
+  return runs;
+};
+
+_acceptStyles(_RecordedText.prototype);
+
+// The Text returned by Paragraph.appendText — styles only the appended piece
+function _RecordedTextSlice(textEl, offset, length) {
+  this._textEl = textEl;
+  this._offset = offset;
+  this._length = length;
+}
+
+_RecordedTextSlice.prototype.getText = function() {
+  return this._textEl.getText().substr(this._offset, this._length);
+};
+_RecordedTextSlice.prototype.editAsText = function() { return this; };
+_RecordedTextSlice.prototype.setBold = function() { this._textEl._mark('bold', arguments, this._offset, this._length); return this; };
+_RecordedTextSlice.prototype.setItalic = function() { this._textEl._mark('italic', arguments, this._offset, this._length); return this; };
+_RecordedTextSlice.prototype.setLinkUrl = function() { this._textEl._mark('link', arguments, this._offset, this._length); return this; };
+
+_acceptStyles(_RecordedTextSlice.prototype);
+
+// ── Recorded paragraphs and list items ────────────────────────────────
+
+function _RecordedParagraph(kind, text) {
+  this._kind = kind;
+  this._textEl = new _RecordedText(text);
+  this._heading = null;
+  this._glyph = null;
+}
+
+_RecordedParagraph.prototype.editAsText = function() { return this._textEl; };
+_RecordedParagraph.prototype.getText = function() { return this._textEl.getText(); };
+_RecordedParagraph.prototype.setText = function(text) {
+  this._textEl = new _RecordedText(text);
+  return this;
+};
+_RecordedParagraph.prototype.appendText = function(text) {
+  var offset = this._textEl.getText().length;
+  this._textEl.appendText(text);
+  return new _RecordedTextSlice(this._textEl, offset, String(text).length);
+};
+_RecordedParagraph.prototype.appendInlineImage = function() {
+  return new _RecordedImage(null);
+};
+_RecordedParagraph.prototype.setHeading = function(heading) {
+  this._heading = heading;
+  return this;
+};
+_RecordedParagraph.prototype.getHeading = function() { return this._heading; };
+_RecordedParagraph.prototype.setGlyphType = function(glyph) {
+  this._glyph = glyph;
+  return this;
+};
+_RecordedParagraph.prototype.setBold = function(v) { this._textEl.setBold(v); return this; };
+_RecordedParagraph.prototype.setItalic = function(v) { this._textEl.setItalic(v); return this; };
+_RecordedParagraph.prototype.setLinkUrl = function(v) { this._textEl.setLinkUrl(v); return this; };
+
+_RecordedParagraph.prototype.toBlock = function() {
+  var text = this._textEl.getText();
+  if (!text.trim()) return null;
+
+  var level = _recordedHeadingLevel(this._heading);
+  if (this._kind === 'paragraph' && level !== null) {
+    return { type: 'heading', level: level, text: text };
+  }
+  var block = { type: this._kind, text: text, runs: this._textEl.toRuns() };
+  if (this._kind === 'listItem') block.ordered = this._glyph === DocumentApp.GlyphType.NUMBER;
+  return block;
+};
+
+_acceptStyles(_RecordedParagraph.prototype);
+
+// ── Recorded tables ───────────────────────────────────────────────────
+
+function _RecordedTable(cells) {
+  this._rows = (cells || []).map(function(row) { return new _RecordedTableRow(row); });
+}
+
+_RecordedTable.prototype.getRow = function(i) { return this._rows[i]; };
+_RecordedTable.prototype.getNumRows = function() { return this._rows.length; };
+_RecordedTable.prototype.appendTableRow = function(cells) {
+  var row = new _RecordedTableRow(cells || []);
+  this._rows.push(row);
+  return row;
+};
+_RecordedTable.prototype.toBlock = function() {
+  if (this._rows.length === 0) return null;
+  return {
+    type: 'table',
+    rows: this._rows.map(function(row) {
+      return row._cells.map(function(cell) {
+        return { text: cell._textEl.getText(), runs: cell._textEl.toRuns() };
+      });
+    })
+  };
+};
+
+_acceptStyles(_RecordedTable.prototype);
+
+function _RecordedTableRow(cells) {
+  this._cells = cells.map(function(text) { return new _RecordedTableCell(text); });
+}
+
+_RecordedTableRow.prototype.getCell = function(j) { return this._cells[j]; };
+_RecordedTableRow.prototype.getNumCells = function() { return this._cells.length; };
+_RecordedTableRow.prototype.appendTableCell = function(text) {
+  var cell = new _RecordedTableCell(text);
+  this._cells.push(cell);
+  return cell;
+};
+
+_acceptStyles(_RecordedTableRow.prototype);
+
+function _RecordedTableCell(text) {
+  this._textEl = new _RecordedText(text);
+}
+
+_RecordedTableCell.prototype.editAsText = function() { return this._textEl; };
+_RecordedTableCell.prototype.getText = function() { return this._textEl.getText(); };
+_RecordedTableCell.prototype.setText = function(text) {
+  this._textEl = new _RecordedText(text);
+  return this;
+};
+
+_acceptStyles(_RecordedTableCell.prototype);
+
+// ── Recorded images, breaks and rules ─────────────────────────────────
+
+function _RecordedImage(blob) {
+  this._name = blob && blob.getName ? blob.getName() : null;
+}
+
+_RecordedImage.prototype.toBlock = function() {
+  return { type: 'image', name: this._name };
+};
+
+_acceptStyles(_RecordedImage.prototype);
+
+function _RecordedMarker(type) {
+  this._type = type;
+}
+
+_RecordedMarker.prototype.toBlock = function() { return { type: this._type }; };
+
+// ── Recording body ────────────────────────────────────────────────────
+
+function _RecordingBody() {
+  this._children = [];
+}
+
+_RecordingBody.prototype._push = function(el) {
+  this._children.push(el);
+  return el;
+};
+_RecordingBody.prototype.appendParagraph = function(text) { return this._push(new _RecordedParagraph('paragraph', text)); };
+_RecordingBody.prototype.appendListItem = function(text) { return this._push(new _RecordedParagraph('listItem', text)); };
+_RecordingBody.prototype.appendTable = function(cells) { return this._push(new _RecordedTable(cells)); };
+_RecordingBody.prototype.appendImage = function(blob) { return this._push(new _RecordedImage(blob)); };
+_RecordingBody.prototype.appendPageBreak = function() { return this._push(new _RecordedMarker('pageBreak')); };
+_RecordingBody.prototype.appendHorizontalRule = function() { return this._push(new _RecordedMarker('rule')); };
+_RecordingBody.prototype.getNumChildren = function() { return this._children.length; };
+_RecordingBody.prototype.getChild = function(i) { return this._children[i]; };
+
+/** @returns {Array<Object>} Recorded content as JSON blocks, empty paragraphs dropped */
+_RecordingBody.prototype.toBlocks = function() {
+  var blocks = [];
+  this._children.forEach(function(child) {
+    var block = child.toBlock();
+    if (!block) return;
+    // Collapse consecutive breaks left behind by skipped sections
+    var prev = blocks[blocks.length - 1];
+    if (prev && (block.type === 'pageBreak' || block.type === 'rule') &&
+        (prev.type === 'pageBreak' || prev.type === 'rule')) return;
+    blocks.push(block);
+  });
+  return blocks;
+};
+
+_acceptStyles(_RecordingBody.prototype);
+
+// ── Markdown ──────────────────────────────────────────────────────────
+
+/**
+ * Converts recorded blocks to Markdown.
+ * @param {Array<Object>} blocks  From _RecordingBody.toBlocks()
+ * @returns {string}
+ */
+function blocksToMarkdown(blocks) {
+  var lines = [];
+  blocks.forEach(function(block, i) {
+    var next = blocks[i + 1];
+    switch (block.type) {
+      case 'heading':
+        lines.push(new Array(block.level + 2).join('#') + ' ' + _escapeMarkdown(block.text).replace(/\n/g, ' '), '');
+        break;
+      case 'paragraph':
+        lines.push(_runsToMarkdown(block.runs).replace(/\n/g, '  \n'), '');
+        break;
+      case 'listItem':
+        lines.push((block.ordered ? '1. ' : '- ') + _runsToMarkdown(block.runs).replace(/\n/g, ' '));
+        if (!next || next.type !== 'listItem') lines.push('');
+        break;
+      case 'table':
+        lines.push(_tableToMarkdown(block.rows), '');
+        break;
+      case 'image':
+        lines.push('*[Chart' + (block.name ? ': ' + block.name : '') + ' — available in the Google Doc]*', '');
+        break;
+      case 'pageBreak':
+      case 'rule':
+        lines.push('---', '');
+        break;
+    }
+  });
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+function _escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_\[\]])/g, '\\$1');
+}
+
+function _runsToMarkdown(runs) {
+  return (runs || []).map(function(run) {
+    var text = _escapeMarkdown(run.text);
+    // Emphasis markers must hug the text, so keep surrounding whitespace outside
+    var m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    var lead = m[1], core = m[2], trail = m[3];
+    if (!core) return text;
+    if (run.italic) core = '*' + core + '*';
+    if (run.bold) core = '**' + core + '**';
+    if (run.link) core = '[' + core + '](' + run.link + ')';
+    return lead + core + trail;
+  }).join('');
+}
+
+function _tableToMarkdown(rows) {
+  var width = 0;
+  rows.forEach(function(row) { width = Math.max(width, row.length); });
+  var toLine = function(row) {
+    var cells = [];
+    for (var j = 0; j < width; j++) {
+      var cell = row[j];
+      cells.push(cell ? _runsToMarkdown(cell.runs).replace(/\|/g, '\\|').replace(/\n/g, '<br>') : '');
+    }
+    return '| ' + cells.join(' | ') + ' |';
+  };
+  var separator = '|' + new Array(width + 1).join(' --- |');
+  var lines = [toLine(rows[0]), separator];
+  for (var i = 1; i < rows.length; i++) lines.push(toLine(rows[i]));
+  return lines.join('\n');
+}
+
+// ── Cached report export ──────────────────────────────────────────────
+
+/**
+ * Renders the full account research report for a company from its L1/L2
+ * cache. No LLM calls — run Account Research first to populate the cache.
+ *
+ * @param {string} companyName
+ * @param {string} format  'markdown', 'json' or 'docs'
+ * @returns {string|Object} Markdown text, JSON report object, or Doc URL
+ */
+function renderAccountReport(companyName, format) {
+  var cachedL2 = getIntelligenceCache(companyName);
+  if (!cachedL2 || !cachedL2.intelligence) {
+    throw new Error('No cached intelligence for "' + companyName + '". Run Account Research first.');
+  }
+  var cachedL1 = getResearchCache(companyName);
+  if (!cachedL1 || !cachedL1.research) {
+    throw new Error('No cached research data for "' + companyName + '". Run Account Research first.');
+  }
+
+  var intel = cachedL2.intelligence;
+  var research = cachedL1.research;
+  var data = research.data;
+  var isProspect = !!(data.identity && data.identity.isProspect);
+  var title = (isProspect ? '[PROSPECT] ' : '') + data.identity.name + ' | Account Research';
+
+  Logger.log('[Renderers] Rendering ' + format + ' report for "' + companyName + '"');
+  var renderer = createReportRenderer(format, title);
+  if (renderer.format === 'docs') addDocumentHeader(renderer.body, data.identity.name, isProspect);
+
+  renderReportSections(renderer.body, {
+    data:               data,
+    productSignals:     research.productSignals,
+    enrichment:         research.enrichment,
+    accountProfile:     intel.accountProfile,
+    businessMap:        intel.businessMap,
+    agreementLandscape: intel.agreementLandscape,
+    contractCommerce:   intel.contractCommerce,
+    priorityMap:        intel.priorityMap,
+    briefing:           intel.briefing,
+    bigBets:            intel.bigBets,
+    isProspect:         isProspect,
+    pipeline:           (cachedL2.meta && cachedL2.meta.l2Pipeline) || 'glean'
+  });
+
+  return renderer.finish();
+}
+
+/**
+ * Test: render a cached company to Markdown and JSON.
+ * Run from the Apps Script editor after the company has been cached.
+ */
+function testRenderMarkdown() {
+  var companyName = 'Merck Sharp & Dohme LLC';
+  Logger.log('[TEST] Rendering Markdown and JSON for: ' + companyName);
+  try {
+    var md = renderAccountReport(companyName, 'markdown');
+    if (md.indexOf('# ') !== 0) { Logger.log('FAIL: Markdown does not start with the title heading'); return; }
+    var json = renderAccountReport(companyName, 'json');
+    if (!json.blocks || json.blocks.length === 0) { Logger.log('FAIL: JSON report has no blocks'); return; }
+    Logger.log('[TEST] Markdown: ' + md.length + ' chars; JSON: ' + json.blocks.length + ' blocks');
+    Logger.log(md.split('\n').slice(0, 30).join('\n'));
+    Logger.log('PASS: report rendered in both formats');
+  } catch (e) {
+    Logger.log('FAIL: ' + e.message);
+  }
+}
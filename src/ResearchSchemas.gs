@@ -0,0 +1,575 @@
+/**
+ * Declared output schemas for the seven research objects, and the
+ * validation step every research call's JSON goes through.
+ *
+ * validateResearchOutput() / validateResearchOutputs() run after each call
+ * — OpenAI (Researcher.gs) and Glean think steps (GleanTrigger.gs) alike:
+ *   1. coerce     fix shapes that are unambiguous: numbers ↔ strings,
+ *                 a string where a list belongs, "7/10" for 7, enum casing
+ *   2. validate   check against RESEARCH_SCHEMAS (LLMProvider.gs validator)
+ *   3. re-ask     still invalid → ask the same step once for only the
+ *                 failing top-level fields (of every object that step
+ *                 produced) and merge them in
+ *   4. report     per-object outcome collected for the run, stored in
+ *                 meta.json and listed under Data Sources & Methodology
+ *
+ * Schemas stay lenient: only fields the doc sections can't do without are
+ * required, so a valid-but-terse answer doesn't cost a re-ask.
+ */
+
+// ── Schemas ────────────────────────────────────────────────────────────
+
+var _STR = { type: 'string' };
+var _STR_LIST = { type: 'array', items: _STR };
+var _SCORE_1_10 = { type: 'number', minimum: 1, maximum: 10 };
+
+var RESEARCH_SCHEMAS = {
+  accountProfile: {
+    type: 'object',
+    required: ['companyOverview', 'businessUnits', 'financials', 'executiveContacts'],
+    properties: {
+      companyOverview: _STR,
+      businessUnits: {
+        type: 'array', minItems: 1,
+        items: {
+          type: 'object', required: ['name'],
+          properties: { name: _STR, offering: _STR, targetSegment: _STR, pricingRevenueModel: _STR,
+                        segmentRevenue: _STR, customerCount: _STR }
+        }
+      },
+      customerBase:  { type: 'object', properties: { total: _STR, context: _STR } },
+      employeeCount: { type: 'object', properties: { total: _STR, context: _STR } },
+      supplyChain:   { type: 'object', properties: { majorCategories: _STR_LIST, context: _STR } },
+      financials: {
+        type: 'object',
+        properties: { revenue: _STR, cogs: _STR, opex: _STR, capex: _STR, netIncome: _STR, context: _STR }
+      },
+      businessPerformance: {
+        type: 'object',
+        properties: {
+          threeYearTrend: _STR,
+          highlights: _STR_LIST,
+          strategicInitiatives: {
+            type: 'array',
+            items: { type: 'object', required: ['title'], properties: { title: _STR, description: _STR, timeframe: _STR } }
+          }
+        }
+      },
+      swot: {
+        type: 'object',
+        properties: { strengths: _STR_LIST, weaknesses: _STR_LIST, opportunities: _STR_LIST, threats: _STR_LIST }
+      },
+      executiveContacts: {
+        type: 'array',
+        items: { type: 'object', required: ['name', 'title'], properties: { name: _STR, title: _STR, relevance: _STR } }
+      },
+      technologyStack: {
+        type: 'object',
+        properties: { crm: _STR, hr: _STR, procurement: _STR, other: _STR_LIST }
+      },
+      systemsIntegrators: _STR_LIST
+    }
+  },
+
+  businessMap: {
+    type: 'object',
+    required: ['nodes'],
+    properties: {
+      nodes: {
+        type: 'array', minItems: 1,
+        items: {
+          type: 'object', required: ['name', 'level'],
+          properties: {
+            name: _STR,
+            parent: { type: ['string', 'null'] },
+            level: _STR,
+            agreementIntensity: _STR
+          }
+        }
+      }
+    }
+  },
+
+  agreementLandscape: {
+    type: 'object',
+    required: ['agreements'],
+    properties: {
+      agreements: {
+        type: 'array', minItems: 1,
+        items: {
+          type: 'object', required: ['agreementType', 'volume', 'complexity'],
+          properties: {
+            number: { type: 'integer' },
+            agreementType: _STR,
+            category: { type: 'string', 'enum': ['Internal', 'External'] },
+            primaryBusinessUnit: _STR,
+            volume: _SCORE_1_10,
+            complexity: _SCORE_1_10,
+            contractType: _STR,  // free-form variants are handled by normalizeContractType()
+            description: _STR
+          }
+        }
+      }
+    }
+  },
+
+  contractCommerce: {
+    type: 'object',
+    required: ['estimatedCommerce'],
+    properties: {
+      estimatedCommerce: {
+        type: 'object', properties: { totalRevenue: _STR, spendManaged: _STR, opex: _STR }
+      },
+      commercialRelationships: {
+        type: 'object', properties: { employees: _STR, suppliers: _STR, customers: _STR, partners: _STR }
+      },
+      commerceByDepartment: {
+        type: 'array',
+        items: {
+          type: 'object', required: ['department'],
+          properties: { department: _STR, estimatedAnnualValue: _STR, primaryAgreementTypes: _STR_LIST }
+        }
+      },
+      commerceByAgreementType: {
+        type: 'array',
+        items: {
+          type: 'object', required: ['agreementType'],
+          properties: { agreementType: _STR, estimatedAnnualValue: _STR, volume: _STR }
+        }
+      },
+      painPoints: {
+        type: 'array',
+        items: { type: 'object', required: ['title'], properties: { title: _STR, description: _STR } }
+      }
+    }
+  },
+
+  priorityMap: {
+    type: 'object',
+    required: ['priorityMapping', 'expansionOpportunities', 'actionPlan'],
+    properties: {
+      currentUseCases: {
+        type: 'object',
+        properties: { summary: _STR, products: _STR_LIST, useCases: _STR_LIST, techStack: _STR }
+      },
+      priorityMapping: {
+        type: 'array',
+        items: {
+          type: 'object', required: ['companyPriority', 'docusignCapability'],
+          properties: { companyPriority: _STR, priorityDetails: _STR_LIST, docusignCapability: _STR, businessImpact: _STR }
+        }
+      },
+      expansionOpportunities: {
+        type: 'array',
+        items: {
+          type: 'object', required: ['product'],
+          properties: { product: _STR, useCase: _STR, businessValue: _STR, department: _STR }
+        }
+      },
+      actionPlan: {
+        type: 'array',
+        items: { type: 'object', required: ['action'], properties: { action: _STR, owner: _STR, rationale: _STR } }
+      }
+    }
+  },
+
+  briefing: {
+    type: 'object',
+    required: ['introText', 'priorities'],
+    properties: {
+      introText: _STR,
+      priorities: {
+        type: 'array', minItems: 1,
+        items: { type: 'object', required: ['title', 'body'], properties: { title: _STR, body: _STR } }
+      }
+    }
+  },
+
+  bigBets: {
+    type: 'object',
+    required: ['bigBets'],
+    properties: {
+      bigBets: {
+        type: 'array', minItems: 1,
+        items: {
+          type: 'object', required: ['title', 'targetBusinessUnit', 'solution'],
+          properties: {
+            number: { type: 'integer' },
+            title: _STR,
+            targetBusinessUnit: _STR,
+            useCase: _STR,
+            companyInitiative: _STR,
+            painPoint: _STR,
+            solution: {
+              type: 'object',
+              properties: { description: _STR, primaryProducts: _STR_LIST, integrations: _STR_LIST }
+            },
+            estimatedAnnualValue: _STR,
+            executiveSponsor: _STR,
+            opportunityScore: { type: ['integer', 'string'] },  // 1–10 (OpenAI) or High/Medium/Low (Glean)
+            rationale: _STR
+          }
+        }
+      }
+    }
+  }
+};
+
+// Display names for the validation report
+var RESEARCH_OUTPUT_LABELS = {
+  accountProfile:     'Account Profile',
+  businessMap:        'Business Map',
+  agreementLandscape: 'Agreement Landscape',
+  contractCommerce:   'Contract Commerce',
+  priorityMap:        'Priority Map',
+  briefing:           'Executive Briefing',
+  bigBets:            'Big Bets'
+};
+
+// ── Validation ─────────────────────────────────────────────────────────
+
+/** Validation outcomes for the current run, keyed by research object. */
+var _validationReport = {};
+
+/** Clears the per-run validation report. Call at the start of each report run. */
+function resetValidationReport() {
+  _validationReport = {};
+}
+
+/**
+ * Returns the validation outcomes recorded since resetValidationReport().
+ * @returns {Object} key → { status, at, provider, coercions, reasked, errors }
+ */
+function getValidationReport() {
+  return JSON.parse(JSON.stringify(_validationReport));
+}
+
+/**
+ * Validation report for a company's report doc: the entries stored in
+ * meta.json (objects served from cache), overlaid with this run's.
+ * @param {string} companyName
+ * @returns {Object} key → report entry
+ */
+function getValidationReportForDoc(companyName) {
+  var report = {};
+  try {
+    var folder = _getCompanyFolder(companyName, false);
+    var meta = folder ? _readJsonFile(folder, 'meta.json') : null;
+    if (meta && meta.validation) report = meta.validation;
+  } catch (e) {
+    Logger.log('[Schema] Could not read stored validation for "' + companyName + '": ' + e.message);
+  }
+  var current = getValidationReport();
+  Object.keys(current).forEach(function(key) { report[key] = current[key]; });
+  return report;
+}
+
+/**
+ * Coerces, validates and (if needed) repairs one research object.
+ * See validateResearchOutputs().
+ *
+ * @param {string} key    Research object key (RESEARCH_SCHEMAS)
+ * @param {Object} value  Parsed LLM output
+ * @param {Object} [call] The call that produced it (LLMProvider.gs call spec)
+ * @returns {Object} The coerced (and possibly repaired) object
+ */
+function validateResearchOutput(key, value, call) {
+  var values = {};
+  values[key] = value;
+  return validateResearchOutputs(values, call)[key];
+}
+
+/**
+ * Coerces, validates and (if needed) repairs the research objects one call
+ * produced (a Glean think step returns several).
+ *
+ * A bare list where the schema expects an object with one required list
+ * (bigBets: [...] for { bigBets: [...] }) is wrapped, so its items are
+ * coerced and validated like any other. When call is given and fields are
+ * still invalid after coercion, the call is re-sent once, asking for only
+ * the failing top-level fields of every object together. Glean steps wrap
+ * their output under the object key ({ "businessMap": {...} }), and so
+ * does a re-ask covering more than one object.
+ *
+ * @param {Object} values  key (RESEARCH_SCHEMAS) → parsed LLM output
+ * @param {Object} [call]  The call that produced them
+ * @returns {Object} key → coerced (and possibly repaired) object
+ */
+function validateResearchOutputs(values, call) {
+  var results = {}, entries = {}, errors = {};
+
+  Object.keys(values).forEach(function(key) {
+    var schema = RESEARCH_SCHEMAS[key];
+    var value = values[key];
+    results[key] = value;
+    if (!schema || !value || typeof value !== 'object') return;
+
+    var entry = { status: 'valid', at: new Date().toISOString(), provider: call ? call.provider : null,
+                  coercions: [], reasked: [], errors: [] };
+
+    if (Array.isArray(value)) value = _wrapListOutput(key, value, entry.coercions);
+    if (!Array.isArray(value) && Object.keys(value).length === 0) {
+      entry.status = 'missing';
+      entry.errors = ['no output returned'];
+      _validationReport[key] = entry;
+      Logger.log('[Schema] ' + key + ': MISSING — no output returned');
+      return;
+    }
+
+    entries[key] = entry;
+    results[key] = coerceToSchema(value, schema, '$', entry.coercions);
+    errors[key] = validateJsonSchema(results[key], schema);
+  });
+
+  var fields = {};
+  Object.keys(errors).forEach(function(key) {
+    var invalid = _invalidTopLevelFields(errors[key]);
+    if (invalid.length) fields[key] = invalid;
+  });
+
+  if (call && Object.keys(fields).length) {
+    Logger.log('[Schema] Re-asking ' + _llmLabel(call) + ' for ' + Object.keys(fields).map(function(key) {
+      return key + ' (' + fields[key].join(', ') + ')';
+    }).join(', '));
+    _reaskInvalidFields(results, errors, fields, call);
+    Object.keys(fields).forEach(function(key) {
+      entries[key].reasked = fields[key];
+      results[key] = coerceToSchema(results[key], RESEARCH_SCHEMAS[key], '$', entries[key].coercions);
+      errors[key] = validateJsonSchema(results[key], RESEARCH_SCHEMAS[key]);
+    });
+  }
+
+  Object.keys(entries).forEach(function(key) { _recordValidation(key, entries[key], errors[key]); });
+  return results;
+}
+
+/**
+ * Stores one object's outcome in the run's validation report.
+ * @param {string} key
+ * @param {Object} entry        Report entry with coercions / reasked filled in
+ * @param {Array<string>} errors  Validator errors left after any re-ask
+ */
+function _recordValidation(key, entry, errors) {
+  entry.errors = errors.slice(0, 20);
+  entry.status = errors.length ? 'invalid'
+               : entry.reasked.length ? 'repaired'
+               : entry.coercions.length ? 'coerced'
+               : 'valid';
+  entry.coercions = entry.coercions.slice(0, 20);
+  _validationReport[key] = entry;
+
+  Logger.log('[Schema] ' + key + ': ' + entry.status.toUpperCase() +
+    (entry.coercions.length ? ' | ' + entry.coercions.length + ' coercion(s)' : '') +
+    (errors.length ? ' | ' + errors.slice(0, 3).join('; ') : ''));
+}
+
+/**
+ * Wraps a bare list under the schema's one required list field. Returns
+ * the list unchanged when the schema has no such field (it then fails
+ * validation as the wrong type).
+ * @param {string} key
+ * @param {Array} list
+ * @param {Array<string>} log  Coercions applied are appended here
+ * @returns {Object|Array}
+ */
+function _wrapListOutput(key, list, log) {
+  var schema = RESEARCH_SCHEMAS[key];
+  var listFields = (schema.required || []).filter(function(f) {
+    var prop = (schema.properties || {})[f];
+    return prop && prop.type === 'array';
+  });
+  if (listFields.length !== 1) return list;
+
+  var wrapped = {};
+  wrapped[listFields[0]] = list;
+  log.push('$: array → object.' + listFields[0]);
+  return wrapped;
+}
+
+/**
+ * Top-level field names from validator error paths ("$.agreements[3].volume" → "agreements").
+ * @param {Array<string>} errors
+ * @returns {Array<string>}
+ */
+function _invalidTopLevelFields(errors) {
+  var fields = [];
+  errors.forEach(function(err) {
+    var m = err.match(/^\$\.([A-Za-z0-9_]+)/);
+    if (m && fields.indexOf(m[1]) === -1) fields.push(m[1]);
+  });
+  return fields;
+}
+
+/**
+ * Re-sends a call once, asking for only the failing fields of every
+ * object, then merges the answers into values in place. Failures are
+ * non-fatal — the objects are left as they were.
+ * @param {Object} values  key → object (mutated)
+ * @param {Object} errors  key → validator errors
+ * @param {Object} fields  key → failing top-level fields
+ * @param {Object} call
+ */
+function _reaskInvalidFields(values, errors, fields, call) {
+  var keys = Object.keys(fields);
+  var wrapped = call.provider === 'glean' || keys.length > 1;
+
+  var expected = { type: 'object', required: keys, properties: {} };
+  var problems = [];
+  keys.forEach(function(key) {
+    var schema = RESEARCH_SCHEMAS[key];
+    var subSchema = { type: 'object', required: fields[key], properties: {} };
+    fields[key].forEach(function(f) { subSchema.properties[f] = schema.properties[f] || {}; });
+    expected.properties[key] = subSchema;
+    errors[key].slice(0, 15).forEach(function(err) { problems.push(wrapped ? err.replace(/^\$/, key) : err); });
+  });
+  if (!wrapped) expected = expected.properties[keys[0]];
+
+  var wanted = keys.map(function(key) {
+    return fields[key].join(', ') + (wrapped ? ' nested under "' + key + '"' : '');
+  });
+  var note = '\n\nIMPORTANT: Your previous response had missing or malformed fields:\n- ' +
+    problems.slice(0, 30).join('\n- ') +
+    '\n\nReturn ONLY a JSON object with the corrected ' + wanted.join('; ') +
+    ' — nothing else — matching this schema:\n' + JSON.stringify(expected) +
+    '\nNo markdown fences, no extra text.';
+
+  try {
+    var label = keys.join('+') + ' (re-ask: ' + keys.map(function(key) { return fields[key].join(', '); }).join('; ') + ')';
+    var fix = llmCompleteJson(llmFollowUpCall(call, note, label));
+    keys.forEach(function(key) {
+      var part = wrapped ? fix && fix[key] : fix;
+      fields[key].forEach(function(f) {
+        if (part && part[f] !== undefined && part[f] !== null) values[key][f] = part[f];
+      });
+    });
+  } catch (e) {
+    Logger.log('[Schema] ' + keys.join('+') + ' re-ask failed (non-fatal): ' + e.message);
+  }
+}
+
+// ── Coercion ───────────────────────────────────────────────────────────
+
+/**
+ * Coerces a value toward a schema where the intent is unambiguous.
+ * Mutates objects and arrays in place; returns the (possibly replaced) value.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path       JSON path for the log ("$.agreements[0].volume")
+ * @param {Array<string>} log Coercions applied are appended here
+ * @returns {*}
+ */
+function coerceToSchema(value, schema, path, log) {
+  if (value === undefined || value === null || !schema || !schema.type) return value;
+  var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  var actual = _jsonType(value);
+  var matches = types.some(function(t) { return t === actual || (t === 'number' && actual === 'integer'); });
+
+  if (!matches) {
+    var target = types.filter(function(t) { return t !== 'null'; })[0];
+    // A string only splits into a list of strings, never a list of objects
+    if (target === 'array' && actual === 'string' && schema.items && schema.items.type !== 'string') return value;
+    var coerced = _coerceScalar(value, target);
+    if (coerced === undefined) return value;
+    log.push(path + ': ' + actual + ' → ' + target);
+    value = coerced;
+  }
+
+  if (typeof value === 'number') {
+    if (types.indexOf('integer') !== -1 && value % 1 !== 0) {
+      log.push(path + ': rounded ' + value);
+      value = Math.round(value);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      log.push(path + ': clamped ' + value + ' to ' + schema.minimum);
+      value = schema.minimum;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      log.push(path + ': clamped ' + value + ' to ' + schema.maximum);
+      value = schema.maximum;
+    }
+  }
+
+  if (typeof value === 'string' && schema['enum'] && schema['enum'].indexOf(value) === -1) {
+    var norm = value.toLowerCase().replace(/[^a-z0-9]/g, '');
+    var canonical = schema['enum'].filter(function(e) {
+      return String(e).toLowerCase().replace(/[^a-z0-9]/g, '') === norm;
+    })[0];
+    if (canonical !== undefined) {
+      log.push(path + ': "' + value + '" → "' + canonical + '"');
+      value = canonical;
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (var i = 0; i < value.length; i++) {
+      value[i] = coerceToSchema(value[i], schema.items, path + '[' + i + ']', log);
+    }
+  } else if (_jsonType(value) === 'object' && schema.properties) {
+    Object.keys(schema.properties).forEach(function(k) {
+      if (value[k] !== undefined) value[k] = coerceToSchema(value[k], schema.properties[k], path + '.' + k, log);
+    });
+  }
+  return value;
+}
+
+/**
+ * Converts a value to the target type, or returns undefined if there's no
+ * sensible conversion.
+ * @param {*} value
+ * @param {string} target  'string' | 'number' | 'integer' | 'array' | 'boolean'
+ * @returns {*}
+ */
+function _coerceScalar(value, target) {
+  switch (target) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      if (Array.isArray(value)) return value.map(extractString).filter(Boolean).join(', ');
+      if (typeof value === 'object') return extractString(value) || undefined;
+      return undefined;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'string') return undefined;
+      var m = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+      return m ? Number(m[0]) : undefined;
+    case 'array':
+      if (typeof value === 'string') {
+        return value.split(/\n|;|•/)
+          .map(function(s) { return s.replace(/^\s*[-*]\s*/, '').trim(); })
+          .filter(Boolean);
+      }
+      if (typeof value === 'object') return [value];
+      return undefined;
+    case 'boolean':
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    default:
+      return undefined;
+  }
+}
+
+// ── Test functions ─────────────────────────────────────────────────────
+
+/**
+ * Runs coercion and validation over a deliberately malformed agreement
+ * landscape and a bare big-bets list (no re-ask) and logs the report.
+ */
+function testResearchSchemas() {
+  resetValidationReport();
+  var sample = {
+    agreements: [
+      { number: '1', agreementType: { name: 'Master Services Agreement' }, category: 'external',
+        volume: '7/10', complexity: 12, contractType: 'non negotiated', description: 'MSA' },
+      { agreementType: 'NDA', volume: 9 }
+    ]
+  };
+  var result = validateResearchOutput('agreementLandscape', sample);
+  Logger.log('[TEST] Coerced: ' + JSON.stringify(result));
+
+  // A bare list is wrapped and its items validated
+  var bets = validateResearchOutput('bigBets', [{ title: 'CLM rollout', targetBusinessUnit: 'Legal' }]);
+  var report = getValidationReport();
+  Logger.log('[TEST] Wrapped list: ' + JSON.stringify(bets) +
+    (Array.isArray(bets.bigBets) && report.bigBets.status === 'invalid' &&
+     report.bigBets.errors[0] === '$.bigBets[0].solution: required' ? ' ✓' : ' ✗'));
+  Logger.log('[TEST] Report: ' + JSON.stringify(report));
+}
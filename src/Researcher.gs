@@ -1,5 +1,6 @@
 /**
  * LLM research functions using the internal OpenAI endpoint with Bing grounding.
+ * Transport, retries, budgets and stubbing live in LLMProvider.gs.
  */
 
 /**
@@ -9,105 +10,27 @@
  * @returns {string} The LLM response text
  */
 function callLLM(systemPrompt, userPrompt) {
-  var body = _callLLMEndpoint(LLM_ENDPOINT, systemPrompt, userPrompt);
-
-  // Detect infra proxy "run failed" error — comes back as HTTP 200 with an error string
-  if (_isInfraRunFailed(body)) {
-    Logger.log('[LLM] Primary endpoint (gb=1) returned run-failed. Retrying without Bing grounding (gb=0)...');
-    body = _callLLMEndpoint(LLM_ENDPOINT_FALLBACK, systemPrompt, userPrompt);
-    if (_isInfraRunFailed(body)) {
-      throw new Error('LLM run failed on both gb=1 and gb=0 endpoints. Infra may be down. Body: ' + body);
-    }
-    Logger.log('[LLM] Fallback (gb=0) succeeded.');
-  }
-
-  return body;
-}
-
-/**
- * Returns true if the response body is an infra proxy "run failed" message.
- * These come back as HTTP 200 but are not LLM output.
- */
-function _isInfraRunFailed(body) {
-  return typeof body === 'string' &&
-    (body.indexOf('Run failed') !== -1 || body.indexOf('was cancelled') !== -1) &&
-    body.length < 200;
-}
-
-/**
- * Make a single HTTP call to the given LLM endpoint.
- * Throws on non-200 status. Returns raw response text on success.
- */
-function _callLLMEndpoint(endpoint, systemPrompt, userPrompt) {
-  Logger.log('[LLM] Calling endpoint: ' + endpoint);
-  Logger.log('[LLM] System prompt length: ' + systemPrompt.length + ' chars');
-  Logger.log('[LLM] User prompt length: ' + userPrompt.length + ' chars');
-
-  var payload = {
-    v:  LLM_MODEL,
-    sr: systemPrompt,
-    ur: userPrompt
-  };
-
-  var options = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: {
-      'DOCU-INFRA-IC-KEY':  getApiKey(),
-      'DOCU-INFRA-IC-USER': getApiUser()
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
-  };
-
-  Logger.log('[LLM] Sending request...');
-  Utilities.sleep(1000);
-  var response = UrlFetchApp.fetch(endpoint, options);
-  var code = response.getResponseCode();
-  var body = response.getContentText();
-
-  Logger.log('[LLM] Response HTTP ' + code + ' | Body length: ' + body.length + ' chars');
-  if (code !== 200) {
-    Logger.log('[LLM] ERROR response body: ' + body.substring(0, 1000));
-    throw new Error('LLM API returned HTTP ' + code + ': ' + body.substring(0, 500));
-  }
-
-  Logger.log('[LLM] Response preview: ' + body.substring(0, 300) + '...');
-  return body;
+  return llmComplete({ provider: 'openai', system: systemPrompt, user: userPrompt });
 }
 
 /**
  * Call LLM and parse the response as JSON.
  * Handles cases where the LLM wraps JSON in markdown code fences.
- * Retries once on parse failure with a nudge to return valid JSON.
+ * Sends a repair prompt on parse failure (see llmParseJson()). With a
+ * schemaKey the result is then coerced and validated against
+ * RESEARCH_SCHEMAS[schemaKey], re-asking for any invalid fields.
+ * The response's citations are kept in result._provenance (Provenance.gs).
  *
  * @param {string} systemPrompt
  * @param {string} userPrompt
+ * @param {string} [schemaKey]  Research object key, e.g. 'accountProfile'
  * @returns {Object} parsed JSON
  */
-function callLLMJson(systemPrompt, userPrompt) {
-  var raw = callLLM(systemPrompt, userPrompt);
-  Logger.log('[LLM-JSON] Attempting to parse response...');
-  var parsed = tryParseJson(raw);
-  if (parsed) {
-    Logger.log('[LLM-JSON] Parse succeeded. Top-level keys: ' + Object.keys(parsed).join(', '));
-    return parsed;
-  }
-
-  // Retry with explicit nudge
-  Logger.log('[LLM-JSON] Parse FAILED on first attempt. Raw starts with: ' + raw.substring(0, 200));
-  Logger.log('[LLM-JSON] Retrying with JSON nudge...');
-  var retryPrompt = userPrompt +
-    '\n\nIMPORTANT: Your previous response was not valid JSON. Return ONLY valid JSON, no markdown fences, no extra text.';
-  raw = callLLM(systemPrompt, retryPrompt);
-  parsed = tryParseJson(raw);
-  if (parsed) {
-    Logger.log('[LLM-JSON] Parse succeeded on retry. Top-level keys: ' + Object.keys(parsed).join(', '));
-    return parsed;
-  }
-
-  Logger.log('[LLM-JSON] Parse FAILED on retry. Raw: ' + raw.substring(0, 500));
-  throw new Error('Failed to parse LLM response as JSON after retry. Raw response: ' + raw.substring(0, 500));
+function callLLMJson(systemPrompt, userPrompt, schemaKey) {
+  var call = buildLLMRequest(systemPrompt, userPrompt, schemaKey);
+  var parsed = llmCompleteJson(call);
+  var citations = getLastCitations(), refs = getLastCitationRefs();
+  return attachProvenance(validateResearchOutput(schemaKey, parsed, call), call, citations, refs);
 }
 
 /**
@@ -117,6 +40,8 @@ function callLLMJson(systemPrompt, userPrompt) {
  */
 // Stores citations from the most recent LLM call (if available from the endpoint)
 var _lastCitations = [];
+// Citation markers found in the most recent parsed response, by field path
+var _lastCitationRefs = [];
 
 /**
  * Get citations captured from the last LLM response.
@@ -126,6 +51,25 @@ function getLastCitations() {
   return _lastCitations || [];
 }
 
+/**
+ * Get the citation markers found in the last parsed response, before they
+ * were stripped — see collectCitationRefs().
+ * @returns {Array<{path: string, marker: string}>}
+ */
+function getLastCitationRefs() {
+  return _lastCitationRefs || [];
+}
+
+/**
+ * Record citation markers, then strip them.
+ * @param {*} parsed
+ * @returns {*}
+ */
+function _cleanParsedCitations(parsed) {
+  _lastCitationRefs = collectCitationRefs(parsed);
+  return cleanCitations(parsed);
+}
+
 /**
  * Strip Bing grounding citation markers like 【3:2†source】 from a string.
  * @param {string} str
@@ -157,6 +101,7 @@ function cleanCitations(obj) {
 function tryParseJson(text) {
   if (!text) return null;
   _lastCitations = [];
+  _lastCitationRefs = [];
 
   // If response is wrapped in the endpoint's own JSON envelope, unwrap it.
   // Known format: { "Success": true, "Result": { "text": "...LLM output..." } }
@@ -197,7 +142,7 @@ function tryParseJson(text) {
         if (typeof inner === 'string') {
           text = inner;
         } else if (typeof inner === 'object') {
-          return cleanCitations(inner);
+          return _cleanParsedCitations(inner);
         }
       }
     }
@@ -209,7 +154,7 @@ function tryParseJson(text) {
   var cleaned = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
 
   try {
-    return cleanCitations(JSON.parse(cleaned));
+    return _cleanParsedCitations(JSON.parse(cleaned));
   } catch(e) {
     // Scan each { position forward until we find a parseable JSON object.
     // This rescues JSON embedded after prose preambles (e.g. LLM disclaimer then valid JSON).
@@ -220,7 +165,7 @@ function tryParseJson(text) {
       var end = cleaned.lastIndexOf('}');
       if (end <= start) break;
       try {
-        return cleanCitations(JSON.parse(cleaned.substring(start, end + 1)));
+        return _cleanParsedCitations(JSON.parse(cleaned.substring(start, end + 1)));
       } catch(e2) {
         searchPos = start + 1; // advance past this { and try next candidate
       }
@@ -235,68 +180,38 @@ function tryParseJson(text) {
 // ═══════════════════════════════════════════════════════════════════════
 
 /**
- * Build an HTTP request object for the LLM endpoint (without sending it).
- * Suitable for use with UrlFetchApp.fetchAll().
+ * Build an LLM call spec (without sending it) for callLLMJsonParallel().
  * @param {string} systemPrompt  The system role content
  * @param {string} userPrompt    The user role content
- * @returns {Object} { url, options } ready for fetchAll
+ * @param {string} [schemaKey]   Research object key the output is validated against
+ * @returns {Object} { provider, system, user, schemaKey, label }
  */
-function buildLLMRequest(systemPrompt, userPrompt) {
-  var payload = {
-    v:  LLM_MODEL,
-    sr: systemPrompt,
-    ur: userPrompt
-  };
-
-  return {
-    url: LLM_ENDPOINT,
-    method: 'post',
-    contentType: 'application/json',
-    headers: {
-      'DOCU-INFRA-IC-KEY':  getApiKey(),
-      'DOCU-INFRA-IC-USER': getApiUser()
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
-  };
+function buildLLMRequest(systemPrompt, userPrompt, schemaKey) {
+  return { provider: 'openai', system: systemPrompt, user: userPrompt, schemaKey: schemaKey, label: schemaKey };
 }
 
 /**
- * Send multiple LLM requests in parallel via UrlFetchApp.fetchAll().
- * Parses each response as JSON using tryParseJson().
- * @param {Array<Object>} requests  Array of { url, method, ... } from buildLLMRequest()
- * @returns {Array<Object|null>} Parsed JSON responses (null for failures)
+ * Send multiple LLM calls in parallel and parse each response as JSON.
+ * Unparseable responses get an individual repair prompt; parsed ones are
+ * validated against their schemaKey.
+ * @param {Array<Object>} requests  Call specs from buildLLMRequest()
+ * @returns {Array<Object|null>} Parsed JSON responses (null for failures,
+ *   which are not retried — see llmCompleteAll())
  */
 function callLLMJsonParallel(requests) {
-  Logger.log('[LLM-Parallel] Sending ' + requests.length + ' requests in parallel');
-
-  Utilities.sleep(1000);
-  var responses = UrlFetchApp.fetchAll(requests);
-  var results = [];
-
-  for (var i = 0; i < responses.length; i++) {
-    var response = responses[i];
-    var code = response.getResponseCode();
-    var body = response.getContentText();
-
-    Logger.log('[LLM-Parallel] Response ' + i + ': HTTP ' + code + ' | ' + body.length + ' chars');
-
-    if (code !== 200) {
-      Logger.log('[LLM-Parallel] ERROR response ' + i + ': ' + body.substring(0, 500));
-      results.push(null);
-      continue;
-    }
-
-    var parsed = tryParseJson(body);
-    if (parsed) {
+  var texts = llmCompleteAll(requests);
+  return texts.map(function(text, i) {
+    if (text === null) return null;
+    try {
+      var parsed = llmParseJson(requests[i], text);
+      var citations = getLastCitations(), refs = getLastCitationRefs();
       Logger.log('[LLM-Parallel] Response ' + i + ' parsed. Keys: ' + Object.keys(parsed).join(', '));
-    } else {
-      Logger.log('[LLM-Parallel] Response ' + i + ' parse FAILED. Raw: ' + body.substring(0, 300));
+      return attachProvenance(validateResearchOutput(requests[i].schemaKey, parsed, requests[i]), requests[i], citations, refs);
+    } catch (e) {
+      Logger.log('[LLM-Parallel] Response ' + i + ' parse FAILED: ' + e.message.substring(0, 300));
+      return null;
     }
-    results.push(parsed);
-  }
-
-  return results;
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -354,6 +269,12 @@ function buildEnrichmentContext(enrichment) {
     if (enrichment.opexFormatted)      lines.push('OpEx: ' + enrichment.opexFormatted + ' — Day-to-day operating costs (salaries, rent, R&D, SG&A)');
     if (enrichment.capexFormatted)     lines.push('CapEx: ' + enrichment.capexFormatted + ' — Investments in property, equipment, and infrastructure');
     if (enrichment.netIncomeFormatted) lines.push('Net Income: ' + enrichment.netIncomeFormatted + ' — Bottom-line profit after all expenses and taxes');
+    var ttm = enrichment.ttm;
+    if (ttmFormatted(ttm, 'revenue')) {
+      lines.push('Trailing 12 months through ' + ttm.periodEnd + ' (SEC 10-Q): Revenue ' + ttmFormatted(ttm, 'revenue') +
+        (ttmFormatted(ttm, 'netIncome') ? ', Net Income ' + ttmFormatted(ttm, 'netIncome') : '') +
+        ' — more recent than the 10-K; prefer these when describing current performance');
+    }
     lines.push('');
     lines.push('When analyzing these financials, include a "context" field in the financials JSON that explains what these numbers reveal about the company\'s financial health, margins, and growth trajectory.');
   }
@@ -369,13 +290,59 @@ function buildEnrichmentContext(enrichment) {
     } else {
       lines.push('IMPORTANT: Use these values for the segmentRevenue field in businessUnits.');
     }
+    var primaryQuality = enrichment.segmentBreakdown && enrichment.segmentBreakdown[enrichment.segmentType] &&
+      enrichment.segmentBreakdown[enrichment.segmentType].quality;
+    if (primaryQuality && !primaryQuality.reliable) {
+      lines.push('CAUTION: Segment totals do not reconcile with consolidated revenue (' +
+        (primaryQuality.discrepancies || []).join('; ') + '). Do not derive percentages of total revenue from them.');
+    }
     lines.push('');
   }
 
+  // Other segment axes, plus segment operating income / assets where disclosed.
+  // The primary axis is repeated only when it carries more than revenue.
+  var breakdown = enrichment.segmentBreakdown || {};
+  var axisLabels = { business: 'BUSINESS SEGMENTS', geographic: 'GEOGRAPHIC SEGMENTS', product: 'PRODUCT / SERVICE LINES' };
+  Object.keys(axisLabels).forEach(function(axis) {
+    if (!breakdown[axis]) return;
+    var hasMoreThanRevenue = breakdown[axis].members.some(function(m) { return m.operatingIncome != null || m.assets != null; });
+    if (axis === enrichment.segmentType && !hasMoreThanRevenue) return;
+    lines.push('=== VERIFIED ' + axisLabels[axis] + ' (SEC EDGAR 10-K) ===');
+    breakdown[axis].members.forEach(function(m) {
+      var parts = [];
+      if (m.revenue != null)         parts.push('Revenue ' + formatDollars(m.revenue));
+      if (m.operatingIncome != null) parts.push('Operating Income ' + formatDollars(m.operatingIncome));
+      if (m.assets != null)          parts.push('Assets ' + formatDollars(m.assets));
+      lines.push('  ' + m.name + (parts.length ? ': ' + parts.join(', ') : ''));
+    });
+    lines.push('');
+  });
+
   if (enrichment.employeesFormatted) {
     lines.push('Employees (SEC 10-K): ' + enrichment.employeesFormatted);
   }
 
+  // Industry standing vs SIC peers
+  if (enrichment.peerBenchmark && enrichment.peerBenchmark.headlines && enrichment.peerBenchmark.headlines.length > 0) {
+    lines.push('');
+    lines.push('=== PEER BENCHMARK (SEC 10-K, companies sharing SIC ' + enrichment.peerBenchmark.sic + ') ===');
+    enrichment.peerBenchmark.headlines.forEach(function(h) { lines.push('  ' + h); });
+  }
+
+  // Material 8-K events (leadership changes, acquisitions, material agreements)
+  var corpEvents = (enrichment.corporateEvents && enrichment.corporateEvents.events) || [];
+  var materialEvents = corpEvents.filter(function(e) { return e.material; });
+  if (materialEvents.length > 0) {
+    lines.push('');
+    lines.push('=== RECENT MATERIAL EVENTS (SEC 8-K filings since ' + enrichment.corporateEvents.since + ') ===');
+    materialEvents.slice(0, 10).forEach(function(e) {
+      var labels = (e.items || []).filter(function(item) { return item.category !== 'exhibits'; })
+        .map(function(item) { return item.label; });
+      lines.push('  ' + e.filingDate + ': ' + labels.join('; '));
+    });
+    lines.push('Reference these when discussing leadership, M&A activity or major contracts; do not invent details beyond the item descriptions.');
+  }
+
   if (enrichment.ceo) {
     lines.push('CEO: ' + enrichment.ceo);
   }
@@ -417,26 +384,17 @@ function enforceEnrichedData(accountProfile, enrichment) {
   // Override company overview if we have Wikipedia text
   if (enrichment.overview && accountProfile.companyOverview) {
     accountProfile.companyOverview = enrichment.overview;
+    markClaimVerified(accountProfile, 'companyOverview', enrichmentSourceFor(enrichment, 'overview'));
     Logger.log('[Enrich/Enforce] Overwrote companyOverview with Wikipedia text');
   }
 
   // Override financials
   if (accountProfile.financials) {
-    if (enrichment.revenueFormatted) {
-      accountProfile.financials.revenue = enrichment.revenueFormatted;
-    }
-    if (enrichment.cogsFormatted) {
-      accountProfile.financials.cogs = enrichment.cogsFormatted;
-    }
-    if (enrichment.opexFormatted) {
-      accountProfile.financials.opex = enrichment.opexFormatted;
-    }
-    if (enrichment.capexFormatted) {
-      accountProfile.financials.capex = enrichment.capexFormatted;
-    }
-    if (enrichment.netIncomeFormatted) {
-      accountProfile.financials.netIncome = enrichment.netIncomeFormatted;
-    }
+    ['revenue', 'cogs', 'opex', 'capex', 'netIncome'].forEach(function(metric) {
+      if (!enrichment[metric + 'Formatted']) return;
+      accountProfile.financials[metric] = enrichment[metric + 'Formatted'];
+      markClaimVerified(accountProfile, 'financials.' + metric, enrichmentSourceFor(enrichment, metric));
+    });
     if (enrichment.revenueFormatted || enrichment.cogsFormatted) {
       Logger.log('[Enrich/Enforce] Overwrote financials with SEC EDGAR data');
     }
@@ -445,6 +403,7 @@ function enforceEnrichedData(accountProfile, enrichment) {
   // Override employee count
   if (enrichment.employeesFormatted && accountProfile.employeeCount) {
     accountProfile.employeeCount.total = enrichment.employeesFormatted;
+    markClaimVerified(accountProfile, 'employeeCount.total', enrichmentSourceFor(enrichment, 'employees'));
     Logger.log('[Enrich/Enforce] Overwrote employeeCount with SEC EDGAR data');
   }
 
@@ -487,6 +446,7 @@ function enforceEnrichedData(accountProfile, enrichment) {
 
       if (matched) {
         bu.segmentRevenue = matched;
+        markClaimVerified(accountProfile, 'businessUnits[' + bi + '].segmentRevenue', enrichmentSourceFor(enrichment, 'segments'));
         Logger.log('[Enrich/Enforce] Matched segment revenue for BU "' + bu.name + '": ' + matched);
       }
     }
@@ -494,17 +454,21 @@ function enforceEnrichedData(accountProfile, enrichment) {
 
   // Ensure CEO is in executive contacts if we have it from Wikidata
   if (enrichment.ceo && accountProfile.executiveContacts) {
-    var hasCeo = accountProfile.executiveContacts.some(function(exec) {
-      return exec.name && exec.name.toLowerCase().indexOf(enrichment.ceo.toLowerCase()) !== -1;
+    var ceoIndex = -1;
+    accountProfile.executiveContacts.forEach(function(exec, i) {
+      if (ceoIndex === -1 && exec.name && exec.name.toLowerCase().indexOf(enrichment.ceo.toLowerCase()) !== -1) ceoIndex = i;
     });
-    if (!hasCeo) {
+    if (ceoIndex === -1) {
+      shiftClaimIndices(accountProfile, 'executiveContacts', 1);
       accountProfile.executiveContacts.unshift({
         name: enrichment.ceo,
         title: 'Chief Executive Officer',
         relevance: 'Key decision-maker for enterprise-wide agreement management strategy'
       });
       Logger.log('[Enrich/Enforce] Added CEO from Wikidata to executiveContacts');
+      ceoIndex = 0;
     }
+    markClaimVerified(accountProfile, 'executiveContacts[' + ceoIndex + '].name', enrichmentSourceFor(enrichment, 'ceo'));
   }
 
   return accountProfile;
@@ -579,7 +543,7 @@ function researchAccountProfile(companyName, industry, enrichment) {
 
   Logger.log (userPrompt);
 
-  return callLLMJson(systemPrompt, userPrompt);
+  return callLLMJson(systemPrompt, userPrompt, 'accountProfile');
 }
 
 /**
@@ -634,7 +598,7 @@ function researchBusinessMap(companyName, industry, accountProfile) {
     '- Do NOT return a sparse tree with only 1 department per BU';
 
   Logger.log('[Research] Call 2: Researching business map for "' + companyName + '"');
-  return callLLMJson(systemPrompt, userPrompt);
+  return callLLMJson(systemPrompt, userPrompt, 'businessMap');
 }
 
 /**
@@ -695,7 +659,7 @@ function researchAgreementLandscape(companyName, industry, accountProfile, busin
 
   // Call 3 has been unreliable — add extra resilience with a fallback retry using a simpler prompt
   try {
-    return callLLMJson(systemPrompt, userPrompt);
+    return callLLMJson(systemPrompt, userPrompt, 'agreementLandscape');
   } catch (e) {
     Logger.log('[Research] Call 3 first attempt failed: ' + e.message);
     Logger.log('[Research] Call 3 retrying with simplified prompt...');
@@ -709,7 +673,7 @@ function researchAgreementLandscape(companyName, industry, accountProfile, busin
       'volume and complexity are 1-10 scales. Number them 1-15. Return ONLY valid JSON.';
 
     try {
-      return callLLMJson(systemPrompt, simplePrompt);
+      return callLLMJson(systemPrompt, simplePrompt, 'agreementLandscape');
     } catch (e2) {
       Logger.log('[Research] Call 3 simplified retry also failed: ' + e2.message);
       throw e2;
@@ -784,7 +748,7 @@ function researchContractCommerce(companyName, industry, accountProfile, agreeme
     'Do NOT use the 1-10 relative scores from the agreement types above — those are relative rankings, not actual counts.';
 
   Logger.log('[Research] Call 4: Researching contract commerce for "' + companyName + '"');
-  return callLLMJson(systemPrompt, userPrompt);
+  return callLLMJson(systemPrompt, userPrompt, 'contractCommerce');
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -844,7 +808,7 @@ function buildCall2Request(companyName, industry, accountProfile) {
     '- Do NOT return a sparse tree with only 1 department per BU';
 
   Logger.log('[Research] buildCall2Request: Business Map for "' + companyName + '"');
-  return buildLLMRequest(systemPrompt, userPrompt);
+  return buildLLMRequest(systemPrompt, userPrompt, 'businessMap');
 }
 
 /**
@@ -899,7 +863,7 @@ function buildCall3Request(companyName, industry, accountProfile) {
     'Start your response immediately with { and return ONLY valid JSON — no preamble, no prose.';
 
   Logger.log('[Research] buildCall3Request: Agreement Landscape for "' + companyName + '"');
-  return buildLLMRequest(systemPrompt, userPrompt);
+  return buildLLMRequest(systemPrompt, userPrompt, 'agreementLandscape');
 }
 
 /**
@@ -963,7 +927,7 @@ function buildCall4Request(companyName, industry, accountProfile) {
     'Do NOT use relative scores — provide actual estimated counts.';
 
   Logger.log('[Research] buildCall4Request: Contract Commerce for "' + companyName + '"');
-  return buildLLMRequest(systemPrompt, userPrompt);
+  return buildLLMRequest(systemPrompt, userPrompt, 'contractCommerce');
 }
 
 /**
@@ -1056,9 +1020,10 @@ function summarizeExternalResearch(ext) {
  * @param {string} internalSummary  Text summary from summarizeForLLM()
  * @param {Object} externalResearch  Combined results from Calls 1-4
  * @param {Object} [productSignals]  Output of generateProductSignals()
+ * @param {string} [industry]  Account industry, for the big-bet outcome section
  * @returns {Object}
  */
-function synthesizePriorityMap(companyName, internalSummary, externalResearch, productSignals) {
+function synthesizePriorityMap(companyName, internalSummary, externalResearch, productSignals, industry) {
   var catalogContext = buildCatalogContext();
   var signalContext = (productSignals && productSignals.summary) || '';
 
@@ -1078,6 +1043,7 @@ function synthesizePriorityMap(companyName, internalSummary, externalResearch, p
     'Prioritize "strong" signal products in your expansion opportunities and priority mappings. ' +
     'For each recommendation, explain WHY the customer\'s data supports it.' +
     prospectInstruction + '\n\n' +
+    buildBetOutcomePromptSection(industry) +
     RESEARCH_SYSTEM_BASE;
 
   // Build a condensed summary instead of raw JSON to avoid truncation issues
@@ -1128,7 +1094,22 @@ function synthesizePriorityMap(companyName, internalSummary, externalResearch, p
     'For priorityMapping, connect real company strategic initiatives to specific Docusign capabilities.\n' +
     'For actionPlan, provide actionable next steps the account team can execute immediately.';
 
-  return callLLMJson(systemPrompt, userPrompt);
+  return callLLMJson(systemPrompt, userPrompt, 'priorityMap');
+}
+
+/**
+ * System-prompt block with closed big-bet outcomes (BetTracker.gs) so
+ * recommendations favour what has converted. Empty when there is no history.
+ * @param {string} [industry]
+ * @returns {string}
+ */
+function buildBetOutcomePromptSection(industry) {
+  var outcomes = buildBetOutcomeContext(industry);
+  if (!outcomes) return '';
+  return '--- BIG BET OUTCOMES (what has actually converted) ---\n' + outcomes + '\n\n' +
+    'Weigh recommendations towards products with strong win rates, especially in this industry. ' +
+    'Products that mostly lost can still be recommended, but only with evidence that this account ' +
+    'avoids the common loss reasons above.\n\n';
 }
 
 /**
@@ -1191,7 +1172,7 @@ function generateExecutiveBriefing(companyName, accountProfile, priorityMap, pro
     '- Italic for emphasis on specific terms (e.g. *digital transformation*, *compliance*)';
 
   Logger.log('[Research] Call 6: Generating executive briefing for "' + companyName + '"');
-  return callLLMJson(systemPrompt, userPrompt);
+  return callLLMJson(systemPrompt, userPrompt, 'briefing');
 }
 
 /**
@@ -1254,7 +1235,7 @@ function buildCall6Request(companyName, accountProfile, priorityMap, productSign
     '- Italic for emphasis on specific terms (e.g. *digital transformation*, *compliance*)';
 
   Logger.log('[Research] buildCall6Request: Executive Briefing for "' + companyName + '"');
-  return buildLLMRequest(systemPrompt, userPrompt);
+  return buildLLMRequest(systemPrompt, userPrompt, 'briefing');
 }
 
 /**
@@ -1265,14 +1246,14 @@ function buildCall6Request(companyName, accountProfile, priorityMap, productSign
  * @param {Object} productSignals  Output of generateProductSignals()
  * @param {Object} agreementLandscape  Result from Call 3
  * @param {string} internalSummary  Text summary from summarizeForLLM()
+ * @param {string} [industry]  Account industry, for the big-bet outcome section
  * @returns {Object} { bigBets: [...] }
  */
-function generateBigBetInitiatives(companyName, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary) {
-  var request = buildCall7Request(companyName, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary);
+function generateBigBetInitiatives(companyName, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary, industry) {
+  var request = buildCall7Request(companyName, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary, industry);
   Logger.log('[Research] Call 7: Generating Big Bet Initiatives for "' + companyName + '"');
 
-  var payload = JSON.parse(request.payload);
-  return callLLMJson(payload.sr, payload.ur);
+  return callLLMJson(request.system, request.user, request.schemaKey);
 }
 
 /**
@@ -1283,9 +1264,10 @@ function generateBigBetInitiatives(companyName, accountProfile, priorityMap, pro
  * @param {Object} productSignals  Output of generateProductSignals()
  * @param {Object} agreementLandscape  Result from Call 3
  * @param {string} internalSummary  Text summary from summarizeForLLM()
+ * @param {string} [industry]  Account industry, for the big-bet outcome section
  * @returns {Object} request object for callLLMJsonParallel
  */
-function buildCall7Request(companyName, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary) {
+function buildCall7Request(companyName, accountProfile, priorityMap, productSignals, agreementLandscape, internalSummary, industry) {
   var catalogContext = buildCatalogContext();
   var signalSummary = (productSignals && productSignals.summary) || '';
 
@@ -1296,6 +1278,7 @@ function buildCall7Request(companyName, accountProfile, priorityMap, productSign
     '--- PRODUCT SIGNALS (from internal data analysis) ---\n' + signalSummary + '\n\n' +
     'IMPORTANT: Use product signals to ground recommendations. Do NOT recommend products marked "in_use" as the core of a big bet. ' +
     'Prioritize "strong" signal products. Each bet must use 2+ Docusign products.\n\n' +
+    buildBetOutcomePromptSection(industry) +
     'Return your response as valid JSON only. No markdown fences, no extra text.';
 
   // Build context from available data
@@ -1384,5 +1367,5 @@ function buildCall7Request(companyName, accountProfile, priorityMap, productSign
     '- The rationale field must cite specific data points from the company context above to substantiate why this bet was chosen';
 
   Logger.log('[Research] buildCall7Request: Big Bet Initiatives for "' + companyName + '"');
-  return buildLLMRequest(systemPrompt, userPrompt);
+  return buildLLMRequest(systemPrompt, userPrompt, 'bigBets');
 }
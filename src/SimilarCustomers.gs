@@ -0,0 +1,342 @@
+/**
+ * SimilarCustomers — deterministic look-alike matching across bookscrub customers.
+ *
+ * Each customer gets a small feature vector:
+ *
+ *   industry       — bookscrub INDUSTRY (SEC SIC description as fallback)
+ *   products       — active Docusign products, excluding eSignature
+ *   envelopes      — envelopes sent in the last 365 days
+ *   seats          — seats purchased
+ *   contractValue  — account ACV
+ *   revenue        — SEC annual revenue
+ *   employees      — SEC employee count
+ *
+ * Candidates are every customer in the bookscrub source. Researched
+ * accounts use the full vector from their portfolio index row (Portfolio.gs);
+ * the rest get industry, envelopes, seats and contract value from five
+ * bookscrub columns (_bookscrubSimilarityUniverse), with no products or SEC
+ * metrics, which would need a full row read or enrichment per account.
+ *
+ * findSimilarCustomers() scores the target account against every candidate:
+ * industry is an exact match, products use Jaccard overlap and
+ * the size metrics compare on a log scale (within 10× scores half). Features
+ * missing on either side are skipped, and pairs compared on few features are
+ * discounted so a thin match can't outrank a well-evidenced one — a
+ * researched account with products in common outranks a bookscrub-only one
+ * at the same size. Each match lists the features that lined up, which the
+ * dashboard shows as the reason.
+ *
+ * Glean is no longer asked to pick the customers — getSimilarCustomers() in
+ * DashboardServer.gs only requests narrative (use cases, personas, collateral)
+ * for the customers chosen here.
+ */
+
+var SIMILARITY_WEIGHTS = {
+  industry:      3,
+  products:      3,
+  envelopes:     2,
+  contractValue: 2,
+  revenue:       2,
+  seats:         1,
+  employees:     1
+};
+var SIMILARITY_MIN_FEATURES = 3;       // fewer shared features → not comparable
+var SIMILARITY_MIN_SCORE = 40;         // 0–100
+var SIMILARITY_MATCH_THRESHOLD = 0.75; // per-feature similarity reported as a match
+var SIMILAR_CUSTOMER_LIMIT = 6;
+
+// Per-execution cache of _bookscrubSimilarityUniverse()
+var _similarityUniverseCache = null;
+
+/**
+ * Returns the customers most similar to an account, best first.
+ * @param {string} companyName
+ * @param {number} [limit]  Defaults to SIMILAR_CUSTOMER_LIMIT
+ * @returns {Object[]} { name, industry, score, matchedFeatures: string[], similarity }
+ */
+function findSimilarCustomers(companyName, limit) {
+  limit = limit || SIMILAR_CUSTOMER_LIMIT;
+  var index = _readPortfolioIndex();
+  if (!index) {
+    Logger.log('[Similar] No portfolio index yet — building');
+    index = rebuildPortfolioIndex();
+  }
+
+  var target = _targetSimilarityFeatures(companyName, index);
+  if (!target) {
+    Logger.log('[Similar] No features for "' + companyName + '" — not in cache or bookscrub');
+    return [];
+  }
+
+  // Candidate universe: every bookscrub customer, with the portfolio row's
+  // richer vector where the account has been researched
+  var candidates = {};
+  var universe = {};
+  try {
+    universe = _bookscrubSimilarityUniverse();
+  } catch (e) {
+    Logger.log('[Similar] Bookscrub unavailable — matching researched accounts only: ' + e.message);
+  }
+  Object.keys(universe).forEach(function(name) {
+    candidates[name.toLowerCase()] = { name: name, industry: universe[name].industry, features: universe[name] };
+  });
+  var researched = 0;
+  Object.keys(index.accounts).forEach(function(name) {
+    var row = index.accounts[name];
+    if (row.isProspect || !row.similarityFeatures) return;
+    candidates[name.toLowerCase()] = { name: name, industry: row.industry || row.similarityFeatures.industry || '',
+                                       features: row.similarityFeatures };
+    researched++;
+  });
+
+  var targetKey = companyName.toLowerCase();
+  var matches = [];
+  Object.keys(candidates).forEach(function(key) {
+    if (key === targetKey) return;
+    var c = candidates[key];
+    var cmp = _compareSimilarityFeatures(target, c.features);
+    if (!cmp || cmp.score < SIMILARITY_MIN_SCORE) return;
+    matches.push({
+      name:            c.name,
+      industry:        c.industry || '',
+      score:           cmp.score,
+      matchedFeatures: cmp.matched,
+      similarity:      cmp.matched.length ? cmp.matched.join(' · ') : 'Closest overall profile'
+    });
+  });
+
+  matches.sort(function(a, b) { return b.score - a.score || a.name.localeCompare(b.name); });
+  Logger.log('[Similar] "' + companyName + '": ' + matches.length + ' comparable customers of ' +
+    Object.keys(candidates).length + ' candidates (' + researched + ' researched, ' +
+    (Object.keys(candidates).length - researched) + ' bookscrub-only)');
+  return matches.slice(0, limit);
+}
+
+/**
+ * Builds a similarity feature vector from an account's bookscrub data and
+ * enrichment. Absent metrics are null so comparisons can skip them.
+ * @param {Object} data        getCompanyData() output
+ * @param {Object} [enrichment] enrichCompanyData() output
+ * @returns {Object|null} null for prospects (no bookscrub row)
+ */
+function extractSimilarityFeatures(data, enrichment) {
+  if (!data || (data.identity && data.identity.isProspect)) return null;
+  var enr = enrichment || {};
+  var cons = data.consumption || {};
+  var seats = data.seats || {};
+  var fin = data.financial || {};
+  var positive = function(v) { return v > 0 ? v : null; };
+
+  return {
+    industry:      String((data.context && data.context.industry) || enr.secIndustry || '').trim(),
+    products:      (data.activeProducts || []).filter(function(p) { return p !== 'eSignature'; }),
+    envelopes:     positive(cons.sent365d || cons.envelopesSent),
+    seats:         positive(seats.purchased || seats.active),
+    contractValue: positive(fin.acv),
+    revenue:       positive(enr.revenue),
+    employees:     positive(enr.employees)
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────
+
+/**
+ * Feature vectors for every bookscrub customer from five columns, taking
+ * each company's first row as getCompanyData() does. Products and SEC
+ * metrics are left empty (skipped when comparing).
+ * @returns {Object<string, Object>} company name → features
+ */
+function _bookscrubSimilarityUniverse() {
+  if (_similarityUniverseCache) return _similarityUniverseCache;
+  var names = readBookscrubColumn(COMPANY_NAME_COL) || [];
+  var column = function(field) { return readBookscrubColumn(field) || []; };
+  var industry = column('INDUSTRY');
+  var sent365 = column('ENVELOPES_SENT_365_DAYS'), sent = column('ENVELOPES_SENT');
+  var seatsPurchased = column('SEATS_PURCHASED'), seatsActive = column('ACTIVE_SEATS');
+  var acv = column('ACCOUNT_ACV');
+  var positive = function(values, r) {
+    var n = _coerceBookscrubValue(values[r], 'number');
+    return n.ok && n.value > 0 ? n.value : null;
+  };
+
+  var universe = {};
+  var seen = {};
+  for (var r = 0; r < names.length; r++) {
+    var name = String(names[r]).replace(/[\u200B-\u200D\uFEFF]/g, '').trim();
+    if (!name || seen[name.toLowerCase()]) continue;
+    seen[name.toLowerCase()] = true;
+    universe[name] = {
+      industry:      String(industry[r] || '').trim(),
+      products:      [],
+      envelopes:     positive(sent365, r) || positive(sent, r),
+      seats:         positive(seatsPurchased, r) || positive(seatsActive, r),
+      contractValue: positive(acv, r),
+      revenue:       null,
+      employees:     null
+    };
+  }
+  Logger.log('[Similar] Bookscrub universe: ' + Object.keys(universe).length + ' customers');
+  _similarityUniverseCache = universe;
+  return universe;
+}
+
+/**
+ * The target account's features: its portfolio row if cached, otherwise its
+ * research cache, otherwise a fresh bookscrub read (no SEC metrics).
+ */
+function _targetSimilarityFeatures(companyName, index) {
+  var key = companyName.toLowerCase();
+  var names = Object.keys(index.accounts);
+  for (var i = 0; i < names.length; i++) {
+    if (names[i].toLowerCase() === key && index.accounts[names[i]].similarityFeatures) {
+      return index.accounts[names[i]].similarityFeatures;
+    }
+  }
+
+  var cached = getResearchCache(companyName);
+  if (cached && cached.research && cached.research.data) {
+    return extractSimilarityFeatures(cached.research.data, cached.research.enrichment);
+  }
+  try {
+    return extractSimilarityFeatures(getCompanyData(companyName));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Scores two feature vectors 0–100 and lists the features that matched.
+ * @returns {{ score: number, matched: string[] }|null} null when too few
+ *   features are present on both sides to compare
+ */
+function _compareSimilarityFeatures(a, b) {
+  var totalWeight = 0, comparedWeight = 0, weighted = 0, compared = 0;
+  var matched = [];
+
+  Object.keys(SIMILARITY_WEIGHTS).forEach(function(feature) {
+    var w = SIMILARITY_WEIGHTS[feature];
+    totalWeight += w;
+    var sim = null, detail = '';
+
+    if (feature === 'industry') {
+      if (a.industry && b.industry) {
+        sim = a.industry.toLowerCase() === b.industry.toLowerCase() ? 1 : 0;
+        detail = 'Same industry (' + b.industry + ')';
+      }
+    } else if (feature === 'products') {
+      if (a.products.length && b.products.length) {
+        var shared = a.products.filter(function(p) { return b.products.indexOf(p) !== -1; });
+        var union = a.products.length + b.products.length - shared.length;
+        sim = shared.length / union;
+        detail = 'Shares ' + shared.length + ' of ' + union + ' products (' +
+          shared.slice(0, 3).join(', ') + (shared.length > 3 ? ', …' : '') + ')';
+      }
+    } else if (a[feature] && b[feature]) {
+      sim = _logRatioSimilarity(a[feature], b[feature]);
+      detail = _describeSizeMatch(feature, a[feature], b[feature]);
+    }
+
+    if (sim === null) return;
+    compared++;
+    comparedWeight += w;
+    weighted += w * sim;
+    if (sim >= SIMILARITY_MATCH_THRESHOLD) matched.push(detail);
+  });
+
+  if (compared < SIMILARITY_MIN_FEATURES) return null;
+  // Weighted mean over the shared features, discounted by how much of the
+  // full feature set they cover
+  var coverage = comparedWeight / totalWeight;
+  var score = Math.round((weighted / comparedWeight) * (0.5 + 0.5 * coverage) * 100);
+  return { score: score, matched: matched };
+}
+
+/**
+ * 1 for equal values, 0.5 at a 10× difference, 0 at 100× or more.
+ */
+function _logRatioSimilarity(x, y) {
+  return Math.max(0, 1 - Math.abs(Math.log(x / y) / Math.LN10) / 2);
+}
+
+function _describeSizeMatch(feature, targetVal, peerVal) {
+  switch (feature) {
+    case 'envelopes':
+      return 'Similar envelope volume (' + _compactCount(peerVal) + ' vs ' + _compactCount(targetVal) + '/yr)';
+    case 'seats':
+      return 'Similar seat count (' + _compactCount(peerVal) + ' vs ' + _compactCount(targetVal) + ')';
+    case 'contractValue':
+      return 'Similar contract value (' + formatDollars(peerVal) + ' vs ' + formatDollars(targetVal) + ' ACV)';
+    case 'revenue':
+      return 'Similar revenue (' + formatDollars(peerVal) + ' vs ' + formatDollars(targetVal) + ')';
+    case 'employees':
+      return 'Similar headcount (' + _compactCount(peerVal) + ' vs ' + _compactCount(targetVal) + ')';
+  }
+  return feature;
+}
+
+/** 1234 → "1.2K", 2500000 → "2.5M". */
+function _compactCount(n) {
+  if (n >= 1e6) return (n / 1e6).toFixed(1).replace(/\.0$/, '') + 'M';
+  if (n >= 1e3) return (n / 1e3).toFixed(1).replace(/\.0$/, '') + 'K';
+  return String(Math.round(n));
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Test
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Deterministic scoring checks on hand-built vectors: industry match,
+ * product Jaccard overlap, log-ratio size similarity and the
+ * SIMILARITY_MIN_FEATURES cutoff.
+ */
+function testSimilarityScoring() {
+  var failures = [];
+  var check = function(label, ok) { if (!ok) failures.push(label); };
+
+  var near = function(a, b) { return Math.abs(a - b) < 1e-9; };
+  check('log-ratio equal', near(_logRatioSimilarity(5000, 5000), 1));
+  check('log-ratio 10×', near(_logRatioSimilarity(1000, 10000), 0.5));
+  check('log-ratio 100×', near(_logRatioSimilarity(1, 100), 0));
+
+  var target = { industry: 'Life Sciences', products: ['CLM', 'IAM', 'Navigator'], envelopes: 100000,
+                 seats: 500, contractValue: 250000, revenue: null, employees: null };
+  var peer = { industry: 'life sciences', products: ['CLM', 'IAM'], envelopes: 100000,
+               seats: 5000, contractValue: 25000, revenue: 5e9, employees: null };
+  // Compared: industry 1, products 2/3, envelopes 1, contractValue 0.5, seats 0.5 (weights 3,3,2,2,1)
+  // → 8.5 / 11, discounted by coverage 11/14 → 69
+  var cmp = _compareSimilarityFeatures(target, peer);
+  check('score 69', cmp && cmp.score === 69);
+  check('matched industry and envelopes only', cmp && cmp.matched.length === 2 &&
+    cmp.matched[0] === 'Same industry (life sciences)' && cmp.matched[1].indexOf('Similar envelope volume') === 0);
+
+  var sameProducts = JSON.parse(JSON.stringify(peer));
+  sameProducts.products = ['CLM', 'IAM', 'Navigator'];
+  var full = _compareSimilarityFeatures(target, sameProducts);
+  check('identical products match', full && full.matched.indexOf('Shares 3 of 3 products (CLM, IAM, Navigator)') !== -1);
+
+  var thin = { industry: 'Technology', products: [], envelopes: null, seats: null, contractValue: 250000,
+               revenue: null, employees: null };
+  check('below MIN_FEATURES → null', _compareSimilarityFeatures(target, thin) === null);
+
+  Logger.log(failures.length ? 'FAIL: ' + failures.join('; ') : 'PASS: similarity scoring');
+}
+
+function testSimilarCustomers() {
+  var companyName = 'Merck Sharp & Dohme LLC';
+  Logger.log('[TEST] Finding similar customers for: ' + companyName);
+  try {
+    var first = findSimilarCustomers(companyName, SIMILAR_CUSTOMER_LIMIT);
+    if (first.length === 0) { Logger.log('FAIL: no similar customers found'); return; }
+    first.forEach(function(c) {
+      Logger.log('[TEST] ' + c.score + '  ' + c.name + ' — ' + c.similarity);
+    });
+    var second = findSimilarCustomers(companyName, SIMILAR_CUSTOMER_LIMIT);
+    var same = first.map(function(c) { return c.name + c.score; }).join('|') ===
+      second.map(function(c) { return c.name + c.score; }).join('|');
+    Logger.log(same ? 'PASS: ' + first.length + ' matches, stable across runs'
+                    : 'FAIL: results differ between runs');
+  } catch (e) {
+    Logger.log('FAIL: ' + e.message);
+  }
+}
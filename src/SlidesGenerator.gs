@@ -0,0 +1,315 @@
+/**
+ * SlidesGenerator — Google Slides account strategy deck from L1/L2 cache.
+ *
+ * Slides are appended from the template presentation's layouts (see
+ * SLIDES_LAYOUTS) and filled through their title/body placeholders, so the
+ * deck picks up the template's theme, fonts and master. Without a template
+ * (SLIDES_TEMPLATE_ID unset) the default theme's predefined layouts are used.
+ *
+ * Entry point: buildSlidesDeck() — called by the slides_deck output generator.
+ */
+
+// Template layout per slide role. `name` is matched against
+// Layout.getLayoutName(); `predefined` is the fallback PredefinedLayout.
+var SLIDES_LAYOUTS = {
+  title:   { name: 'TITLE',          predefined: 'TITLE' },
+  content: { name: 'TITLE_AND_BODY', predefined: 'TITLE_AND_BODY' },
+  visual:  { name: 'TITLE_ONLY',     predefined: 'TITLE_ONLY' }
+};
+
+var SLIDES_MARGIN       = 36;   // pt, left/right inset for tables and images
+var SLIDES_CONTENT_TOP  = 100;  // pt, below the title placeholder
+var SLIDES_MAX_ROWS     = 6;    // table rows per slide (excluding header)
+var SLIDES_CELL_CHARS   = 140;  // clip long cell text so rows fit the slide
+
+/**
+ * Build the account strategy deck.
+ *
+ * @param {string} companyName
+ * @param {Object} intel     L2 intelligence (7 objects)
+ * @param {Object} research  L1 research { data, productSignals, enrichment }
+ * @returns {{ id: string, url: string, title: string, slideCount: number }}
+ */
+function buildSlidesDeck(companyName, intel, research) {
+  var data = research.data;
+  var enrichment = research.enrichment || {};
+  var isProspect = !!(data.identity && data.identity.isProspect);
+  var title = (isProspect ? '[PROSPECT] ' : '') + companyName + ' | Account Strategy Deck';
+
+  var pres = _openDeckPresentation(title);
+  var templateSlides = pres.getSlides();
+
+  _addTitleSlide(pres, companyName, isProspect);
+  _addSnapshotSlide(pres, data, intel.accountProfile || {}, enrichment);
+  if (!isProspect) _addHealthSlide(pres, data);
+  _addAgreementQuadrantSlide(pres, intel.agreementLandscape || {});
+  _addBigBetsSlide(pres, intel.bigBets || {});
+  _addPriorityMapSlide(pres, intel.priorityMap || {});
+
+  // Template sample slides go once the deck has its own
+  templateSlides.forEach(function(slide) { slide.remove(); });
+  pres.replaceAllText('{{companyName}}', companyName);
+  pres.replaceAllText('{{generatedDate}}', Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMMM d, yyyy'));
+
+  var slideCount = pres.getSlides().length;
+  pres.saveAndClose();
+  Logger.log('[Slides] Deck built for "' + companyName + '": ' + slideCount + ' slides — ' + pres.getUrl());
+  return { id: pres.getId(), url: pres.getUrl(), title: title, slideCount: slideCount };
+}
+
+// ── Presentation setup ──────────────────────────────────────────────────
+
+/**
+ * Copy the template presentation (or create a blank one) into the output folder.
+ * @param {string} title
+ * @returns {Presentation}
+ */
+function _openDeckPresentation(title) {
+  var templateId = getSlidesTemplateId();
+  var folder = null;
+  try {
+    folder = DriveApp.getFolderById(getOutputFolder());
+  } catch (e) {
+    Logger.log('[Slides] Could not open output folder: ' + e.message + '. Deck stays in root.');
+  }
+
+  if (templateId) {
+    var template = DriveApp.getFileById(templateId);
+    var copy = folder ? template.makeCopy(title, folder) : template.makeCopy(title);
+    Logger.log('[Slides] Copied template ' + templateId + ' → ' + copy.getId());
+    return SlidesApp.openById(copy.getId());
+  }
+
+  Logger.log('[Slides] No ' + PROP_SLIDES_TEMPLATE + ' set — using the default theme');
+  var pres = SlidesApp.create(title);
+  if (folder) {
+    var file = DriveApp.getFileById(pres.getId());
+    folder.addFile(file);
+    DriveApp.getRootFolder().removeFile(file);
+  }
+  return pres;
+}
+
+/**
+ * Append a slide using the template layout for a role.
+ * @param {Presentation} pres
+ * @param {string} role  Key of SLIDES_LAYOUTS
+ * @returns {Slide}
+ */
+function _appendDeckSlide(pres, role) {
+  var spec = SLIDES_LAYOUTS[role];
+  var layouts = pres.getLayouts().filter(function(l) { return l.getLayoutName() === spec.name; });
+  return pres.appendSlide(layouts.length ? layouts[0] : SlidesApp.PredefinedLayout[spec.predefined]);
+}
+
+/**
+ * Set the text of the first placeholder of the given types found on a slide.
+ * @param {Slide} slide
+ * @param {Array<string>} types  PlaceholderType names, in order of preference
+ * @param {string} text
+ * @returns {Shape|null} The placeholder shape, or null if the layout has none
+ */
+function _fillPlaceholder(slide, types, text) {
+  for (var i = 0; i < types.length; i++) {
+    var el = slide.getPlaceholder(SlidesApp.PlaceholderType[types[i]]);
+    if (el) {
+      var shape = el.asShape();
+      shape.getText().setText(text);
+      return shape;
+    }
+  }
+  return null;
+}
+
+function _setSlideTitle(slide, text) {
+  _fillPlaceholder(slide, ['TITLE', 'CENTERED_TITLE'], text);
+}
+
+/**
+ * Fill the body placeholder with one line per bullet, or add a text box
+ * when the layout has no body.
+ * @param {Presentation} pres
+ * @param {Slide} slide
+ * @param {Array<string>} lines
+ */
+function _setSlideBullets(pres, slide, lines) {
+  var text = lines.join('\n');
+  if (_fillPlaceholder(slide, ['BODY'], text)) return;
+  var box = slide.insertTextBox(text, SLIDES_MARGIN, SLIDES_CONTENT_TOP,
+    pres.getPageWidth() - SLIDES_MARGIN * 2, pres.getPageHeight() - SLIDES_CONTENT_TOP - SLIDES_MARGIN);
+  box.getText().getListStyle().applyListPreset(SlidesApp.ListPreset.DISC_CIRCLE_SQUARE);
+  box.getText().getTextStyle().setFontSize(14);
+}
+
+/**
+ * Insert a table below the title with a branded header row.
+ * @param {Presentation} pres
+ * @param {Slide} slide
+ * @param {Array<Array<string>>} rows  First row is the header
+ * @returns {Table}
+ */
+function _insertDeckTable(pres, slide, rows) {
+  var width = pres.getPageWidth() - SLIDES_MARGIN * 2;
+  var table = slide.insertTable(rows.length, rows[0].length, SLIDES_MARGIN, SLIDES_CONTENT_TOP, width, rows.length * 28);
+  rows.forEach(function(row, r) {
+    row.forEach(function(value, c) {
+      var cell = table.getCell(r, c);
+      cell.getText().setText(_clipSlideText(value));
+      var style = cell.getText().getTextStyle();
+      style.setFontSize(r === 0 ? 11 : 10);
+      if (r === 0) {
+        cell.getFill().setSolidFill(HEADER_BG);
+        style.setBold(true).setForegroundColor(HEADER_FG);
+      } else if (r % 2 === 0) {
+        cell.getFill().setSolidFill(TABLE_ALT_BG);
+      }
+    });
+  });
+  return table;
+}
+
+function _clipSlideText(value) {
+  var str = value == null ? '' : String(value);
+  return str.length > SLIDES_CELL_CHARS ? str.substring(0, SLIDES_CELL_CHARS - 1) + '…' : str;
+}
+
+// ── Slides ──────────────────────────────────────────────────────────────
+
+function _addTitleSlide(pres, companyName, isProspect) {
+  var slide = _appendDeckSlide(pres, 'title');
+  _fillPlaceholder(slide, ['CENTERED_TITLE', 'TITLE'], (isProspect ? '[PROSPECT] ' : '') + companyName);
+  _fillPlaceholder(slide, ['SUBTITLE', 'BODY'], 'Account Strategy · ' +
+    Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMMM d, yyyy'));
+}
+
+function _addSnapshotSlide(pres, data, accountProfile, enrichment) {
+  var slide = _appendDeckSlide(pres, 'content');
+  _setSlideTitle(slide, 'Company Snapshot');
+
+  var ap = accountProfile;
+  var fin = ap.financials || {};
+  var lines = [];
+  if (ap.companyOverview) lines.push(_clipSlideText(ap.companyOverview));
+  var facts = [];
+  if (data.context && data.context.industry) facts.push('Industry: ' + data.context.industry);
+  if (enrichment.headquarters) facts.push('HQ: ' + enrichment.headquarters);
+  if (enrichment.ceo) facts.push('CEO: ' + enrichment.ceo);
+  if (facts.length) lines.push(facts.join(' · '));
+  var scale = [];
+  if (fin.revenue) scale.push('Revenue ' + fin.revenue + (enrichment.filingPeriod ? ' (FY ' + enrichment.filingPeriod + ')' : ''));
+  if (ap.employeeCount && ap.employeeCount.total) scale.push(ap.employeeCount.total + ' employees');
+  if (scale.length) lines.push(scale.join(' · '));
+  var bus = (ap.businessUnits || []).map(function(bu) { return bu.name; }).filter(Boolean);
+  if (bus.length) lines.push('Business units: ' + bus.slice(0, 6).join(', ') + (bus.length > 6 ? ' (+' + (bus.length - 6) + ')' : ''));
+  if (!data.identity.isProspect && data.contract && !data.isGtmGroup) {
+    lines.push('Docusign: ' + (data.contract.plan || 'N/A') + ' · ACV $' + formatNumber(data.financial.acv) +
+      ' · renews ' + (data.contract.termEndFyq || 'N/A'));
+  }
+  _setSlideBullets(pres, slide, lines.length ? lines : ['Company profile not available.']);
+}
+
+function _addHealthSlide(pres, data) {
+  var slide = _appendDeckSlide(pres, 'visual');
+  var rows, statuses = [];
+
+  if (data.isGtmGroup && data.accounts && data.accounts.length) {
+    // Riskiest first, so the rows cut to fit the slide are the healthy ones
+    var rank = { 'At Risk': 0, 'Watch': 1 };
+    var accounts = data.accounts.map(function(acc) {
+      return { acc: acc, tiered: computeTieredStatus(analyzeAccountHealth(acc), HEALTH_INDICATOR_ORDER) };
+    }).sort(function(a, b) {
+      var ra = a.tiered.status in rank ? rank[a.tiered.status] : 2;
+      var rb = b.tiered.status in rank ? rank[b.tiered.status] : 2;
+      return ra - rb;
+    });
+    var shown = accounts.length > SLIDES_MAX_ROWS ? accounts.slice(0, SLIDES_MAX_ROWS - 1) : accounts;
+
+    rows = [['Account', 'Status', 'Key Concerns']];
+    shown.forEach(function(a) {
+      var tiered = a.tiered;
+      rows.push([a.acc.identity.name, tiered.status, tiered.criticalRedNames.concat(tiered.contextualRedNames).join(', ') || '—']);
+      statuses.push(tiered.status === 'At Risk' ? 'red' : tiered.status === 'Watch' ? 'yellow' : 'green');
+    });
+    if (shown.length < accounts.length) {
+      var more = {};
+      accounts.slice(shown.length).forEach(function(a) { more[a.tiered.status] = (more[a.tiered.status] || 0) + 1; });
+      rows.push(['+' + (accounts.length - shown.length) + ' more', '', Object.keys(more).map(function(st) {
+        return more[st] + ' ' + st;
+      }).join(', ')]);
+      statuses.push('gray');
+    }
+    _setSlideTitle(slide, 'Account Health by Account');
+  } else {
+    var health = analyzeAccountHealth(data);
+    var tiered = computeTieredStatus(health, HEALTH_INDICATOR_ORDER);
+    rows = [['Indicator', 'Status', 'Detail']];
+    HEALTH_INDICATOR_ORDER.forEach(function(ind) {
+      var h = health[ind.key];
+      if (!h) return;
+      rows.push([ind.name, h.label, h.detail]);
+      statuses.push(h.status);
+    });
+    _setSlideTitle(slide, 'Account Health — ' + tiered.status);
+  }
+
+  var table = _insertDeckTable(pres, slide, rows);
+  var fills = { green: HEALTH_GREEN, yellow: HEALTH_YELLOW, red: HEALTH_RED, gray: HEALTH_GRAY };
+  statuses.forEach(function(status, i) {
+    table.getCell(i + 1, 1).getFill().setSolidFill(fills[status] || HEALTH_GRAY);
+  });
+}
+
+function _addAgreementQuadrantSlide(pres, agreementLandscape) {
+  var agreements = agreementLandscape.agreements || [];
+  if (agreements.length === 0) return;
+
+  var slide = _appendDeckSlide(pres, 'visual');
+  _setSlideTitle(slide, 'Agreement Landscape — Volume vs Complexity');
+
+  var blob = createQuadrantChart(agreements);
+  if (blob) {
+    // Chart renders at 2:1 — fit to the content area width
+    var width = pres.getPageWidth() - SLIDES_MARGIN * 2;
+    var height = Math.min(width / 2, pres.getPageHeight() - SLIDES_CONTENT_TOP - 12);
+    slide.insertImage(blob, SLIDES_MARGIN + (width - height * 2) / 2, SLIDES_CONTENT_TOP, height * 2, height);
+    return;
+  }
+
+  Logger.log('[Slides] Quadrant chart unavailable — falling back to a table');
+  var rows = [['Agreement', 'Volume', 'Complexity', 'Quadrant']];
+  agreements.slice().sort(function(a, b) {
+    return ((Number(b.volume) || 0) + (Number(b.complexity) || 0)) - ((Number(a.volume) || 0) + (Number(a.complexity) || 0));
+  }).slice(0, SLIDES_MAX_ROWS).forEach(function(a) {
+    rows.push([extractString(a.agreementType), String(a.volume || ''), String(a.complexity || ''), getQuadrant(a.volume, a.complexity)]);
+  });
+  _insertDeckTable(pres, slide, rows);
+}
+
+function _addBigBetsSlide(pres, bigBets) {
+  var bets = (bigBets.bigBets || []).slice().sort(function(a, b) {
+    return (Number(b.opportunityScore) || 0) - (Number(a.opportunityScore) || 0);
+  }).slice(0, 3);
+  if (bets.length === 0) return;
+
+  var slide = _appendDeckSlide(pres, 'visual');
+  _setSlideTitle(slide, 'Top Big Bets');
+  var rows = [['Big Bet', 'Business Unit', 'Why Change', 'Est. Annual Value']];
+  bets.forEach(function(b, i) {
+    rows.push([(i + 1) + '. ' + (b.title || 'Initiative ' + (i + 1)), b.targetBusinessUnit || '—',
+      b.painPoint || '—', b.estimatedAnnualValue || '—']);
+  });
+  _insertDeckTable(pres, slide, rows);
+}
+
+function _addPriorityMapSlide(pres, priorityMap) {
+  var mappings = priorityMap.priorityMapping || priorityMap.priorities || [];
+  if (mappings.length === 0) return;
+
+  var slide = _appendDeckSlide(pres, 'visual');
+  _setSlideTitle(slide, 'Priority Map');
+  var rows = [['Company Priority', 'Docusign Capability', 'Business Impact']];
+  mappings.slice(0, SLIDES_MAX_ROWS).forEach(function(m) {
+    rows.push([m.companyPriority || '', m.docusignCapability || '', m.businessImpact || '']);
+  });
+  _insertDeckTable(pres, slide, rows);
+}
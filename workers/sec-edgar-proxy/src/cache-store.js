@@ -0,0 +1,104 @@
+/**
+ * Cache stores for SEC EDGAR responses.
+ *
+ * Three interchangeable backends share one interface:
+ *   get(key)              → Promise<{ value: string, storedAt: number } | null>
+ *   put(key, value, ttl)  → Promise<void>   (ttl in seconds)
+ *
+ *   - KV store      — Workers KV namespace (bind as SEC_CACHE in wrangler.toml)
+ *   - Edge store    — Cache API (caches.default), per-colo, no binding needed
+ *   - Memory store  — in-process Map; local stand-in for `wrangler dev` and tests
+ *
+ * createCacheStore() picks the best available backend for the environment.
+ */
+
+// Synthetic origin used to turn cache keys into Cache API request URLs
+const EDGE_CACHE_ORIGIN = 'https://sec-edgar-proxy.cache';
+
+// KV rejects expirationTtl below 60 seconds
+const KV_MIN_TTL = 60;
+
+/**
+ * Workers KV-backed store. Values are wrapped with their write time so
+ * responses can report data age.
+ * @param {KVNamespace} namespace
+ */
+export function createKvCacheStore(namespace) {
+  return {
+    backend: 'kv',
+    async get(key) {
+      const entry = await namespace.get(key, 'json');
+      return entry && typeof entry.value === 'string' ? entry : null;
+    },
+    async put(key, value, ttl) {
+      await namespace.put(key, JSON.stringify({ value, storedAt: Date.now() }), {
+        expirationTtl: Math.max(KV_MIN_TTL, ttl),
+      });
+    },
+  };
+}
+
+/**
+ * Cache API-backed store. Expiry is enforced by the edge via Cache-Control.
+ * @param {Cache} cache  Usually caches.default
+ */
+export function createEdgeCacheStore(cache) {
+  const requestFor = (key) => new Request(`${EDGE_CACHE_ORIGIN}/${encodeURIComponent(key)}`);
+  return {
+    backend: 'edge',
+    async get(key) {
+      const res = await cache.match(requestFor(key));
+      if (!res) return null;
+      return {
+        value: await res.text(),
+        storedAt: Number(res.headers.get('X-Stored-At')) || Date.now(),
+      };
+    },
+    async put(key, value, ttl) {
+      await cache.put(requestFor(key), new Response(value, {
+        headers: {
+          'Cache-Control': `public, max-age=${ttl}`,
+          'X-Stored-At': String(Date.now()),
+        },
+      }));
+    },
+  };
+}
+
+/**
+ * In-memory store with lazy expiry. Survives only as long as the isolate.
+ */
+export function createMemoryCacheStore() {
+  const entries = new Map();
+  return {
+    backend: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() >= entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return { value: entry.value, storedAt: entry.storedAt };
+    },
+    async put(key, value, ttl) {
+      const now = Date.now();
+      entries.set(key, { value, storedAt: now, expiresAt: now + ttl * 1000 });
+    },
+  };
+}
+
+// Fallback memory store shared across requests in a warm isolate
+let memoryStore = null;
+
+/**
+ * Pick a cache backend: KV binding → Cache API → in-memory.
+ * @param {Object} [env]  Worker environment bindings
+ * @returns {{ backend: string, get: Function, put: Function }}
+ */
+export function createCacheStore(env) {
+  if (env && env.SEC_CACHE) return createKvCacheStore(env.SEC_CACHE);
+  if (typeof caches !== 'undefined' && caches.default) return createEdgeCacheStore(caches.default);
+  if (!memoryStore) memoryStore = createMemoryCacheStore();
+  return memoryStore;
+}
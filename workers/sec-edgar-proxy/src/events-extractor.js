@@ -0,0 +1,176 @@
+/**
+ * Recent material events from SEC EDGAR submissions JSON.
+ *
+ * submissions.filings.recent lists the company's latest filings as parallel
+ * arrays (form, filingDate, items, primaryDocument, ...).  8-K filings carry
+ * comma-separated item codes ("5.02,9.01") that say what happened; this
+ * module turns those arrays into a dated event list with links to the
+ * primary documents.
+ */
+
+const SEC_ARCHIVES = 'https://www.sec.gov/Archives/edgar/data';
+
+export const DEFAULT_EVENT_MONTHS = 12;
+export const MAX_EVENT_MONTHS = 36;
+
+// Forms reported by default — current reports and their amendments
+export const DEFAULT_EVENT_FORMS = ['8-K', '8-K/A'];
+
+// 8-K item codes → label, plus a category for the items reps care most about
+const ITEM_DEFINITIONS = {
+  '1.01': { label: 'Entry into a Material Definitive Agreement', category: 'agreement' },
+  '1.02': { label: 'Termination of a Material Definitive Agreement', category: 'agreement' },
+  '1.03': { label: 'Bankruptcy or Receivership', category: 'other' },
+  '1.05': { label: 'Material Cybersecurity Incidents', category: 'other' },
+  '2.01': { label: 'Completion of Acquisition or Disposition of Assets', category: 'acquisition' },
+  '2.02': { label: 'Results of Operations and Financial Condition', category: 'earnings' },
+  '2.03': { label: 'Creation of a Direct Financial Obligation', category: 'other' },
+  '2.05': { label: 'Costs Associated with Exit or Disposal Activities', category: 'restructuring' },
+  '2.06': { label: 'Material Impairments', category: 'other' },
+  '3.01': { label: 'Notice of Delisting or Failure to Satisfy a Listing Rule', category: 'other' },
+  '3.02': { label: 'Unregistered Sales of Equity Securities', category: 'other' },
+  '3.03': { label: 'Material Modification to Rights of Security Holders', category: 'other' },
+  '4.01': { label: "Changes in Registrant's Certifying Accountant", category: 'other' },
+  '4.02': { label: 'Non-Reliance on Previously Issued Financial Statements', category: 'other' },
+  '5.01': { label: 'Changes in Control of Registrant', category: 'acquisition' },
+  '5.02': { label: 'Departure or Appointment of Directors or Officers', category: 'leadership' },
+  '5.03': { label: 'Amendments to Articles of Incorporation or Bylaws', category: 'other' },
+  '5.07': { label: 'Submission of Matters to a Vote of Security Holders', category: 'other' },
+  '7.01': { label: 'Regulation FD Disclosure', category: 'other' },
+  '8.01': { label: 'Other Events', category: 'other' },
+  '9.01': { label: 'Financial Statements and Exhibits', category: 'exhibits' },
+};
+
+// Items that make an 8-K worth a rep's attention on their own
+export const MATERIAL_EVENT_ITEMS = ['5.02', '2.01', '1.01'];
+
+/**
+ * Describe an 8-K item code.
+ * @param {string} code  e.g. "5.02"
+ * @returns {{ code: string, label: string, category: string }}
+ */
+export function describeItem(code) {
+  const def = ITEM_DEFINITIONS[code];
+  return {
+    code,
+    label: def ? def.label : `Item ${code}`,
+    category: def ? def.category : 'other',
+  };
+}
+
+/**
+ * ISO date (YYYY-MM-DD) `months` before `now`.
+ * @param {Date} now
+ * @param {number} months
+ * @returns {string}
+ */
+function monthsBefore(now, months) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months, now.getUTCDate()));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * List recent filings from a submissions JSON, newest first.
+ *
+ * @param {Object} submissions  SEC submissions JSON
+ * @param {Object} [options]
+ * @param {number} [options.months]    Look-back window (default 12)
+ * @param {string[]} [options.forms]   Forms to include (default 8-K, 8-K/A)
+ * @param {string[]} [options.items]   Only filings reporting at least one of these item codes
+ * @param {Date} [options.now]         Reference date (for testing)
+ * @returns {{ since: string, events: Array<{ form: string, filingDate: string, reportDate: string|null, accessionNumber: string, items: Array<{ code: string, label: string, category: string }>, material: boolean, description: string|null, documentUrl: string|null, filingIndexUrl: string }> }}
+ */
+export function extractRecentEvents(submissions, options = {}) {
+  const months = options.months || DEFAULT_EVENT_MONTHS;
+  const forms = new Set(options.forms && options.forms.length ? options.forms : DEFAULT_EVENT_FORMS);
+  const itemFilter = options.items && options.items.length ? new Set(options.items) : null;
+  const since = monthsBefore(options.now || new Date(), months);
+
+  const recent = submissions && submissions.filings && submissions.filings.recent;
+  if (!recent || !recent.form) return { since, events: [] };
+
+  const cikClean = String(submissions.cik || '').replace(/^0+/, '');
+  const events = [];
+
+  for (let i = 0; i < recent.form.length; i++) {
+    const filingDate = recent.filingDate[i];
+    if (!filingDate || filingDate < since) continue;
+    if (!forms.has(recent.form[i])) continue;
+
+    const codes = String((recent.items && recent.items[i]) || '')
+      .split(',')
+      .map((c) => c.trim())
+      .filter(Boolean);
+    if (itemFilter && !codes.some((c) => itemFilter.has(c))) continue;
+
+    const accessionNumber = recent.accessionNumber[i];
+    const folder = `${SEC_ARCHIVES}/${cikClean}/${accessionNumber.replace(/-/g, '')}`;
+    const primaryDocument = recent.primaryDocument ? recent.primaryDocument[i] : null;
+
+    events.push({
+      form: recent.form[i],
+      filingDate,
+      reportDate: (recent.reportDate && recent.reportDate[i]) || null,
+      accessionNumber,
+      items: codes.map(describeItem),
+      material: codes.some((c) => MATERIAL_EVENT_ITEMS.includes(c)),
+      description: (recent.primaryDocDescription && recent.primaryDocDescription[i]) || null,
+      documentUrl: primaryDocument ? `${folder}/${primaryDocument}` : null,
+      filingIndexUrl: `${folder}/${accessionNumber}-index.htm`,
+    });
+  }
+
+  events.sort((a, b) => (a.filingDate < b.filingDate ? 1 : a.filingDate > b.filingDate ? -1 : 0));
+  return { since, events };
+}
+
+/**
+ * Count events per item code and per category.
+ * @param {Array} events  Output of extractRecentEvents().events
+ * @returns {{ total: number, material: number, byItem: Object<string, number>, byCategory: Object<string, number> }}
+ */
+export function summarizeEvents(events) {
+  const byItem = {};
+  const byCategory = {};
+  for (const event of events) {
+    for (const item of event.items) {
+      byItem[item.code] = (byItem[item.code] || 0) + 1;
+      byCategory[item.category] = (byCategory[item.category] || 0) + 1;
+    }
+  }
+  return {
+    total: events.length,
+    material: events.filter((e) => e.material).length,
+    byItem,
+    byCategory,
+  };
+}
+
+/**
+ * Describe one filing from submissions JSON, with links to its documents.
+ * Used to cite the 10-K behind the reported annual figures.
+ *
+ * @param {Object} submissions      SEC submissions JSON
+ * @param {string} accessionNumber  Dashed accession number ("0000320193-23-000106")
+ * @returns {{ form: string, accessionNumber: string, filingDate: string, reportDate: string|null, documentUrl: string|null, filingIndexUrl: string } | null}
+ *          null if the filing isn't in the submissions' recent list
+ */
+export function describeFiling(submissions, accessionNumber) {
+  const recent = submissions && submissions.filings && submissions.filings.recent;
+  if (!recent || !recent.accessionNumber || !accessionNumber) return null;
+
+  const i = recent.accessionNumber.indexOf(accessionNumber);
+  if (i === -1) return null;
+
+  const cikClean = String(submissions.cik || '').replace(/^0+/, '');
+  const folder = `${SEC_ARCHIVES}/${cikClean}/${accessionNumber.replace(/-/g, '')}`;
+  const primaryDocument = recent.primaryDocument ? recent.primaryDocument[i] : null;
+  return {
+    form: recent.form[i],
+    accessionNumber,
+    filingDate: recent.filingDate[i],
+    reportDate: (recent.reportDate && recent.reportDate[i]) || null,
+    documentUrl: primaryDocument ? `${folder}/${primaryDocument}` : null,
+    filingIndexUrl: `${folder}/${accessionNumber}-index.htm`,
+  };
+}
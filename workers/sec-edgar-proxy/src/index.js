@@ -1,70 +1,178 @@
-import { extractAllMetrics } from './xbrl-extractor.js';
-import { fetchSegmentRevenue } from './segment-extractor.js';
+import {
+  extractAllMetrics,
+  extractConsolidatedRevenue,
+  extractFinancialHistory,
+  extractTtmMetrics,
+  MAX_HISTORY_YEARS,
+} from './xbrl-extractor.js';
+import { fetchSegments } from './segment-extractor.js';
+import { extractRecentEvents, summarizeEvents, describeFiling, MAX_EVENT_MONTHS, DEFAULT_EVENT_MONTHS } from './events-extractor.js';
+import {
+  fetchSicIndex,
+  summarizeCompany,
+  currentPeers,
+  rankAgainstPeers,
+  selectPeersBySize,
+  DEFAULT_PEER_LIMIT,
+  MAX_PEER_LIMIT,
+  PEER_POOL_FACTOR,
+  PEER_COLD_FETCH_LIMIT,
+} from './peer-benchmark.js';
+import { createCacheStore } from './cache-store.js';
+import { createSecClient, CACHE_TTL } from './sec-client.js';
+import { normalizeCompanyName, rankCandidates, DEFAULT_MATCH_THRESHOLD } from './name-resolver.js';
 
 const SEC_BASE = 'https://data.sec.gov';
-const SEC_USER_AGENT = 'GrowthStrategy growth-strategy@docusign.com';
+const SEC_ARCHIVES_PREFIX = 'https://www.sec.gov/Archives/edgar/data/';
+const SEC_TICKERS_URL = 'https://www.sec.gov/files/company_tickers.json';
+const SEC_ENTITY_SEARCH_URL = 'https://efts.sec.gov/LATEST/search-index';
+
+// POST /batch limits. A cold item costs about 5 SEC subrequests (submissions,
+// companyfacts, filing index, instance document, plus the ticker index or an
+// entity search), so 8 cold items stay under the free plan's 50 per request.
+// BatchRunner chunks are at most 6 companies.
+const BATCH_MAX_ITEMS = 8;
+const BATCH_CONCURRENCY = 4;
+
+// Peer companyfacts fetched in parallel for GET /peers
+const PEER_CONCURRENCY = 4;
+
+// Preference order for the primary segment axis reported as `segmentType`
+const SEGMENT_AXIS_ORDER = ['business', 'geographic', 'product'];
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Expose-Headers': 'X-Cache, X-Cache-Backend, X-Cache-Hits, X-Cache-Misses, X-Data-Fetched-At, Age',
 };
 
 /**
- * Fetch JSON from SEC EDGAR with the required User-Agent header.
+ * Build a text fetcher for filing archive URLs, cached by CIK + accession.
+ * Archive paths look like /Archives/edgar/data/{cik}/{accession}/{file},
+ * and everything under an accession is immutable once filed.
+ * @param {Object} client  From createSecClient()
+ * @returns {Function} async (url) → string
  */
-async function fetchSec(url) {
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': SEC_USER_AGENT,
-      'Accept': 'application/json',
-    },
-  });
-  if (!res.ok) {
-    const err = new Error(`SEC returned ${res.status} for ${url}`);
-    err.status = res.status;
-    throw err;
-  }
-  return res.json();
+function archiveTextFetcher(client) {
+  return (url) => {
+    const path = url.startsWith(SEC_ARCHIVES_PREFIX) ? url.slice(SEC_ARCHIVES_PREFIX.length) : url;
+    const ttl = path.endsWith('index.json') ? CACHE_TTL.filingIndex : CACHE_TTL.filingDocument;
+    return client.text('archive:' + path, url, ttl);
+  };
 }
 
+// Cache ticker → CIK index and company list in memory across warm Worker instances
+let companyIndex = null;
+
 /**
- * Fetch text (XML/HTML) from SEC EDGAR with the required User-Agent header.
+ * Load SEC's company_tickers.json and build a ticker → CIK lookup plus a
+ * pre-normalized company list for name matching.
+ * Memoized in module scope for warm Worker invocations and backed by the
+ * cache store across cold starts.
+ * @param {Object} client  From createSecClient()
+ * @returns {Promise<{ byTicker: Object<string, string>, entries: Array<Object> }>}
  */
-async function fetchSecText(url) {
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': SEC_USER_AGENT,
-      'Accept': 'text/xml, application/xml, text/html, */*',
-    },
-  });
-  if (!res.ok) {
-    throw new Error(`SEC returned ${res.status} for ${url}`);
+async function getCompanyIndex(client) {
+  if (companyIndex) return companyIndex;
+
+  const data = await client.json('tickers', SEC_TICKERS_URL, CACHE_TTL.tickers);
+  const index = { byTicker: {}, entries: [] };
+  for (const entry of Object.values(data)) {
+    const cik = String(entry.cik_str);
+    const ticker = entry.ticker.toUpperCase();
+    index.byTicker[ticker] = cik;
+    index.entries.push({ cik, ticker, title: entry.title, normalized: normalizeCompanyName(entry.title) });
   }
-  return res.text();
+  companyIndex = index;
+  return companyIndex;
 }
 
-// Cache ticker→CIK map in memory across warm Worker instances
-let tickerMap = null;
+/**
+ * Search EDGAR's entity index for filers that have no ticker (private
+ * subsidiaries, debt-only issuers).  Best-effort — returns [] on failure.
+ * @param {Object} client
+ * @param {string} name
+ * @returns {Promise<Array<{ cik: string, title: string, ticker: string|null }>>}
+ */
+async function searchSecEntities(client, name) {
+  const core = normalizeCompanyName(name).core;
+  if (!core) return [];
+  try {
+    const data = await client.json(
+      `entity-search:${core}`,
+      `${SEC_ENTITY_SEARCH_URL}?keysTyped=${encodeURIComponent(core)}`,
+      CACHE_TTL.entitySearch
+    );
+    const hits = (data && data.hits && data.hits.hits) || [];
+    return hits
+      .map((hit) => {
+        const src = hit._source || {};
+        const title = src.entity || src.entity_name || (src.display_names && src.display_names[0]) || '';
+        const ticker = src.tickers ? String(src.tickers).split(',')[0].trim() : null;
+        return { cik: String(hit._id || src.cik || '').replace(/^0+/, ''), title, ticker };
+      })
+      .filter((e) => e.cik && e.title);
+  } catch (e) {
+    console.log('[Resolve] Entity search failed: ' + e.message);
+    return [];
+  }
+}
 
 /**
- * Load SEC's company_tickers.json and build a ticker → CIK lookup.
- * Cached in module scope for warm Worker invocations.
+ * Rank SEC filers against a company name and decide whether the best
+ * candidate can be auto-accepted.
+ * @param {Object} client
+ * @param {string} name
+ * @param {number} threshold  Minimum confidence for auto-accept (0–1)
+ * @returns {Promise<{ query: string, threshold: number, accepted: Object|null, candidates: Array<Object> }>}
  */
-async function getTickerMap() {
-  if (tickerMap) return tickerMap;
+async function resolveName(client, name, threshold) {
+  const index = await getCompanyIndex(client);
+  let candidates = rankCandidates(name, index.entries);
 
-  const res = await fetch('https://www.sec.gov/files/company_tickers.json', {
-    headers: { 'User-Agent': SEC_USER_AGENT, 'Accept': 'application/json' },
-  });
-  if (!res.ok) throw new Error(`SEC returned ${res.status} for company_tickers.json`);
+  // Only hit the entity search when the ticker list has no confident match
+  if (!candidates.length || candidates[0].confidence < threshold) {
+    const extra = await searchSecEntities(client, name);
+    if (extra.length) candidates = rankCandidates(name, index.entries.concat(extra));
+  }
 
-  const data = await res.json();
-  tickerMap = {};
-  for (const entry of Object.values(data)) {
-    tickerMap[entry.ticker.toUpperCase()] = String(entry.cik_str);
+  const top = candidates[0];
+  const accepted = top && top.confidence >= threshold &&
+    // Refuse to auto-pick between two equally good candidates
+    !(candidates[1] && candidates[1].confidence === top.confidence)
+    ? top
+    : null;
+
+  return { query: name, threshold, accepted, candidates };
+}
+
+/**
+ * Parse a ?threshold= / batch threshold value.
+ * @param {*} raw
+ * @returns {number}
+ */
+function parseThreshold(raw) {
+  if (raw === null || raw === undefined || raw === '') return DEFAULT_MATCH_THRESHOLD;
+  const threshold = Number(raw);
+  if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    throw httpError(400, 'threshold must be a number between 0 and 1');
+  }
+  return threshold;
+}
+
+/**
+ * Per-item threshold for batch lookups — invalid values fall back to the batch default.
+ * @param {*} raw
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseThresholdOrDefault(raw, fallback) {
+  try {
+    return raw === undefined ? fallback : parseThreshold(raw);
+  } catch (e) {
+    return fallback;
   }
-  return tickerMap;
 }
 
 /**
@@ -75,83 +183,519 @@ function padCik(cik) {
 }
 
 /**
- * Return a JSON Response with CORS headers.
+ * Build an Error carrying the HTTP status to report for it.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
  */
-function jsonResponse(body, status = 200) {
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Return a JSON Response with CORS headers (plus any extra headers, e.g. cache status).
+ */
+function jsonResponse(body, status = 200, extraHeaders = {}) {
   return new Response(JSON.stringify(body), {
     status,
-    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS, ...extraHeaders },
+  });
+}
+
+/**
+ * Validate a history year count (from ?history= or a batch body).
+ * @param {*} raw
+ * @returns {number}  0 when not requested
+ */
+function parseHistoryYears(raw) {
+  if (raw === null || raw === undefined) return 0;
+  const years = parseInt(raw, 10);
+  if (isNaN(years) || years < 1 || years > MAX_HISTORY_YEARS) {
+    throw httpError(400, `history must be an integer between 1 and ${MAX_HISTORY_YEARS}`);
+  }
+  return years;
+}
+
+/**
+ * Validate an event look-back window in months (from ?months=).
+ * @param {string|null} raw
+ * @returns {number}
+ */
+function parseEventMonths(raw) {
+  if (raw === null || raw === undefined) return DEFAULT_EVENT_MONTHS;
+  const months = parseInt(raw, 10);
+  if (isNaN(months) || months < 1 || months > MAX_EVENT_MONTHS) {
+    throw httpError(400, `months must be an integer between 1 and ${MAX_EVENT_MONTHS}`);
+  }
+  return months;
+}
+
+/**
+ * Validate a peer count (from ?limit=).
+ * @param {string|null} raw
+ * @returns {number}
+ */
+function parsePeerLimit(raw) {
+  if (raw === null || raw === undefined) return DEFAULT_PEER_LIMIT;
+  const limit = parseInt(raw, 10);
+  if (isNaN(limit) || limit < 1 || limit > MAX_PEER_LIMIT) {
+    throw httpError(400, `limit must be an integer between 1 and ${MAX_PEER_LIMIT}`);
+  }
+  return limit;
+}
+
+/**
+ * Split a comma-separated query parameter (?forms=8-K,10-K, ?items=5.02,2.01).
+ * @param {string|null} raw
+ * @returns {string[]}  Empty when absent
+ */
+function parseList(raw) {
+  if (!raw) return [];
+  return raw.split(',').map((s) => s.trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Resolve a lookup (cik, ticker or company name) to a CIK.
+ * Name lookups are fuzzy-matched; below the threshold the call fails with
+ * status 300 and the ranked candidates so the caller can pick one.
+ * @param {Object} client
+ * @param {{ cik?: string, ticker?: string, name?: string, threshold?: number }} lookup
+ * @returns {Promise<{ cik: string, nameMatch: Object|null }>}  Unpadded CIK
+ */
+async function resolveCik(client, lookup) {
+  if (lookup.cik) return { cik: String(lookup.cik), nameMatch: null };
+  if (!lookup.ticker && !lookup.name) {
+    throw httpError(400, 'Missing required parameter: cik, ticker or name');
+  }
+
+  let index;
+  try {
+    index = await getCompanyIndex(client);
+  } catch (e) {
+    console.error('Failed to load ticker map:', e.message);
+    throw httpError(502, 'Failed to load SEC ticker data');
+  }
+
+  if (lookup.ticker) {
+    const cik = index.byTicker[String(lookup.ticker).toUpperCase()];
+    if (!cik) throw httpError(404, `Ticker "${lookup.ticker}" not found in SEC database`);
+    return { cik, nameMatch: null };
+  }
+
+  const match = await resolveName(client, lookup.name, lookup.threshold || DEFAULT_MATCH_THRESHOLD);
+  if (!match.accepted) {
+    const err = match.candidates.length
+      ? httpError(300, `No confident SEC match for "${lookup.name}" — pick a candidate CIK`)
+      : httpError(404, `Company "${lookup.name}" not found in SEC database`);
+    err.candidates = match.candidates;
+    throw err;
+  }
+  return {
+    cik: match.accepted.cik,
+    nameMatch: {
+      query: match.query,
+      matchedName: match.accepted.name,
+      confidence: match.accepted.confidence,
+      candidates: match.candidates,
+    },
+  };
+}
+
+/**
+ * Fetch and extract everything the proxy reports for one company.
+ *
+ * @param {Object} client
+ * @param {{ cik?: string, ticker?: string, name?: string }} lookup
+ * @param {number} historyYears  0 to skip the history series
+ * @returns {Promise<Object>}  Response body; throws an Error with `status` on failure
+ */
+async function lookupCompany(client, lookup, historyYears) {
+  const { cik, nameMatch } = await resolveCik(client, lookup);
+  const paddedCik = padCik(cik);
+  const ticker = lookup.ticker || null;
+
+  // Fetch companyfacts (XBRL) and submissions in parallel
+  let companyfacts, submissions;
+  try {
+    [companyfacts, submissions] = await Promise.all([
+      client.json(`companyfacts:${paddedCik}`, `${SEC_BASE}/api/xbrl/companyfacts/CIK${paddedCik}.json`, CACHE_TTL.companyfacts),
+      client.json(`submissions:${paddedCik}`, `${SEC_BASE}/submissions/CIK${paddedCik}.json`, CACHE_TTL.submissions),
+    ]);
+  } catch (e) {
+    console.error('SEC fetch failed:', e.message);
+    if (e.status === 404) {
+      throw httpError(404, `CIK ${paddedCik} not found on SEC EDGAR`);
+    }
+    throw httpError(502, 'SEC EDGAR request failed: ' + e.message);
+  }
+
+  // Extract metrics from XBRL — latest 10-K plus TTM rolled forward from 10-Qs
+  const { financials, filingPeriod } = extractAllMetrics(companyfacts);
+  const ttm = extractTtmMetrics(companyfacts);
+
+  const consolidated = extractConsolidatedRevenue(companyfacts);
+
+  // Extract segment disclosures (business / geographic / product axes) from
+  // the 10-K XBRL instance document, reconciled against consolidated revenue
+  const segments = await fetchSegments(
+    paddedCik, submissions, archiveTextFetcher(client), null, consolidated
+  );
+  const segmentType = SEGMENT_AXIS_ORDER.find((axis) => segments[axis]) || null;
+
+  // The 10-K the annual figures come from — the filing that reported the
+  // latest fiscal year's consolidated revenue
+  const latestRevenue = consolidated.length ? consolidated[consolidated.length - 1] : null;
+  const annualFiling = latestRevenue ? describeFiling(submissions, latestRevenue.accession) : null;
+
+  const result = {
+    cik: paddedCik,
+    entityName: (companyfacts.entityName || submissions.name || '').toUpperCase(),
+    ticker: ticker ? ticker.toUpperCase() : (submissions.tickers && submissions.tickers[0]) || null,
+    sicDescription: submissions.sicDescription || null,
+    filingPeriod,
+    financials,
+    annual: { fiscalYear: filingPeriod, financials },
+    ttm,
+    segments,
+    segmentType,
+    source: {
+      companyfactsUrl: `${SEC_BASE}/api/xbrl/companyfacts/CIK${paddedCik}.json`,
+      annualFiling,
+      retrievedAt: client.fetchedAt(`companyfacts:${paddedCik}`),
+    },
+  };
+
+  if (historyYears > 0) {
+    result.history = extractFinancialHistory(companyfacts, historyYears);
+  }
+
+  if (nameMatch) {
+    result.nameMatch = nameMatch;
+  }
+
+  return result;
+}
+
+/**
+ * List recent filings (8-Ks by default) for one company.
+ *
+ * @param {Object} client
+ * @param {{ cik?: string, ticker?: string, name?: string }} lookup
+ * @param {{ months: number, forms: string[], items: string[] }} options
+ * @returns {Promise<Object>}  Response body; throws an Error with `status` on failure
+ */
+async function lookupEvents(client, lookup, options) {
+  const { cik, nameMatch } = await resolveCik(client, lookup);
+  const paddedCik = padCik(cik);
+
+  let submissions;
+  try {
+    submissions = await client.json(`submissions:${paddedCik}`, `${SEC_BASE}/submissions/CIK${paddedCik}.json`, CACHE_TTL.submissions);
+  } catch (e) {
+    console.error('SEC submissions fetch failed:', e.message);
+    if (e.status === 404) {
+      throw httpError(404, `CIK ${paddedCik} not found on SEC EDGAR`);
+    }
+    throw httpError(502, 'SEC EDGAR request failed: ' + e.message);
+  }
+
+  const { since, events } = extractRecentEvents(submissions, options);
+  const result = {
+    cik: paddedCik,
+    entityName: (submissions.name || '').toUpperCase(),
+    ticker: (lookup.ticker && lookup.ticker.toUpperCase()) || (submissions.tickers && submissions.tickers[0]) || null,
+    since,
+    months: options.months,
+    events,
+    summary: summarizeEvents(events),
+  };
+  if (nameMatch) result.nameMatch = nameMatch;
+  return result;
+}
+
+/**
+ * Benchmark one company against peers sharing its SIC code.
+ *
+ * Candidates come from the cached SIC index, preferring companies with an
+ * exchange ticker (active filers); each peer's metrics are a cached summary
+ * of its latest 10-K.  Only PEER_COLD_FETCH_LIMIT uncached summaries are
+ * fetched per request — the rest are counted in `pendingPeers` and the
+ * response is marked `partial`.  Of the summaries at hand, the `limit`
+ * closest to the subject by revenue are ranked against.  Peers whose data
+ * can't be fetched, or whose latest 10-K is stale relative to the
+ * subject's, are left out.  A failed fetch is cached as an empty summary
+ * for CACHE_TTL.peerFailure so the same peers don't take the cold-fetch
+ * slots on every request.
+ *
+ * @param {Object} client
+ * @param {{ cik?: string, ticker?: string, name?: string }} lookup
+ * @param {number} limit  Max peers to benchmark against
+ * @returns {Promise<Object>}  Response body; throws an Error with `status` on failure
+ */
+async function lookupPeers(client, lookup, limit) {
+  const { cik, nameMatch } = await resolveCik(client, lookup);
+  const paddedCik = padCik(cik);
+
+  let companyfacts, submissions;
+  try {
+    [companyfacts, submissions] = await Promise.all([
+      client.json(`companyfacts:${paddedCik}`, `${SEC_BASE}/api/xbrl/companyfacts/CIK${paddedCik}.json`, CACHE_TTL.companyfacts),
+      client.json(`submissions:${paddedCik}`, `${SEC_BASE}/submissions/CIK${paddedCik}.json`, CACHE_TTL.submissions),
+    ]);
+  } catch (e) {
+    console.error('SEC fetch failed:', e.message);
+    if (e.status === 404) {
+      throw httpError(404, `CIK ${paddedCik} not found on SEC EDGAR`);
+    }
+    throw httpError(502, 'SEC EDGAR request failed: ' + e.message);
+  }
+
+  const sic = submissions.sic ? String(submissions.sic) : null;
+  if (!sic) throw httpError(404, `No SIC code on file for CIK ${paddedCik}`);
+
+  const subject = summarizeCompany(companyfacts, paddedCik);
+
+  let sicCompanies;
+  try {
+    sicCompanies = await fetchSicIndex(client, sic);
+  } catch (e) {
+    throw httpError(502, `SIC ${sic} company list unavailable: ` + e.message);
+  }
+
+  // Listed companies first — delisted shells rarely have current 10-Ks
+  const tickers = await getCompanyIndex(client);
+  const listed = new Set(tickers.entries.map((e) => e.cik));
+  const pool = sicCompanies
+    .filter((c) => padCik(c.cik) !== paddedCik)
+    .sort((a, b) => Number(listed.has(b.cik)) - Number(listed.has(a.cik)))
+    .slice(0, limit * PEER_POOL_FACTOR);
+
+  const cached = await mapWithConcurrency(pool, PEER_CONCURRENCY, (c) => client.peek(`peer-metrics:${padCik(c.cik)}`));
+  const cold = pool.filter((c, i) => !cached[i]);
+  const fetched = await mapWithConcurrency(cold.slice(0, PEER_COLD_FETCH_LIMIT), PEER_CONCURRENCY, async (c) => {
+    const peerCik = padCik(c.cik);
+    const emptySummary = { cik: peerCik, name: c.name, filingPeriod: null, metrics: {} };
+    try {
+      return await client.memo(`peer-metrics:${peerCik}`, CACHE_TTL.peerMetrics, async () => {
+        try {
+          return summarizeCompany(
+            await client.json(`companyfacts:${peerCik}`, `${SEC_BASE}/api/xbrl/companyfacts/CIK${peerCik}.json`, CACHE_TTL.companyfacts),
+            peerCik
+          );
+        } catch (e) {
+          // No XBRL financials: cache an empty summary so the slot isn't retried every request
+          if (e.status === 404) return emptySummary;
+          throw e;
+        }
+      });
+    } catch (e) {
+      console.log(`[Peers] Skipping ${peerCik} for ${CACHE_TTL.peerFailure}s: ${e.message}`);
+      client.remember(`peer-metrics:${peerCik}`, emptySummary, CACHE_TTL.peerFailure);
+      return null;
+    }
+  });
+  const pendingPeers = Math.max(0, cold.length - PEER_COLD_FETCH_LIMIT);
+  if (pendingPeers) console.log(`[Peers] SIC ${sic}: ${pendingPeers} peer summaries left for later requests`);
+
+  const summaries = cached.concat(fetched).filter(Boolean);
+  const peers = selectPeersBySize(subject, currentPeers(summaries, subject.filingPeriod), limit);
+
+  const result = {
+    cik: paddedCik,
+    entityName: (companyfacts.entityName || submissions.name || '').toUpperCase(),
+    sic,
+    sicDescription: submissions.sicDescription || null,
+    filingPeriod: subject.filingPeriod,
+    sicCompanyCount: sicCompanies.length,
+    peerPoolSize: pool.length,
+    pendingPeers,
+    partial: pendingPeers > 0,
+    peerCount: peers.length,
+    metrics: rankAgainstPeers(subject, peers),
+    peers: peers.map((p) => ({ cik: p.cik, name: p.name, filingPeriod: p.filingPeriod, ...p.metrics })),
+  };
+  if (nameMatch) result.nameMatch = nameMatch;
+  return result;
+}
+
+/**
+ * Run fn over items with at most `limit` in flight; preserves input order.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn  async (item, index) → result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
   });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Normalize one batch item.  Accepts { cik | ticker | name } objects or bare
+ * strings (all-digit strings are CIKs, anything else is treated as a ticker).
+ * @param {*} item
+ * @returns {{ cik?: string, ticker?: string, name?: string }}
+ */
+function parseBatchItem(item) {
+  if (typeof item === 'string' || typeof item === 'number') {
+    const str = String(item).trim();
+    return /^\d+$/.test(str) ? { cik: str } : { ticker: str };
+  }
+  if (item && typeof item === 'object') {
+    const lookup = {};
+    if (item.cik) lookup.cik = String(item.cik);
+    if (item.ticker) lookup.ticker = String(item.ticker);
+    if (item.name) lookup.name = String(item.name);
+    if (item.threshold) lookup.threshold = item.threshold;
+    return lookup;
+  }
+  return {};
+}
+
+/**
+ * POST /batch — look up many companies in one call.
+ *
+ * Body: { items: Array<{ cik?, ticker?, name?, threshold? } | string>, history?: number, threshold?: number }
+ * Each item succeeds or fails independently; the call itself only fails on
+ * a malformed body.
+ */
+async function handleBatch(request, client) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: 'Request body must be JSON' }, 400);
+  }
+
+  const items = payload && payload.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    return jsonResponse({ error: 'Body must include a non-empty "items" array' }, 400);
+  }
+  if (items.length > BATCH_MAX_ITEMS) {
+    return jsonResponse({ error: `Batch is limited to ${BATCH_MAX_ITEMS} items` }, 400);
+  }
+
+  let historyYears, threshold;
+  try {
+    historyYears = parseHistoryYears(payload.history);
+    threshold = parseThreshold(payload.threshold);
+  } catch (e) {
+    return jsonResponse({ error: e.message }, e.status);
+  }
+
+  const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item) => {
+    const lookup = parseBatchItem(item);
+    if (lookup.name) lookup.threshold = parseThresholdOrDefault(lookup.threshold, threshold);
+    try {
+      return { input: item, ok: true, data: await lookupCompany(client, lookup, historyYears) };
+    } catch (e) {
+      const error = { status: e.status || 500, message: e.message };
+      if (e.candidates) error.candidates = e.candidates;
+      return { input: item, ok: false, error };
+    }
+  });
+
+  const succeeded = results.filter((r) => r.ok).length;
+  return jsonResponse({
+    results,
+    summary: { requested: items.length, succeeded, failed: items.length - succeeded },
+  }, 200, client.cacheHeaders());
 }
 
 export default {
-  async fetch(request) {
+  async fetch(request, env, ctx) {
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return new Response(null, { status: 204, headers: CORS_HEADERS });
     }
 
+    const url = new URL(request.url);
+    const client = createSecClient(createCacheStore(env), ctx);
+
+    if (url.pathname === '/batch') {
+      if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+      return handleBatch(request, client);
+    }
+
     if (request.method !== 'GET') {
       return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
-    const url = new URL(request.url);
-    let cik = url.searchParams.get('cik');
-    let ticker = url.searchParams.get('ticker');
-
-    // Resolve ticker → CIK if no CIK provided
-    if (!cik && ticker) {
+    // GET /resolve?name= — ranked CIK candidates only, no financials
+    if (url.pathname === '/resolve') {
+      const name = url.searchParams.get('name');
+      if (!name) return jsonResponse({ error: 'Missing required parameter: name' }, 400);
       try {
-        const map = await getTickerMap();
-        cik = map[ticker.toUpperCase()];
-        if (!cik) {
-          return jsonResponse({ error: `Ticker "${ticker}" not found in SEC database` }, 404);
-        }
+        const match = await resolveName(client, name, parseThreshold(url.searchParams.get('threshold')));
+        return jsonResponse(match, 200, client.cacheHeaders());
       } catch (e) {
-        console.error('Failed to load ticker map:', e.message);
-        return jsonResponse({ error: 'Failed to load SEC ticker data' }, 502);
+        return jsonResponse({ error: e.message }, e.status || 502);
       }
     }
 
-    if (!cik) {
-      return jsonResponse({ error: 'Missing required parameter: cik or ticker' }, 400);
+    // GET /events?cik|ticker|name&months=12&forms=8-K&items=5.02,2.01 — recent filings by form and item code
+    if (url.pathname === '/events') {
+      try {
+        const result = await lookupEvents(client, {
+          cik: url.searchParams.get('cik'),
+          ticker: url.searchParams.get('ticker'),
+          name: url.searchParams.get('name'),
+          threshold: parseThreshold(url.searchParams.get('threshold')),
+        }, {
+          months: parseEventMonths(url.searchParams.get('months')),
+          forms: parseList(url.searchParams.get('forms')),
+          items: parseList(url.searchParams.get('items')),
+        });
+        return jsonResponse(result, 200, client.cacheHeaders());
+      } catch (e) {
+        const body = { error: e.message };
+        if (e.candidates) body.candidates = e.candidates;
+        return jsonResponse(body, e.status || 500);
+      }
     }
 
-    const paddedCik = padCik(cik);
+    // GET /peers?cik|ticker|name&limit=40 — percentile ranks against SIC peers
+    if (url.pathname === '/peers') {
+      try {
+        const result = await lookupPeers(client, {
+          cik: url.searchParams.get('cik'),
+          ticker: url.searchParams.get('ticker'),
+          name: url.searchParams.get('name'),
+          threshold: parseThreshold(url.searchParams.get('threshold')),
+        }, parsePeerLimit(url.searchParams.get('limit')));
+        return jsonResponse(result, 200, client.cacheHeaders());
+      } catch (e) {
+        const body = { error: e.message };
+        if (e.candidates) body.candidates = e.candidates;
+        return jsonResponse(body, e.status || 500);
+      }
+    }
 
-    // Fetch companyfacts (XBRL) and submissions in parallel
-    let companyfacts, submissions;
     try {
-      [companyfacts, submissions] = await Promise.all([
-        fetchSec(`${SEC_BASE}/api/xbrl/companyfacts/CIK${paddedCik}.json`),
-        fetchSec(`${SEC_BASE}/submissions/CIK${paddedCik}.json`),
-      ]);
+      const historyYears = parseHistoryYears(url.searchParams.get('history'));
+      const result = await lookupCompany(client, {
+        cik: url.searchParams.get('cik'),
+        ticker: url.searchParams.get('ticker'),
+        name: url.searchParams.get('name'),
+        threshold: parseThreshold(url.searchParams.get('threshold')),
+      }, historyYears);
+      return jsonResponse(result, 200, client.cacheHeaders());
     } catch (e) {
-      console.error('SEC fetch failed:', e.message);
-      if (e.status === 404) {
-        return jsonResponse({ error: `CIK ${paddedCik} not found on SEC EDGAR` }, 404);
-      }
-      return jsonResponse({ error: 'SEC EDGAR request failed: ' + e.message }, 502);
+      const body = { error: e.message };
+      if (e.candidates) body.candidates = e.candidates;
+      return jsonResponse(body, e.status || 500);
     }
-
-    // Extract metrics from XBRL
-    const { financials, filingPeriod } = extractAllMetrics(companyfacts);
-
-    // Extract segment revenue from 10-K XBRL instance document
-    const segmentResult = await fetchSegmentRevenue(paddedCik, submissions, fetchSecText, null);
-
-    // Build response
-    const result = {
-      cik: paddedCik,
-      entityName: (companyfacts.entityName || submissions.name || '').toUpperCase(),
-      ticker: ticker ? ticker.toUpperCase() : (submissions.tickers && submissions.tickers[0]) || null,
-      sicDescription: submissions.sicDescription || null,
-      filingPeriod,
-      financials,
-      segments: segmentResult.segments,
-      segmentType: segmentResult.segmentType,
-    };
-
-    return jsonResponse(result);
   },
 };
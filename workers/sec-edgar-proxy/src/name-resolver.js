@@ -0,0 +1,161 @@
+/**
+ * Company-name → CIK resolution against SEC's company list.
+ *
+ * Bookscrub account names rarely match SEC conformed names exactly
+ * ("Acme Holdings Inc" vs "ACME CORP", "Wells Fargo Bank, N.A." vs
+ * "WELLS FARGO & COMPANY/MN").  Names are reduced to a comparable core by
+ * stripping legal suffixes — mirroring cleanCompanyNameForSearch() in
+ * DataEnricher.gs — and candidates are ranked by a blend of token overlap
+ * and character-bigram similarity.
+ */
+
+// Legal-entity and corporate-structure tokens that carry no identity
+const SUFFIX_TOKENS = new Set([
+  'INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'COS', 'COMPANIES',
+  'LTD', 'LIMITED', 'LLC', 'LP', 'LLP', 'PLC', 'NA', 'SA', 'AG', 'NV', 'SE', 'BV',
+  'HOLDINGS', 'HOLDING', 'GROUP', 'THE', 'TRUST', 'BANCORP',
+  'BANK',   // trailing only — "Bank of America" keeps its leading BANK
+]);
+
+// Confidence assigned when only the stripped cores match exactly
+const CORE_MATCH_CONFIDENCE = 0.95;
+
+// Default auto-accept threshold for ?name= lookups
+export const DEFAULT_MATCH_THRESHOLD = 0.9;
+
+// Candidates returned to the caller, and the floor below which a
+// candidate is noise rather than a plausible match
+const MAX_CANDIDATES = 5;
+const MIN_CANDIDATE_CONFIDENCE = 0.3;
+
+/**
+ * Normalize a company name to uppercase tokens.
+ * Drops parentheticals and SEC state suffixes ("/MN", "/DE/"), folds "&"
+ * into "AND" and strips punctuation (so "N.A." becomes "NA").
+ * @param {string} name
+ * @returns {string[]}
+ */
+function tokenize(name) {
+  return String(name || '')
+    .toUpperCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\/[A-Z]{2}\/?\s*$/, ' ')
+    .replace(/&/g, ' AND ')
+    .replace(/\./g, '')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Reduce a company name to its identifying core, e.g.
+ * "Acme Holdings, Inc." → "ACME", "WELLS FARGO & COMPANY/MN" → "WELLS FARGO".
+ * Trailing suffix tokens are stripped repeatedly; a name made only of
+ * suffix tokens is kept as-is.
+ * @param {string} name
+ * @returns {{ full: string, core: string, tokens: string[] }}
+ */
+export function normalizeCompanyName(name) {
+  const tokens = tokenize(name);
+  let end = tokens.length;
+  while (end > 1 && SUFFIX_TOKENS.has(tokens[end - 1])) end--;
+
+  // "AND" left dangling after stripping ("WELLS FARGO AND COMPANY")
+  while (end > 1 && tokens[end - 1] === 'AND') end--;
+
+  const coreTokens = tokens.slice(0, end).filter((t, i) => !(i === 0 && t === 'THE' && end > 1));
+  return {
+    full: tokens.join(' '),
+    core: coreTokens.join(' '),
+    tokens: coreTokens,
+  };
+}
+
+/**
+ * Sørensen–Dice coefficient over two collections.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number}
+ */
+function dice(a, b) {
+  if (!a.length || !b.length) return 0;
+  const counts = new Map();
+  for (const x of a) counts.set(x, (counts.get(x) || 0) + 1);
+  let overlap = 0;
+  for (const y of b) {
+    const n = counts.get(y);
+    if (n) {
+      overlap++;
+      counts.set(y, n - 1);
+    }
+  }
+  return (2 * overlap) / (a.length + b.length);
+}
+
+/**
+ * Character bigrams of a string with spaces removed.
+ * @param {string} s
+ * @returns {string[]}
+ */
+function bigrams(s) {
+  const compact = s.replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+}
+
+/**
+ * Score how well a candidate name matches the query (0–1).
+ * @param {{ full: string, core: string, tokens: string[] }} query   From normalizeCompanyName()
+ * @param {{ full: string, core: string, tokens: string[] }} target  From normalizeCompanyName()
+ * @returns {number}
+ */
+export function scoreNameMatch(query, target) {
+  if (!query.core || !target.core) return 0;
+  if (query.full === target.full) return 1;
+  if (query.core === target.core) return CORE_MATCH_CONFIDENCE;
+
+  const tokenScore = dice(query.tokens, target.tokens);
+  const charScore = dice(bigrams(query.core), bigrams(target.core));
+  const score = 0.6 * tokenScore + 0.4 * charScore;
+
+  // Never let a fuzzy match outrank an exact core match
+  return Math.min(Math.round(score * 1000) / 1000, CORE_MATCH_CONFIDENCE - 0.01);
+}
+
+/**
+ * Rank SEC company entries against a query name.
+ *
+ * @param {string} name  Query (bookscrub / free-text company name)
+ * @param {Array<{ cik: string, title: string, ticker?: string|null, normalized?: Object }>} entries
+ *        SEC company list; `normalized` is computed on the fly when absent
+ * @param {number} [limit]
+ * @returns {Array<{ cik: string, name: string, ticker: string|null, confidence: number }>}
+ *          Best first; one entry per CIK
+ */
+export function rankCandidates(name, entries, limit = MAX_CANDIDATES) {
+  const query = normalizeCompanyName(name);
+  if (!query.core) return [];
+
+  const best = new Map();
+  for (const entry of entries) {
+    const target = entry.normalized || normalizeCompanyName(entry.title);
+    const confidence = scoreNameMatch(query, target);
+    if (confidence < MIN_CANDIDATE_CONFIDENCE) continue;
+
+    const existing = best.get(entry.cik);
+    if (!existing || confidence > existing.confidence) {
+      best.set(entry.cik, {
+        cik: entry.cik,
+        name: entry.title,
+        ticker: entry.ticker || (existing && existing.ticker) || null,
+        confidence,
+      });
+    }
+  }
+
+  return Array.from(best.values())
+    .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
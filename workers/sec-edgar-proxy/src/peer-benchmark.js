@@ -0,0 +1,244 @@
+/**
+ * Industry peer benchmarking by SIC code.
+ *
+ * SEC has no JSON list of companies per SIC code, so the index is built
+ * here: EDGAR's company browse (Atom output) is paged through once per SIC
+ * code and the resulting CIK list cached for a week.  Each peer's latest
+ * 10-K metrics come from extractAllMetrics() and are cached as a small
+ * summary, so a warm benchmark never re-parses companyfacts.
+ *
+ * A cold SIC code can need hundreds of companyfacts downloads, so one
+ * request fetches at most PEER_COLD_FETCH_LIMIT uncached summaries and
+ * benchmarks against what is cached; repeat requests fill in the rest.
+ * Peers are the `limit` companies closest to the subject by revenue.
+ */
+
+import { extractAllMetrics } from './xbrl-extractor.js';
+import { CACHE_TTL } from './sec-client.js';
+
+const SEC_BROWSE_URL = 'https://www.sec.gov/cgi-bin/browse-edgar';
+
+// EDGAR browse returns at most 100 companies per page
+const SIC_PAGE_SIZE = 100;
+const SIC_MAX_PAGES = 5;
+
+export const DEFAULT_PEER_LIMIT = 40;
+export const MAX_PEER_LIMIT = 60;
+
+// Candidates considered per request, as a multiple of the peer limit, so
+// the size-closest peers are picked from a wider pool than the ranking
+export const PEER_POOL_FACTOR = 3;
+
+// Uncached peer summaries (one companyfacts download each) per request
+export const PEER_COLD_FETCH_LIMIT = 8;
+
+// Peers whose latest 10-K is this many years older than the subject's are stale
+const MAX_FILING_GAP_YEARS = 2;
+
+// Benchmarked metrics.  higherIsBetter decides which end is "top quartile".
+export const BENCHMARK_METRICS = {
+  revenue:            { label: 'Revenue',             higherIsBetter: true },
+  netMargin:          { label: 'Net margin',          higherIsBetter: true },
+  opexIntensity:      { label: 'OpEx intensity',      higherIsBetter: false },
+  revenuePerEmployee: { label: 'Revenue per employee', higherIsBetter: true },
+};
+
+/**
+ * Build the EDGAR browse URL for one page of companies in a SIC code.
+ * @param {string} sic
+ * @param {number} start  0-based offset
+ * @returns {string}
+ */
+export function sicBrowseUrl(sic, start) {
+  return `${SEC_BROWSE_URL}?action=getcompany&SIC=${encodeURIComponent(sic)}&type=10-K&owner=include` +
+    `&start=${start}&count=${SIC_PAGE_SIZE}&output=atom`;
+}
+
+/**
+ * Parse companies out of an EDGAR company-browse Atom feed.
+ * Each <entry> carries the CIK either in a <cik> element or in its link.
+ * @param {string} xml
+ * @returns {Array<{ cik: string, name: string }>}  CIKs unpadded
+ */
+export function parseSicCompanyFeed(xml) {
+  const companies = [];
+  const entryRe = /<entry\b[^>]*>([\s\S]*?)<\/entry>/g;
+  let m;
+  while ((m = entryRe.exec(xml)) !== null) {
+    const entry = m[1];
+    const cikMatch = entry.match(/<cik>\s*0*(\d+)\s*<\/cik>/i) || entry.match(/CIK=0*(\d+)/i);
+    if (!cikMatch) continue;
+    const nameMatch = entry.match(/<name>([\s\S]*?)<\/name>/i) || entry.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    companies.push({
+      cik: cikMatch[1],
+      name: nameMatch ? nameMatch[1].replace(/&amp;/g, '&').trim() : '',
+    });
+  }
+  return companies;
+}
+
+/**
+ * SIC → companies index, built from EDGAR's company browse on first use and
+ * cached for CACHE_TTL.sicIndex.  Pages are fetched until a short page.
+ * @param {Object} client  SEC client
+ * @param {string} sic
+ * @returns {Promise<Array<{ cik: string, name: string }>>}
+ */
+export function fetchSicIndex(client, sic) {
+  return client.memo(`sic-index:${sic}`, CACHE_TTL.sicIndex, () => buildSicIndex(client, sic));
+}
+
+/**
+ * Page through EDGAR company browse for one SIC code.
+ * @param {Object} client
+ * @param {string} sic
+ * @returns {Promise<Array<{ cik: string, name: string }>>}
+ */
+async function buildSicIndex(client, sic) {
+  const companies = [];
+  const seen = new Set();
+  for (let page = 0; page < SIC_MAX_PAGES; page++) {
+    const start = page * SIC_PAGE_SIZE;
+    const xml = await client.text(`sic-page:${sic}:${start}`, sicBrowseUrl(sic, start), 0);
+    const batch = parseSicCompanyFeed(xml);
+    for (const c of batch) {
+      if (!seen.has(c.cik)) {
+        seen.add(c.cik);
+        companies.push(c);
+      }
+    }
+    if (batch.length < SIC_PAGE_SIZE) break;
+  }
+  console.log(`[Peers] SIC ${sic} index: ${companies.length} companies`);
+  return companies;
+}
+
+/**
+ * Ratio metrics for one company from its latest 10-K financials.
+ * @param {Object} financials  extractAllMetrics().financials
+ * @returns {{ revenue: number|null, netMargin: number|null, opexIntensity: number|null, revenuePerEmployee: number|null }}
+ */
+export function deriveBenchmarkMetrics(financials) {
+  const f = financials || {};
+  const revenue = f.revenue > 0 ? f.revenue : null;
+  return {
+    revenue,
+    netMargin: revenue && f.netIncome != null ? f.netIncome / revenue : null,
+    opexIntensity: revenue && f.opex != null ? f.opex / revenue : null,
+    revenuePerEmployee: revenue && f.employees > 0 ? revenue / f.employees : null,
+  };
+}
+
+/**
+ * Metric summary for one company, derived from companyfacts.
+ * @param {Object} companyfacts
+ * @param {string} cik
+ * @returns {{ cik: string, name: string, filingPeriod: string|null, metrics: Object }}
+ */
+export function summarizeCompany(companyfacts, cik) {
+  const { financials, filingPeriod } = extractAllMetrics(companyfacts);
+  return {
+    cik,
+    name: companyfacts.entityName || '',
+    filingPeriod,
+    metrics: deriveBenchmarkMetrics(financials),
+  };
+}
+
+/**
+ * Pick the `limit` peers closest to the subject in revenue, measured as
+ * |log(peer / subject)| so a peer half the size is as close as one twice
+ * the size.  Peers without revenue come last, in their original order; the
+ * order is unchanged when the subject's revenue is unknown.
+ * @param {{ metrics: Object }} subject
+ * @param {Array<{ metrics: Object }>} peers
+ * @param {number} limit
+ * @returns {Array}
+ */
+export function selectPeersBySize(subject, peers, limit) {
+  const subjectRevenue = subject.metrics.revenue;
+  if (!(subjectRevenue > 0)) return peers.slice(0, limit);
+  const distance = (p) => (p.metrics.revenue > 0 ? Math.abs(Math.log(p.metrics.revenue / subjectRevenue)) : Infinity);
+  return peers
+    .map((p, i) => ({ p, i, d: distance(p) }))
+    .sort((a, b) => a.d - b.d || a.i - b.i)
+    .slice(0, limit)
+    .map((x) => x.p);
+}
+
+/**
+ * Percentile rank of value within values (0–100): share of values below it,
+ * counting ties as half.
+ * @param {number[]} values
+ * @param {number} value
+ * @returns {number}
+ */
+export function percentileRank(values, value) {
+  if (!values.length) return null;
+  let below = 0;
+  let equal = 0;
+  for (const v of values) {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  }
+  return Math.round(((below + equal / 2) / values.length) * 100);
+}
+
+/**
+ * Median of a numeric list.
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Keep peers whose latest 10-K is recent relative to the subject's.
+ * @param {Array} peers      Company summaries
+ * @param {string|null} subjectPeriod  Subject's filingPeriod (YYYY or YYYY-MM-DD)
+ * @returns {Array}
+ */
+export function currentPeers(peers, subjectPeriod) {
+  const subjectYear = subjectPeriod ? parseInt(String(subjectPeriod).slice(0, 4), 10) : null;
+  return peers.filter((p) => {
+    if (!p.filingPeriod) return false;
+    if (!subjectYear) return true;
+    return subjectYear - parseInt(String(p.filingPeriod).slice(0, 4), 10) <= MAX_FILING_GAP_YEARS;
+  });
+}
+
+/**
+ * Rank the subject against its peers on every benchmark metric.
+ *
+ * `percentile` is the raw rank (higher = larger value); `standing` is the
+ * rank in the "better" direction, so for OpEx intensity a low ratio scores
+ * high.  Quartile 1 is the best quartile.
+ *
+ * @param {{ metrics: Object }} subject
+ * @param {Array<{ metrics: Object }>} peers  Excluding the subject
+ * @returns {Object<string, { value: number|null, percentile: number|null, standing: number|null, quartile: number|null, peerMedian: number|null, peerCount: number, higherIsBetter: boolean }>}
+ */
+export function rankAgainstPeers(subject, peers) {
+  const result = {};
+  for (const [key, def] of Object.entries(BENCHMARK_METRICS)) {
+    const values = peers.map((p) => p.metrics[key]).filter((v) => v !== null && v !== undefined && isFinite(v));
+    const value = subject.metrics[key];
+    const hasValue = value !== null && value !== undefined && values.length > 0;
+    const percentile = hasValue ? percentileRank(values, value) : null;
+    const standing = percentile === null ? null : def.higherIsBetter ? percentile : 100 - percentile;
+    result[key] = {
+      value: value ?? null,
+      percentile,
+      standing,
+      quartile: standing === null ? null : standing >= 75 ? 1 : standing >= 50 ? 2 : standing >= 25 ? 3 : 4,
+      peerMedian: median(values),
+      peerCount: values.length,
+      higherIsBetter: def.higherIsBetter,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,249 @@
+/**
+ * Rate-limited, cached HTTP client for SEC EDGAR.
+ *
+ * SEC's fair-access policy allows 10 requests/second per client.  Every
+ * outbound request goes through a module-scope throttle (shared by all
+ * requests served by a warm isolate) and is retried with exponential
+ * backoff on 429/503.  Responses are cached per resource with TTLs tuned to
+ * how often the underlying data changes — filing archives are immutable,
+ * submissions change with every new filing.
+ *
+ * The throttle is isolate memory, not a global limit: Cloudflare runs
+ * separate isolates per colo and may run several in one colo under load,
+ * each with its own slot clock, and a cold start begins with no history.
+ * Traffic here is a handful of Apps Script callers, so in practice one or
+ * two isolates are warm; the cache absorbs repeat requests, /peers caps its
+ * cold fetches (PEER_COLD_FETCH_LIMIT), and a 429 that does get through is
+ * retried after SEC's Retry-After.  A strict global limit would need the
+ * slot clock in a Durable Object.
+ */
+
+const SEC_USER_AGENT = 'GrowthStrategy growth-strategy@docusign.com';
+
+// 8 req/s, under SEC's 10 req/s ceiling — enforced per isolate only (see above)
+const MIN_REQUEST_INTERVAL_MS = 125;
+
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const MAX_RETRY_AFTER_MS = 5000;
+const RETRYABLE_STATUS = new Set([429, 503]);
+
+// Cache TTLs (seconds) per resource type
+export const CACHE_TTL = {
+  tickers: 24 * 3600,            // company_tickers.json — updated daily by SEC
+  entitySearch: 24 * 3600,       // EDGAR entity name search — filer names rarely change
+  companyfacts: 12 * 3600,       // XBRL facts — change only when a new 10-K/10-Q is filed
+  submissions: 3600,             // filing list — new 8-Ks can land any time
+  filingIndex: 30 * 24 * 3600,   // archive directory listing — immutable per accession
+  filingDocument: 30 * 24 * 3600, // XBRL instance / primary doc — immutable per accession
+  sicIndex: 7 * 24 * 3600,       // SIC → CIK company list — membership changes slowly
+  peerMetrics: 12 * 3600,        // per-company metric summary derived from companyfacts
+  peerFailure: 15 * 60,          // empty summary after a failed peer fetch (429/5xx/parse) — retried soon
+};
+
+// Next time (ms epoch) a request may leave this isolate
+let nextSlotAt = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait for the next throttle slot.  Slots are reserved synchronously so
+ * concurrent callers queue up rather than all firing at once.
+ */
+async function acquireSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotAt);
+  nextSlotAt = slot + MIN_REQUEST_INTERVAL_MS;
+  if (slot > now) await sleep(slot - now);
+}
+
+/**
+ * Delay before the next retry: honour Retry-After when SEC sends it,
+ * otherwise exponential backoff with jitter.
+ * @param {Response} res
+ * @param {number} attempt  0-based retry number
+ * @returns {number} milliseconds
+ */
+function retryDelay(res, attempt) {
+  const retryAfter = Number(res.headers.get('Retry-After'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+  return BACKOFF_BASE_MS * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+}
+
+/**
+ * Fetch text from SEC with throttling and retry.  Throws an Error with a
+ * `status` property on a non-2xx final response.
+ * @param {string} url
+ * @param {string} accept  Accept header value
+ * @returns {Promise<string>}
+ */
+async function fetchWithRetry(url, accept) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot();
+    const res = await fetch(url, {
+      headers: { 'User-Agent': SEC_USER_AGENT, 'Accept': accept },
+    });
+    if (res.ok) return res.text();
+
+    if (RETRYABLE_STATUS.has(res.status) && attempt < MAX_RETRIES) {
+      const delay = retryDelay(res, attempt);
+      console.log(`[SEC] ${res.status} for ${url} — retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    const err = new Error(`SEC returned ${res.status} for ${url}`);
+    err.status = res.status;
+    throw err;
+  }
+}
+
+/**
+ * Create a per-request SEC client bound to a cache store.
+ *
+ * The client records a cache outcome for every resource it serves so the
+ * response can report X-Cache (HIT / MISS / PARTIAL) and the age of the
+ * oldest cached input, and when each resource was fetched from SEC.
+ *
+ * @param {{ get: Function, put: Function, backend: string }} cache  From createCacheStore()
+ * @param {{ waitUntil?: Function }} [ctx]  Worker execution context — cache writes run after the response
+ * @returns {Object}
+ */
+export function createSecClient(cache, ctx) {
+  const stats = { hits: 0, misses: 0, oldestStoredAt: null };
+  // Cache key → ms epoch the value was fetched from SEC (its storedAt on a hit)
+  const fetchTimes = new Map();
+
+  const defer = (promise) => {
+    const safe = promise.catch((e) => console.log('[Cache] Write failed: ' + e.message));
+    if (ctx && ctx.waitUntil) ctx.waitUntil(safe);
+  };
+
+  /**
+   * Read a cache entry, recording the hit.  Read errors count as a miss.
+   * @param {string} key
+   * @returns {Promise<{ value: string, storedAt: number } | null>}
+   */
+  async function readCache(key) {
+    let cached = null;
+    try {
+      cached = await cache.get(key);
+    } catch (e) {
+      console.log('[Cache] Read failed for ' + key + ': ' + e.message);
+    }
+    if (cached) {
+      stats.hits++;
+      if (!stats.oldestStoredAt || cached.storedAt < stats.oldestStoredAt) {
+        stats.oldestStoredAt = cached.storedAt;
+      }
+      fetchTimes.set(key, cached.storedAt);
+    }
+    return cached;
+  }
+
+  /**
+   * Get a resource as text, from cache when fresh, else from SEC.
+   * @param {string} key   Cache key (e.g. "companyfacts:0000320193")
+   * @param {string} url
+   * @param {number} ttl   Seconds; 0 skips the cache write (caller caches a derived value)
+   * @param {string} accept
+   */
+  async function getText(key, url, ttl, accept) {
+    const cached = await readCache(key);
+    if (cached) return cached.value;
+
+    stats.misses++;
+    const text = await fetchWithRetry(url, accept);
+    fetchTimes.set(key, Date.now());
+    if (ttl > 0) defer(cache.put(key, text, ttl));
+    return text;
+  }
+
+  return {
+    stats,
+
+    /** Fetch and parse JSON (companyfacts, submissions, tickers). */
+    async json(key, url, ttl) {
+      return JSON.parse(await getText(key, url, ttl, 'application/json'));
+    },
+
+    /** Fetch text (filing index, XBRL instance, HTML). */
+    async text(key, url, ttl) {
+      return getText(key, url, ttl, 'text/xml, application/xml, text/html, */*');
+    },
+
+    /**
+     * Cache a value derived from SEC data (e.g. a per-company metric
+     * summary) so repeat requests skip both the fetch and the computation.
+     * @param {string} key
+     * @param {number} ttl      Seconds
+     * @param {Function} compute  async () → JSON-serialisable value
+     */
+    async memo(key, ttl, compute) {
+      const cached = await readCache(key);
+      if (cached) return JSON.parse(cached.value);
+
+      const value = await compute();
+      defer(cache.put(key, JSON.stringify(value), ttl));
+      return value;
+    },
+
+    /**
+     * Cache a derived value directly — e.g. a placeholder for a failed
+     * computation that shouldn't be retried on every request.
+     * @param {string} key
+     * @param {*} value  JSON-serialisable
+     * @param {number} ttl  Seconds
+     */
+    remember(key, value, ttl) {
+      defer(cache.put(key, JSON.stringify(value), ttl));
+    },
+
+    /**
+     * A memo() value if it is cached, without computing it.
+     * @param {string} key
+     * @returns {Promise<*|null>}
+     */
+    async peek(key) {
+      const cached = await readCache(key);
+      return cached ? JSON.parse(cached.value) : null;
+    },
+
+    /**
+     * When a resource served by this client was fetched from SEC — the
+     * cache write time for a hit, so cached data is not reported as fresh.
+     * @param {string} key
+     * @returns {string|null} ISO timestamp, or null if not served
+     */
+    fetchedAt(key) {
+      const at = fetchTimes.get(key);
+      return at ? new Date(at).toISOString() : null;
+    },
+
+    /**
+     * Summarise cache usage for response headers.
+     * @returns {Object<string, string>}
+     */
+    cacheHeaders() {
+      const total = stats.hits + stats.misses;
+      const status = total === 0 ? 'BYPASS'
+        : stats.misses === 0 ? 'HIT'
+        : stats.hits === 0 ? 'MISS'
+        : 'PARTIAL';
+      const headers = {
+        'X-Cache': status,
+        'X-Cache-Backend': cache.backend,
+        'X-Cache-Hits': String(stats.hits),
+        'X-Cache-Misses': String(stats.misses),
+      };
+      if (stats.oldestStoredAt) {
+        const ageSeconds = Math.max(0, Math.round((Date.now() - stats.oldestStoredAt) / 1000));
+        headers['Age'] = String(ageSeconds);
+        headers['X-Data-Fetched-At'] = new Date(stats.oldestStoredAt).toISOString();
+      } else {
+        headers['X-Data-Fetched-At'] = new Date().toISOString();
+      }
+      return headers;
+    },
+  };
+}
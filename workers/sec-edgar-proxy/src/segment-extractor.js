@@ -1,12 +1,16 @@
 /**
- * XBRL segment revenue extraction from SEC EDGAR 10-K filing archives.
+ * XBRL segment extraction from SEC EDGAR 10-K filing archives.
  *
  * The companyfacts API only provides consolidated (company-level) financials.
- * Segment revenue required by ASC 280 lives in the actual XBRL instance
- * documents within the filing archive.  This module fetches and parses those
- * documents to extract per-segment revenue figures.
+ * Segment disclosures required by ASC 280 live in the actual XBRL instance
+ * documents within the filing archive.  This module fetches those documents
+ * and, via the namespace-aware parser in xbrl-parser.js, extracts revenue,
+ * operating income and assets per member of each segment axis — business
+ * segments, geographic areas and product/service lines.
  */
 
+import { parseXbrlDocument } from './xbrl-parser.js';
+
 const SEC_ARCHIVES = 'https://www.sec.gov/Archives/edgar/data';
 
 // Revenue concepts in priority order (same as xbrl-extractor.js)
@@ -19,18 +23,56 @@ const REVENUE_CONCEPTS = [
   'TotalRevenuesAndOtherIncome',
 ];
 
-// Build a Set for O(1) lookups — prefixed with "us-gaap:"
-const REVENUE_CONCEPT_SET = new Set(
-  REVENUE_CONCEPTS.map((c) => 'us-gaap:' + c)
-);
+// Per-segment metrics and their concepts in priority order.  Revenue and
+// operating income are duration facts; assets are reported at an instant.
+const SEGMENT_METRICS = {
+  revenue: { concepts: REVENUE_CONCEPTS, instant: false },
+  operatingIncome: {
+    concepts: ['OperatingIncomeLoss', 'SegmentReportingInformationOperatingIncomeLoss'],
+    instant: false,
+  },
+  assets: {
+    concepts: ['Assets', 'SegmentReportingInformationAssets'],
+    instant: true,
+  },
+};
+
+// Segment axes, keyed by the name used in the response.  Matched on the
+// local name so srt: and legacy us-gaap: prefixes both work.
+const SEGMENT_AXES = {
+  business: 'StatementBusinessSegmentsAxis',
+  geographic: 'StatementGeographicalAxis',
+  product: 'ProductOrServiceAxis',
+};
+
+// Dimension that may accompany a segment axis without changing its meaning
+// (e.g. ConsolidationItemsAxis = OperatingSegmentsMember)
+const CONSOLIDATION_AXIS = 'ConsolidationItemsAxis';
+
+// Annual duration window (days) for segment facts
+const ANNUAL_MIN_DAYS = 350;
+const ANNUAL_MAX_DAYS = 380;
+
+// Members that aren't segments, matched against the cleaned name with
+// spaces removed.  Checked in order, so "Corporate Eliminations" is an
+// elimination rather than a corporate member.
+const NON_SEGMENT_MEMBER_PATTERNS = [
+  { reason: 'elimination', pattern: /eliminat|intersegment|intercompany|reconcil/i },
+  { reason: 'total', pattern: /^(total|consolidated|subtotal)|(total|consolidated)$/i },
+  { reason: 'corporate', pattern: /corporate|unallocated|allother|^other/i },
+];
+
+// Segment totals within this many percentage points of consolidated revenue
+// count as reconciled
+const RECONCILE_TOLERANCE_PCT = 5;
 
-// The preferred dimension for business segments
-const BIZ_SEGMENT_AXIS = 'StatementBusinessSegmentsAxis';
+// Relative tolerance for spotting a subtotal member (equal to the sum of the rest)
+const SUBTOTAL_TOLERANCE = 0.005;
 
 /**
  * Find the latest 10-K filing accession number from submissions data.
  * @param {Object} submissions  SEC submissions JSON
- * @returns {{ accession: string, primaryDocument: string } | null}
+ * @returns {{ accession: string, accessionNumber: string, primaryDocument: string } | null}
  */
 export function findLatest10KAccession(submissions) {
   const recent = submissions && submissions.filings && submissions.filings.recent;
@@ -40,6 +82,7 @@ export function findLatest10KAccession(submissions) {
     if (recent.form[i] === '10-K') {
       return {
         accession: recent.accessionNumber[i].replace(/-/g, ''),
+        accessionNumber: recent.accessionNumber[i],
         primaryDocument: recent.primaryDocument ? recent.primaryDocument[i] : null,
       };
     }
@@ -51,10 +94,13 @@ export function findLatest10KAccession(submissions) {
  * Identify the XBRL instance file from a filing index JSON.
  * Priority 1: _htm.xml (iXBRL companion — pure XML)
  * Priority 2: .xml that isn't a schema/linkbase
+ * Priority 3: the primary document itself, when it is inline XBRL (.htm) —
+ *             some iXBRL filings ship no extracted XML instance
  * @param {Object} indexJson  Filing directory index JSON
+ * @param {string|null} [primaryDocument]  Primary document name from submissions
  * @returns {string|null}  Filename of the XBRL instance
  */
-export function findXbrlInstanceFile(indexJson) {
+export function findXbrlInstanceFile(indexJson, primaryDocument) {
   const items = indexJson && indexJson.directory && indexJson.directory.item;
   if (!items || !items.length) return null;
 
@@ -77,116 +123,322 @@ export function findXbrlInstanceFile(indexJson) {
     }
   }
 
-  return htmXml || plainXml || null;
+  if (htmXml || plainXml) return htmXml || plainXml;
+
+  const primary = primaryDocument
+    ? items.find((item) => (item.name || '').toLowerCase() === primaryDocument.toLowerCase())
+    : null;
+  return primary && /\.html?$/i.test(primary.name) ? primary.name : null;
 }
 
 /**
- * Parse all XBRL contexts that contain dimensional (segment) information.
- * @param {string} xml  Raw XBRL/iXBRL XML text
- * @returns {Map<string, { dimensions: Array<{axis: string, member: string}>, startDate: string|null, endDate: string|null, isInstant: boolean }>}
+ * Keep only contexts that carry dimensional (segment) information.
+ * @param {Map} allContexts  contexts from parseXbrlDocument()
+ * @returns {Map<string, { dimensions: Array<{axis: string, member: string, typed: boolean}>, startDate: string|null, endDate: string|null, isInstant: boolean }>}
  */
-export function parseSegmentContexts(xml) {
+function dimensionalContexts(allContexts) {
   const contexts = new Map();
-  // Handle both prefixed (xbrli:context) and unprefixed (context) tags
-  const contextRegex = /<(?:xbrli:)?context\s+id="([^"]+)">([\s\S]*?)<\/(?:xbrli:)?context>/gi;
-  const dimRegex = /<xbrldi:explicitMember\s+dimension="([^"]+)">([^<]+)<\/xbrldi:explicitMember>/gi;
-  const startRegex = /<(?:xbrli:)?startDate>([^<]+)<\/(?:xbrli:)?startDate>/i;
-  const endRegex = /<(?:xbrli:)?endDate>([^<]+)<\/(?:xbrli:)?endDate>/i;
-  const instantRegex = /<(?:xbrli:)?instant>([^<]+)<\/(?:xbrli:)?instant>/i;
-
-  let match;
-  while ((match = contextRegex.exec(xml)) !== null) {
-    const contextId = match[1];
-    const body = match[2];
-
-    // Only interested in contexts with explicit dimensions
-    const dimensions = [];
-    let dimMatch;
-    dimRegex.lastIndex = 0;
-    while ((dimMatch = dimRegex.exec(body)) !== null) {
-      dimensions.push({ axis: dimMatch[1], member: dimMatch[2] });
+  for (const [id, ctx] of allContexts) {
+    if (ctx.dimensions.length > 0) contexts.set(id, ctx);
+  }
+  return contexts;
+}
+
+/**
+ * Local name of a QName ("srt:StatementGeographicalAxis" → "StatementGeographicalAxis").
+ * @param {string} qname
+ * @returns {string}
+ */
+function localName(qname) {
+  return qname.includes(':') ? qname.split(':').pop() : qname;
+}
+
+/**
+ * Identify which segment axis a context reports, if any.
+ * A context qualifies when it has exactly one segment-axis dimension and any
+ * other dimension is the consolidation-items axis; cross-tabulated contexts
+ * (segment × product, etc.) are skipped so members are never double counted.
+ * Unknown single-dimension axes are returned as "other" for the fallback.
+ *
+ * @param {{ dimensions: Array<{ axis: string, member: string }> }} ctx
+ * @returns {{ axisKey: string, axis: string, member: string } | null}
+ */
+function segmentDimension(ctx) {
+  const rest = ctx.dimensions.filter((d) => localName(d.axis) !== CONSOLIDATION_AXIS);
+  if (rest.length !== 1) return null;
+
+  const dim = rest[0];
+  const local = localName(dim.axis);
+  for (const [axisKey, axisName] of Object.entries(SEGMENT_AXES)) {
+    if (local === axisName) return { axisKey, axis: dim.axis, member: dim.member };
+  }
+  return ctx.dimensions.length === 1 ? { axisKey: 'other', axis: dim.axis, member: dim.member } : null;
+}
+
+/**
+ * Build one axis block from the facts joined to it.
+ * Picks the reporting period (fyEndDate if given, else the latest annual
+ * period with revenue), then collects each metric per member, preferring
+ * higher-priority concepts.
+ *
+ * @param {Array} joined    Facts joined to contexts for this axis
+ * @param {string|null} fyEndDate
+ * @returns {{ axis: string, periodEnd: string, members: Array<{ name: string, revenue: number|null, operatingIncome: number|null, assets: number|null }> } | null}
+ */
+function buildAxisBlock(joined, fyEndDate) {
+  const annualEnds = joined
+    .filter((j) => j.metric !== 'assets' && j.days >= ANNUAL_MIN_DAYS && j.days <= ANNUAL_MAX_DAYS)
+    .map((j) => j.endDate);
+  if (!annualEnds.length) return null;
+
+  const periodEnd = fyEndDate && annualEnds.includes(fyEndDate)
+    ? fyEndDate
+    : annualEnds.sort().pop();
+
+  const members = new Map();
+  for (const j of joined) {
+    if (j.endDate !== periodEnd) continue;
+    if (j.metric !== 'assets' && (j.days < ANNUAL_MIN_DAYS || j.days > ANNUAL_MAX_DAYS)) continue;
+
+    const name = cleanSegmentName(j.member);
+    if (!members.has(name)) {
+      members.set(name, { name, revenue: null, operatingIncome: null, assets: null, _priority: {}, _revenueConcept: null });
     }
-    if (dimensions.length === 0) continue;
+    const entry = members.get(name);
+    const existing = entry._priority[j.metric];
+    if (existing === undefined || j.priority < existing) {
+      entry[j.metric] = j.value;
+      entry._priority[j.metric] = j.priority;
+      if (j.metric === 'revenue') entry._revenueConcept = j.concept;
+    }
+  }
 
-    const startMatch = body.match(startRegex);
-    const endMatch = body.match(endRegex);
-    const instantMatch = body.match(instantRegex);
+  const list = Array.from(members.values())
+    .sort((a, b) => (b.revenue ?? -Infinity) - (a.revenue ?? -Infinity));
+  if (!list.length) return null;
 
-    contexts.set(contextId, {
-      dimensions,
-      startDate: startMatch ? startMatch[1] : null,
-      endDate: endMatch ? endMatch[1] : (instantMatch ? instantMatch[1] : null),
-      isInstant: !!instantMatch,
-    });
+  return { axis: joined[0].axis, periodEnd, members: list };
+}
+
+/**
+ * Classify a member that should not be summed as a segment.
+ * @param {{ name: string }} member
+ * @returns {"elimination"|"total"|"corporate"|null}
+ */
+function classifyNonSegmentMember(member) {
+  const compact = (member.name || '').replace(/\s+/g, '');
+  for (const { reason, pattern } of NON_SEGMENT_MEMBER_PATTERNS) {
+    if (pattern.test(compact)) return reason;
   }
+  return null;
+}
 
-  return contexts;
+/**
+ * Round a percentage to one decimal place.
+ * @param {number} n
+ * @returns {number}
+ */
+function roundPct(n) {
+  return Math.round(n * 10) / 10;
 }
 
 /**
- * Extract revenue facts from XBRL/iXBRL XML.
- * Handles both plain XBRL (<us-gaap:Revenues>) and iXBRL (<ix:nonFraction>).
- * @param {string} xml
- * @returns {Array<{ concept: string, contextRef: string, value: number, unitRef: string, scale: number }>}
+ * Drop eliminations, totals and double-counted corporate members from an
+ * axis block, then reconcile what remains against consolidated revenue.
+ *
+ * Elimination / intersegment / reconciling members and explicit totals are
+ * always dropped.  A member whose revenue equals the sum of the others is
+ * treated as a subtotal.  "Corporate and other" members are kept only when
+ * they don't push the total past consolidated revenue.
+ *
+ * @param {Object} block         Output of buildAxisBlock()
+ * @param {{ value: number, source: string }|null} consolidated  Consolidated revenue for block.periodEnd
+ * @param {string|null} accession  Accession number of the 10-K the segments came from
+ * @returns {{ axis: string, periodEnd: string, members: Array, quality: Object }}
  */
-export function parseRevenueFacts(xml) {
-  const facts = [];
-
-  // Plain XBRL: <us-gaap:Revenues contextRef="..." unitRef="..." ...>12345</...>
-  for (const concept of REVENUE_CONCEPTS) {
-    const tag = 'us-gaap:' + concept;
-    const regex = new RegExp(
-      '<' + tag + '\\s+[^>]*contextRef="([^"]+)"[^>]*>([^<]+)</' + tag + '>',
-      'gi'
-    );
-    let m;
-    while ((m = regex.exec(xml)) !== null) {
-      const fullTag = m[0];
-      const contextRef = m[1];
-      const rawValue = m[2].replace(/,/g, '').trim();
-      const value = parseFloat(rawValue);
-      if (isNaN(value)) continue;
-
-      const unitMatch = fullTag.match(/unitRef="([^"]+)"/);
-      facts.push({
-        concept: tag,
-        contextRef,
-        value,
-        unitRef: unitMatch ? unitMatch[1] : '',
-        scale: 0,
-      });
+export function reconcileSegmentBlock(block, consolidated, accession) {
+  const excluded = [];
+  const corporate = [];
+  let kept = [];
+
+  for (const member of block.members) {
+    const reason = classifyNonSegmentMember(member);
+    if (reason === 'corporate') corporate.push(member);
+    else if (reason) excluded.push({ member, reason });
+    else kept.push(member);
+  }
+
+  // Subtotals: a member equal to the sum of every other member
+  const sumOf = (list) => list.reduce((acc, m) => acc + (m.revenue || 0), 0);
+  if (kept.length > 2) {
+    const total = sumOf(kept);
+    const subtotal = kept.find((m) => m.revenue && Math.abs(2 * m.revenue - total) <= Math.abs(m.revenue) * SUBTOTAL_TOLERANCE);
+    if (subtotal) {
+      excluded.push({ member: subtotal, reason: 'total' });
+      kept = kept.filter((m) => m !== subtotal);
+    }
+  }
+
+  // Corporate / other: keep unless it overshoots the consolidated figure
+  for (const member of corporate) {
+    const withIt = sumOf(kept) + (member.revenue || 0);
+    if (consolidated && consolidated.value > 0 &&
+        withIt > consolidated.value * (1 + RECONCILE_TOLERANCE_PCT / 100)) {
+      excluded.push({ member, reason: 'corporate' });
+    } else {
+      kept.push(member);
     }
   }
 
-  // iXBRL: <ix:nonFraction name="us-gaap:Revenues" contextRef="..." ...>formatted number</ix:nonFraction>
-  const ixRegex = /<ix:nonFraction\s+[^>]*name="([^"]+)"[^>]*>([^<]*)<\/ix:nonFraction>/gi;
-  let ixMatch;
-  while ((ixMatch = ixRegex.exec(xml)) !== null) {
-    const fullTag = ixMatch[0];
-    const name = ixMatch[1];
-    if (!REVENUE_CONCEPT_SET.has(name)) continue;
-
-    const ctxMatch = fullTag.match(/contextRef="([^"]+)"/);
-    if (!ctxMatch) continue;
-
-    const scaleMatch = fullTag.match(/scale="([^"]+)"/);
-    const scale = scaleMatch ? parseInt(scaleMatch[1], 10) : 0;
-
-    const rawValue = ixMatch[2].replace(/,/g, '').replace(/\s/g, '').trim();
-    const value = parseFloat(rawValue);
-    if (isNaN(value)) continue;
-
-    const unitMatch = fullTag.match(/unitRef="([^"]+)"/);
-    facts.push({
-      concept: name,
-      contextRef: ctxMatch[1],
-      value: value * Math.pow(10, scale),
-      unitRef: unitMatch ? unitMatch[1] : '',
-      scale,
+  // Most common revenue concept among kept members
+  const conceptCounts = {};
+  for (const m of kept) {
+    if (m._revenueConcept) conceptCounts[m._revenueConcept] = (conceptCounts[m._revenueConcept] || 0) + 1;
+  }
+  const concepts = Object.keys(conceptCounts).sort((a, b) => conceptCounts[b] - conceptCounts[a]);
+
+  const withRevenue = kept.filter((m) => m.revenue != null);
+  const segmentTotal = withRevenue.length ? sumOf(withRevenue) : null;
+  const coveragePct = consolidated && consolidated.value > 0 && segmentTotal !== null
+    ? roundPct((segmentTotal / consolidated.value) * 100)
+    : null;
+
+  const discrepancies = [];
+  if (!consolidated) {
+    discrepancies.push(`No consolidated revenue for period ending ${block.periodEnd} to reconcile against`);
+  } else if (coveragePct === null) {
+    discrepancies.push('No segment revenue disclosed');
+  } else if (Math.abs(coveragePct - 100) > RECONCILE_TOLERANCE_PCT) {
+    discrepancies.push(`Segment revenue sums to ${coveragePct}% of consolidated revenue`);
+  }
+  if (concepts.length > 1) {
+    discrepancies.push('Segment revenue mixes concepts: ' + concepts.join(', '));
+  }
+  const missing = kept.length - withRevenue.length;
+  if (missing > 0) {
+    discrepancies.push(`${missing} member${missing === 1 ? '' : 's'} without revenue`);
+  }
+
+  return {
+    axis: block.axis,
+    periodEnd: block.periodEnd,
+    members: kept
+      .sort((a, b) => (b.revenue ?? -Infinity) - (a.revenue ?? -Infinity))
+      .map(({ _priority, _revenueConcept, ...member }) => member),
+    quality: {
+      consolidatedRevenue: consolidated ? consolidated.value : null,
+      consolidatedSource: consolidated ? consolidated.source : null,
+      segmentTotal,
+      coveragePct,
+      reliable: coveragePct !== null && Math.abs(coveragePct - 100) <= RECONCILE_TOLERANCE_PCT && concepts.length <= 1,
+      concept: concepts[0] || null,
+      accession: accession || null,
+      excludedMembers: excluded.map(({ member, reason }) => ({ name: member.name, reason, revenue: member.revenue })),
+      discrepancies,
+    },
+  };
+}
+
+/**
+ * Find the consolidated revenue for a period: companyfacts first (same
+ * figure extractAllMetrics reports), else the undimensioned revenue fact in
+ * the instance document itself.
+ * @param {string} periodEnd
+ * @param {Array<{ periodEnd: string, value: number }>} consolidatedSeries
+ * @param {Map<string, number>} instanceTotals  periodEnd → revenue
+ * @returns {{ value: number, source: string }|null}
+ */
+function consolidatedFor(periodEnd, consolidatedSeries, instanceTotals) {
+  const point = (consolidatedSeries || []).find((p) => p.periodEnd === periodEnd);
+  if (point) return { value: point.value, source: 'companyfacts' };
+  if (instanceTotals.has(periodEnd)) return { value: instanceTotals.get(periodEnd), source: 'instance' };
+  return null;
+}
+
+/**
+ * Extract segment disclosures for every axis the filing reports, each
+ * reconciled against consolidated revenue.
+ *
+ * @param {string} xml             Raw XBRL instance XML or inline XBRL document
+ * @param {string|null} fyEndDate  Expected FY end date (YYYY-MM-DD), or null for the latest
+ * @param {{ consolidatedRevenue?: Array<{ periodEnd: string, value: number }>, accession?: string }} [options]
+ * @returns {{ business?: Object, geographic?: Object, product?: Object }}
+ *          Each present axis: { axis, periodEnd, members: [{ name, revenue, operatingIncome, assets }], quality }
+ */
+export function extractSegments(xml, fyEndDate, options = {}) {
+  const doc = parseXbrlDocument(xml);
+  const contexts = dimensionalContexts(doc.contexts);
+  if (contexts.size === 0) return {};
+
+  // concept → { metric, priority }
+  const conceptIndex = {};
+  for (const [metric, def] of Object.entries(SEGMENT_METRICS)) {
+    def.concepts.forEach((c, priority) => {
+      conceptIndex['us-gaap:' + c] = { metric, priority, instant: def.instant };
+    });
+  }
+
+  const byAxis = {};
+  for (const fact of doc.facts) {
+    const def = conceptIndex[fact.concept];
+    if (!def) continue;
+    const ctx = contexts.get(fact.contextRef);
+    if (!ctx || ctx.isInstant !== def.instant) continue;
+
+    const dim = segmentDimension(ctx);
+    if (!dim) continue;
+
+    const days = ctx.startDate && ctx.endDate
+      ? (Date.parse(ctx.endDate) - Date.parse(ctx.startDate)) / 86400000
+      : null;
+    (byAxis[dim.axisKey] = byAxis[dim.axisKey] || []).push({
+      metric: def.metric,
+      priority: def.priority,
+      value: fact.value,
+      member: dim.member,
+      axis: dim.axis,
+      concept: fact.concept.split(':').pop(),
+      endDate: ctx.endDate,
+      days,
     });
   }
 
-  return facts;
+  // Undimensioned annual revenue in the instance, highest-priority concept per period
+  const instanceTotals = new Map();
+  const instancePriority = new Map();
+  for (const fact of doc.facts) {
+    const def = conceptIndex[fact.concept];
+    if (!def || def.metric !== 'revenue') continue;
+    const ctx = doc.contexts.get(fact.contextRef);
+    if (!ctx || ctx.dimensions.length > 0 || ctx.isInstant || !ctx.startDate) continue;
+    const days = (Date.parse(ctx.endDate) - Date.parse(ctx.startDate)) / 86400000;
+    if (days < ANNUAL_MIN_DAYS || days > ANNUAL_MAX_DAYS) continue;
+    const existing = instancePriority.get(ctx.endDate);
+    if (existing === undefined || def.priority < existing) {
+      instanceTotals.set(ctx.endDate, fact.value);
+      instancePriority.set(ctx.endDate, def.priority);
+    }
+  }
+  const reconcile = (block) => reconcileSegmentBlock(
+    block,
+    consolidatedFor(block.periodEnd, options.consolidatedRevenue, instanceTotals),
+    options.accession
+  );
+
+  const segments = {};
+  for (const axisKey of Object.keys(SEGMENT_AXES)) {
+    if (!byAxis[axisKey]) continue;
+    const block = buildAxisBlock(byAxis[axisKey], fyEndDate);
+    if (block) segments[axisKey] = reconcile(block);
+  }
+
+  // Filers that use a custom axis: classify by member names, as before
+  if (Object.keys(segments).length === 0 && byAxis.other) {
+    const block = buildAxisBlock(byAxis.other, fyEndDate);
+    if (block) segments[classifySegmentType(block.members)] = reconcile(block);
+  }
+
+  return segments;
 }
 
 /**
@@ -246,117 +498,17 @@ export function classifySegmentType(segments) {
 }
 
 /**
- * Main segment extraction orchestrator.
- * Joins revenue facts to dimensional contexts and returns per-segment revenue.
- *
- * @param {string} xml        Raw XBRL instance XML
- * @param {string|null} fyEndDate  Expected FY end date (YYYY-MM-DD) for filtering, or null
- * @returns {{ segments: Array<{ name: string, revenue: number }>, segmentType: "geographic"|"business" }}
- */
-export function extractSegmentRevenue(xml, fyEndDate) {
-  const contexts = parseSegmentContexts(xml);
-  const facts = parseRevenueFacts(xml);
-
-  if (contexts.size === 0 || facts.length === 0) return { segments: [], segmentType: 'business' };
-
-  // Join facts to their dimensional contexts.
-  // For each joined record, identify the "segment dimension" — the one that
-  // tells us which business/geographic segment the fact belongs to.
-  // Many filings use 2 dimensions (e.g., ConsolidationItemsAxis + StatementBusinessSegmentsAxis).
-  const joined = [];
-  for (const fact of facts) {
-    const ctx = contexts.get(fact.contextRef);
-    if (!ctx) continue;
-
-    // Skip instant contexts (we want duration/period facts)
-    if (ctx.isInstant) continue;
-
-    // Find the segment dimension — prefer StatementBusinessSegmentsAxis
-    let segDim = null;
-    for (const dim of ctx.dimensions) {
-      if (dim.axis.includes(BIZ_SEGMENT_AXIS)) {
-        segDim = dim;
-        break;
-      }
-    }
-    // Fall back to any single-dimension context (geographic etc.)
-    if (!segDim && ctx.dimensions.length === 1) {
-      segDim = ctx.dimensions[0];
-    }
-    if (!segDim) continue;
-
-    joined.push({ ...fact, ...ctx, segDim });
-  }
-
-  if (joined.length === 0) return { segments: [], segmentType: 'business' };
-
-  // Prefer StatementBusinessSegmentsAxis over geographic/other axes
-  const hasBizAxis = joined.some((j) =>
-    j.segDim.axis.includes(BIZ_SEGMENT_AXIS)
-  );
-
-  let filtered = hasBizAxis
-    ? joined.filter((j) => j.segDim.axis.includes(BIZ_SEGMENT_AXIS))
-    : joined;
-
-  // Filter to annual period: match FY end date if provided, else most common end date
-  if (fyEndDate) {
-    const withDate = filtered.filter((j) => j.endDate === fyEndDate);
-    if (withDate.length > 0) filtered = withDate;
-  }
-
-  if (filtered.length > 0) {
-    // Find most common end date (heuristic for annual period)
-    const dateCounts = {};
-    for (const j of filtered) {
-      if (j.endDate) {
-        dateCounts[j.endDate] = (dateCounts[j.endDate] || 0) + 1;
-      }
-    }
-    const bestDate = Object.entries(dateCounts).sort((a, b) => b[1] - a[1])[0];
-    if (bestDate) {
-      const dateFiltered = filtered.filter((j) => j.endDate === bestDate[0]);
-      if (dateFiltered.length > 0) filtered = dateFiltered;
-    }
-  }
-
-  // Build concept priority map for deduplication
-  const conceptPriority = {};
-  REVENUE_CONCEPTS.forEach((c, i) => {
-    conceptPriority['us-gaap:' + c] = i;
-  });
-
-  // Deduplicate by segment name (prefer higher-priority revenue concept = lower index)
-  const segmentMap = new Map();
-  for (const j of filtered) {
-    const name = cleanSegmentName(j.segDim.member);
-    const priority = conceptPriority[j.concept] ?? 999;
-
-    const existing = segmentMap.get(name);
-    if (!existing || priority < existing.priority) {
-      segmentMap.set(name, { name, revenue: j.value, priority });
-    }
-  }
-
-  // Sort by revenue descending
-  const segments = Array.from(segmentMap.values())
-    .map(({ name, revenue }) => ({ name, revenue }))
-    .sort((a, b) => b.revenue - a.revenue);
-
-  return { segments, segmentType: classifySegmentType(segments) };
-}
-
-/**
- * Top-level async function: fetch and parse segment revenue from a 10-K filing.
+ * Top-level async function: fetch and parse segment data from a 10-K filing.
  *
  * @param {string} cik           Padded CIK (10 digits)
  * @param {Object} submissions   SEC submissions JSON
  * @param {Function} fetchTextFn Async function(url) → string (text fetcher with SEC headers)
  * @param {string|null} fyEndDate  Expected FY end date for filtering
- * @returns {Promise<{ segments: Array<{ name: string, revenue: number }>, segmentType: "geographic"|"business" }>}
+ * @param {Array<{ periodEnd: string, value: number }>} [consolidatedRevenue]  Annual consolidated revenue to reconcile against
+ * @returns {Promise<{ business?: Object, geographic?: Object, product?: Object }>}
  */
-export async function fetchSegmentRevenue(cik, submissions, fetchTextFn, fyEndDate) {
-  const empty = { segments: [], segmentType: 'business' };
+export async function fetchSegments(cik, submissions, fetchTextFn, fyEndDate, consolidatedRevenue) {
+  const empty = {};
   try {
     // 1. Find latest 10-K accession
     const filing = findLatest10KAccession(submissions);
@@ -379,7 +531,7 @@ export async function fetchSegmentRevenue(cik, submissions, fetchTextFn, fyEndDa
     }
 
     // 3. Identify XBRL instance file
-    const xbrlFile = findXbrlInstanceFile(indexJson);
+    const xbrlFile = findXbrlInstanceFile(indexJson, filing.primaryDocument);
     if (!xbrlFile) {
       console.log('[Segments] No XBRL instance file found in filing');
       return empty;
@@ -395,9 +547,15 @@ export async function fetchSegmentRevenue(cik, submissions, fetchTextFn, fyEndDa
     }
     console.log('[Segments] XBRL document size: ' + xml.length + ' chars');
 
-    // 5. Extract segment revenue
-    const result = extractSegmentRevenue(xml, fyEndDate);
-    console.log('[Segments] Extracted ' + result.segments.length + ' segments (' + result.segmentType + ')');
+    // 5. Extract segments per axis
+    const result = extractSegments(xml, fyEndDate, {
+      consolidatedRevenue,
+      accession: filing.accessionNumber,
+    });
+    const summary = Object.entries(result)
+      .map(([k, v]) => `${k}=${v.members.length} (${v.quality.coveragePct ?? '?'}%)`)
+      .join(', ');
+    console.log('[Segments] Extracted ' + (summary || 'no segments'));
     return result;
   } catch (e) {
     console.log('[Segments] Error: ' + e.message);
@@ -3,7 +3,10 @@
  *
  * Each metric has a prioritized list of US-GAAP (or DEI) concept names.
  * extractLatestAnnual() walks the list, filters to 10-K / FY filings,
- * and returns the most recent value.
+ * and returns the most recent value.  extractAnnualSeries() returns one
+ * value per fiscal year instead, for multi-year trend reporting, and
+ * extractTrailingTwelveMonths() rolls the latest 10-Q forward from the
+ * last 10-K.
  */
 
 const CONCEPT_MAP = {
@@ -45,6 +48,22 @@ const CONCEPT_MAP = {
 // Employees live under facts.dei, not facts["us-gaap"]
 const EMPLOYEE_CONCEPTS = ['EntityNumberOfEmployees'];
 
+// Operating income is only used to derive operating margin in history mode
+const OPERATING_INCOME_CONCEPTS = ['OperatingIncomeLoss'];
+
+// Annual duration window (days) — tolerates 52/53-week fiscal years
+const ANNUAL_MIN_DAYS = 350;
+const ANNUAL_MAX_DAYS = 380;
+
+// Metrics that get a trailing-twelve-month figure from 10-Q filings
+const TTM_METRICS = ['revenue', 'netIncome', 'opex', 'capex'];
+
+// Tolerance (days) when matching period boundaries across filings
+const PERIOD_TOLERANCE_DAYS = 7;
+
+// Upper bound on ?history=N so a single response stays small
+export const MAX_HISTORY_YEARS = 10;
+
 /**
  * Extract the latest annual (10-K, FY) value for a list of concept names.
  *
@@ -123,3 +142,306 @@ export function extractAllMetrics(companyfacts) {
 
   return { financials, filingPeriod };
 }
+
+
+/**
+ * Consolidated annual revenue per fiscal year, using the same concept
+ * priority as extractAllMetrics().  Used to reconcile segment totals.
+ * @param {Object} companyfacts
+ * @returns {Array<{ fiscalYear: string, periodEnd: string, value: number, concept: string, accession: string|null }>}
+ */
+export function extractConsolidatedRevenue(companyfacts) {
+  const usGaap = companyfacts && companyfacts.facts && companyfacts.facts['us-gaap'];
+  return extractAnnualSeries(usGaap, CONCEPT_MAP.revenue);
+}
+
+/**
+ * Length of a duration fact in days, or null for instant facts.
+ * @param {{ start?: string, end?: string }} record
+ * @returns {number|null}
+ */
+function durationDays(record) {
+  if (!record.start || !record.end) return null;
+  return (Date.parse(record.end) - Date.parse(record.start)) / 86400000;
+}
+
+/**
+ * Extract one value per fiscal year (10-K, FY) for a list of concept names.
+ *
+ * 10-K filings repeat prior years as comparatives, and companies rename
+ * concepts over time, so the same fiscal year can appear many times across
+ * concepts and filings.  For each fiscal year end we keep the value from the
+ * highest-priority concept that reports it, preferring the most recently
+ * filed record (picks up restatements).  Duration facts must span roughly a
+ * full year so quarterly comparatives inside a 10-K are ignored.
+ *
+ * @param {Object} factsSection  e.g. facts["us-gaap"] or facts["dei"]
+ * @param {string[]} concepts    Prioritized concept names to try
+ * @returns {Array<{ fiscalYear: string, periodEnd: string, value: number, concept: string, accession: string|null }>}
+ *          Sorted by period end ascending
+ */
+export function extractAnnualSeries(factsSection, concepts) {
+  if (!factsSection) return [];
+
+  const byEnd = new Map();
+
+  concepts.forEach((concept, priority) => {
+    const entry = factsSection[concept];
+    if (!entry || !entry.units) return;
+
+    const records = entry.units.USD || entry.units.pure || Object.values(entry.units)[0];
+    if (!records || !records.length) return;
+
+    for (const r of records) {
+      if (r.form !== '10-K' || r.fp !== 'FY' || !r.end) continue;
+      const days = durationDays(r);
+      if (days !== null && (days < ANNUAL_MIN_DAYS || days > ANNUAL_MAX_DAYS)) continue;
+
+      const existing = byEnd.get(r.end);
+      const better = !existing ||
+        priority < existing.priority ||
+        (priority === existing.priority && (r.filed || '') > existing.filed);
+      if (better) {
+        byEnd.set(r.end, {
+          fiscalYear: r.end.slice(0, 4),
+          periodEnd: r.end,
+          value: r.val,
+          concept,
+          accession: r.accn || null,
+          priority,
+          filed: r.filed || '',
+        });
+      }
+    }
+  });
+
+  // Collapse to one point per fiscal year label (keeps the later period end
+  // if a company changed its fiscal year end within a calendar year)
+  const byYear = new Map();
+  for (const point of byEnd.values()) {
+    const existing = byYear.get(point.fiscalYear);
+    if (!existing || point.periodEnd > existing.periodEnd) {
+      byYear.set(point.fiscalYear, point);
+    }
+  }
+
+  return Array.from(byYear.values())
+    .sort((a, b) => a.periodEnd.localeCompare(b.periodEnd))
+    .map(({ fiscalYear, periodEnd, value, concept, accession }) => ({
+      fiscalYear, periodEnd, value, concept, accession,
+    }));
+}
+
+/**
+ * Ratio helper that returns null instead of NaN/Infinity.
+ * @param {number|null} numerator
+ * @param {number|null} denominator
+ * @returns {number|null}  Rounded to 4 decimal places
+ */
+function safeRatio(numerator, denominator) {
+  if (numerator == null || denominator == null || denominator === 0) return null;
+  return Math.round((numerator / denominator) * 10000) / 10000;
+}
+
+/**
+ * Build a per-fiscal-year financial history from companyfacts.
+ *
+ * Every metric in CONCEPT_MAP plus employees is stitched into a single row
+ * per fiscal year, then derived metrics are computed:
+ *   - revenueGrowth / netIncomeGrowth / employeeGrowth — YoY vs prior row
+ *   - grossMargin     — (revenue - cogs) / revenue
+ *   - operatingMargin — OperatingIncomeLoss / revenue
+ *
+ * Growth is only computed between consecutive fiscal years; a gap in the
+ * series yields null rather than a multi-year change.
+ *
+ * @param {Object} companyfacts  Full JSON from data.sec.gov/api/xbrl/companyfacts/
+ * @param {number} years         Number of most recent fiscal years to return
+ * @returns {Array<Object>}  Rows sorted oldest → newest
+ */
+export function extractFinancialHistory(companyfacts, years) {
+  const usGaap = companyfacts.facts && companyfacts.facts['us-gaap'];
+  const dei = companyfacts.facts && companyfacts.facts['dei'];
+
+  const series = {};
+  for (const [metric, concepts] of Object.entries(CONCEPT_MAP)) {
+    series[metric] = extractAnnualSeries(usGaap, concepts);
+  }
+  series.employees = extractAnnualSeries(dei, EMPLOYEE_CONCEPTS);
+  series.operatingIncome = extractAnnualSeries(usGaap, OPERATING_INCOME_CONCEPTS);
+
+  // Revenue defines which fiscal years exist; fall back to net income for
+  // filers that don't tag a revenue concept we recognise
+  const spine = series.revenue.length ? series.revenue : series.netIncome;
+  const rows = new Map();
+  for (const point of spine) {
+    const row = { fiscalYear: point.fiscalYear, periodEnd: point.periodEnd };
+    for (const metric of Object.keys(series)) row[metric] = null;
+    rows.set(point.fiscalYear, row);
+  }
+
+  for (const [metric, points] of Object.entries(series)) {
+    for (const point of points) {
+      const row = rows.get(point.fiscalYear);
+      if (row) row[metric] = point.value;
+    }
+  }
+
+  const history = Array.from(rows.values()).sort((a, b) => a.fiscalYear.localeCompare(b.fiscalYear));
+
+  history.forEach((row, i) => {
+    const prev = i > 0 && Number(history[i - 1].fiscalYear) === Number(row.fiscalYear) - 1
+      ? history[i - 1]
+      : null;
+    const growth = (metric) => (prev && prev[metric] != null && prev[metric] !== 0 && row[metric] != null)
+      ? safeRatio(row[metric] - prev[metric], Math.abs(prev[metric]))
+      : null;
+
+    row.revenueGrowth = growth('revenue');
+    row.netIncomeGrowth = growth('netIncome');
+    row.employeeGrowth = growth('employees');
+    row.grossMargin = row.cogs != null ? safeRatio(row.revenue - row.cogs, row.revenue) : null;
+    row.operatingMargin = safeRatio(row.operatingIncome, row.revenue);
+  });
+
+  const count = Math.max(1, Math.min(years || 1, MAX_HISTORY_YEARS));
+  return history.slice(-count);
+}
+
+
+/**
+ * Absolute difference between two ISO dates in days.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+/**
+ * Compute a trailing-twelve-month value for a single concept's records.
+ *
+ * 10-Q income statement and cash flow facts are reported year-to-date
+ * (Q2 = 6 months, Q3 = 9 months; cash flow statements have no discrete
+ * quarter at all), so quarters cannot simply be summed.  Instead:
+ *
+ *   TTM = latest fiscal year + current YTD − prior-year comparable YTD
+ *
+ * where the current YTD starts right after the latest fiscal year end and
+ * the comparable YTD has the same length, ending one year earlier.  If no
+ * 10-Q is newer than the latest 10-K, the annual value is returned as-is.
+ *
+ * @param {Object[]} records  companyfacts unit records for one concept
+ * @returns {{ value: number, periodStart: string, periodEnd: string, method: "annual"|"ytd", form: string } | null}
+ */
+function ttmFromRecords(records) {
+  const isDuration = (r) => r.start && r.end;
+  const annuals = records.filter((r) => {
+    if (r.form !== '10-K' || r.fp !== 'FY' || !isDuration(r)) return false;
+    const days = durationDays(r);
+    return days >= ANNUAL_MIN_DAYS && days <= ANNUAL_MAX_DAYS;
+  });
+  if (!annuals.length) return null;
+
+  annuals.sort((a, b) => b.end.localeCompare(a.end) || (b.filed || '').localeCompare(a.filed || ''));
+  const annual = annuals[0];
+  const annualResult = {
+    value: annual.val,
+    periodStart: annual.start,
+    periodEnd: annual.end,
+    method: 'annual',
+    form: '10-K',
+  };
+
+  // Current YTD: 10-Q duration that begins right after the fiscal year end
+  const ytds = records.filter((r) =>
+    r.form === '10-Q' && isDuration(r) && r.end > annual.end &&
+    daysBetween(r.start, annual.end) <= PERIOD_TOLERANCE_DAYS
+  );
+  if (!ytds.length) return annualResult;
+
+  // Longest / latest YTD wins (Q3 YTD over Q2 YTD)
+  ytds.sort((a, b) => b.end.localeCompare(a.end) || (b.filed || '').localeCompare(a.filed || ''));
+  const ytd = ytds[0];
+  const ytdDays = durationDays(ytd);
+
+  // Prior-year comparable: same length, ending ~1 year before, starting
+  // right after the prior fiscal year end (reported as a 10-Q comparative)
+  const priorYtd = records
+    .filter((r) => isDuration(r) &&
+      Math.abs(durationDays(r) - ytdDays) <= PERIOD_TOLERANCE_DAYS &&
+      Math.abs(daysBetween(r.end, ytd.end) - 365) <= PERIOD_TOLERANCE_DAYS &&
+      r.end <= annual.end)
+    .sort((a, b) => (b.filed || '').localeCompare(a.filed || ''))[0];
+  if (!priorYtd) return annualResult;
+
+  return {
+    value: annual.val + ytd.val - priorYtd.val,
+    periodStart: new Date(Date.parse(priorYtd.end) + 86400000).toISOString().slice(0, 10),
+    periodEnd: ytd.end,
+    method: 'ytd',
+    form: '10-Q',
+  };
+}
+
+/**
+ * Extract the freshest trailing-twelve-month value across a concept list.
+ * Concepts are checked in priority order; a lower-priority concept only
+ * wins if it covers a strictly later period (same rename handling as
+ * extractLatestAnnual).
+ *
+ * @param {Object} factsSection  facts["us-gaap"]
+ * @param {string[]} concepts    Prioritized concept names to try
+ * @returns {{ value: number, periodStart: string, periodEnd: string, method: "annual"|"ytd", form: string, concept: string } | null}
+ */
+export function extractTrailingTwelveMonths(factsSection, concepts) {
+  if (!factsSection) return null;
+
+  let best = null;
+  for (const concept of concepts) {
+    const entry = factsSection[concept];
+    const records = entry && entry.units && entry.units.USD;
+    if (!records || !records.length) continue;
+
+    const candidate = ttmFromRecords(records);
+    if (candidate && (!best || candidate.periodEnd > best.periodEnd)) {
+      best = { ...candidate, concept };
+    }
+  }
+  return best;
+}
+
+/**
+ * Build the TTM block for the proxy response.
+ *
+ * @param {Object} companyfacts  Full JSON from data.sec.gov/api/xbrl/companyfacts/
+ * @returns {{ periodEnd: string|null, financials: Object, periods: Object }}
+ *          financials: metric → value (or null); periods: metric → { start, end, method, form, concept }
+ */
+export function extractTtmMetrics(companyfacts) {
+  const usGaap = companyfacts.facts && companyfacts.facts['us-gaap'];
+
+  const financials = {};
+  const periods = {};
+  let periodEnd = null;
+
+  for (const metric of TTM_METRICS) {
+    const result = extractTrailingTwelveMonths(usGaap, CONCEPT_MAP[metric]);
+    if (!result) {
+      financials[metric] = null;
+      continue;
+    }
+    financials[metric] = result.value;
+    periods[metric] = {
+      start: result.periodStart,
+      end: result.periodEnd,
+      method: result.method,
+      form: result.form,
+      concept: result.concept,
+    };
+    if (!periodEnd || result.periodEnd > periodEnd) periodEnd = result.periodEnd;
+  }
+
+  return { periodEnd, financials, periods };
+}
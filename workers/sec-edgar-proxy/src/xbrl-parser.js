@@ -0,0 +1,345 @@
+/**
+ * Streaming, namespace-aware parser for XBRL instance and inline XBRL
+ * (iXBRL) documents.
+ *
+ * Workers have no DOMParser, and regexes over raw filings miss too many
+ * real-world variants, so this module walks the markup once with a small
+ * tokenizer and resolves every prefix through the in-scope xmlns
+ * declarations.  That makes it indifferent to:
+ *   - prefix choice (xbrli:context, default-namespace <context>, or any
+ *     other prefix bound to the XBRL instance namespace)
+ *   - extra / reordered attributes on any element
+ *   - typed dimensions (xbrldi:typedMember) alongside explicit ones
+ *   - iXBRL sign="-", scale, and ixt:* format transforms
+ *   - markup nested inside ix:nonFraction, ix:exclude, and
+ *     ix:continuation chains on ix:nonNumeric facts
+ *
+ * parseXbrlDocument() returns contexts and facts; callers decide which
+ * concepts they care about.
+ */
+
+const NS = {
+  xbrli: 'http://www.xbrl.org/2003/instance',
+  xbrldi: 'http://xbrl.org/2006/xbrldi',
+  link: 'http://www.xbrl.org/2003/linkbase',
+};
+
+// Inline XBRL 1.0 (2008) and 1.1 (2013) namespaces
+const IX_NAMESPACES = new Set([
+  'http://www.xbrl.org/2013/inlineXBRL',
+  'http://www.xbrl.org/2008/inlineXBRL',
+]);
+
+// us-gaap taxonomy URIs are versioned (http://fasb.org/us-gaap/2024); facts
+// in any version are reported with the canonical "us-gaap:" prefix
+const US_GAAP_NS_PATTERN = /^http:\/\/fasb\.org\/us-gaap\//;
+
+// Namespaces whose elements are structure, never facts
+const NON_FACT_NAMESPACES = new Set([NS.xbrli, NS.xbrldi, NS.link, 'http://www.w3.org/1999/xlink']);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Decode XML/HTML character references in text or attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  if (text.indexOf('&') === -1) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    const named = XML_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Parse the attribute section of a start tag.
+ * Handles single/double quotes, whitespace around "=", and any order.
+ * @param {string} source  Text between the tag name and ">" / "/>"
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const attrRegex = /([^\s=\/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = attrRegex.exec(source)) !== null) {
+    attrs[m[1]] = decodeEntities(m[2] !== undefined ? m[2] : m[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Apply an ixt:* format transform to displayed text.
+ * Covers the transforms SEC filers actually use; unknown formats fall back
+ * to stripping everything that isn't a digit or decimal point.
+ * @param {string} text
+ * @param {string|undefined} format  e.g. "ixt:num-dot-decimal"
+ * @returns {number}  NaN if the text has no numeric content
+ */
+export function applyNumericFormat(text, format) {
+  const local = (format || '').split(':').pop().toLowerCase().replace(/-/g, '');
+  const trimmed = text.trim();
+
+  // Dash / "none" / zero transforms
+  if (local === 'zerodash' || local === 'fixedzero' || local === 'numdash' ||
+      (local === '' && /^[-–—]$/.test(trimmed))) {
+    return 0;
+  }
+
+  let normalized;
+  if (local === 'numcommadecimal') {
+    // 1.234.567,89 → 1234567.89
+    normalized = trimmed.replace(/[\s.\u00a0']/g, '').replace(',', '.');
+  } else if (local.startsWith('numword') || local === 'fixedempty') {
+    return NaN;
+  } else {
+    // num-dot-decimal, numdotdecimal, num-unit-decimal and untransformed text
+    normalized = trimmed.replace(/[\s,\u00a0']/g, '');
+  }
+
+  normalized = normalized.replace(/[^0-9.]/g, '');
+  if (!normalized) return NaN;
+  return parseFloat(normalized);
+}
+
+/**
+ * Parse an XBRL or iXBRL document.
+ *
+ * @param {string} xml
+ * @returns {{
+ *   contexts: Map<string, { dimensions: Array<{ axis: string, member: string, typed: boolean }>, startDate: string|null, endDate: string|null, isInstant: boolean }>,
+ *   facts: Array<{ concept: string, contextRef: string, unitRef: string, value: number, scale: number, decimals: string|null, inline: boolean }>,
+ *   textFacts: Array<{ concept: string, contextRef: string, text: string }>
+ * }}
+ *   concept names use the canonical "us-gaap:" prefix for any us-gaap
+ *   namespace version, else the prefix declared in the document
+ */
+export function parseXbrlDocument(xml) {
+  const contexts = new Map();
+  const facts = [];
+  const textFacts = [];
+  const continuations = new Map();   // id → { text, continuedAt }
+
+  // Stack of { name, uri, local, nsScope, collector } per open element
+  const stack = [];
+  let nsScope = { xml: 'http://www.w3.org/XML/1998/namespace' };
+
+  // Open text collectors (numeric fact, nonNumeric fact, continuation, context fields)
+  const collectors = [];
+  let excludeDepth = 0;
+
+  let context = null;       // context being built
+
+  const resolve = (qname) => {
+    const colon = qname.indexOf(':');
+    const prefix = colon === -1 ? '' : qname.slice(0, colon);
+    const local = colon === -1 ? qname : qname.slice(colon + 1);
+    return { prefix, local, uri: nsScope[prefix] || '' };
+  };
+
+  const canonicalConcept = (qname) => {
+    const { prefix, local, uri } = resolve(qname);
+    if (US_GAAP_NS_PATTERN.test(uri)) return 'us-gaap:' + local;
+    return prefix ? prefix + ':' + local : local;
+  };
+
+  const appendText = (text) => {
+    if (excludeDepth > 0 || !text) return;
+    for (const c of collectors) c.text += text;
+  };
+
+  const openElement = (rawName, attrs, selfClosing) => {
+    // Namespace declarations on this element scope to it and its children
+    const declared = Object.keys(attrs).filter((a) => a === 'xmlns' || a.startsWith('xmlns:'));
+    const parentScope = nsScope;
+    if (declared.length) {
+      nsScope = Object.create(nsScope);
+      for (const a of declared) nsScope[a === 'xmlns' ? '' : a.slice(6)] = attrs[a];
+    }
+
+    const { local, uri } = resolve(rawName);
+    const frame = { name: rawName, uri, local, parentScope, collector: null, onClose: null };
+
+    if (uri === NS.xbrli && local === 'context') {
+      context = { id: attrs.id, dimensions: [], startDate: null, endDate: null, instant: null };
+      frame.onClose = () => {
+        if (context && context.id) {
+          contexts.set(context.id, {
+            dimensions: context.dimensions,
+            startDate: context.startDate,
+            endDate: context.endDate || context.instant,
+            isInstant: !!context.instant,
+          });
+        }
+        context = null;
+      };
+    } else if (context && uri === NS.xbrli && (local === 'startDate' || local === 'endDate' || local === 'instant')) {
+      frame.collector = { text: '' };
+      frame.onClose = (c) => { context[local] = c.text.trim(); };
+    } else if (context && uri === NS.xbrldi && (local === 'explicitMember' || local === 'typedMember')) {
+      const axis = attrs.dimension || '';
+      const typed = local === 'typedMember';
+      frame.collector = { text: '' };
+      frame.onClose = (c) => {
+        context.dimensions.push({ axis, member: c.text.trim(), typed });
+      };
+    } else if (IX_NAMESPACES.has(uri) && local === 'nonFraction' && attrs.name && attrs.contextRef) {
+      frame.collector = { text: '' };
+      frame.onClose = (c) => {
+        const isNil = attrs['xsi:nil'] === 'true';
+        let value = isNil ? NaN : applyNumericFormat(c.text, attrs.format);
+        if (isNaN(value)) return;
+        const scale = attrs.scale ? parseInt(attrs.scale, 10) || 0 : 0;
+        value = value * Math.pow(10, scale);
+        if (attrs.sign === '-') value = -value;
+        facts.push({
+          concept: canonicalConcept(attrs.name),
+          contextRef: attrs.contextRef,
+          unitRef: attrs.unitRef || '',
+          value,
+          scale,
+          decimals: attrs.decimals || null,
+          inline: true,
+        });
+      };
+    } else if (IX_NAMESPACES.has(uri) && local === 'nonNumeric' && attrs.name && attrs.contextRef) {
+      frame.collector = { text: '' };
+      frame.onClose = (c) => {
+        textFacts.push({
+          concept: canonicalConcept(attrs.name),
+          contextRef: attrs.contextRef,
+          text: c.text,
+          continuedAt: attrs.continuedAt || null,
+        });
+      };
+    } else if (IX_NAMESPACES.has(uri) && local === 'continuation' && attrs.id) {
+      frame.collector = { text: '' };
+      frame.onClose = (c) => {
+        continuations.set(attrs.id, { text: c.text, continuedAt: attrs.continuedAt || null });
+      };
+    } else if (IX_NAMESPACES.has(uri) && local === 'exclude') {
+      excludeDepth++;
+      frame.onClose = () => { excludeDepth--; };
+    } else if (attrs.contextRef && uri && !NON_FACT_NAMESPACES.has(uri) && !IX_NAMESPACES.has(uri)) {
+      // Plain XBRL fact: <us-gaap:Revenues contextRef=".." unitRef="..">123</us-gaap:Revenues>
+      frame.collector = { text: '' };
+      frame.onClose = (c) => {
+        const raw = c.text.trim();
+        if (attrs.unitRef) {
+          const value = parseFloat(raw.replace(/,/g, ''));
+          if (isNaN(value)) return;
+          facts.push({
+            concept: canonicalConcept(rawName),
+            contextRef: attrs.contextRef,
+            unitRef: attrs.unitRef,
+            value,
+            scale: 0,
+            decimals: attrs.decimals || null,
+            inline: false,
+          });
+        } else {
+          textFacts.push({ concept: canonicalConcept(rawName), contextRef: attrs.contextRef, text: raw, continuedAt: null });
+        }
+      };
+    }
+
+    if (frame.collector) collectors.push(frame.collector);
+
+    if (selfClosing) {
+      closeFrame(frame);
+    } else {
+      stack.push(frame);
+    }
+  };
+
+  const closeFrame = (frame) => {
+    if (frame.collector) {
+      const i = collectors.lastIndexOf(frame.collector);
+      if (i !== -1) collectors.splice(i, 1);
+    }
+    if (frame.onClose) frame.onClose(frame.collector);
+    nsScope = frame.parentScope;
+  };
+
+  const closeElement = (rawName) => {
+    // Tolerate unbalanced HTML inside iXBRL: unwind to the matching open tag
+    let idx = stack.length - 1;
+    while (idx >= 0 && stack[idx].name !== rawName) idx--;
+    if (idx === -1) return;
+    while (stack.length > idx) closeFrame(stack.pop());
+  };
+
+  // ── Tokenizer ──────────────────────────────────────────────────────
+  let pos = 0;
+  const len = xml.length;
+  while (pos < len) {
+    const lt = xml.indexOf('<', pos);
+    if (lt === -1) {
+      appendText(decodeEntities(xml.slice(pos)));
+      break;
+    }
+    if (lt > pos) appendText(decodeEntities(xml.slice(pos, lt)));
+
+    if (xml.startsWith('<!--', lt)) {
+      const end = xml.indexOf('-->', lt + 4);
+      pos = end === -1 ? len : end + 3;
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt + 9);
+      appendText(xml.slice(lt + 9, end === -1 ? len : end));
+      pos = end === -1 ? len : end + 3;
+    } else if (xml[lt + 1] === '?' || xml[lt + 1] === '!') {
+      const end = xml.indexOf('>', lt + 2);
+      pos = end === -1 ? len : end + 1;
+    } else if (xml[lt + 1] === '/') {
+      const end = xml.indexOf('>', lt + 2);
+      if (end === -1) break;
+      closeElement(xml.slice(lt + 2, end).trim());
+      pos = end + 1;
+    } else {
+      // Find the tag end, skipping ">" inside quoted attribute values
+      let end = lt + 1;
+      let quote = null;
+      while (end < len) {
+        const ch = xml[end];
+        if (quote) {
+          if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+          quote = ch;
+        } else if (ch === '>') {
+          break;
+        }
+        end++;
+      }
+      if (end >= len) break;
+
+      const selfClosing = xml[end - 1] === '/';
+      const inner = xml.slice(lt + 1, selfClosing ? end - 1 : end);
+      const nameMatch = /^[^\s\/>]+/.exec(inner);
+      if (nameMatch) {
+        openElement(nameMatch[0], parseAttributes(inner.slice(nameMatch[0].length)), selfClosing);
+      }
+      pos = end + 1;
+    }
+  }
+  while (stack.length) closeFrame(stack.pop());
+
+  // Stitch ix:continuation chains onto their nonNumeric facts
+  for (const fact of textFacts) {
+    let next = fact.continuedAt;
+    const seen = new Set();
+    while (next && continuations.has(next) && !seen.has(next)) {
+      seen.add(next);
+      const part = continuations.get(next);
+      fact.text += part.text;
+      next = part.continuedAt;
+    }
+    fact.text = fact.text.replace(/\s+/g, ' ').trim();
+    delete fact.continuedAt;
+  }
+
+  return { contexts, facts, textFacts };
+}
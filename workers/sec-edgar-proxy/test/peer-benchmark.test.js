@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { selectPeersBySize, currentPeers, rankAgainstPeers } from '../src/peer-benchmark.js';
+
+const company = (cik, revenue, filingPeriod = '2023-12-31') => ({ cik, filingPeriod, metrics: { revenue } });
+
+test('selectPeersBySize keeps the peers closest to the subject by revenue ratio', () => {
+  const subject = company('S', 1e9);
+  const peers = [
+    company('giant', 80e9),
+    company('half', 0.5e9),
+    company('none', null),
+    company('double', 2e9),
+    company('tiny', 10e6),
+    company('same', 1.1e9),
+  ];
+
+  assert.deepEqual(selectPeersBySize(subject, peers, 3).map((p) => p.cik), ['same', 'half', 'double']);
+  assert.deepEqual(selectPeersBySize(subject, peers, 10).map((p) => p.cik), ['same', 'half', 'double', 'giant', 'tiny', 'none']);
+});
+
+test('selectPeersBySize keeps list order when the subject has no revenue', () => {
+  const peers = [company('a', 5e9), company('b', 1e6), company('c', 2e9)];
+  assert.deepEqual(selectPeersBySize(company('S', null), peers, 2).map((p) => p.cik), ['a', 'b']);
+});
+
+test('currentPeers drops empty summaries cached for companies without XBRL financials', () => {
+  const peers = [company('a', 1e9), { cik: 'b', filingPeriod: null, metrics: {} }, company('c', 1e9, '2019-12-31')];
+  assert.deepEqual(currentPeers(peers, '2023-12-31').map((p) => p.cik), ['a']);
+});
+
+test('rankAgainstPeers puts a low OpEx intensity in the top quartile', () => {
+  const peers = [0.5, 0.4, 0.3, 0.6].map((v) => ({ metrics: { opexIntensity: v } }));
+  const ranks = rankAgainstPeers({ metrics: { opexIntensity: 0.2 } }, peers);
+
+  assert.equal(ranks.opexIntensity.percentile, 0);
+  assert.equal(ranks.opexIntensity.standing, 100);
+  assert.equal(ranks.opexIntensity.quartile, 1);
+  assert.equal(ranks.opexIntensity.peerMedian, 0.45);
+  assert.equal(ranks.revenue.value, null);
+});
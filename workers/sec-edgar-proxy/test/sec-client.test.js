@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSecClient } from '../src/sec-client.js';
+import { createMemoryCacheStore } from '../src/cache-store.js';
+
+test('fetchedAt reports the cache write time for a hit and now for a miss', async (t) => {
+  const cache = createMemoryCacheStore();
+  const storedAt = Date.now() - 10 * 60 * 1000;
+  t.mock.method(Date, 'now', () => storedAt);
+  await cache.put('companyfacts:0000000001', '{"entityName":"Cached"}', 3600);
+  Date.now.mock.restore();
+
+  t.mock.method(globalThis, 'fetch', async () => new Response('{"entityName":"Fresh"}'));
+  const client = createSecClient(cache);
+  const before = Date.now();
+
+  assert.equal((await client.json('companyfacts:0000000001', 'https://example.test/1', 3600)).entityName, 'Cached');
+  assert.equal(client.fetchedAt('companyfacts:0000000001'), new Date(storedAt).toISOString());
+
+  await client.json('companyfacts:0000000002', 'https://example.test/2', 0);
+  assert.ok(Date.parse(client.fetchedAt('companyfacts:0000000002')) >= before);
+  assert.equal(client.fetchedAt('companyfacts:0000000003'), null);
+});
+
+test('remember caches a value that peek returns without computing it', async () => {
+  const cache = createMemoryCacheStore();
+  const client = createSecClient(cache);
+  client.remember('peer-metrics:0000000004', { cik: '0000000004', filingPeriod: null, metrics: {} }, 900);
+
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(await client.peek('peer-metrics:0000000004'), { cik: '0000000004', filingPeriod: null, metrics: {} });
+});
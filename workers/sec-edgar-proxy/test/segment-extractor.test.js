@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { extractSegments, findXbrlInstanceFile, fetchSegments } from '../src/segment-extractor.js';
+
+const fixture = (name) => readFileSync(new URL('./fixtures/' + name, import.meta.url), 'utf8');
+
+const memberSummary = (block) => block.members.map((m) => [m.name, m.revenue, m.operatingIncome, m.assets]);
+
+test('extracts business and geographic segments from an XBRL instance', () => {
+  const segments = extractSegments(fixture('10k-xbrli.xml'), null, { accession: '0000123456-24-000010' });
+
+  assert.deepEqual(Object.keys(segments), ['business', 'geographic']);
+  assert.equal(segments.business.periodEnd, '2023-12-31');
+  assert.deepEqual(memberSummary(segments.business), [
+    ['Cloud', 600000000, 180000000, 2100000000],
+    ['Devices', 400000000, -42000000, null],
+  ]);
+  assert.deepEqual(segments.business.quality.excludedMembers, [
+    { name: 'Intersegment Elimination', reason: 'elimination', revenue: -25000000 },
+  ]);
+  assert.equal(segments.business.quality.consolidatedSource, 'instance');
+  assert.equal(segments.business.quality.coveragePct, 100);
+  assert.equal(segments.business.quality.reliable, true);
+  assert.equal(segments.business.quality.accession, '0000123456-24-000010');
+
+  // The Cloud × Americas cross-tab context is not counted on either axis
+  assert.deepEqual(memberSummary(segments.geographic), [
+    ['Americas', 550000000, null, null],
+    ['Europe Middle East And Africa', 450000000, null, null],
+  ]);
+});
+
+test('default-namespace instance yields the same segments', () => {
+  assert.deepEqual(
+    extractSegments(fixture('10k-default-ns.xml'), null),
+    extractSegments(fixture('10k-xbrli.xml'), null)
+  );
+});
+
+test('honours the requested fiscal year end', () => {
+  const segments = extractSegments(fixture('10k-xbrli.xml'), '2022-12-31');
+  assert.deepEqual(memberSummary(segments.business), [['Cloud', 520000000, null, null]]);
+  assert.equal(segments.business.quality.coveragePct, 57.8);
+  assert.equal(segments.business.quality.reliable, false);
+});
+
+test('extracts segments from an inline XBRL document', () => {
+  const segments = extractSegments(fixture('10k-inline.htm'), null, {
+    consolidatedRevenue: [{ periodEnd: '2023-12-31', value: 2000e6 }],
+  });
+
+  assert.deepEqual(Object.keys(segments), ['business']);
+  assert.deepEqual(memberSummary(segments.business), [
+    ['Devices', 1387.6e6, -42.5e6, null],
+    ['Cloud', 612.4e6, 185e6, null],
+    ['Corporate And Other', 0, -30e6, null],
+  ]);
+  assert.equal(segments.business.quality.consolidatedSource, 'companyfacts');
+  assert.equal(segments.business.quality.coveragePct, 100);
+});
+
+test('findXbrlInstanceFile prefers the _htm.xml companion, then a plain instance', () => {
+  const index = (...names) => ({ directory: { item: names.map((name) => ({ name })) } });
+
+  assert.equal(
+    findXbrlInstanceFile(index('exco-20231231.htm', 'exco-20231231_cal.xml', 'exco-20231231_htm.xml', 'exco.xml'), 'exco-20231231.htm'),
+    'exco-20231231_htm.xml'
+  );
+  assert.equal(
+    findXbrlInstanceFile(index('exco-20231231.xsd', 'exco-20231231_lab.xml', 'exco-20231231.xml')),
+    'exco-20231231.xml'
+  );
+});
+
+test('findXbrlInstanceFile falls back to an inline XBRL primary document', () => {
+  const index = { directory: { item: [
+    { name: 'exco-20231231.htm' }, { name: 'exco-20231231.xsd' },
+    { name: 'exco-20231231_lab.xml' }, { name: 'exco-20231231_pre.xml' },
+  ] } };
+
+  assert.equal(findXbrlInstanceFile(index, 'exco-20231231.htm'), 'exco-20231231.htm');
+  assert.equal(findXbrlInstanceFile(index, null), null);
+  assert.equal(findXbrlInstanceFile(index, 'missing.htm'), null);
+});
+
+test('fetchSegments parses the primary iXBRL document when the filing has no XML instance', async () => {
+  const submissions = { filings: { recent: {
+    form: ['8-K', '10-K'],
+    accessionNumber: ['0000123456-24-000020', '0000123456-24-000010'],
+    primaryDocument: ['exco-8k.htm', 'exco-20231231.htm'],
+  } } };
+  const base = 'https://www.sec.gov/Archives/edgar/data/123456/000012345624000010/';
+  const files = {
+    [base + 'index.json']: JSON.stringify({ directory: { item: [
+      { name: 'exco-20231231.htm' }, { name: 'exco-20231231.xsd' }, { name: 'exco-20231231_lab.xml' },
+    ] } }),
+    [base + 'exco-20231231.htm']: fixture('10k-inline.htm'),
+  };
+  const fetched = [];
+  const fetchText = async (url) => {
+    fetched.push(url);
+    if (!(url in files)) throw new Error('404 ' + url);
+    return files[url];
+  };
+
+  const segments = await fetchSegments('0000123456', submissions, fetchText, null, [{ periodEnd: '2023-12-31', value: 2000e6 }]);
+
+  assert.deepEqual(fetched, [base + 'index.json', base + 'exco-20231231.htm']);
+  assert.equal(segments.business.members.length, 3);
+  assert.equal(segments.business.quality.accession, '0000123456-24-000010');
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractAnnualSeries, extractFinancialHistory, extractTrailingTwelveMonths, extractTtmMetrics,
+} from '../src/xbrl-extractor.js';
+
+const fact = (start, end, val, form, fp, filed) => ({ start, end, val, form, fp, filed, accn: 'acc-' + filed });
+const usd = (...records) => ({ units: { USD: records } });
+const companyfacts = (usGaap) => ({ facts: { 'us-gaap': usGaap } });
+
+const FY2023 = fact('2023-01-01', '2023-12-31', 1000, '10-K', 'FY', '2024-02-01');
+
+test('TTM rolls the latest 10-K forward with the longest current-year YTD', () => {
+  const ttm = extractTrailingTwelveMonths({
+    Revenues: usd(
+      FY2023,
+      fact('2024-01-01', '2024-06-30', 500, '10-Q', 'Q2', '2024-08-01'),
+      fact('2024-01-01', '2024-09-30', 800, '10-Q', 'Q3', '2024-11-01'),
+      // Discrete quarter: does not start after the fiscal year end, so not a YTD
+      fact('2024-07-01', '2024-09-30', 300, '10-Q', 'Q3', '2024-11-01'),
+      // Prior-year comparable reported in the 10-Q
+      fact('2023-01-01', '2023-09-30', 700, '10-Q', 'Q3', '2024-11-01'),
+    ),
+  }, ['Revenues']);
+
+  assert.deepEqual(ttm, {
+    value: 1000 + 800 - 700,
+    periodStart: '2023-10-01',
+    periodEnd: '2024-09-30',
+    method: 'ytd',
+    form: '10-Q',
+    concept: 'Revenues',
+  });
+});
+
+test('TTM falls back to the annual value without a newer 10-Q', () => {
+  const ttm = extractTrailingTwelveMonths({
+    Revenues: usd(
+      fact('2022-01-01', '2022-12-31', 900, '10-K', 'FY', '2023-02-01'),
+      FY2023,
+      fact('2023-01-01', '2023-09-30', 700, '10-Q', 'Q3', '2023-11-01'),
+    ),
+  }, ['Revenues']);
+
+  assert.equal(ttm.method, 'annual');
+  assert.equal(ttm.value, 1000);
+  assert.equal(ttm.periodEnd, '2023-12-31');
+});
+
+test('TTM falls back to the annual value when the prior-year YTD is missing', () => {
+  const ttm = extractTrailingTwelveMonths({
+    Revenues: usd(FY2023, fact('2024-01-01', '2024-06-30', 500, '10-Q', 'Q2', '2024-08-01')),
+  }, ['Revenues']);
+
+  assert.equal(ttm.method, 'annual');
+  assert.equal(ttm.value, 1000);
+});
+
+test('extractTtmMetrics reports each metric\'s own method and the latest period end', () => {
+  const ttm = extractTtmMetrics(companyfacts({
+    Revenues: usd(
+      FY2023,
+      fact('2024-01-01', '2024-06-30', 550, '10-Q', 'Q2', '2024-08-01'),
+      fact('2023-01-01', '2023-06-30', 450, '10-Q', 'Q2', '2024-08-01'),
+    ),
+    NetIncomeLoss: usd(fact('2023-01-01', '2023-12-31', 120, '10-K', 'FY', '2024-02-01')),
+  }));
+
+  assert.equal(ttm.periodEnd, '2024-06-30');
+  assert.deepEqual(ttm.financials, { revenue: 1100, netIncome: 120, opex: null, capex: null });
+  assert.equal(ttm.periods.revenue.method, 'ytd');
+  assert.equal(ttm.periods.netIncome.method, 'annual');
+  assert.equal(ttm.periods.netIncome.end, '2023-12-31');
+  assert.equal(ttm.periods.opex, undefined);
+});
+
+test('annual series keeps one value per fiscal year: restatements, concept priority, year-end changes', () => {
+  const series = extractAnnualSeries({
+    Revenues: usd(
+      fact('2022-01-01', '2022-12-31', 900, '10-K', 'FY', '2023-02-01'),
+      fact('2022-01-01', '2022-12-31', 950, '10-K', 'FY', '2024-02-01'),
+      fact('2021-07-01', '2022-06-30', 880, '10-K', 'FY', '2022-08-01'),
+      FY2023,
+      // Fourth-quarter comparative inside the 10-K — not a full year
+      fact('2023-10-01', '2023-12-31', 260, '10-K', 'FY', '2024-02-01'),
+    ),
+    RevenueFromContractWithCustomerExcludingAssessedTax: usd(
+      fact('2023-01-01', '2023-12-31', 999, '10-K', 'FY', '2024-02-01'),
+    ),
+  }, ['Revenues', 'RevenueFromContractWithCustomerExcludingAssessedTax']);
+
+  assert.deepEqual(series.map((p) => [p.fiscalYear, p.periodEnd, p.value, p.concept]), [
+    ['2022', '2022-12-31', 950, 'Revenues'],
+    ['2023', '2023-12-31', 1000, 'Revenues'],
+  ]);
+});
+
+test('financial history computes growth only between consecutive fiscal years', () => {
+  const facts = companyfacts({
+    Revenues: usd(
+      fact('2021-01-01', '2021-12-31', 800, '10-K', 'FY', '2022-02-01'),
+      fact('2022-01-01', '2022-12-31', 950, '10-K', 'FY', '2023-02-01'),
+      FY2023,
+    ),
+    RevenueFromContractWithCustomerExcludingAssessedTax: usd(
+      fact('2019-01-01', '2019-12-31', 600, '10-K', 'FY', '2020-02-01'),
+    ),
+    CostOfRevenue: usd(fact('2023-01-01', '2023-12-31', 400, '10-K', 'FY', '2024-02-01')),
+  });
+
+  const history = extractFinancialHistory(facts, 10);
+  assert.deepEqual(history.map((r) => [r.fiscalYear, r.revenue, r.revenueGrowth]), [
+    ['2019', 600, null],
+    ['2021', 800, null],
+    ['2022', 950, 0.1875],
+    ['2023', 1000, 0.0526],
+  ]);
+  assert.equal(history[3].grossMargin, 0.6);
+  assert.equal(history[2].grossMargin, null);
+
+  assert.deepEqual(extractFinancialHistory(facts, 2).map((r) => r.fiscalYear), ['2022', '2023']);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseXbrlDocument, applyNumericFormat, decodeEntities } from '../src/xbrl-parser.js';
+
+const fixture = (name) => readFileSync(new URL('./fixtures/' + name, import.meta.url), 'utf8');
+
+const xbrli = parseXbrlDocument(fixture('10k-xbrli.xml'));
+const defaultNs = parseXbrlDocument(fixture('10k-default-ns.xml'));
+const inline = parseXbrlDocument(fixture('10k-inline.htm'));
+
+const factValue = (doc, concept, contextRef) =>
+  doc.facts.find((f) => f.concept === concept && f.contextRef === contextRef)?.value;
+
+test('reads every context, including ones with extra and reordered attributes', () => {
+  assert.equal(xbrli.contexts.size, 11);
+  assert.deepEqual(xbrli.contexts.get('c-Cloud-FY2023'), {
+    dimensions: [{ axis: 'us-gaap:StatementBusinessSegmentsAxis', member: 'exco:CloudSegmentMember', typed: false }],
+    startDate: '2023-01-01',
+    endDate: '2023-12-31',
+    isInstant: false,
+  });
+  assert.deepEqual(xbrli.contexts.get('c-Cloud-I2023').isInstant, true);
+  assert.equal(xbrli.contexts.get('c-Cloud-I2023').endDate, '2023-12-31');
+});
+
+test('reads xbrldi:typedMember values as typed dimensions', () => {
+  assert.deepEqual(xbrli.contexts.get('c-Contract-FY2023').dimensions, [
+    { axis: 'exco:ContractIdentifierAxis', member: 'K-2023-017', typed: true },
+  ]);
+});
+
+test('xbrli: prefix and default namespace parse identically', () => {
+  assert.deepEqual(defaultNs.contexts, xbrli.contexts);
+  assert.deepEqual(defaultNs.facts, xbrli.facts);
+  assert.deepEqual(defaultNs.textFacts, xbrli.textFacts);
+});
+
+test('canonicalizes any prefix bound to a us-gaap namespace', () => {
+  assert.equal(xbrli.facts.length, 13);
+  assert.ok(defaultNs.facts.every((f) => f.concept.startsWith('us-gaap:')));
+  assert.equal(factValue(defaultNs, 'us-gaap:Revenues', 'c-FY2023'), 1000000000);
+  assert.equal(factValue(defaultNs, 'us-gaap:OperatingIncomeLoss', 'c-Devices-FY2023'), -42000000);
+});
+
+test('keeps unitless facts as decoded text facts', () => {
+  assert.deepEqual(xbrli.textFacts.map((f) => f.concept), ['dei:DocumentType', 'us-gaap:SegmentReportingDisclosureTextBlock']);
+  assert.equal(xbrli.textFacts[1].text, 'Example Corp reports two segments, Cloud & Devices.');
+});
+
+test('reads iXBRL contexts from ix:resources', () => {
+  assert.equal(inline.contexts.size, 4);
+  assert.equal(inline.contexts.get('c-3').dimensions[0].member, 'exco:DevicesSegmentMember');
+});
+
+test('applies scale, ixt:num-dot-decimal and nested markup to ix:nonFraction', () => {
+  assert.ok(inline.facts.every((f) => f.inline && f.scale === 6));
+  assert.equal(factValue(inline, 'us-gaap:Revenues', 'c-3'), 1387.6e6);
+  assert.equal(factValue(inline, 'us-gaap:Revenues', 'c-1'), 2000e6);
+  assert.equal(factValue(inline, 'us-gaap:OperatingIncomeLoss', 'c-2'), 185e6);
+});
+
+test('negates ix:nonFraction values with sign="-"', () => {
+  assert.equal(factValue(inline, 'us-gaap:OperatingIncomeLoss', 'c-3'), -42.5e6);
+  assert.equal(factValue(inline, 'us-gaap:OperatingIncomeLoss', 'c-4'), -30e6);
+});
+
+test('reads ixt:fixed-zero dashes as zero', () => {
+  assert.equal(factValue(inline, 'us-gaap:Revenues', 'c-4'), 0);
+});
+
+test('stitches ix:continuation chains and drops ix:exclude content', () => {
+  assert.equal(inline.textFacts.length, 1);
+  assert.equal(
+    inline.textFacts[0].text,
+    'We manage the business as two reportable segments, Cloud and Devices, each led by a segment manager who reports to the CEO.'
+  );
+});
+
+test('applyNumericFormat handles the SEC transforms', () => {
+  assert.equal(applyNumericFormat('1,234,567.89', 'ixt:num-dot-decimal'), 1234567.89);
+  assert.equal(applyNumericFormat(' 12 345.6 ', 'ixt:numdotdecimal'), 12345.6);
+  assert.equal(applyNumericFormat('1.234.567,89', 'ixt:num-comma-decimal'), 1234567.89);
+  assert.equal(applyNumericFormat('—', 'ixt:fixed-zero'), 0);
+  assert.equal(applyNumericFormat('-', undefined), 0);
+  assert.ok(Number.isNaN(applyNumericFormat('twelve', 'ixt-sec:numwordsen')));
+});
+
+test('decodeEntities resolves named and numeric references', () => {
+  assert.equal(decodeEntities('R&amp;D &#8212; &#x24;5'), 'R&D — $5');
+  assert.equal(decodeEntities('&unknown;'), '&unknown;');
+});